@@ -0,0 +1,422 @@
+// -*- mode: typescript; indent-tabs-mode: nil; js-basic-offset: 4 -*-
+//
+// This file is part of Genie
+//
+// Copyright 2022 The Board of Trustees of the Leland Stanford Junior University
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//    http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+// Arbitration between the dialogue handlers that want to handle a command
+//
+// Every handler analyzes each command, and reports how confident it is that
+// it can handle it. An arbitration policy chooses one handler based on those
+// analyses, and explains the choice, so the decision can be inspected
+// with the $debug command.
+
+import ValueCategory from './value-category';
+import type { UserInput } from './user-input';
+import {
+    CommandAnalysisType,
+    CommandAnalysisResult,
+    Confidence,
+    DialogueHandler,
+    pickHandler
+} from './dialogue-loop';
+
+type AnyDialogueHandler = DialogueHandler<CommandAnalysisResult, any>;
+
+export interface ArbitrationCandidate {
+    handler : AnyDialogueHandler;
+    analysis : CommandAnalysisResult;
+}
+
+export interface ArbitrationContext {
+    /**
+     * The handler that replied to the previous command, if any.
+     */
+    currentHandler : AnyDialogueHandler|null;
+    /**
+     * What kind of answer the current handler is expecting, if any.
+     */
+    expecting : ValueCategory|null;
+    /**
+     * For how many consecutive turns the current handler was chosen.
+     */
+    currentHandlerTurns : number;
+    command : UserInput;
+}
+
+export interface ArbitrationDecision {
+    /**
+     * The chosen handler, or `undefined` if no handler can handle the command.
+     */
+    handler : AnyDialogueHandler|undefined;
+    analysis : CommandAnalysisResult;
+    /**
+     * A human-readable explanation of the choice.
+     */
+    reason : string;
+    /**
+     * The score of each handler, by unique ID, for policies that compute one.
+     */
+    scores ?: Record<string, number>;
+}
+
+/**
+ * A strategy to choose the handler of each command.
+ */
+export interface ArbitrationPolicy {
+    /**
+     * The name of the policy, as shown in the decision traces.
+     */
+    readonly name : string;
+
+    choose(candidates : ArbitrationCandidate[], context : ArbitrationContext) : ArbitrationDecision;
+}
+
+/**
+ * The record of one arbitration decision.
+ */
+export interface ArbitrationTrace {
+    policy : string;
+    currentHandler : string|null;
+    currentHandlerTurns : number;
+    expecting : string|null;
+    candidates : Array<{
+        handler : string;
+        priority : number;
+        analysis : string;
+        confidence : string;
+        score ?: number;
+    }>;
+    chosen : string|null;
+    reason : string;
+}
+
+/**
+ * Check if the analysis is a special command, like "stop" or "$debug", which
+ * must be handled regardless of the policy.
+ */
+function isSpecialCommand(analysis : CommandAnalysisResult) {
+    switch (analysis.type) {
+    case CommandAnalysisType.STOP:
+    case CommandAnalysisType.DEBUG:
+    case CommandAnalysisType.UNDO:
+    case CommandAnalysisType.NEVERMIND:
+    case CommandAnalysisType.WAKEUP:
+        return true;
+    default:
+        return false;
+    }
+}
+
+function isFollowUp(analysis : CommandAnalysisResult) {
+    switch (analysis.type) {
+    case CommandAnalysisType.EXACT_IN_DOMAIN_FOLLOWUP:
+    case CommandAnalysisType.STRONGLY_CONFIDENT_IN_DOMAIN_FOLLOWUP:
+    case CommandAnalysisType.CONFIDENT_IN_DOMAIN_FOLLOWUP:
+    case CommandAnalysisType.NONCONFIDENT_IN_DOMAIN_FOLLOWUP:
+        return true;
+    default:
+        return false;
+    }
+}
+
+/**
+ * Map the analysis of a command to how confident the handler is.
+ */
+export function getConfidence(analysis : CommandAnalysisResult) : Confidence {
+    switch (analysis.type) {
+    case CommandAnalysisType.STOP:
+    case CommandAnalysisType.DEBUG:
+    case CommandAnalysisType.UNDO:
+    case CommandAnalysisType.NEVERMIND:
+    case CommandAnalysisType.WAKEUP:
+    case CommandAnalysisType.EXACT_IN_DOMAIN_COMMAND:
+    case CommandAnalysisType.EXACT_IN_DOMAIN_FOLLOWUP:
+        return Confidence.ABSOLUTE;
+    case CommandAnalysisType.STRONGLY_CONFIDENT_IN_DOMAIN_COMMAND:
+    case CommandAnalysisType.STRONGLY_CONFIDENT_IN_DOMAIN_FOLLOWUP:
+        return Confidence.HIGH;
+    case CommandAnalysisType.CONFIDENT_IN_DOMAIN_COMMAND:
+    case CommandAnalysisType.CONFIDENT_IN_DOMAIN_FOLLOWUP:
+        return Confidence.NORMAL;
+    case CommandAnalysisType.NONCONFIDENT_IN_DOMAIN_COMMAND:
+    case CommandAnalysisType.NONCONFIDENT_IN_DOMAIN_FOLLOWUP:
+        return Confidence.LOW;
+    default:
+        return Confidence.NO;
+    }
+}
+
+// follow-ups only make sense for the handler that asked the question
+function isEligible(candidate : ArbitrationCandidate, context : ArbitrationContext) {
+    if (getConfidence(candidate.analysis) === Confidence.NO)
+        return false;
+    return !isFollowUp(candidate.analysis) || candidate.handler === context.currentHandler;
+}
+
+function outOfDomain(context : ArbitrationContext) : CommandAnalysisResult {
+    const command = context.command;
+    return {
+        type: CommandAnalysisType.OUT_OF_DOMAIN_COMMAND,
+        utterance: command.type === 'command' ? command.utterance : command.parsed.prettyprint(),
+        user_target: '$failed;'
+    };
+}
+
+/**
+ * The builtin policy: choose the most confident handler, breaking ties by
+ * priority, then in favor of the current handler.
+ *
+ * While the current handler is expecting an answer, it is kept unless it
+ * reports the command is out of domain, or another handler reports an exact match.
+ */
+export class DefaultArbitrationPolicy implements ArbitrationPolicy {
+    readonly name = 'default';
+
+    choose(candidates : ArbitrationCandidate[], context : ArbitrationContext) : ArbitrationDecision {
+        const [handler, analysis] = pickHandler(context.currentHandler, context.expecting, candidates, context.command);
+        return { handler, analysis, reason: this._explain(handler, candidates, context) };
+    }
+
+    private _explain(chosen : AnyDialogueHandler|undefined, candidates : ArbitrationCandidate[], context : ArbitrationContext) : string {
+        if (chosen === undefined)
+            return 'no handler can handle the command';
+
+        const current = candidates.find((cand) => cand.handler === context.currentHandler);
+        if (context.expecting !== null && current && current.analysis.type !== CommandAnalysisType.OUT_OF_DOMAIN_COMMAND) {
+            if (chosen === current.handler)
+                return 'the current handler is expecting an answer';
+            return 'exact match, while the current handler was expecting an answer';
+        }
+
+        const chosenCandidate = candidates.find((cand) => cand.handler === chosen)!;
+        const confidence = getConfidence(chosenCandidate.analysis);
+        const tied = candidates.filter((cand) => cand.handler !== chosen &&
+            isEligible(cand, context) && getConfidence(cand.analysis) === confidence);
+        if (tied.length === 0)
+            return `highest confidence (${Confidence[confidence]})`;
+        if (tied.every((cand) => cand.handler.priority < chosen.priority))
+            return `highest priority among the handlers with ${Confidence[confidence]} confidence`;
+        if (chosen === context.currentHandler)
+            return `current handler, among the handlers with ${Confidence[confidence]} confidence and the same priority`;
+        return `first handler with ${Confidence[confidence]} confidence and the highest priority`;
+    }
+}
+
+export interface ConfidenceThresholdOptions {
+    /**
+     * The minimum confidence for a handler to be chosen.
+     */
+    minConfidence : Confidence;
+    /**
+     * The policy choosing among the handlers that pass the threshold.
+     *
+     * Defaults to {@link DefaultArbitrationPolicy}.
+     */
+    fallback ?: ArbitrationPolicy;
+}
+
+/**
+ * Only consider the handlers that are at least as confident as a threshold.
+ *
+ * Handlers below the threshold are treated as if they reported the command
+ * is out of domain, so if no handler passes the threshold the command fails.
+ */
+export class ConfidenceThresholdPolicy implements ArbitrationPolicy {
+    readonly name : string;
+    private _minConfidence : Confidence;
+    private _fallback : ArbitrationPolicy;
+
+    constructor(options : ConfidenceThresholdOptions) {
+        this._minConfidence = options.minConfidence;
+        this._fallback = options.fallback || new DefaultArbitrationPolicy();
+        this.name = `threshold(${Confidence[this._minConfidence]}, ${this._fallback.name})`;
+    }
+
+    choose(candidates : ArbitrationCandidate[], context : ArbitrationContext) : ArbitrationDecision {
+        const discarded : string[] = [];
+        const filtered = candidates.map((cand) => {
+            const confidence = getConfidence(cand.analysis);
+            if (confidence === Confidence.NO || confidence >= this._minConfidence)
+                return cand;
+            discarded.push(cand.handler.uniqueId);
+            return {
+                handler: cand.handler,
+                analysis: { ...cand.analysis, type: CommandAnalysisType.OUT_OF_DOMAIN_COMMAND }
+            };
+        });
+
+        const decision = this._fallback.choose(filtered, context);
+        if (discarded.length === 0)
+            return decision;
+        return {
+            ...decision,
+            reason: `${decision.reason} (below threshold: ${discarded.join(', ')})`
+        };
+    }
+}
+
+export interface ScoreWeightedOptions {
+    /**
+     * Multiplier of the score of each handler, by unique ID; defaults to 1.
+     */
+    weights ?: Record<string, number>;
+    /**
+     * How much each level of priority adds to the score; defaults to 0.5.
+     */
+    priorityWeight ?: number;
+    /**
+     * How much being the current handler adds to the score; defaults to 0.25.
+     */
+    currentHandlerBonus ?: number;
+}
+
+/**
+ * Choose the handler with the highest score.
+ *
+ * The score combines the confidence of the handler (0 to 4), its priority and
+ * whether it is the current handler, multiplied by a per-handler weight.
+ * Special commands, like "stop", are always chosen first.
+ */
+export class ScoreWeightedPolicy implements ArbitrationPolicy {
+    readonly name = 'score-weighted';
+    private _weights : Record<string, number>;
+    private _priorityWeight : number;
+    private _currentHandlerBonus : number;
+
+    constructor(options : ScoreWeightedOptions = {}) {
+        this._weights = options.weights || {};
+        this._priorityWeight = options.priorityWeight ?? 0.5;
+        this._currentHandlerBonus = options.currentHandlerBonus ?? 0.25;
+    }
+
+    private _score(candidate : ArbitrationCandidate, context : ArbitrationContext) : number {
+        if (!isEligible(candidate, context))
+            return 0;
+        let score = getConfidence(candidate.analysis) + this._priorityWeight * candidate.handler.priority;
+        if (candidate.handler === context.currentHandler)
+            score += this._currentHandlerBonus;
+        return score * (this._weights[candidate.handler.uniqueId] ?? 1);
+    }
+
+    choose(candidates : ArbitrationCandidate[], context : ArbitrationContext) : ArbitrationDecision {
+        const scores : Record<string, number> = {};
+        for (const cand of candidates)
+            scores[cand.handler.uniqueId] = this._score(cand, context);
+
+        const special = candidates.find((cand) => isSpecialCommand(cand.analysis));
+        if (special)
+            return { handler: special.handler, analysis: special.analysis, reason: 'special command', scores };
+
+        let best : ArbitrationCandidate|undefined = undefined;
+        for (const cand of candidates) {
+            if (scores[cand.handler.uniqueId] > 0 &&
+                (best === undefined || scores[cand.handler.uniqueId] > scores[best.handler.uniqueId]))
+                best = cand;
+        }
+        if (best === undefined)
+            return { handler: undefined, analysis: outOfDomain(context), reason: 'no handler can handle the command', scores };
+        return { handler: best.handler, analysis: best.analysis, reason: `highest score (${scores[best.handler.uniqueId]})`, scores };
+    }
+}
+
+export interface StickyOptions {
+    /**
+     * For how many consecutive turns to keep the current handler.
+     */
+    turns : number;
+    /**
+     * The policy used once the current handler is no longer sticky.
+     *
+     * Defaults to {@link DefaultArbitrationPolicy}.
+     */
+    fallback ?: ArbitrationPolicy;
+}
+
+/**
+ * Keep the current handler for a number of consecutive turns, as long as it
+ * can handle the command.
+ *
+ * The current handler is abandoned early for special commands, and when
+ * another handler reports an exact match.
+ */
+export class StickyPolicy implements ArbitrationPolicy {
+    readonly name : string;
+    private _turns : number;
+    private _fallback : ArbitrationPolicy;
+
+    constructor(options : StickyOptions) {
+        this._turns = options.turns;
+        this._fallback = options.fallback || new DefaultArbitrationPolicy();
+        this.name = `sticky(${this._turns}, ${this._fallback.name})`;
+    }
+
+    choose(candidates : ArbitrationCandidate[], context : ArbitrationContext) : ArbitrationDecision {
+        const current = candidates.find((cand) => cand.handler === context.currentHandler);
+        if (!current || context.currentHandlerTurns >= this._turns || !isEligible(current, context))
+            return this._fallback.choose(candidates, context);
+
+        const override = candidates.some((cand) => isSpecialCommand(cand.analysis) ||
+            (cand !== current && cand.analysis.type === CommandAnalysisType.EXACT_IN_DOMAIN_COMMAND));
+        if (override)
+            return this._fallback.choose(candidates, context);
+
+        return {
+            handler: current.handler,
+            analysis: current.analysis,
+            reason: `sticky current handler, chosen for ${context.currentHandlerTurns} of ${this._turns} turns`
+        };
+    }
+}
+
+/**
+ * Record the decision of an arbitration policy.
+ */
+export function makeTrace(policy : ArbitrationPolicy,
+                          candidates : ArbitrationCandidate[],
+                          context : ArbitrationContext,
+                          decision : ArbitrationDecision) : ArbitrationTrace {
+    return {
+        policy: policy.name,
+        currentHandler: context.currentHandler ? context.currentHandler.uniqueId : null,
+        currentHandlerTurns: context.currentHandlerTurns,
+        expecting: context.expecting !== null ? ValueCategory[context.expecting] : null,
+        candidates: candidates.map((cand) => ({
+            handler: cand.handler.uniqueId,
+            priority: cand.handler.priority,
+            analysis: CommandAnalysisType[cand.analysis.type],
+            confidence: Confidence[getConfidence(cand.analysis)],
+            score: decision.scores ? decision.scores[cand.handler.uniqueId] : undefined
+        })),
+        chosen: decision.handler ? decision.handler.uniqueId : null,
+        reason: decision.reason
+    };
+}
+
+/**
+ * Format a decision trace as human-readable lines.
+ */
+export function formatTrace(trace : ArbitrationTrace) : string[] {
+    const lines = [`Chose ${trace.chosen ?? 'no handler'} using policy ${trace.policy}: ${trace.reason}`];
+    if (trace.currentHandler !== null)
+        lines.push(`Current handler: ${trace.currentHandler} (${trace.currentHandlerTurns} turns, expecting ${trace.expecting ?? 'nothing'})`);
+    for (const cand of trace.candidates) {
+        let line = `${cand.handler} (priority ${cand.priority}): ${cand.analysis}, confidence ${cand.confidence}`;
+        if (cand.score !== undefined)
+            line += `, score ${cand.score}`;
+        lines.push(line);
+    }
+    return lines;
+}
@@ -20,6 +20,7 @@
 
 import * as Tp from 'thingpedia';
 import * as events from 'events';
+import interpolate from 'string-interp';
 
 import Conversation, {
     ConversationDelegate,
@@ -28,6 +29,19 @@ import Conversation, {
 } from './conversation';
 import { PlatformData, Message } from './protocol';
 import NotificationFormatter from './notifications/formatter';
+import NotificationQueue, { FailedNotificationInfo, NotificationQueueOptions } from './notifications/queue';
+import NotificationThrottler, {
+    BufferedNotification,
+    NotificationPolicy,
+    validateNotificationPolicy
+} from './notifications/policy';
+import { FORMAT_TYPES } from './card-output/format_objects';
+import type {
+    CommandAnalysisResult,
+    DialogueHandler,
+    DialogueHandlerFactory,
+    DialogueLoop
+} from './dialogue-loop';
 import {
     StaticNotificationBackends,
     ThingpediaNotificationBackend,
@@ -128,10 +142,17 @@ export default class AssistantDispatcher extends events.EventEmitter {
     private _notificationOutputs : Set<NotificationDelegate>;
     private _staticNotificationBackends : Record<string, Tp.Capabilities.NotificationBackend>;
     private _dynamicNotificationBackends : DeviceInterfaceMapper<Tp.Capabilities.NotificationBackend>;
+    private _notificationQueue : NotificationQueue;
+    private _notificationThrottler : NotificationThrottler;
+    private _appRemovedListener : (app : AppExecutor) => void;
     private _conversations : Map<string, TimedReference<Conversation>>;
     private _conversationStateDB : LocalTable<ConversationStateRow>;
+    private _dialogueHandlers : Map<string, { factory : DialogueHandlerFactory, priority ?: Tp.DialogueHandler.Priority }>;
 
-    constructor(engine : Engine, nluModelUrl : string|undefined, notificationConfig : NotificationConfig) {
+    constructor(engine : Engine,
+                nluModelUrl : string|undefined,
+                notificationConfig : NotificationConfig,
+                notificationQueueOptions ?: NotificationQueueOptions) {
         super();
 
         this._engine = engine;
@@ -139,6 +160,7 @@ export default class AssistantDispatcher extends events.EventEmitter {
         this._nluModelUrl = nluModelUrl;
         this._notificationOutputs = new Set;
         this._conversations = new Map;
+        this._dialogueHandlers = new Map;
         this._conversationStateDB = this._engine.db.getLocalTable('conversation_state');
 
         this._dynamicNotificationBackends = new DeviceInterfaceMapper(
@@ -151,13 +173,26 @@ export default class AssistantDispatcher extends events.EventEmitter {
             const key2 = key as keyof typeof StaticNotificationBackends;
             this._staticNotificationBackends[key] = new (StaticNotificationBackends[key2])(engine, notificationConfig[key2] as any);
         }
+
+        this._notificationQueue = new NotificationQueue(this._engine.db.getLocalTable('notification_queue'),
+            engine.platform.locale, (backendId) => this._getNotificationBackend(backendId), notificationQueueOptions);
+        this._notificationThrottler = new NotificationThrottler(this._engine.db.getLocalTable('notification_queue'),
+            (app) => this._getNotificationPolicy(app), () => engine.platform.timezone,
+            (appId) => this._engine.apps.getApp(appId), (app, batch) => this._dispatchDigest(app, batch));
+        this._appRemovedListener = (app : AppExecutor) => this._notificationThrottler.removeApp(app);
     }
 
     async start() {
         await this._notificationFormatter.initialize();
         this._dynamicNotificationBackends.start();
+        await this._notificationQueue.start();
+        this._engine.apps.on('app-removed', this._appRemovedListener);
+        await this._notificationThrottler.start();
     }
     async stop() {
+        this._engine.apps.removeListener('app-removed', this._appRemovedListener);
+        await this._notificationThrottler.stop();
+        await this._notificationQueue.stop();
         this._dynamicNotificationBackends.stop();
     }
 
@@ -215,6 +250,100 @@ export default class AssistantDispatcher extends events.EventEmitter {
         this._notificationOutputs.delete(output);
     }
 
+    /**
+     * Register a new notification backend.
+     *
+     * Once registered, apps can select the backend by setting the `backend`
+     * field of their notification configuration to the backend's `uniqueId`.
+     * The backend receives the same formatted notifications as the builtin
+     * backends.
+     *
+     * @param backend - the backend to register
+     */
+    registerNotificationBackend(backend : Tp.Capabilities.NotificationBackend) {
+        if (backend.uniqueId === 'conversation' || backend.uniqueId.startsWith('thingpedia/'))
+            throw new Error(`Invalid notification backend ID ${backend.uniqueId}`);
+        if (this._staticNotificationBackends[backend.uniqueId])
+            throw new Error(`Notification backend ${backend.uniqueId} is already registered`);
+        this._staticNotificationBackends[backend.uniqueId] = backend;
+    }
+
+    /**
+     * Remove a previously registered notification backend.
+     *
+     * Apps that were configured to use this backend will not receive
+     * notifications until it is registered again.
+     *
+     * @param uniqueId - the ID of the backend to remove
+     * @return `true` if the backend was removed, `false` if it did not exist
+     */
+    unregisterNotificationBackend(uniqueId : string) : boolean {
+        if (!this._staticNotificationBackends[uniqueId])
+            return false;
+        delete this._staticNotificationBackends[uniqueId];
+        return true;
+    }
+
+    /**
+     * Register a new dialogue handler.
+     *
+     * Dialogue handlers receive every command from the user, and the one
+     * that is most confident it can handle the command replies, in the same way
+     * as the builtin ThingTalk and FAQ handlers. The state of the handler is saved
+     * with the rest of the conversation state, under its unique ID.
+     *
+     * A new instance of the handler is constructed for each conversation. Open
+     * conversations pick up the handler from the next command.
+     *
+     * @param uniqueId - the ID of the handler; it must match the `uniqueId` of the constructed handlers
+     * @param factory - a function constructing the handler for one conversation
+     * @param options - registration options
+     * @param options.priority - the priority of the handler, overriding the one set by the handler
+     */
+    registerDialogueHandler(uniqueId : string,
+                            factory : DialogueHandlerFactory,
+                            options : { priority ?: Tp.DialogueHandler.Priority } = {}) {
+        if (uniqueId === 'thingtalk' || uniqueId.startsWith('faq/'))
+            throw new Error(`Invalid dialogue handler ID ${uniqueId}`);
+        if (this._dialogueHandlers.has(uniqueId))
+            throw new Error(`Dialogue handler ${uniqueId} is already registered`);
+        this._dialogueHandlers.set(uniqueId, { factory, priority: options.priority });
+    }
+
+    /**
+     * Remove a previously registered dialogue handler.
+     *
+     * @param uniqueId - the ID of the handler to remove
+     * @return `true` if the handler was removed, `false` if it did not exist
+     */
+    unregisterDialogueHandler(uniqueId : string) : boolean {
+        return this._dialogueHandlers.delete(uniqueId);
+    }
+
+    /**
+     * Get the IDs of all registered dialogue handlers.
+     */
+    getDialogueHandlerIds() : string[] {
+        return Array.from(this._dialogueHandlers.keys());
+    }
+
+    /**
+     * Construct a registered dialogue handler for the given conversation.
+     *
+     * @internal
+     */
+    createDialogueHandler(uniqueId : string, loop : DialogueLoop) : DialogueHandler<CommandAnalysisResult, any> {
+        const registration = this._dialogueHandlers.get(uniqueId);
+        if (!registration)
+            throw new Error(`Dialogue handler ${uniqueId} is not registered`);
+        const handler = registration.factory(loop);
+        if (handler.uniqueId !== uniqueId)
+            throw new Error(`Dialogue handler ${uniqueId} was constructed with a different ID ${handler.uniqueId}`);
+        if (registration.priority !== undefined)
+            handler.priority = registration.priority;
+        return handler;
+    }
+
     /**
      * Get the list of notification backends that can be used.
      */
@@ -223,18 +352,81 @@ export default class AssistantDispatcher extends events.EventEmitter {
             .concat(Array.from(this._dynamicNotificationBackends.values()));
     }
 
+    private _getNotificationBackend(backendId : string) : Tp.Capabilities.NotificationBackend|undefined {
+        if (backendId.startsWith('thingpedia/')) {
+            const deviceId = backendId.substring('thingpedia/'.length);
+            return this._dynamicNotificationBackends.getById(deviceId);
+        } else {
+            return this._staticNotificationBackends[backendId];
+        }
+    }
+
+    /**
+     * Get the list of notifications that could not be delivered to their
+     * notification backend, even after retrying.
+     */
+    getFailedNotifications() : Promise<FailedNotificationInfo[]> {
+        return this._notificationQueue.getFailed();
+    }
+
+    /**
+     * Attempt again to deliver a notification that previously failed.
+     *
+     * @param uniqueId - the ID of the failed notification
+     * @return `true` if the notification exists, `false` otherwise
+     */
+    replayFailedNotification(uniqueId : string) : Promise<boolean> {
+        return this._notificationQueue.replay(uniqueId);
+    }
+
+    /**
+     * Delete a notification that previously failed, without delivering it.
+     *
+     * @param uniqueId - the ID of the failed notification
+     * @return `true` if the notification exists, `false` otherwise
+     */
+    deleteFailedNotification(uniqueId : string) : Promise<boolean> {
+        return this._notificationQueue.discard(uniqueId);
+    }
+
+    private _getNotificationBackendId(app : AppExecutor) : string {
+        const prefs = this._engine.platform.getSharedPreferences();
+        return app.notifications ? app.notifications.backend : (prefs.get('notification-backend') as string || 'conversation');
+    }
+
+    private _getNotificationPolicy(app : AppExecutor) : NotificationPolicy|undefined {
+        // per-app policies are validated when the app is created
+        if (app.notifications && app.notifications.policy)
+            return app.notifications.policy;
+        const prefs = this._engine.platform.getSharedPreferences();
+        const policy = prefs.get('notification-policy');
+        if (policy === undefined)
+            return undefined;
+        try {
+            return validateNotificationPolicy(policy);
+        } catch(e) {
+            console.error(`Ignoring invalid notification-policy preference: ${e.message}`);
+            return undefined;
+        }
+    }
+
     /**
      * Dispatch a notification (a single new result from a stream) from a
      * ThingTalk program.
      *
+     * Depending on the notification policy of the app, or the user's
+     * `notification-policy` preference, the notification might be held back
+     * and delivered later as part of a digest.
+     *
      * @param app - the running ThingTalk program that generated the notification
      * @param outputType - a string identifying the type of result to display
      * @param outputValue - the new value to display
      */
     async notify(app : AppExecutor, outputType : string, outputValue : Record<string, unknown>) {
-        const prefs = this._engine.platform.getSharedPreferences();
-        const notificationBackend =
-            app.notifications ? app.notifications.backend : (prefs.get('notification-backend') as string || 'conversation');
+        if (!await this._notificationThrottler.shouldDeliverNow(app, outputType, outputValue))
+            return;
+
+        const notificationBackend = this._getNotificationBackendId(app);
 
         const promises = [];
         if (this._notificationOutputs.size > 0 || notificationBackend !== 'conversation') {
@@ -250,18 +442,8 @@ export default class AssistantDispatcher extends events.EventEmitter {
             for (const out of this._notificationOutputs.values())
                 promises.push(out.notify(notification));
 
-            if (notificationBackend !== 'conversation') {
-                if (notificationBackend.startsWith('thingpedia/')) {
-                    const deviceId = notificationBackend.substring('thingpedia/'.length);
-                    const backend = this._dynamicNotificationBackends.getById(deviceId);
-                    if (backend)
-                        promises.push(backend.notify(notification));
-                } else {
-                    const backend = this._staticNotificationBackends[notificationBackend];
-                    if (backend)
-                        promises.push(backend.notify(notification, app.notifications?.config));
-                }
-            }
+            if (notificationBackend !== 'conversation')
+                promises.push(this._notificationQueue.enqueueNotification(notificationBackend, notification, app.notifications?.config));
         }
 
         if (notificationBackend === 'conversation') {
@@ -275,10 +457,40 @@ export default class AssistantDispatcher extends events.EventEmitter {
         await Promise.all(promises);
     }
 
+    /**
+     * Dispatch a batch of notifications that were held back by the
+     * notification policy, as a single digest.
+     */
+    private async _dispatchDigest(app : AppExecutor, batch : BufferedNotification[]) {
+        const notificationBackend = this._getNotificationBackendId(app);
+        const messages = await this._notificationFormatter.formatDigest(app.name, app.program, batch);
+
+        const promises = [];
+        const notification = {
+            appId: app.uniqueId,
+            icon: app.icon,
+            raw: { results: batch.map((b) => b.outputValue) },
+            type: 'digest',
+            formatted: messages
+        };
+        for (const out of this._notificationOutputs.values())
+            promises.push(out.notify(notification));
+
+        if (notificationBackend === 'conversation') {
+            for (const conv of this._conversations.values()) {
+                promises.push(conv.acquire(false).then(async (conv) => {
+                    if (conv)
+                        await conv.notifyDigest(app, messages);
+                }));
+            }
+        } else {
+            promises.push(this._notificationQueue.enqueueNotification(notificationBackend, notification, app.notifications?.config));
+        }
+        await Promise.all(promises);
+    }
+
     async notifyError(app : AppExecutor, error : Error) {
-        const prefs = this._engine.platform.getSharedPreferences();
-        const notificationBackend =
-            app.notifications ? app.notifications.backend : (prefs.get('notification-backend') as string || 'conversation');
+        const notificationBackend = this._getNotificationBackendId(app);
 
         const promises = [];
         const notification = {
@@ -296,20 +508,78 @@ export default class AssistantDispatcher extends events.EventEmitter {
                         await conv.notifyError(app, error);
                 }));
             }
-        } else if (notificationBackend.startsWith('thingpedia/')) {
-            const deviceId = notificationBackend.substring('thingpedia/'.length);
-            const backend = this._dynamicNotificationBackends.getById(deviceId);
-            if (backend)
-                promises.push(backend.notifyError(notification));
         } else {
-            const backend = this._staticNotificationBackends[notificationBackend];
-            if (backend)
-                promises.push(backend.notifyError(notification, app.notifications?.config));
+            promises.push(this._notificationQueue.enqueueError(notificationBackend, notification, app.notifications?.config));
         }
 
         await Promise.all(promises);
     }
 
+    /**
+     * Tell the user that a device must be configured again, because its
+     * credentials expired and could not be refreshed.
+     *
+     * The notification is delivered to the default notification backend
+     * of the user, as there is no app associated with it.
+     *
+     * @param device - the device that must be configured again
+     * @param error - the error that occurred refreshing the credentials
+     */
+    async notifyReauthenticationRequired(device : Tp.BaseDevice, error : Error) {
+        const platform = this._engine.platform;
+        const text = interpolate(this._engine.langPack._("Your ${device} account was disconnected: ${error}. Please configure it again to keep using it."), {
+            device: device.name,
+            error: error.message
+        }, {
+            locale: platform.locale,
+            timezone: platform.timezone
+        })!;
+
+        const notificationBackend = platform.getSharedPreferences().get('notification-backend') as string || 'conversation';
+        const promises = [];
+        const notification = {
+            // there is no app, so the notification is identified by the device
+            appId: device.uniqueId!,
+            icon: device.kind,
+            raw: { device: device.uniqueId, error: error.message },
+            type: 'reauthentication-required',
+            formatted: [new FORMAT_TYPES.text({ type: 'text', text })]
+        };
+        for (const out of this._notificationOutputs.values())
+            promises.push(out.notify(notification));
+
+        if (notificationBackend === 'conversation') {
+            for (const conv of this._conversations.values()) {
+                promises.push(conv.acquire(false).then(async (conv) => {
+                    if (conv)
+                        await conv.sendReply(text, device.kind);
+                }));
+            }
+        } else {
+            promises.push(this._notificationQueue.enqueueNotification(notificationBackend, notification, undefined));
+        }
+        await Promise.all(promises);
+    }
+
+    /**
+     * Update all open conversations and the notification formatter after
+     * the locale or timezone of the platform changed.
+     */
+    async reloadLocale() {
+        const formatter = new NotificationFormatter(this._engine);
+        await formatter.initialize();
+        this._notificationFormatter = formatter;
+
+        const promises = [];
+        for (const conv of this._conversations.values()) {
+            promises.push(conv.acquire(false).then((conv) => {
+                if (conv)
+                    conv.reloadLocale();
+            }));
+        }
+        await Promise.all(promises);
+    }
+
     private _getConversationRef(id : string) {
         const existing = this._conversations.get(id);
         if (existing)
@@ -26,6 +26,11 @@ import type DeviceDatabase from '../../engine/devices/database';
 
 import { AudioDevice, AudioPlayer, CustomPlayerSpec } from './interface';
 
+/**
+ * How long to wait for a player to acknowledge a new wake word, in milliseconds.
+ */
+const WAKE_WORD_TIMEOUT = 10000;
+
 /**
  * State tracked with each player, associating a player with the skill
  * currently playing on it.
@@ -372,6 +377,41 @@ export default class AudioController extends events.EventEmitter {
         }
     }
 
+    /**
+     * Change the wake word on all the players that support it.
+     *
+     * The players are updated concurrently. Players that do not support
+     * changing the wake word are ignored, and players that fail or do not
+     * respond in time are logged and skipped.
+     *
+     * @param word the new wake word
+     * @param timeout how long to wait for each player, in milliseconds
+     */
+    async setWakeWord(word : string, timeout = WAKE_WORD_TIMEOUT) {
+        await Promise.all(Array.from(this._players.values(), async (state) => {
+            if (!state.player || !state.player.setWakeWord)
+                return;
+
+            let timer : NodeJS.Timeout|undefined;
+            try {
+                await Promise.race([
+                    state.player.setWakeWord(word),
+                    new Promise((resolve, reject) => {
+                        timer = setTimeout(() => {
+                            reject(new CustomError('timeout', `Timed out waiting for the player to respond`));
+                        }, timeout);
+                    })
+                ]);
+            } catch(e) {
+                if (e.code !== 'unsupported')
+                    console.error(`Failed to set the wake word on ${state.conversationId}: ${e.message}`);
+            } finally {
+                if (timer)
+                    clearTimeout(timer);
+            }
+        }));
+    }
+
     private _onDeviceRemoved(device : Tp.BaseDevice) {
         console.log(`Audio device removed`);
         this.releaseAudio(device);
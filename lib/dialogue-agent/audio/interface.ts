@@ -195,4 +195,14 @@ export interface AudioPlayer {
      * alert sounds or background audio.
      */
     setVoiceOutput(output : boolean) : Promise<void>;
+
+    /**
+     * Change the wake word used to activate the assistant.
+     *
+     * This method is optional; players that do not implement it keep
+     * their current wake word.
+     *
+     * @param word the new wake word, lowercase and without punctuation
+     */
+    setWakeWord?(word : string) : Promise<void>;
 }
@@ -35,7 +35,20 @@ export enum RequestType {
     ADJUST_VOLUME = 'adj-volume',
     SET_MUTE = 'set-mute',
     SET_VOICE_INPUT = 'set-voice-input',
-    SET_VOICE_OUTPUT = 'set-voice-output'
+    SET_VOICE_OUTPUT = 'set-voice-output',
+    SET_WAKE_WORD = 'set-wake-word'
+}
+
+/**
+ * Optional features that the client can declare when requesting
+ * the audio subprotocol.
+ */
+export enum Capability {
+    /**
+     * The client can change the wake word it listens for, and accepts
+     * {@link SetWakeWordMessage}.
+     */
+    WAKE_WORD = 'wake-word'
 }
 
 // server->client messages
@@ -119,6 +132,23 @@ export interface SetVoiceOutputMessage {
     output : boolean;
 }
 
+/**
+ * Change the wake word the client listens for.
+ *
+ * This message is sent when the client connects, if the user chose
+ * a wake word, and every time the user changes it. It is only sent
+ * to clients that declared the {@link Capability.WAKE_WORD} capability.
+ */
+export interface SetWakeWordMessage {
+    type : MessageType.AUDIO_SUBPROTOCOL;
+    op : RequestType.SET_WAKE_WORD;
+    req : number;
+    /**
+     * The new wake word, lowercase and without punctuation.
+     */
+    word : string;
+}
+
 
 export type ServerMessage =
     CheckBackendRequestMessage
@@ -131,7 +161,8 @@ export type ServerMessage =
     | AdjustVolumeMessage
     | SetMuteMessage
     | SetVoiceInputMessage
-    | SetVoiceOutputMessage;
+    | SetVoiceOutputMessage
+    | SetWakeWordMessage;
 
 
 // client->server messages
@@ -23,7 +23,8 @@ import { MessageType } from "../protocol";
 import type ConversationWebSocketConnection from "../protocol/connection";
 
 import { AudioPlayer, CustomPlayerSpec } from "./interface";
-import { CheckBackendResponseMessage, ClientMessage, GenericResponseMessage, RequestType, ServerMessage } from "./protocol";
+import { Capability, CheckBackendResponseMessage, ClientMessage, GenericResponseMessage, RequestType, ServerMessage } from "./protocol";
+import { WAKE_WORD_PREF } from "./wake_word";
 
 /**
  * Implementation of the audio control protocol over the conversation
@@ -31,6 +32,7 @@ import { CheckBackendResponseMessage, ClientMessage, GenericResponseMessage, Req
  */
 export default class AudioSubprotocolImplementation implements AudioPlayer {
     private _conn : ConversationWebSocketConnection;
+    private _caps : Set<string>;
     private _requests : Map<number, {
         resolve(x : ClientMessage) : void;
         reject(err : Error) : void;
@@ -39,8 +41,17 @@ export default class AudioSubprotocolImplementation implements AudioPlayer {
 
     constructor(connection : ConversationWebSocketConnection, caps : string[]) {
         this._conn = connection;
+        this._caps = new Set(caps);
         this._requests = new Map;
         this._conn.engine.audio.addPlayer(this);
+
+        // let the client know of the wake word chosen by the user, if any
+        const wakeWord = this._conn.engine.platform.getSharedPreferences().get(WAKE_WORD_PREF) as string|undefined;
+        if (wakeWord && this._caps.has(Capability.WAKE_WORD)) {
+            this.setWakeWord(wakeWord).catch((e) => {
+                console.error(`Failed to set the wake word on ${this.conversationId}: ${e.message}`);
+            });
+        }
     }
 
     get conversationId() {
@@ -176,4 +187,14 @@ export default class AudioSubprotocolImplementation implements AudioPlayer {
             output
         });
     }
+    async setWakeWord(word : string) : Promise<void> {
+        if (!this._caps.has(Capability.WAKE_WORD))
+            throw new CustomError('unsupported', `The client does not support changing the wake word`);
+        await this._simpleReq({
+            type: MessageType.AUDIO_SUBPROTOCOL,
+            req: this._nextReq++,
+            op: RequestType.SET_WAKE_WORD,
+            word
+        });
+    }
 }
@@ -0,0 +1,90 @@
+// -*- mode: typescript; indent-tabs-mode: nil; js-basic-offset: 4 -*-
+//
+// This file is part of Genie
+//
+// Copyright 2022 The Board of Trustees of the Leland Stanford Junior University
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//    http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+// Helpers to match the wake word of the assistant in the text
+// of recognized speech
+
+/**
+ * The wake word used when the user has not chosen one.
+ */
+export const DEFAULT_WAKE_WORD = 'computer';
+
+/**
+ * The shared preference storing the wake word chosen by the user.
+ */
+export const WAKE_WORD_PREF = 'wake-word';
+
+export enum WakeWordMatch {
+    /**
+     * The text does not start with the wake word.
+     */
+    NONE,
+    /**
+     * The text is a prefix of the wake word, so more speech is needed to decide.
+     */
+    PARTIAL,
+    /**
+     * The text starts with the wake word.
+     */
+    FULL
+}
+
+const WORD_REGEX = /[\p{L}\p{N}']+/gu;
+
+/**
+ * Normalize a wake word, by lowercasing it and removing punctuation.
+ *
+ * @returns the normalized wake word, or the empty string if the wake word
+ *   contains no words at all
+ */
+export function normalizeWakeWord(wakeWord : string) : string {
+    return Array.from(wakeWord.toLowerCase().matchAll(WORD_REGEX), (m) => m[0]).join(' ');
+}
+
+/**
+ * Check if the text of some recognized speech starts with the wake word.
+ *
+ * The comparison is case-insensitive and ignores punctuation. The text can be
+ * a partial hypothesis of the speech recognizer, in which case the last word
+ * might be incomplete.
+ *
+ * @param wakeWord the wake word to look for
+ * @param text the recognized speech
+ * @returns whether the text matches, and the rest of the text after the wake word
+ *   (only meaningful for a full match)
+ */
+export function matchWakeWord(wakeWord : string, text : string) : [WakeWordMatch, string] {
+    const wakeTokens = normalizeWakeWord(wakeWord).split(' ');
+    const textTokens = Array.from(text.matchAll(WORD_REGEX));
+
+    for (let i = 0; i < wakeTokens.length; i++) {
+        if (i >= textTokens.length)
+            return [WakeWordMatch.PARTIAL, ''];
+
+        const token = textTokens[i][0].toLowerCase();
+        if (token === wakeTokens[i])
+            continue;
+        if (i === textTokens.length - 1 && wakeTokens[i].startsWith(token))
+            return [WakeWordMatch.PARTIAL, ''];
+        return [WakeWordMatch.NONE, ''];
+    }
+
+    const lastToken = textTokens[wakeTokens.length-1];
+    const end = lastToken.index! + lastToken[0].length;
+    return [WakeWordMatch.FULL, text.substring(end).replace(/^[\s,.!?;:]+/, '').trim()];
+}
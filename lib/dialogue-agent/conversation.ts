@@ -19,6 +19,7 @@
 // Author: Giovanni Campagna <gcampagn@cs.stanford.edu>
 
 import * as events from 'events';
+import type * as Tp from 'thingpedia';
 import * as ThingTalk from 'thingtalk';
 import * as Stream from "stream";
 
@@ -26,6 +27,8 @@ import * as I18n from '../i18n';
 
 import ValueCategory from './value-category';
 import { DialogueLoop } from './dialogue-loop';
+import type { ArbitrationPolicy } from './arbitration';
+import type { FAQModel } from './handlers/faq';
 import { PlatformData, MessageType, Message, RDL } from './protocol';
 import { EntityMap } from '../utils/entity-utils';
 import * as ThingTalkUtils from '../utils/thingtalk';
@@ -54,11 +57,11 @@ export interface ConversationOptions {
     log ?: boolean;
     dialogueFlags ?: Record<string, boolean>;
     useConfidence ?: boolean;
-    faqModels ?: Record<string, {
-        url : string;
-        highConfidence ?: number;
-        lowConfidence ?: number;
-    }>;
+    /**
+     * How to choose the dialogue handler of each command.
+     */
+    arbitrationPolicy ?: ArbitrationPolicy;
+    faqModels ?: Record<string, FAQModel>;
 }
 
 interface Statistics {
@@ -150,6 +153,7 @@ export default class Conversation extends events.EventEmitter {
             useConfidence: options.useConfidence ?? true,
             debug: this._debug,
             rng: this.rng,
+            arbitrationPolicy: options.arbitrationPolicy,
         });
         this._expecting = null;
         this._context = { code: ['null'], entities: {} };
@@ -188,6 +192,15 @@ export default class Conversation extends events.EventEmitter {
         return this._dialogueFlags;
     }
 
+    /**
+     * Update this conversation after the locale or timezone of the platform changed.
+     */
+    reloadLocale() {
+        this._locale = this._engine.platform.locale;
+        this._ = I18n.get(this._locale).gettext;
+        this._loop.reloadLocale();
+    }
+
     async startRecording() {
         this._recording = true;
         await this._saveState();
@@ -203,6 +216,10 @@ export default class Conversation extends events.EventEmitter {
         return this._loop.dispatchNotify(app, outputType, outputValue);
     }
 
+    notifyDigest(app : AppExecutor, messages : Tp.FormatObjects.FormattedObject[]) {
+        return this._loop.dispatchNotifyDigest(app, messages);
+    }
+
     notifyError(app : AppExecutor, error : Error) {
         return this._loop.dispatchNotifyError(app, error);
     }
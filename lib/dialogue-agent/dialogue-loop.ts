@@ -42,9 +42,16 @@ import DeviceInterfaceMapper from '../engine/devices/device_interface_mapper';
 
 import ExecutionDialogueAgent from './execution_dialogue_agent';
 import ThingTalkDialogueHandler from './handlers/thingtalk';
-import FAQDialogueHandler from './handlers/faq';
+import FAQDialogueHandler, { FAQModel } from './handlers/faq';
 import ThingpediaDialogueHandler from './handlers/3rdparty';
 import DeviceView from '../engine/devices/device_view';
+import {
+    ArbitrationPolicy,
+    ArbitrationTrace,
+    DefaultArbitrationPolicy,
+    formatTrace,
+    makeTrace
+} from './arbitration';
 
 export enum CommandAnalysisType {
     // special commands - these are generated by the exact matcher, or
@@ -53,6 +60,7 @@ export enum CommandAnalysisType {
     NEVERMIND,
     WAKEUP,
     DEBUG,
+    UNDO,
 
     // some sort of command
     EXACT_IN_DOMAIN_COMMAND,
@@ -66,7 +74,7 @@ export enum CommandAnalysisType {
     OUT_OF_DOMAIN_COMMAND,
 }
 
-export const enum Confidence {
+export enum Confidence {
     NO,
     LOW,
     NORMAL,
@@ -104,21 +112,46 @@ export interface DialogueHandler<AnalysisType extends CommandAnalysisResult, Sta
     getFollowUp() : Promise<ReplyResult|null>;
 }
 
+/**
+ * Construct a dialogue handler for one conversation.
+ *
+ * Handlers registered with {@link AssistantDispatcher.registerDialogueHandler}
+ * are constructed once per conversation, so they can keep per-conversation state.
+ */
+export type DialogueHandlerFactory = (loop : DialogueLoop) => DialogueHandler<CommandAnalysisResult, any>;
+
+interface DialogueLoopOptions {
+    nluServerUrl : string|undefined;
+    nlgServerUrl : string|undefined;
+    useConfidence : boolean;
+    debug : boolean;
+    rng : () => number;
+    arbitrationPolicy ?: ArbitrationPolicy;
+    faqModels : Record<string, FAQModel>;
+}
+
 export class DialogueLoop {
     conversation : Conversation;
     engine : Engine;
 
-    private _langPack : I18n.LanguagePack;
+    private _options : DialogueLoopOptions;
+    private _langPack ! : I18n.LanguagePack;
     private _userInputQueue : AsyncQueue<UserInput>;
     private _notifyQueue : AsyncQueue<QueueItem>;
     private _debug : boolean;
-    private _agent : ExecutionDialogueAgent;
-    private _nlu : ParserClient.ParserClient;
-    private _nlg : ParserClient.ParserClient;
-    private _thingtalkHandler : ThingTalkDialogueHandler;
-    private _faqHandlers : Record<string, FAQDialogueHandler>;
+    private _agent ! : ExecutionDialogueAgent;
+    private _nlu ! : ParserClient.ParserClient;
+    private _nlg ! : ParserClient.ParserClient;
+    private _thingtalkHandler ! : ThingTalkDialogueHandler;
+    private _faqHandlers ! : Record<string, FAQDialogueHandler>;
+    private _customHandlers ! : Map<string, DialogueHandler<CommandAnalysisResult, any>>;
+    private _failedCustomHandlers ! : Set<string>;
+    private _localeChanged = false;
     private _dynamicHandlers : DeviceInterfaceMapper<DialogueHandler<CommandAnalysisResult, any>>;
     private _currentHandler : DialogueHandler<CommandAnalysisResult, any>|null;
+    private _currentHandlerTurns : number;
+    private _arbitrationPolicy : ArbitrationPolicy;
+    private _lastArbitration : ArbitrationTrace|null;
 
     private icon : string|null;
     expecting : ValueCategory|null;
@@ -132,36 +165,21 @@ export class DialogueLoop {
 
     constructor(conversation : Conversation,
                 engine : Engine,
-                options : {
-                    nluServerUrl : string|undefined;
-                    nlgServerUrl : string|undefined;
-                    useConfidence : boolean;
-                    debug : boolean;
-                    rng : () => number;
-                    faqModels : Record<string, {
-                        url : string;
-                        highConfidence ?: number;
-                        lowConfidence ?: number;
-                    }>
-                }) {
+                options : DialogueLoopOptions) {
         this._userInputQueue = new AsyncQueue();
         this._notifyQueue = new AsyncQueue();
 
+        this._options = options;
         this._debug = options.debug;
         this.conversation = conversation;
         this.engine = engine;
-        this._langPack = I18n.get(engine.platform.locale);
-        this._agent = new ExecutionDialogueAgent(engine, this, options.debug);
-        this._nlu = ParserClient.get(options.nluServerUrl || undefined, engine.platform.locale, engine.platform,
-            undefined, engine.thingpedia);
-        this._nlg = ParserClient.get(options.nlgServerUrl || undefined, engine.platform.locale, engine.platform);
-        this._thingtalkHandler = new ThingTalkDialogueHandler(engine, this, this._agent, this._nlu, this._nlg, options);
-        this._faqHandlers = {};
-        for (const faq in options.faqModels)
-            this._faqHandlers[faq] = new FAQDialogueHandler(this, faq, options.faqModels[faq], { locale: engine.platform.locale });
+        this._createLocaleDependentState();
         this._dynamicHandlers = new DeviceInterfaceMapper(new DeviceView(engine.devices, 'org.thingpedia.dialogue-handler', {}),
             (device) => new ThingpediaDialogueHandler(device));
         this._currentHandler = null;
+        this._currentHandlerTurns = 0;
+        this._arbitrationPolicy = options.arbitrationPolicy || new DefaultArbitrationPolicy();
+        this._lastArbitration = null;
 
         this.icon = null;
         this.expecting = null;
@@ -172,6 +190,134 @@ export class DialogueLoop {
         this._mgrPromise = null;
     }
 
+    /**
+     * Create the parts of the dialogue loop that depend on the locale
+     * and timezone of the platform.
+     */
+    private _createLocaleDependentState() {
+        const engine = this.engine;
+        const options = this._options;
+        this._langPack = I18n.get(engine.platform.locale);
+        this._agent = new ExecutionDialogueAgent(engine, this, options.debug);
+        this._nlu = ParserClient.get(options.nluServerUrl || undefined, engine.platform.locale, engine.platform,
+            undefined, engine.thingpedia);
+        this._nlg = ParserClient.get(options.nlgServerUrl || undefined, engine.platform.locale, engine.platform);
+        this._thingtalkHandler = new ThingTalkDialogueHandler(engine, this, this._agent, this._nlu, this._nlg, options);
+        this._faqHandlers = {};
+        for (const faq in options.faqModels)
+            this._faqHandlers[faq] = new FAQDialogueHandler(this, faq, options.faqModels[faq], { locale: engine.platform.locale });
+        this._customHandlers = new Map;
+        this._failedCustomHandlers = new Set;
+        for (const uniqueId of engine.assistant.getDialogueHandlerIds()) {
+            const handler = this._createCustomHandler(uniqueId);
+            if (handler)
+                this._customHandlers.set(uniqueId, handler);
+        }
+    }
+
+    /**
+     * Construct a custom dialogue handler for this conversation.
+     *
+     * Returns null if the handler fails to construct. The failure is logged,
+     * and the handler is not tried again until it is registered again or
+     * the locale changes, so a broken handler does not break the conversation.
+     */
+    private _createCustomHandler(uniqueId : string) : DialogueHandler<CommandAnalysisResult, any>|null {
+        try {
+            return this.engine.assistant.createDialogueHandler(uniqueId, this);
+        } catch(e) {
+            console.error(`Failed to create dialogue handler ${uniqueId}`, e);
+            this._failedCustomHandlers.add(uniqueId);
+            return null;
+        }
+    }
+
+    /**
+     * Initialize a dialogue handler.
+     *
+     * Custom handlers that fail to initialize are logged and removed from
+     * the conversation, like those that fail to construct.
+     */
+    private async _initializeHandler(handler : DialogueHandler<CommandAnalysisResult, any>,
+                                     initialState : unknown,
+                                     showWelcome : boolean) : Promise<ReplyResult|null> {
+        if (this._customHandlers.get(handler.uniqueId) !== handler)
+            return handler.initialize(initialState, showWelcome);
+
+        try {
+            return await handler.initialize(initialState, showWelcome);
+        } catch(e) {
+            console.error(`Failed to initialize dialogue handler ${handler.uniqueId}`, e);
+            this._customHandlers.delete(handler.uniqueId);
+            this._failedCustomHandlers.add(handler.uniqueId);
+            if (this._currentHandler === handler)
+                this._currentHandler = null;
+            return null;
+        }
+    }
+
+    /**
+     * Add the dialogue handlers registered since the last turn, and remove
+     * those that were unregistered.
+     */
+    private async _updateCustomHandlers() {
+        const registered = this.engine.assistant.getDialogueHandlerIds();
+        for (const [uniqueId, handler] of this._customHandlers) {
+            if (registered.includes(uniqueId))
+                continue;
+            this._customHandlers.delete(uniqueId);
+            if (this._currentHandler === handler)
+                this._currentHandler = null;
+        }
+        // handlers that failed can be tried again once they are registered again
+        for (const uniqueId of this._failedCustomHandlers) {
+            if (!registered.includes(uniqueId))
+                this._failedCustomHandlers.delete(uniqueId);
+        }
+        for (const uniqueId of registered) {
+            if (this._customHandlers.has(uniqueId) || this._failedCustomHandlers.has(uniqueId))
+                continue;
+            const handler = this._createCustomHandler(uniqueId);
+            if (!handler)
+                continue;
+            this._customHandlers.set(uniqueId, handler);
+            await this._initializeHandler(handler, undefined, false);
+        }
+    }
+
+    /**
+     * Notify the dialogue loop that the locale or timezone of the platform changed.
+     *
+     * The language pack, the parser clients and the dialogue handlers are
+     * re-created before the next command or notification is processed,
+     * so the current turn completes in the old language.
+     */
+    reloadLocale() {
+        this._localeChanged = true;
+    }
+
+    private async _applyLocaleChange() {
+        this._localeChanged = false;
+
+        const state = this.getState();
+        const oldNlu = this._nlu, oldNlg = this._nlg;
+        const oldHandlerId = this._currentHandler ? this._currentHandler.uniqueId : null;
+        this._createLocaleDependentState();
+        await this._nlu.start();
+        await this._nlg.start();
+        await oldNlu.stop();
+        await oldNlg.stop();
+
+        // carry over the dialogue state, but do not send any reply: the state is
+        // already at the end of a turn
+        const handlers : Array<DialogueHandler<CommandAnalysisResult, any>> = [this._thingtalkHandler, ...Object.values(this._faqHandlers), ...this._customHandlers.values()];
+        for (const handler of handlers) {
+            await this._initializeHandler(handler, state[handler.uniqueId], false);
+            if (handler.uniqueId === oldHandlerId)
+                this._currentHandler = handler;
+        }
+    }
+
     get _() : (x : string) => string {
         return this.conversation._;
     }
@@ -241,6 +387,7 @@ export class DialogueLoop {
         for (const key in this._faqHandlers)
             yield this._faqHandlers[key];
 
+        yield* this._customHandlers.values();
         yield* this._dynamicHandlers.values();
     }
 
@@ -252,7 +399,22 @@ export class DialogueLoop {
                 return { handler: handler, analysis: analysis };
             }));
 
-            return pickHandler(this._currentHandler, this.expecting, handlerCandidates, command, this._debug);
+            const context = {
+                currentHandler: this._currentHandler,
+                expecting: this.expecting,
+                currentHandlerTurns: this._currentHandlerTurns,
+                command
+            };
+            const decision = this._arbitrationPolicy.choose(handlerCandidates, context);
+            const trace = makeTrace(this._arbitrationPolicy, handlerCandidates, context, decision);
+            console.log(`Conversation ${this.conversation.id}: chose handler ${trace.chosen ?? 'none'} (${trace.reason})`);
+            for (const line of formatTrace(trace).slice(1))
+                this.debug(line);
+
+            // keep the trace of the last real command, so $debug can show it
+            if (decision.analysis.type !== CommandAnalysisType.DEBUG)
+                this._lastArbitration = trace;
+            return [decision.handler, decision.analysis];
         } catch(e : any) {
             if (e.code === 'EHOSTUNREACH' || e.code === 'ETIMEDOUT') {
                 await this.reply(this._("Sorry, I cannot contact the Genie service. Please check your Internet connection and try again later."), null);
@@ -280,8 +442,21 @@ export class DialogueLoop {
 
         case CommandAnalysisType.DEBUG:
             await this.reply("Current State:\n");
-            for (const handler of this._iterateDialogueHandlers())
-                await this.reply(handler.uniqueId + ': ' + handler.getState());
+            for (const handler of this._iterateDialogueHandlers()) {
+                const state = handler.getState();
+                await this.reply(handler.uniqueId + ': ' + (typeof state === 'string' ? state : JSON.stringify(state)));
+            }
+            if (this._lastArbitration) {
+                await this.reply("Last handler choice:\n");
+                for (const line of formatTrace(this._lastArbitration))
+                    await this.reply(line);
+            }
+            break;
+
+        case CommandAnalysisType.UNDO:
+            await this._thingtalkHandler.undoLastAction();
+            // the confirmation question is answered, we're not expecting anything now
+            await this.setExpected(null);
             break;
         }
     }
@@ -289,10 +464,18 @@ export class DialogueLoop {
     private async _handleAPICall(call : QueueItem) {
         if (call instanceof QueueItem.Notification)
             await this._sendAgentReply(await this._thingtalkHandler.showNotification(call.app, call.outputType, call.outputValue));
+        else if (call instanceof QueueItem.Digest)
+            await this._showDigest(call.app, call.messages);
         else if (call instanceof QueueItem.Error)
             await this._sendAgentReply(await this._thingtalkHandler.showAsyncError(call.app, call.error));
     }
 
+    private async _showDigest(app : AppExecutor, messages : Tp.FormatObjects.FormattedObject[]) {
+        // digests are already formatted, and do not change the dialogue state
+        for (const msg of messages)
+            await this.replyGeneric(msg, app.icon);
+    }
+
     private async _sendAgentReply(reply : ReplyResult) {
         this.conversation.updateLog('context', reply.context);
         this.conversation.updateLog('agent_target', reply.agent_target);
@@ -318,7 +501,8 @@ export class DialogueLoop {
             }
 
             if (analysis.type === CommandAnalysisType.STOP ||
-                analysis.type === CommandAnalysisType.DEBUG) {
+                analysis.type === CommandAnalysisType.DEBUG ||
+                analysis.type === CommandAnalysisType.UNDO) {
                 await this._handleUICommand(analysis.type);
                 command = await this.nextCommand();
                 continue;
@@ -327,6 +511,10 @@ export class DialogueLoop {
             // reset the state of the handler when we switch to a different one
             if (this._currentHandler && handler !== this._currentHandler)
                 await this._currentHandler.reset();
+            if (handler === this._currentHandler)
+                this._currentHandlerTurns ++;
+            else
+                this._currentHandlerTurns = 1;
             this._currentHandler = handler;
             const reply = await handler.getReply(analysis);
             this.icon = handler.icon;
@@ -361,7 +549,7 @@ export class DialogueLoop {
     private async _initialize(showWelcome : boolean, initialState : Record<string, unknown>|null) {
         let bestreply : ReplyResult|undefined, bestpriority = -1;
         for (const handler of this._iterateDialogueHandlers()) {
-            const reply = await handler.initialize(initialState ? initialState[handler.uniqueId] : undefined, showWelcome);
+            const reply = await this._initializeHandler(handler, initialState ? initialState[handler.uniqueId] : undefined, showWelcome);
             if (reply !== null && handler.priority > bestpriority) {
                 bestpriority = handler.priority;
                 bestreply = reply;
@@ -381,6 +569,9 @@ export class DialogueLoop {
             let item;
             try {
                 item = await this.nextQueueItem();
+                if (this._localeChanged)
+                    await this._applyLocaleChange();
+                await this._updateCustomHandlers();
                 if (item instanceof QueueItem.UserInput)
                     await this._handleUserInput(item.command);
                 else
@@ -597,6 +788,10 @@ export class DialogueLoop {
         const item = new QueueItem.Notification(app, outputType, outputValue);
         this._pushQueueItem(item);
     }
+    dispatchNotifyDigest(app : AppExecutor, messages : Tp.FormatObjects.FormattedObject[]) {
+        const item = new QueueItem.Digest(app, messages);
+        this._pushQueueItem(item);
+    }
     dispatchNotifyError(app : AppExecutor, error : Error) {
         const item = new QueueItem.Error(app, error);
         this._pushQueueItem(item);
@@ -739,6 +934,7 @@ export function pickHandler(currentHandler : DialogueHandler<CommandAnalysisResu
                 switch (analysis.type) {
                 case CommandAnalysisType.STOP:
                 case CommandAnalysisType.DEBUG:
+                case CommandAnalysisType.UNDO:
                 case CommandAnalysisType.NEVERMIND:
                 case CommandAnalysisType.WAKEUP:
                 case CommandAnalysisType.EXACT_IN_DOMAIN_COMMAND:
@@ -773,6 +969,7 @@ export function pickHandler(currentHandler : DialogueHandler<CommandAnalysisResu
         switch (analysis.type) {
         case CommandAnalysisType.STOP:
         case CommandAnalysisType.DEBUG:
+        case CommandAnalysisType.UNDO:
         case CommandAnalysisType.NEVERMIND:
         case CommandAnalysisType.WAKEUP:
         case CommandAnalysisType.EXACT_IN_DOMAIN_COMMAND:
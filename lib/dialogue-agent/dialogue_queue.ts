@@ -18,6 +18,8 @@
 //
 // Author: Giovanni Campagna <gcampagn@cs.stanford.edu>
 
+import type * as Tp from 'thingpedia';
+
 import AppExecutor from '../engine/apps/app_executor';
 
 import type { UserInput as Command } from './user-input';
@@ -50,6 +52,17 @@ namespace QueueItem {
         }
     }
 
+    export class Digest extends QueueItem {
+        constructor(public app : AppExecutor,
+                    public messages : Tp.FormatObjects.FormattedObject[]) {
+            super();
+        }
+
+        toString() {
+            return `Digest(${this.app.uniqueId}, ${this.messages.length})`;
+        }
+    }
+
     export class Error extends QueueItem {
         constructor(public app : AppExecutor,
                     public error : JSError) {
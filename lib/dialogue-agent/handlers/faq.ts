@@ -29,6 +29,7 @@ import {
     ReplyResult,
     DialogueLoop
 } from "../dialogue-loop";
+import { getIndex } from './faq_index';
 
 interface FAQCommandAnalysisType {
     type : CommandAnalysisType;
@@ -38,7 +39,17 @@ interface FAQCommandAnalysisType {
 }
 
 export interface FAQModel {
-    url : string;
+    /**
+     * The URL of a remote FAQ model.
+     */
+    url ?: string;
+    /**
+     * The path of a local FAQ corpus, in TSV or YAML format.
+     *
+     * If set, questions are answered offline from the corpus, instead of
+     * calling the remote model.
+     */
+    corpus ?: string;
     highConfidence ?: number;
     lowConfidence ?: number;
 }
@@ -51,7 +62,9 @@ export default class FAQDialogueHandler implements DialogueHandler<FAQCommandAna
     icon = null;
     uniqueId : string;
     private _loop : DialogueLoop;
-    private _url : string;
+    private _url : string|undefined;
+    private _corpus : string|undefined;
+    private _locale : string;
     private _highConfidence : number;
     private _lowConfidence : number;
     private _looksLikeQuestion : RegExp;
@@ -64,7 +77,11 @@ export default class FAQDialogueHandler implements DialogueHandler<FAQCommandAna
                 }) {
         this.uniqueId = 'faq/' + uniqueId;
         this._loop = loop;
+        if (!model.url && !model.corpus)
+            throw new Error(`FAQ model ${uniqueId} must have either a url or a corpus`);
         this._url = model.url;
+        this._corpus = model.corpus;
+        this._locale = options.locale;
         this._highConfidence = model.highConfidence ?? HIGH_CONFIDENCE_THRESHOLD;
         this._lowConfidence = model.lowConfidence ?? LOW_CONFIDENCE_THRESHOLD;
 
@@ -86,14 +103,9 @@ export default class FAQDialogueHandler implements DialogueHandler<FAQCommandAna
         if (command.type !== 'command')
             return { type: CommandAnalysisType.OUT_OF_DOMAIN_COMMAND, utterance: '', user_target: '', answer: '' };
 
-        if (!this._looksLikeQuestion.test(command.utterance))
+        const best = await this._findAnswer(command.utterance);
+        if (best === null)
             return { type: CommandAnalysisType.OUT_OF_DOMAIN_COMMAND, utterance: '', user_target: '', answer: '' };
-
-        const response = await Tp.Helpers.Http.post(this._url, JSON.stringify({
-            instances: [command.utterance]
-        }), { dataContentType: 'application/json' });
-
-        const best : { answer : string, score : number } = JSON.parse(response).predictions[0];
         this._loop.debug(`Best FAQ answer for ${this.uniqueId} has score ${best.score}`);
 
         const confidence = best.score >= this._highConfidence ?
@@ -109,6 +121,25 @@ export default class FAQDialogueHandler implements DialogueHandler<FAQCommandAna
             answer: best.answer
         };
     }
+
+    private async _findAnswer(utterance : string) : Promise<{ answer : string, score : number }|null> {
+        // the local index ranks the questions in the corpus, so it does not need to
+        // guess if the command is a question
+        if (this._corpus) {
+            const index = await getIndex(this._corpus, this._locale);
+            const results = index.search(utterance, 1);
+            return results.length > 0 ? results[0] : null;
+        }
+
+        if (!this._looksLikeQuestion.test(utterance))
+            return null;
+
+        const response = await Tp.Helpers.Http.post(this._url!, JSON.stringify({
+            instances: [utterance]
+        }), { dataContentType: 'application/json' });
+        return JSON.parse(response).predictions[0];
+    }
+
     async getReply(command : FAQCommandAnalysisType) : Promise<ReplyResult> {
         return {
             messages: [command.answer],
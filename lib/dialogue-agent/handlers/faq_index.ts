@@ -0,0 +1,239 @@
+// -*- mode: typescript; indent-tabs-mode: nil; js-basic-offset: 4 -*-
+//
+// This file is part of Genie
+//
+// Copyright 2022 The Board of Trustees of the Leland Stanford Junior University
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//    http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+// A local index of frequently asked questions, ranked with BM25
+//
+// See Robertson and Zaragoza, "The Probabilistic Relevance Framework: BM25 and Beyond" (2009)
+
+import * as fs from 'fs';
+import * as yaml from 'js-yaml';
+
+import * as I18n from '../../i18n';
+
+// the standard BM25 parameters
+const K1 = 1.2;
+const B = 0.75;
+
+export interface FAQEntry {
+    /**
+     * The different ways to ask the question.
+     */
+    questions : string[];
+    answer : string;
+}
+
+export interface FAQResult {
+    question : string;
+    answer : string;
+    /**
+     * How well the question matches, between 0 and 1.
+     */
+    score : number;
+}
+
+interface IndexedDocument {
+    entry : number;
+    question : string;
+    termFrequencies : Map<string, number>;
+    length : number;
+    selfScore : number;
+}
+
+/**
+ * Parse a FAQ corpus.
+ *
+ * TSV corpora have one question and its answer per line, separated by a tab;
+ * empty lines and lines starting with `#` are ignored. The same answer can be
+ * repeated with different questions.
+ *
+ * YAML corpora are a list of objects with an `answer` and either a `question`
+ * or a list of `questions`.
+ */
+export function parseCorpus(content : string, format : 'tsv'|'yaml') : FAQEntry[] {
+    if (format === 'tsv') {
+        // group the questions with the same answer
+        const entries = new Map<string, FAQEntry>();
+        for (const line of content.split('\n')) {
+            if (!line.trim() || line.startsWith('#'))
+                continue;
+            const [question, answer] = line.split('\t');
+            if (answer === undefined)
+                throw new Error(`Invalid FAQ line, expected a question and an answer separated by a tab: ${line}`);
+            const existing = entries.get(answer.trim());
+            if (existing)
+                existing.questions.push(question.trim());
+            else
+                entries.set(answer.trim(), { questions: [question.trim()], answer: answer.trim() });
+        }
+        return Array.from(entries.values());
+    }
+
+    const parsed = yaml.load(content);
+    if (!Array.isArray(parsed))
+        throw new Error(`Invalid FAQ corpus, expected a list of questions and answers`);
+    return parsed.map((entry : { question ?: string, questions ?: string[], answer ?: string }) => {
+        const questions = entry.questions || (entry.question !== undefined ? [entry.question] : []);
+        if (questions.length === 0 || typeof entry.answer !== 'string')
+            throw new Error(`Invalid FAQ entry, expected a question and an answer: ${JSON.stringify(entry)}`);
+        return { questions: questions.map(String), answer: entry.answer };
+    });
+}
+
+/**
+ * An index of the questions of a FAQ corpus.
+ *
+ * Questions and queries are split into words with the tokenizer of the locale,
+ * so the index works in every language supported by Genie.
+ *
+ * Scores are BM25 scores, normalized by the score that the query or the question
+ * (whichever is larger) would have against itself, so a question that matches
+ * the query exactly scores 1, and a question that shares no word scores 0.
+ */
+export default class FAQIndex {
+    private _entries : FAQEntry[];
+    private _langPack : I18n.LanguagePack;
+    private _documents : IndexedDocument[];
+    private _documentFrequencies : Map<string, number>;
+    private _averageLength : number;
+
+    constructor(entries : FAQEntry[], locale : string) {
+        this._entries = entries;
+        this._langPack = I18n.get(locale);
+        this._documents = [];
+        this._documentFrequencies = new Map;
+
+        let totalLength = 0;
+        entries.forEach((entry, i) => {
+            for (const question of entry.questions) {
+                const termFrequencies = this._analyze(question);
+                let length = 0;
+                for (const [term, frequency] of termFrequencies) {
+                    this._documentFrequencies.set(term, (this._documentFrequencies.get(term) || 0) + 1);
+                    length += frequency;
+                }
+                totalLength += length;
+                this._documents.push({ entry: i, question, termFrequencies, length, selfScore: 0 });
+            }
+        });
+        this._averageLength = this._documents.length > 0 ? totalLength / this._documents.length : 0;
+
+        for (const doc of this._documents)
+            doc.selfScore = this._score(doc.termFrequencies, doc.termFrequencies, doc.length);
+    }
+
+    /**
+     * Load the index of a FAQ corpus from a file.
+     *
+     * The format of the corpus is chosen based on the extension: `.tsv`,
+     * `.yaml` or `.yml`.
+     */
+    static async load(path : string, locale : string) : Promise<FAQIndex> {
+        let format : 'tsv'|'yaml';
+        if (path.endsWith('.tsv'))
+            format = 'tsv';
+        else if (path.endsWith('.yaml') || path.endsWith('.yml'))
+            format = 'yaml';
+        else
+            throw new Error(`Unrecognized format of FAQ corpus ${path}, expected .tsv or .yaml`);
+
+        const content = await fs.promises.readFile(path, { encoding: 'utf8' });
+        return new FAQIndex(parseCorpus(content, format), locale);
+    }
+
+    get size() : number {
+        return this._entries.length;
+    }
+
+    private _analyze(text : string) : Map<string, number> {
+        const frequencies = new Map<string, number>();
+        for (const token of this._langPack.getTokenizer().tokenize(text).tokens) {
+            // punctuation does not help match questions
+            if (/^[\p{P}\p{S}]+$/u.test(token))
+                continue;
+            const term = token.toLowerCase();
+            frequencies.set(term, (frequencies.get(term) || 0) + 1);
+        }
+        return frequencies;
+    }
+
+    private _idf(term : string) : number {
+        const df = this._documentFrequencies.get(term) || 0;
+        const N = this._documents.length;
+        return Math.log(1 + (N - df + 0.5) / (df + 0.5));
+    }
+
+    // the BM25 score of a document with the given term frequencies and length,
+    // for the given query terms
+    private _score(query : Map<string, number>, document : Map<string, number>, documentLength : number) : number {
+        let score = 0;
+        for (const term of query.keys()) {
+            const tf = document.get(term);
+            if (!tf)
+                continue;
+            score += this._idf(term) * tf * (K1 + 1) / (tf + K1 * (1 - B + B * documentLength / this._averageLength));
+        }
+        return score;
+    }
+
+    /**
+     * Find the answers to the questions that best match the given query.
+     *
+     * @param query - the question of the user
+     * @param limit - the maximum number of answers to return
+     * @return the matching answers, best first; answers with a zero score are omitted
+     */
+    search(query : string, limit = 5) : FAQResult[] {
+        const queryTerms = this._analyze(query);
+        let queryLength = 0;
+        for (const frequency of queryTerms.values())
+            queryLength += frequency;
+        const querySelfScore = this._score(queryTerms, queryTerms, queryLength);
+
+        // keep the best question for each answer
+        const best = new Map<number, FAQResult>();
+        for (const doc of this._documents) {
+            const score = this._score(queryTerms, doc.termFrequencies, doc.length);
+            if (score <= 0)
+                continue;
+            const normalized = score / Math.max(querySelfScore, doc.selfScore);
+            const existing = best.get(doc.entry);
+            if (!existing || existing.score < normalized)
+                best.set(doc.entry, { question: doc.question, answer: this._entries[doc.entry].answer, score: normalized });
+        }
+
+        return Array.from(best.values()).sort((a, b) => b.score - a.score).slice(0, limit);
+    }
+}
+
+const _cache = new Map<string, Promise<FAQIndex>>();
+
+/**
+ * Load the index of a FAQ corpus, sharing it with all the conversations
+ * that use the same corpus and locale.
+ */
+export function getIndex(path : string, locale : string) : Promise<FAQIndex> {
+    const key = locale + ':' + path;
+    let promise = _cache.get(key);
+    if (!promise) {
+        promise = FAQIndex.load(path, locale);
+        // try again next time if the corpus failed to load
+        promise.catch(() => _cache.delete(key));
+        _cache.set(key, promise);
+    }
+    return promise;
+}
@@ -53,6 +53,10 @@ import { Replaceable } from '../../utils/template-string';
 // TODO: load the policy.yaml file instead
 const POLICY_NAME = 'org.thingpedia.dialogue.transaction';
 const TERMINAL_STATES = ['sys_end'];
+// the dialogue act that reverts the last action
+// undo is not a control command in ThingTalk, so it is expressed as
+// a dialogue state, which any ThingTalk parser accepts
+const UNDO_DIALOGUE_ACT = 'undo';
 
 // Confidence thresholds:
 //
@@ -79,6 +83,33 @@ const TERMINAL_STATES = ['sys_end'];
 //   for additional confirmation before executing.
 const CONFIDENCE_CONFIRM_THRESHOLD = 0.5;
 
+// Clarification:
+//
+// If the best parse is not confident, and other candidates have a similar score
+// (at least CLARIFICATION_SCORE_RATIO times the score of the best parse) but
+// call different functions or pass different parameters, we describe up to
+// CLARIFICATION_MAX_CHOICES candidates and let the user choose.
+// The choice is then used to teach the parser the sentence.
+const CLARIFICATION_SCORE_RATIO = 0.5;
+const CLARIFICATION_MAX_CHOICES = 3;
+
+interface ClarificationCandidate {
+    parsed : Ast.Input;
+    // the prediction of the parser, to learn the sentence if the user chooses this candidate
+    code : string[];
+}
+
+// compute what must differ between two candidates for the user to choose between them:
+// the functions they call, and the value of the input parameters
+function getCandidateSignature(input : Ast.Input) : string {
+    const invocations = [];
+    for (const [, prim] of input.iteratePrimitives(false)) {
+        const params = prim.in_params.map((p) => p.name + '=' + p.value.prettyprint()).sort();
+        invocations.push(`@${prim.selector.kind}.${prim.channel}(${params.join(', ')})`);
+    }
+    return invocations.join(' ');
+}
+
 interface ThingTalkCommandAnalysisType {
     type : CommandAnalysisType;
     utterance : string;
@@ -90,9 +121,25 @@ interface ThingTalkCommandAnalysisType {
 
     // the user target
     parsed : Ast.Input;
+
+    // other interpretations of a non-confident command, including the best one,
+    // that the user can choose from
+    alternatives ?: ClarificationCandidate[];
+}
+
+// the state of this handler, as saved with the conversation
+interface ThingTalkHandlerState {
+    // the current dialogue state, in ThingTalk syntax, or "null"
+    dialogueState : string;
+
+    // the last executed action, and the action that reverts it, in ThingTalk syntax
+    lastAction : {
+        stmt : string;
+        compensation : string|null;
+    }|null;
 }
 
-export default class ThingTalkDialogueHandler implements DialogueHandler<ThingTalkCommandAnalysisType, string> {
+export default class ThingTalkDialogueHandler implements DialogueHandler<ThingTalkCommandAnalysisType, ThingTalkHandlerState> {
     priority = Tp.DialogueHandler.Priority.PRIMARY;
     uniqueId = 'thingtalk';
 
@@ -150,8 +197,15 @@ export default class ThingTalkDialogueHandler implements DialogueHandler<ThingTa
         this._executorState = undefined; // private object managed by DialogueExecutor
     }
 
-    getState() : string {
-        return this._dialogueState ? this._dialogueState.prettyprint() : 'null';
+    getState() : ThingTalkHandlerState {
+        const lastAction = this._agent.executor.lastAction;
+        return {
+            dialogueState: this._dialogueState ? this._dialogueState.prettyprint() : 'null',
+            lastAction: lastAction ? {
+                stmt: lastAction.stmt.prettyprint(),
+                compensation: lastAction.compensation ? lastAction.compensation.prettyprint() : null
+            } : null
+        };
     }
 
     reset() : void {
@@ -166,6 +220,11 @@ export default class ThingTalkDialogueHandler implements DialogueHandler<ThingTa
     }
 
     private _getSpecialThingTalkType(input : Ast.Input) : CommandAnalysisType {
+        if (input instanceof Ast.DialogueState &&
+            input.policy === POLICY_NAME &&
+            input.dialogueAct === UNDO_DIALOGUE_ACT)
+            return CommandAnalysisType.UNDO;
+
         if (input instanceof Ast.ControlCommand) {
             if (input.intent instanceof Ast.SpecialControlIntent) {
                 switch (input.intent.type) {
@@ -219,7 +278,9 @@ export default class ThingTalkDialogueHandler implements DialogueHandler<ThingTa
     async analyzeCommand(command : UserInput) : Promise<ThingTalkCommandAnalysisType> {
         const analysis = await this._parseCommand(command);
 
-        if (analysis.type === CommandAnalysisType.DEBUG || analysis.type === CommandAnalysisType.STOP)
+        if (analysis.type === CommandAnalysisType.DEBUG ||
+            analysis.type === CommandAnalysisType.STOP ||
+            analysis.type === CommandAnalysisType.UNDO)
             return analysis;
 
         // convert to dialogue state, if not already
@@ -237,6 +298,7 @@ export default class ThingTalkDialogueHandler implements DialogueHandler<ThingTa
             user_target: prediction.prettyprint(),
             answer: analysis.answer,
             parsed: prediction,
+            alternatives: analysis.alternatives,
         };
     }
 
@@ -319,10 +381,10 @@ export default class ThingTalkDialogueHandler implements DialogueHandler<ThingTa
                 console.log(`Failed to parse beam ${beamposition}: ${e.message}`);
                 parsed = new Ast.ControlCommand(null, new Ast.SpecialControlIntent(null, 'failed'));
             }
-            return { parsed, score: candidate.score };
+            return { parsed, score: candidate.score, code: candidate.code };
         }));
         // ensure that we always have at least one candidate by pushing $failed at the end
-        candidates.push({ parsed: new Ast.ControlCommand(null, new Ast.SpecialControlIntent(null, 'failed')), score: 0 });
+        candidates.push({ parsed: new Ast.ControlCommand(null, new Ast.SpecialControlIntent(null, 'failed')), score: 0, code: [] });
 
         // ignore all candidates with score==Infinity that we failed to parse
         // (these are exact matches that correspond to skills not available for
@@ -336,6 +398,7 @@ export default class ThingTalkDialogueHandler implements DialogueHandler<ThingTa
             type = this._getSpecialThingTalkType(choice.parsed);
         }
 
+        let alternatives : ClarificationCandidate[]|undefined = undefined;
         if (type === CommandAnalysisType.OUT_OF_DOMAIN_COMMAND) {
             type = CommandAnalysisType.OUT_OF_DOMAIN_COMMAND;
             this._loop.debug('Failed to analyze message as ThingTalk');
@@ -348,6 +411,10 @@ export default class ThingTalkDialogueHandler implements DialogueHandler<ThingTa
             type = CommandAnalysisType.NONCONFIDENT_IN_DOMAIN_COMMAND;
             this._loop.debug('Dubiously analyzed message into ' + choice.parsed.prettyprint());
             this._loop.conversation.stats.hit('sabrina-command-maybe');
+
+            alternatives = this._findClarificationCandidates(candidates.slice(i));
+            if (alternatives.length > 1)
+                this._loop.debug(`Found ${alternatives.length} close candidates: ${alternatives.map((alt) => alt.parsed.prettyprint()).join(' | ')}`);
         } else {
             this._loop.debug('Confidently analyzed message into ' + choice.parsed.prettyprint());
             this._loop.conversation.stats.hit('sabrina-command-good');
@@ -360,26 +427,55 @@ export default class ThingTalkDialogueHandler implements DialogueHandler<ThingTa
             user_target: choice.parsed.prettyprint(),
             answer: this._maybeGetThingTalkAnswer(choice.parsed),
             parsed: choice.parsed,
+            alternatives: alternatives && alternatives.length > 1 ? alternatives : undefined,
         };
     }
 
+    private _findClarificationCandidates(candidates : Array<{ parsed : Ast.Input, score : number|'Infinity', code : string[] }>) : ClarificationCandidate[] {
+        const best = candidates[0];
+        const alternatives : ClarificationCandidate[] = [];
+        const signatures = new Set<string>();
+        for (const candidate of candidates) {
+            if (alternatives.length >= CLARIFICATION_MAX_CHOICES)
+                break;
+            if (candidate.score !== 'Infinity' && best.score !== 'Infinity' &&
+                candidate.score < best.score * CLARIFICATION_SCORE_RATIO)
+                break;
+            // only commands can be clarified, not answers or special commands
+            if (candidate.parsed instanceof Ast.ControlCommand)
+                continue;
+
+            // candidates that differ in minor ways (e.g. filters) would be confusing
+            // to choose from, so we keep only the best one
+            const signature = getCandidateSignature(candidate.parsed);
+            if (signatures.has(signature))
+                continue;
+            signatures.add(signature);
+            alternatives.push({ parsed: candidate.parsed, code: candidate.code });
+        }
+        return alternatives;
+    }
+
     async getReply(analyzed : ThingTalkCommandAnalysisType) : Promise<ReplyResult> {
         switch (analyzed.type) {
         case CommandAnalysisType.NONCONFIDENT_IN_DOMAIN_FOLLOWUP:
         case CommandAnalysisType.NONCONFIDENT_IN_DOMAIN_COMMAND: {
+            if (analyzed.alternatives) {
+                const clarified = await this._clarify(analyzed.utterance, analyzed.alternatives);
+                if (clarified !== undefined) {
+                    if (clarified === null)
+                        return this._makeClarificationFailure();
+                    return this._handleNormalDialogueCommand(clarified);
+                }
+            }
+
             // TODO move this to the state machine, not here
             const question = await this._makeClarificationQuestion(analyzed.parsed!);
             assert(question, `Failed to compute a description of the current command`);
             const yesNo = await this._loop.ask(ValueCategory.YesNo, question);
             assert(yesNo instanceof Ast.BooleanValue);
-            if (!yesNo.value) {
-                return {
-                    messages: [this._("Sorry I couldn't help on that.")],
-                    context: this._dialogueState ? this._dialogueState.prettyprint() : 'null',
-                    agent_target: '$dialogue @org.thingpedia.dialogue.transaction.sys_clarify;',
-                    expecting: null,
-                };
-            }
+            if (!yesNo.value)
+                return this._makeClarificationFailure();
 
             // fallthrough to the confident case
         }
@@ -414,7 +510,98 @@ export default class ThingTalkDialogueHandler implements DialogueHandler<ThingTa
         return this._executeCurrentState();
     }
 
-    private async _makeClarificationQuestion(program : Ast.Input) {
+    /**
+     * Revert the last action executed in this conversation, after asking
+     * the user for confirmation.
+     *
+     * This implements the `undo` dialogue act. The action is reverted by executing
+     * the compensating action declared in Thingpedia.
+     */
+    async undoLastAction() : Promise<void> {
+        const executor = this._agent.executor;
+        const action = executor.lastAction;
+        if (action === null) {
+            await this._loop.reply(this._("There is nothing to undo."));
+            return;
+        }
+
+        const program = new Ast.Program(null, [], [], [action.stmt.clone()]);
+        if (action.compensation === null) {
+            const message = await this._describeInSentence(program, this._("Sorry, I cannot undo ${command}."));
+            await this._loop.reply(message ?? this._("Sorry, I cannot undo that."));
+            return;
+        }
+
+        const question = await this._describeInSentence(program, this._("Do you want me to undo ${command}?"));
+        const yesNo = await this._loop.ask(ValueCategory.YesNo, question ?? this._("Do you want me to undo that?"));
+        assert(yesNo instanceof Ast.BooleanValue);
+        if (!yesNo.value) {
+            await this._loop.reply(this._("Okay, I will not undo it."));
+            return;
+        }
+
+        const result = await executor.undoLastAction();
+        if (result.error) {
+            await this._loop.replyInterp(this._("Sorry, I could not undo that: ${error}."), {
+                error: result.error.toJS()
+            });
+        } else {
+            await this._loop.reply(this._("Okay, I undid it."));
+        }
+    }
+
+    private _makeClarificationFailure() : ReplyResult {
+        return {
+            messages: [this._("Sorry I couldn't help on that.")],
+            context: this._dialogueState ? this._dialogueState.prettyprint() : 'null',
+            agent_target: '$dialogue @org.thingpedia.dialogue.transaction.sys_clarify;',
+            expecting: null,
+        };
+    }
+
+    /**
+     * Ask the user to choose between multiple interpretations of their command.
+     *
+     * @return the chosen interpretation, as a dialogue state; `null` if the user
+     *   did not choose any; or `undefined` if the candidates could not be described
+     */
+    private async _clarify(utterance : string, alternatives : ClarificationCandidate[]) : Promise<Ast.DialogueState|null|undefined> {
+        const choices : string[] = [];
+        const described : ClarificationCandidate[] = [];
+        for (const alternative of alternatives) {
+            const description = await this._describeProgram(alternative.parsed);
+            // skip candidates that would look the same to the user
+            if (description === null || choices.includes(description))
+                continue;
+            choices.push(description);
+            described.push(alternative);
+        }
+        if (described.length < 2)
+            return undefined;
+
+        choices.push(this._("none of the above"));
+        const choice = await this._loop.askChoices(this._("Did you mean any of the following?"), choices);
+        if (choice === described.length)
+            return null;
+
+        const chosen = described[choice];
+        const prediction = await ThingTalkUtils.inputToDialogueState(this._policy, this._dialogueState, chosen.parsed);
+        if (prediction === null)
+            return null;
+
+        // teach the parser what the user meant, so we don't need to ask again
+        // (but not from anonymous users, whose sentences must not be stored)
+        if (!this._loop.isAnonymous) {
+            try {
+                await this._nlu.onlineLearn(utterance, chosen.code);
+            } catch(e) {
+                console.error(`Failed to learn the clarified command: ${e.message}`);
+            }
+        }
+        return prediction;
+    }
+
+    private async _makeDescriber(program : Ast.Input) : Promise<[ThingTalkUtils.Describer, Syntax.SequentialEntityAllocator]> {
         const allocator = new Syntax.SequentialEntityAllocator({}, { timezone: this._engine.platform.timezone });
         const describer = new ThingTalkUtils.Describer(this._engine.platform.locale,
             this._engine.platform.timezone,
@@ -425,13 +612,36 @@ export default class ThingTalkDialogueHandler implements DialogueHandler<ThingTa
             kinds.add(prim.selector.kind);
         for (const kind of kinds)
             describer.setDataset(kind, await this._engine.schemas.getExamplesByKind(kind));
+        return [describer, allocator];
+    }
+
+    private async _describeProgram(program : Ast.Input) : Promise<string|null> {
+        const [describer, allocator] = await this._makeDescriber(program);
+        const description = describer.describe(program);
+        if (description === null)
+            return null;
 
+        let utterance = description.chooseBest();
+        utterance = this._langPack.postprocessSynthetic(utterance, null, this._rng, 'agent');
+        return this._langPack.postprocessNLG(utterance, allocator.entities, this._agent);
+    }
+
+    private async _makeClarificationQuestion(program : Ast.Input) {
+        return this._describeInSentence(program, this._("Did you mean ${command}?"));
+    }
+
+    /**
+     * Describe a program, and place the description in the given sentence,
+     * in place of the `${command}` placeholder.
+     */
+    private async _describeInSentence(program : Ast.Input, sentence : string) {
+        const [describer, allocator] = await this._makeDescriber(program);
         let description = describer.describe(program);
         if (description === null)
             return null;
 
-        const question = Replaceable.get(this._("Did you mean ${command}?"), this._langPack, ['command']);
-        description = question.replace({ constraints: {}, replacements: [{ text: description, value: description }] });
+        const template = Replaceable.get(sentence, this._langPack, ['command']);
+        description = template.replace({ constraints: {}, replacements: [{ text: description, value: description }] });
         if (description === null)
             return null;
 
@@ -536,16 +746,48 @@ export default class ThingTalkDialogueHandler implements DialogueHandler<ThingTa
             return this._executeCurrentState();
     }
 
-    async initialize(initialState : string | undefined, showWelcome : boolean) : Promise<ReplyResult|null> {
+    private async _parseStatement(code : string) : Promise<Ast.ExpressionStatement> {
+        const parsed = await ThingTalkUtils.parse(code, {
+            locale: this._engine.platform.locale,
+            timezone: this._engine.platform.timezone,
+            schemaRetriever: this._engine.schemas,
+            thingpediaClient: this._engine.thingpedia
+        });
+        assert(parsed instanceof Ast.Program && parsed.statements.length === 1);
+        const stmt = parsed.statements[0];
+        assert(stmt instanceof Ast.ExpressionStatement);
+        return stmt;
+    }
+
+    private async _restoreLastAction(lastAction : ThingTalkHandlerState['lastAction']) {
+        if (lastAction === null)
+            return;
+
+        try {
+            const stmt = await this._parseStatement(lastAction.stmt);
+            const compensation = lastAction.compensation !== null ? await this._parseStatement(lastAction.compensation) : null;
+            this._agent.executor.lastAction = { stmt, compensation };
+        } catch(e : any) {
+            console.error(`Failed to restore the last action: ${e.message}`);
+        }
+    }
+
+    async initialize(initialState : ThingTalkHandlerState | string | undefined, showWelcome : boolean) : Promise<ReplyResult|null> {
         await this._policy.initialize();
 
+        // conversations saved by older versions only have the dialogue state
+        if (typeof initialState === 'string')
+            initialState = { dialogueState: initialState, lastAction: null };
+
         if (initialState !== undefined) {
-            if (initialState === 'null') {
+            await this._restoreLastAction(initialState.lastAction);
+
+            if (initialState.dialogueState === 'null') {
                 this._dialogueState = null;
                 return null;
             } else {
                 try {
-                    const parsed = await ThingTalkUtils.parse(initialState, {
+                    const parsed = await ThingTalkUtils.parse(initialState.dialogueState, {
                         locale: this._engine.platform.locale,
                         timezone: this._engine.platform.timezone,
                         schemaRetriever: this._engine.schemas,
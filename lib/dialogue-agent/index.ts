@@ -27,7 +27,12 @@
 export {
     NotificationDelegate,
     NotificationConfig,
+    WebhookNotificationBackend,
+    SlackNotificationBackend,
+    FileNotificationBackend,
 } from './notifications';
+export { FailedNotificationInfo } from './notifications/queue';
+export { NotificationPolicy } from './notifications/policy';
 export {
     default as AssistantDispatcher,
     ThingTalkInput,
@@ -41,6 +46,27 @@ export {
     ConversationOptions,
     default as Conversation
 } from './conversation';
+export {
+    DialogueHandler,
+    DialogueHandlerFactory,
+    DialogueLoop,
+    CommandAnalysisType,
+    CommandAnalysisResult,
+    Confidence,
+    ReplyResult
+} from './dialogue-loop';
+export {
+    ArbitrationCandidate,
+    ArbitrationContext,
+    ArbitrationDecision,
+    ArbitrationPolicy,
+    ArbitrationTrace,
+    DefaultArbitrationPolicy,
+    ConfidenceThresholdPolicy,
+    ScoreWeightedPolicy,
+    StickyPolicy
+} from './arbitration';
+export { UserInput } from './user-input';
 export * as Protocol from './protocol';
 export * from './errors';
 export { default as AudioController } from './audio/controller';
@@ -20,6 +20,7 @@
 //         Kevin Tang
 //         Giovanni Campagna <gcampagn@cs.stanford.edu>
 
+import * as crypto from 'crypto';
 import { v4 as uuidv4 } from 'uuid';
 
 import { DialogueExample, DialogueTurn } from "../dataset-tools/parsers";
@@ -142,35 +143,174 @@ function* reorderTurns(rows : ConversationRow[]) : IterableIterator<DialogueTurn
     }
 }
 
-function reconstructDialogues(rows : ConversationRow[]) : Iterable<DialogueExample> {
-    if (rows.length === 0)
-        return [];
+function getDialogueTimestamp(dlg : DialogueExample) : number {
+    const first = dlg.turns[0];
+    const timestamp = first.user_timestamp || first.agent_timestamp;
+    return timestamp ? timestamp.getTime() : 0;
+}
 
-    const conversationId = rows[0].conversationId;
+function reconstructDialogues(rows : ConversationRow[]) : DialogueExample[] {
+    // rows can come from multiple conversations, so group by both conversation and dialogue
     const dialogues = new Map<string, ConversationRow[]>();
-
     for (const row of rows) {
-        const existing = dialogues.get(row.dialogueId);
+        const id = row.conversationId + '/' + row.dialogueId;
+        const existing = dialogues.get(id);
         if (existing)
             existing.push(row);
         else
-            dialogues.set(row.dialogueId, [row]);
+            dialogues.set(id, [row]);
     }
 
     const sorted = [];
-    for (const [dialogueId, rows] of dialogues) {
-        const turns = Array.from(reorderTurns(rows));
+    for (const [id, rows] of dialogues) {
         sorted.push({
-            id : conversationId + '/' + dialogueId,
-            timestamp: turns[0].user_timestamp || turns[0].agent_timestamp,
-            turns: turns,
+            id,
+            turns: Array.from(reorderTurns(rows)),
         });
     }
-    sorted.sort((one, two) => one.timestamp!.getTime() - two.timestamp!.getTime());
+    sorted.sort((one, two) => getDialogueTimestamp(one) - getDialogueTimestamp(two));
 
     return sorted;
 }
 
+/**
+ * Criteria to select the dialogues to export with {@link readConversationLogs}.
+ */
+export interface ConversationLogFilter {
+    /**
+     * Only export dialogues from these conversations.
+     */
+    conversationIds ?: string[];
+    /**
+     * Only export dialogues that started at or after this time.
+     */
+    since ?: Date;
+    /**
+     * Only export dialogues that started before this time.
+     */
+    until ?: Date;
+    /**
+     * Only export dialogues where at least one turn received this vote;
+     * `any` selects the dialogues with at least one vote.
+     */
+    vote ?: 'up'|'down'|'any';
+}
+
+function matchesFilter(dlg : DialogueExample, filter : ConversationLogFilter) {
+    const timestamp = getDialogueTimestamp(dlg);
+    if (filter.since && timestamp < filter.since.getTime())
+        return false;
+    if (filter.until && timestamp >= filter.until.getTime())
+        return false;
+    if (filter.vote) {
+        const vote = filter.vote;
+        if (!dlg.turns.some((turn) => turn.vote && (vote === 'any' || turn.vote === vote)))
+            return false;
+    }
+    return true;
+}
+
+/**
+ * Read the dialogues recorded in the conversation log, across all conversations.
+ *
+ * Dialogues are returned in the order they started.
+ */
+export async function* readConversationLogs(conversationDB : LocalTable<ConversationRow>,
+                                            filter : ConversationLogFilter = {}) : AsyncIterableIterator<DialogueExample> {
+    let rows : ConversationRow[];
+    if (filter.conversationIds) {
+        rows = [];
+        for (const conversationId of filter.conversationIds)
+            rows.push(...await conversationDB.getBy('conversationId', conversationId));
+    } else {
+        rows = await conversationDB.getAll();
+    }
+
+    for (const dlg of reconstructDialogues(rows)) {
+        if (matchesFilter(dlg, filter))
+            yield dlg;
+    }
+}
+
+// string literals in ThingTalk code, including the values and display names of entities
+const STRING_LITERAL_REGEX = /"((?:[^"\\]|\\.)*)"/g;
+
+function escapeRegExp(str : string) {
+    return str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Remove the entity values from a dialogue.
+ *
+ * Every string and entity value in the ThingTalk annotations is replaced with
+ * a placeholder (`STRING_0`, `STRING_1`, ...), consistently across the whole
+ * dialogue, and occurrences of the same values in the utterances and comments
+ * are replaced with the same placeholder. The conversation ID is replaced with
+ * an HMAC keyed by `key`, so dialogues from the same conversation can still be
+ * grouped, but only among dialogues anonymized with the same key. Without the
+ * key, the original conversation IDs cannot be recovered by hashing guesses.
+ *
+ * Values that were not recognized in the annotations are not removed.
+ *
+ * @param dlg - the dialogue to anonymize
+ * @param key - the secret key used to hash the conversation IDs
+ */
+export function anonymizeDialogue(dlg : DialogueExample, key : crypto.BinaryLike) : DialogueExample {
+    const placeholders = new Map<string, string>();
+    const anonymizeCode = (code : string|null) => {
+        if (!code)
+            return code;
+        return code.replace(STRING_LITERAL_REGEX, (match, value : string) => {
+            if (value === '')
+                return match;
+            let placeholder = placeholders.get(value);
+            if (!placeholder) {
+                placeholder = 'STRING_' + placeholders.size;
+                placeholders.set(value, placeholder);
+            }
+            return '"' + placeholder + '"';
+        });
+    };
+
+    const turns = dlg.turns.map((turn) => ({
+        ...turn,
+        context: anonymizeCode(turn.context),
+        agent_target: anonymizeCode(turn.agent_target),
+        intermediate_context: anonymizeCode(turn.intermediate_context),
+        user_target: anonymizeCode(turn.user_target)!,
+    }));
+
+    // values in ThingTalk are escaped, and appear unescaped in the utterances
+    const textPlaceholders = new Map<string, string>();
+    for (const [value, placeholder] of placeholders)
+        textPlaceholders.set(value.replace(/\\(.)/g, '$1').toLowerCase(), placeholder);
+    // replace longer values first, so values that contain other values are replaced whole
+    const textValues = Array.from(textPlaceholders.keys()).sort((a, b) => b.length - a.length);
+    const valueRegex = textValues.length > 0 ?
+        new RegExp('(?<![\\p{L}\\p{N}])(?:' + textValues.map(escapeRegExp).join('|') + ')(?![\\p{L}\\p{N}])', 'giu') : null;
+    const anonymizeText = (text : string|null) => {
+        if (!text || !valueRegex)
+            return text;
+        return text.replace(valueRegex, (match) => textPlaceholders.get(match.toLowerCase()) ?? match);
+    };
+    for (const turn of turns) {
+        turn.agent = anonymizeText(turn.agent);
+        turn.user = anonymizeText(turn.user)!;
+        if (turn.comment)
+            turn.comment = anonymizeText(turn.comment)!;
+    }
+
+    // dialogue IDs are formed as <conversation ID>/<dialogue ID>
+    const slash = dlg.id.lastIndexOf('/');
+    const conversationId = slash >= 0 ? dlg.id.substring(0, slash) : dlg.id;
+    const hashedId = crypto.createHmac('sha256', key).update(conversationId).digest('hex').substring(0, 16);
+    return {
+        id: slash >= 0 ? hashedId + dlg.id.substring(slash) : hashedId,
+        comment: anonymizeText(dlg.comment ?? null) ?? undefined,
+        turns
+    };
+}
+
 export default class ConversationLogger {
     private readonly _conversationDB : LocalTable<ConversationRow>;
     private _conversationId : string;
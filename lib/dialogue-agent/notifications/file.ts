@@ -0,0 +1,96 @@
+// -*- mode: typescript; indent-tabs-mode: nil; js-basic-offset: 4 -*-
+//
+// This file is part of Genie
+//
+// Copyright 2022 The Board of Trustees of the Leland Stanford Junior University
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//    http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+import * as fs from 'fs';
+import * as Tp from 'thingpedia';
+
+import type Engine from '../../engine';
+
+interface FileConfig {
+    /**
+     * Path of the file to append to; it is created if it does not exist.
+     */
+    path : string;
+}
+
+/**
+ * A notification backend that appends every notification to a local file,
+ * one JSON object per line.
+ *
+ * This is useful as an audit log, and to observe notifications in tests.
+ */
+export default class FileNotificationBackend implements Tp.Capabilities.NotificationBackend {
+    private _platform : Tp.BasePlatform;
+    private _path : string;
+    // writes are chained so that lines are appended in the order
+    // notifications were dispatched
+    private _queue : Promise<void>;
+    name = 'Log File';
+    uniqueId = 'file';
+
+    constructor(engine : Engine, config : FileConfig) {
+        this._platform = engine.platform;
+        this._path = config.path;
+        this._queue = Promise.resolve();
+    }
+
+    get requiredSettings() {
+        return {};
+    }
+
+    private _append(entry : Record<string, unknown>) {
+        const line = JSON.stringify(entry) + '\n';
+        const promise = this._queue.then(() => fs.promises.appendFile(this._path, line));
+        // a failed write must not block the following ones
+        this._queue = promise.catch(() => {});
+        return promise;
+    }
+
+    async notify(data : {
+        appId : string;
+        icon : string|null;
+        raw : Record<string, unknown>;
+        type : string;
+        formatted : Tp.FormatObjects.FormattedObject[]
+    }) {
+        await this._append({
+            timestamp: new Date().toISOString(),
+            event: 'notification',
+            appId: data.appId,
+            icon: data.icon,
+            type: data.type,
+            raw: data.raw,
+            formatted: data.formatted,
+            text: data.formatted.map((x) => x.toLocaleString(this._platform.locale)).join('\n'),
+        });
+    }
+
+    async notifyError(data : {
+        appId : string;
+        icon : string|null;
+        error : Error
+    }) {
+        await this._append({
+            timestamp: new Date().toISOString(),
+            event: 'error',
+            appId: data.appId,
+            icon: data.icon,
+            error: data.error.message
+        });
+    }
+}
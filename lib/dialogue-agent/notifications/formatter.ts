@@ -21,6 +21,7 @@
 import assert from 'assert';
 import * as Tp from 'thingpedia';
 import * as ThingTalk from 'thingtalk';
+import interpolate from 'string-interp';
 
 import Engine from '../../engine';
 import * as I18n from '../../i18n';
@@ -108,4 +109,27 @@ export default class NotificationFormatter {
 
         return output;
     }
+
+    /**
+     * Format a batch of results from the same program as a single digest.
+     *
+     * The digest consists of a header announcing the number of results,
+     * followed by the formatted version of each result.
+     */
+    async formatDigest(appName : string|null, program : ThingTalk.Ast.Program, results : Array<{ outputType : string, outputValue : Record<string, unknown> }>) : Promise<Tp.FormatObjects.FormattedObject[]> {
+        const header = interpolate(this._langPack._("${count:plural:one{You have one new notification}other{You have ${count} new notifications}}${? from ${app}}:"), {
+            count: results.length,
+            app: appName
+        }, {
+            locale: this._engine.platform.locale,
+            timezone: this._engine.platform.timezone
+        })!;
+
+        const output : Tp.FormatObjects.FormattedObject[] = [
+            new FORMAT_TYPES.text({ type: 'text', text: header })
+        ];
+        for (const result of results)
+            output.push(...await this.formatNotification(appName, program, result.outputType, result.outputValue));
+        return output;
+    }
 }
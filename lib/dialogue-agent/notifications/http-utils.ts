@@ -0,0 +1,55 @@
+// -*- mode: typescript; indent-tabs-mode: nil; js-basic-offset: 4 -*-
+//
+// This file is part of Genie
+//
+// Copyright 2022 The Board of Trustees of the Leland Stanford Junior University
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//    http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+import * as Tp from 'thingpedia';
+
+import { markPermanentFailure } from './queue';
+
+function isRetryable(error : Error & { code ?: unknown }) {
+    // network errors have a string code (ECONNREFUSED, ETIMEDOUT...) or
+    // no code at all; HTTP errors have a numeric code
+    if (typeof error.code !== 'number')
+        return true;
+    return error.code === 429 || error.code >= 500;
+}
+
+/**
+ * POST a JSON payload.
+ *
+ * Failed requests are retried by the {@link NotificationQueue}, so this function
+ * makes a single attempt. Client errors (HTTP 4xx other than 429) are marked
+ * as permanent, because they would fail again in the same way.
+ *
+ * @param url - the URL to POST to
+ * @param body - the serialized JSON body
+ * @param extraHeaders - additional headers to send
+ */
+export async function postJSON(url : string,
+                               body : string,
+                               extraHeaders : Record<string, string>) : Promise<string> {
+    try {
+        return await Tp.Helpers.Http.post(url, body, {
+            dataContentType: 'application/json',
+            extraHeaders
+        });
+    } catch(e) {
+        if (!isRetryable(e))
+            markPermanentFailure(e);
+        throw e;
+    }
+}
@@ -21,12 +21,26 @@ import * as Tp from 'thingpedia';
 
 import TwilioNotificationBackend from './twilio';
 import EmailNotificationBackend from './email';
+import WebhookNotificationBackend from './webhook';
+import SlackNotificationBackend from './slack';
+import FileNotificationBackend from './file';
+
+export {
+    TwilioNotificationBackend,
+    EmailNotificationBackend,
+    WebhookNotificationBackend,
+    SlackNotificationBackend,
+    FileNotificationBackend,
+};
 
 export type NotificationDelegate = Tp.BaseDevice.NotificationInterface;
 
 export const StaticNotificationBackends = {
     'twilio': TwilioNotificationBackend,
     'email': EmailNotificationBackend,
+    'webhook': WebhookNotificationBackend,
+    'slack': SlackNotificationBackend,
+    'file': FileNotificationBackend,
 };
 
 export type NotificationConfig = {
@@ -0,0 +1,369 @@
+// -*- mode: typescript; indent-tabs-mode: nil; js-basic-offset: 4 -*-
+//
+// This file is part of Genie
+//
+// Copyright 2022 The Board of Trustees of the Leland Stanford Junior University
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//    http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+import { Temporal } from '@js-temporal/polyfill';
+import * as uuid from 'uuid';
+
+import RateLimiter from '../../engine/util/rate_limiter';
+import type AppExecutor from '../../engine/apps/app_executor';
+import type { LocalTable, NotificationQueueRow } from '../../engine/db';
+import CustomError from '../../utils/custom_error';
+
+const TIME_REGEX = /^([01][0-9]|2[0-3]):[0-5][0-9]$/;
+
+// the status of the rows in the notification_queue table that hold
+// notifications buffered by the policy; they are ignored by the NotificationQueue
+const HELD_STATUS = 'held';
+
+/**
+ * Policy controlling when and how often notifications from an app are delivered.
+ *
+ * A policy can be set for a single app, in the `notifications` configuration
+ * of the app, or for all apps of the user, in the `notification-policy`
+ * shared preference. The per-app policy takes precedence.
+ */
+export interface NotificationPolicy {
+    /**
+     * Do not deliver notifications in this period of the day, in the user's
+     * timezone. Times are in 24-hour `HH:MM` format; if `end` is earlier than
+     * `start`, the period spans midnight.
+     *
+     * Notifications generated during quiet hours are delivered as a digest
+     * when the quiet period ends.
+     */
+    quietHours ?: {
+        start : string;
+        end : string;
+    };
+    /**
+     * Batch all notifications, and deliver a digest every this many milliseconds.
+     */
+    digestInterval ?: number;
+    /**
+     * Deliver at most `max` notifications every `interval` milliseconds.
+     *
+     * Notifications exceeding the limit are delivered as a digest at the end
+     * of the interval.
+     */
+    rateLimit ?: {
+        max : number;
+        interval : number;
+    };
+}
+
+function isPositiveNumber(value : unknown) : boolean {
+    return typeof value === 'number' && Number.isFinite(value) && value > 0;
+}
+
+/**
+ * Check that a notification policy received from the outside is well-formed.
+ *
+ * @param policy - the policy to validate
+ * @return the same policy, with the correct type
+ * @throws {CustomError} with code `EINVAL` if the policy is invalid
+ */
+export function validateNotificationPolicy(policy : unknown) : NotificationPolicy {
+    if (typeof policy !== 'object' || policy === null || Array.isArray(policy))
+        throw new CustomError('EINVAL', `Invalid notification policy, expected an object`);
+
+    const { quietHours, digestInterval, rateLimit } = policy as Record<string, unknown>;
+    if (quietHours !== undefined) {
+        if (typeof quietHours !== 'object' || quietHours === null)
+            throw new CustomError('EINVAL', `Invalid quiet hours in notification policy, expected an object`);
+        const { start, end } = quietHours as Record<string, unknown>;
+        for (const [key, value] of [['start', start], ['end', end]]) {
+            if (typeof value !== 'string' || !TIME_REGEX.test(value))
+                throw new CustomError('EINVAL', `Invalid ${key} time in quiet hours, expected HH:MM`);
+        }
+    }
+    if (digestInterval !== undefined && !isPositiveNumber(digestInterval))
+        throw new CustomError('EINVAL', `Invalid digest interval in notification policy, expected a positive number of milliseconds`);
+    if (rateLimit !== undefined) {
+        if (typeof rateLimit !== 'object' || rateLimit === null)
+            throw new CustomError('EINVAL', `Invalid rate limit in notification policy, expected an object`);
+        const { max, interval } = rateLimit as Record<string, unknown>;
+        if (!Number.isInteger(max) || !isPositiveNumber(max))
+            throw new CustomError('EINVAL', `Invalid maximum number of notifications in rate limit, expected a positive integer`);
+        if (!isPositiveNumber(interval))
+            throw new CustomError('EINVAL', `Invalid rate limit interval, expected a positive number of milliseconds`);
+    }
+    return policy as NotificationPolicy;
+}
+
+export interface BufferedNotification {
+    outputType : string;
+    outputValue : Record<string, unknown>;
+}
+
+/**
+ * Compute when the quiet period containing the given time ends.
+ *
+ * @param quietHours - the quiet hours configuration
+ * @param timezone - the timezone to interpret the quiet hours in
+ * @param now - the current time, in milliseconds since the epoch
+ * @return the end of the quiet period, in milliseconds since the epoch, or
+ *   `null` if `now` is outside of quiet hours
+ */
+export function getQuietHoursEnd(quietHours : { start : string, end : string }, timezone : string, now : number) : number|null {
+    const zonedNow = Temporal.Instant.fromEpochMilliseconds(now).toZonedDateTimeISO(timezone);
+    const start = zonedNow.withPlainTime(Temporal.PlainTime.from(quietHours.start));
+    const end = zonedNow.withPlainTime(Temporal.PlainTime.from(quietHours.end));
+
+    if (Temporal.ZonedDateTime.compare(start, end) <= 0) {
+        // quiet period within the same day, e.g. 13:00 to 15:00
+        if (Temporal.ZonedDateTime.compare(zonedNow, start) >= 0 &&
+            Temporal.ZonedDateTime.compare(zonedNow, end) < 0)
+            return end.epochMilliseconds;
+        return null;
+    } else {
+        // quiet period spanning midnight, e.g. 22:00 to 07:00
+        if (Temporal.ZonedDateTime.compare(zonedNow, start) >= 0)
+            return end.add({ days: 1 }).epochMilliseconds;
+        if (Temporal.ZonedDateTime.compare(zonedNow, end) < 0)
+            return end.epochMilliseconds;
+        return null;
+    }
+}
+
+interface AppState {
+    app : AppExecutor;
+    policyKey : string;
+    rateLimiter : RateLimiter|null;
+    buffer : BufferedNotification[];
+    // the IDs of the rows storing the buffered notifications, in the same order
+    rowIds : string[];
+    flushTime : number;
+    timer : NodeJS.Timeout|null;
+    // the app was removed, so the state is dropped after the next flush
+    removed : boolean;
+}
+
+export type PolicyLookup = (app : AppExecutor) => NotificationPolicy|undefined;
+export type AppLookup = (appId : string) => AppExecutor|undefined;
+export type BatchDelivery = (app : AppExecutor, batch : BufferedNotification[]) => Promise<void>;
+
+/**
+ * Apply {@link NotificationPolicy} to the notifications from running apps.
+ *
+ * Notifications that cannot be delivered immediately are buffered per app, and
+ * handed back to the delivery callback as a single batch at a later time.
+ *
+ * Buffered notifications are stored in the `notification_queue` table, so they
+ * survive a restart of the engine. Like in the {@link NotificationQueue}, the
+ * result values are stored as JSON.
+ */
+export default class NotificationThrottler {
+    private _db : LocalTable<NotificationQueueRow>;
+    private _getPolicy : PolicyLookup;
+    private _getTimezone : () => string;
+    private _lookupApp : AppLookup;
+    private _deliver : BatchDelivery;
+    private _apps : Map<string, AppState>;
+
+    constructor(db : LocalTable<NotificationQueueRow>,
+                getPolicy : PolicyLookup,
+                getTimezone : () => string,
+                lookupApp : AppLookup,
+                deliver : BatchDelivery) {
+        this._db = db;
+        this._getPolicy = getPolicy;
+        this._getTimezone = getTimezone;
+        this._lookupApp = lookupApp;
+        this._deliver = deliver;
+        this._apps = new Map;
+    }
+
+    /**
+     * Load the notifications that were buffered before the engine was stopped,
+     * and schedule their delivery.
+     */
+    async start() {
+        const rows = await this._db.getBy('status', HELD_STATUS);
+        rows.sort((a, b) => a.created - b.created);
+        for (const row of rows) {
+            const app = this._lookupApp(row.appId);
+            if (!app) {
+                // the app was deleted while the engine was stopped
+                await this._db.deleteOne(row.uniqueId);
+                continue;
+            }
+
+            const state = this._getState(app, this._getPolicy(app) || {});
+            state.buffer.push(JSON.parse(row.payload));
+            state.rowIds.push(row.uniqueId);
+            this._scheduleFlush(app, state, row.nextAttempt);
+        }
+    }
+
+    private _getState(app : AppExecutor, policy : NotificationPolicy) {
+        const policyKey = JSON.stringify(policy);
+        let state = this._apps.get(app.uniqueId);
+        if (!state) {
+            state = {
+                app,
+                policyKey: '',
+                rateLimiter: null,
+                buffer: [],
+                rowIds: [],
+                flushTime: 0,
+                timer: null,
+                removed: false,
+            };
+            this._apps.set(app.uniqueId, state);
+        }
+        state.app = app;
+        if (state.policyKey !== policyKey) {
+            state.policyKey = policyKey;
+            state.rateLimiter = policy.rateLimit ? new RateLimiter(policy.rateLimit.max, policy.rateLimit.interval) : null;
+        }
+        return state;
+    }
+
+    private async _hold(app : AppExecutor, state : AppState, notification : BufferedNotification, flushTime : number) {
+        const now = Date.now();
+        const row : NotificationQueueRow = {
+            uniqueId: 'uuid-' + uuid.v4(),
+            appId: app.uniqueId,
+            // the backend is chosen when the digest is delivered
+            backend: '',
+            kind: 'digest',
+            payload: JSON.stringify(notification),
+            config: null,
+            status: HELD_STATUS,
+            attempts: 0,
+            nextAttempt: flushTime,
+            lastError: null,
+            created: now,
+        };
+        // save the notification before it can be flushed, so the row is
+        // never deleted before it is inserted
+        await this._db.insertOne(row.uniqueId, row);
+        state.buffer.push(notification);
+        state.rowIds.push(row.uniqueId);
+        this._scheduleFlush(app, state, flushTime);
+    }
+
+    private _scheduleFlush(app : AppExecutor, state : AppState, flushTime : number) {
+        // if a flush is already scheduled earlier, keep it
+        if (state.timer && state.flushTime <= flushTime)
+            return;
+        if (state.timer)
+            clearTimeout(state.timer);
+
+        state.flushTime = flushTime;
+        state.timer = setTimeout(() => {
+            state.timer = null;
+            this._flush(app, state).catch((e) => {
+                console.error(`Failed to deliver notification digest for ${app.uniqueId}: ${e.message}`);
+            });
+        }, Math.max(0, flushTime - Date.now()));
+    }
+
+    private async _flush(app : AppExecutor, state : AppState) {
+        if (state.buffer.length > 0) {
+            // if we're (still, or again) in quiet hours, wait until they end
+            const policy = this._getPolicy(app);
+            if (policy && policy.quietHours) {
+                const quietEnd = getQuietHoursEnd(policy.quietHours, this._getTimezone(), Date.now());
+                if (quietEnd !== null) {
+                    this._scheduleFlush(app, state, quietEnd);
+                    return;
+                }
+            }
+
+            const batch = state.buffer;
+            const rowIds = state.rowIds;
+            state.buffer = [];
+            state.rowIds = [];
+            await this._deliver(app, batch);
+            await Promise.all(rowIds.map((id) => this._db.deleteOne(id)));
+        }
+
+        if (state.removed && state.buffer.length === 0 && !state.timer)
+            this._apps.delete(app.uniqueId);
+    }
+
+    /**
+     * Check whether a new notification can be delivered now.
+     *
+     * If this method returns `false`, the notification has been buffered and
+     * will be delivered later as part of a batch.
+     */
+    async shouldDeliverNow(app : AppExecutor, outputType : string, outputValue : Record<string, unknown>) : Promise<boolean> {
+        const policy = this._getPolicy(app);
+        if (!policy)
+            return true;
+
+        const state = this._getState(app, policy);
+        const now = Date.now();
+
+        if (policy.quietHours) {
+            const quietEnd = getQuietHoursEnd(policy.quietHours, this._getTimezone(), now);
+            if (quietEnd !== null) {
+                await this._hold(app, state, { outputType, outputValue }, quietEnd);
+                return false;
+            }
+        }
+
+        if (policy.digestInterval) {
+            await this._hold(app, state, { outputType, outputValue }, now + policy.digestInterval);
+            return false;
+        }
+
+        if (state.rateLimiter && !state.rateLimiter.hit()) {
+            await this._hold(app, state, { outputType, outputValue }, now + policy.rateLimit!.interval);
+            return false;
+        }
+
+        return true;
+    }
+
+    /**
+     * Forget the state of an app that was removed.
+     *
+     * Notifications that the app generated before it was removed are still
+     * delivered when the policy allows.
+     */
+    removeApp(app : AppExecutor) {
+        const state = this._apps.get(app.uniqueId);
+        if (!state)
+            return;
+        if (state.buffer.length === 0) {
+            if (state.timer)
+                clearTimeout(state.timer);
+            this._apps.delete(app.uniqueId);
+        } else {
+            state.removed = true;
+        }
+    }
+
+    /**
+     * Stop all timers.
+     *
+     * Buffered notifications are kept in the database, and delivered after
+     * the next {@link start}.
+     */
+    async stop() {
+        for (const state of this._apps.values()) {
+            if (state.timer)
+                clearTimeout(state.timer);
+            state.timer = null;
+        }
+        this._apps.clear();
+    }
+}
@@ -0,0 +1,351 @@
+// -*- mode: typescript; indent-tabs-mode: nil; js-basic-offset: 4 -*-
+//
+// This file is part of Genie
+//
+// Copyright 2022 The Board of Trustees of the Leland Stanford Junior University
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//    http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+import * as Tp from 'thingpedia';
+import * as uuid from 'uuid';
+
+import { LocalTable, NotificationQueueRow } from '../../engine/db';
+import { FORMAT_TYPES } from '../card-output/format_objects';
+
+const DEFAULT_MAX_ATTEMPTS = 8;
+const DEFAULT_RETRY_DELAY = 30000;
+
+export interface NotificationQueueOptions {
+    /**
+     * Number of delivery attempts before a notification is moved to the dead-letter state.
+     */
+    maxAttempts ?: number;
+    /**
+     * Delay before the first retry, in milliseconds; the delay doubles at every retry.
+     */
+    retryDelay ?: number;
+}
+
+export interface NotificationData {
+    appId : string;
+    icon : string|null;
+    raw : Record<string, unknown>;
+    type : string;
+    formatted : Tp.FormatObjects.FormattedObject[];
+}
+
+export interface ErrorNotificationData {
+    appId : string;
+    icon : string|null;
+    error : Error;
+}
+
+/**
+ * Information about a notification that could not be delivered.
+ */
+export interface FailedNotificationInfo {
+    /**
+     * The unique ID of the queued notification.
+     */
+    uniqueId : string;
+    /**
+     * The ID of the app that generated the notification.
+     */
+    appId : string;
+    /**
+     * The ID of the notification backend the notification was addressed to.
+     */
+    backend : string;
+    /**
+     * Whether this was a regular notification or an error report.
+     */
+    kind : 'notification'|'error';
+    /**
+     * The text of the notification, or the error message.
+     */
+    text : string;
+    /**
+     * The number of delivery attempts made.
+     */
+    attempts : number;
+    /**
+     * The error that caused the last delivery attempt to fail.
+     */
+    lastError : string|null;
+    /**
+     * When the notification was generated.
+     */
+    created : Date;
+}
+
+/**
+ * Mark an error thrown by a notification backend as permanent.
+ *
+ * The queue does not retry notifications that fail with a permanent error:
+ * they are moved to the dead-letter state immediately.
+ *
+ * @param error - the error to mark
+ * @return the same error
+ */
+export function markPermanentFailure<T extends Error>(error : T) : T {
+    (error as T & { permanent ?: boolean }).permanent = true;
+    return error;
+}
+
+function isPermanentFailure(error : Error & { permanent ?: boolean }) {
+    return error.permanent === true;
+}
+
+export type BackendLookup = (backendId : string) => Tp.Capabilities.NotificationBackend|undefined;
+type DeliveryFunction = (backend : Tp.Capabilities.NotificationBackend) => Promise<void>;
+
+function rehydrateFormatted(formatted : Array<Record<string, unknown>>) : Tp.FormatObjects.FormattedObject[] {
+    return formatted.map((obj) => {
+        const klass = FORMAT_TYPES[obj.type as keyof typeof FORMAT_TYPES] as any;
+        return new klass(obj);
+    });
+}
+
+/**
+ * A persistent queue of notifications addressed to notification backends.
+ *
+ * Every notification is saved to the `notification_queue` table before
+ * delivery is attempted, and removed once the backend accepts it. If the
+ * backend fails, delivery is retried with exponential backoff; after
+ * too many failures, or after a failure that the backend marked with
+ * {@link markPermanentFailure}, the notification is kept in the dead-letter
+ * ("failed") state until it is explicitly replayed or deleted.
+ *
+ * Pending notifications survive a restart of the engine.
+ *
+ * Note that the raw result values are stored as JSON, so after a restart
+ * backends receive them as plain objects rather than {@link Tp.Value} instances.
+ */
+export default class NotificationQueue {
+    private _db : LocalTable<NotificationQueueRow>;
+    private _locale : string;
+    private _lookupBackend : BackendLookup;
+    private _maxAttempts : number;
+    private _retryDelay : number;
+    private _timers : Map<string, NodeJS.Timeout>;
+    private _stopped : boolean;
+
+    constructor(db : LocalTable<NotificationQueueRow>,
+                locale : string,
+                lookupBackend : BackendLookup,
+                options : NotificationQueueOptions = {}) {
+        this._db = db;
+        this._locale = locale;
+        this._lookupBackend = lookupBackend;
+        this._maxAttempts = options.maxAttempts ?? DEFAULT_MAX_ATTEMPTS;
+        this._retryDelay = options.retryDelay ?? DEFAULT_RETRY_DELAY;
+        this._timers = new Map;
+        this._stopped = true;
+    }
+
+    async start() {
+        this._stopped = false;
+
+        const pending = await this._db.getBy('status', 'pending');
+        for (const row of pending)
+            this._schedule(row);
+    }
+
+    async stop() {
+        this._stopped = true;
+        for (const timer of this._timers.values())
+            clearTimeout(timer);
+        this._timers.clear();
+    }
+
+    /**
+     * Queue a new notification for delivery, and attempt to deliver it immediately.
+     */
+    async enqueueNotification(backendId : string, data : NotificationData, config : Record<string, string>|undefined) {
+        await this._enqueue(backendId, data.appId, 'notification', {
+            icon: data.icon,
+            raw: data.raw,
+            type: data.type,
+            formatted: data.formatted,
+        }, config, (backend) => backend.notify(data, config));
+    }
+
+    /**
+     * Queue a new error report for delivery, and attempt to deliver it immediately.
+     */
+    async enqueueError(backendId : string, data : ErrorNotificationData, config : Record<string, string>|undefined) {
+        await this._enqueue(backendId, data.appId, 'error', {
+            icon: data.icon,
+            error: {
+                name: data.error.name,
+                code: (data.error as Error & { code ?: unknown }).code,
+                message: data.error.message
+            }
+        }, config, (backend) => backend.notifyError(data, config));
+    }
+
+    private async _enqueue(backendId : string, appId : string, kind : 'notification'|'error',
+                           payload : Record<string, unknown>, config : Record<string, string>|undefined,
+                           send : DeliveryFunction) {
+        const now = Date.now();
+        const row : NotificationQueueRow = {
+            uniqueId: 'uuid-' + uuid.v4(),
+            appId,
+            backend: backendId,
+            kind,
+            payload: JSON.stringify(payload),
+            config: config ? JSON.stringify(config) : null,
+            status: 'pending',
+            attempts: 0,
+            nextAttempt: now,
+            lastError: null,
+            created: now,
+        };
+        await this._db.insertOne(row.uniqueId, row);
+
+        // the first attempt uses the original objects rather than the
+        // serialized ones, so backends see the same values as live API clients
+        await this._deliver(row, send);
+    }
+
+    private _schedule(row : NotificationQueueRow) {
+        if (this._stopped)
+            return;
+
+        const existing = this._timers.get(row.uniqueId);
+        if (existing)
+            clearTimeout(existing);
+
+        const timer = setTimeout(() => {
+            this._timers.delete(row.uniqueId);
+            this._deliver(row).catch((e) => {
+                console.error(`Unexpected error delivering notification ${row.uniqueId}: ${e.message}`);
+            });
+        }, Math.max(0, row.nextAttempt - Date.now()));
+        this._timers.set(row.uniqueId, timer);
+    }
+
+    private async _attempt(row : NotificationQueueRow, send ?: DeliveryFunction) {
+        const backend = this._lookupBackend(row.backend);
+        if (!backend)
+            throw new Error(`Notification backend ${row.backend} is not available`);
+        if (send) {
+            await send(backend);
+            return;
+        }
+
+        const payload = JSON.parse(row.payload);
+        const config = row.config ? JSON.parse(row.config) : undefined;
+        if (row.kind === 'error') {
+            const error = new Error(payload.error.message);
+            error.name = payload.error.name;
+            if (payload.error.code !== undefined)
+                (error as Error & { code ?: unknown }).code = payload.error.code;
+            await backend.notifyError({ appId: row.appId, icon: payload.icon, error }, config);
+        } else {
+            await backend.notify({
+                appId: row.appId,
+                icon: payload.icon,
+                raw: payload.raw,
+                type: payload.type,
+                formatted: rehydrateFormatted(payload.formatted)
+            }, config);
+        }
+    }
+
+    private async _deliver(row : NotificationQueueRow, send ?: DeliveryFunction) {
+        try {
+            await this._attempt(row, send);
+        } catch(e) {
+            row.attempts += 1;
+            row.lastError = e.message || String(e);
+            if (isPermanentFailure(e) || row.attempts >= this._maxAttempts) {
+                console.error(`Giving up on notification ${row.uniqueId} to ${row.backend} after ${row.attempts} attempts: ${row.lastError}`);
+                row.status = 'failed';
+            } else {
+                console.log(`Failed to deliver notification ${row.uniqueId} to ${row.backend}, will retry: ${row.lastError}`);
+                row.nextAttempt = Date.now() + this._retryDelay * Math.pow(2, row.attempts - 1);
+            }
+            await this._db.insertOne(row.uniqueId, row);
+            if (row.status === 'pending')
+                this._schedule(row);
+            return;
+        }
+
+        await this._db.deleteOne(row.uniqueId);
+    }
+
+    private _toInfo(row : NotificationQueueRow) : FailedNotificationInfo {
+        const payload = JSON.parse(row.payload);
+        let text;
+        if (row.kind === 'error')
+            text = payload.error.message;
+        else
+            text = rehydrateFormatted(payload.formatted).map((x) => x.toLocaleString(this._locale)).join('\n');
+
+        return {
+            uniqueId: row.uniqueId,
+            appId: row.appId,
+            backend: row.backend,
+            kind: row.kind as 'notification'|'error',
+            text,
+            attempts: row.attempts,
+            lastError: row.lastError,
+            created: new Date(row.created),
+        };
+    }
+
+    /**
+     * Return all notifications in the dead-letter state.
+     */
+    async getFailed() : Promise<FailedNotificationInfo[]> {
+        const rows = await this._db.getBy('status', 'failed');
+        rows.sort((a, b) => a.created - b.created);
+        return rows.map((row) => this._toInfo(row));
+    }
+
+    /**
+     * Attempt again to deliver a notification in the dead-letter state.
+     *
+     * The notification gets a fresh set of retries.
+     *
+     * @param uniqueId - the ID of the failed notification
+     * @return `true` if the notification was found, `false` otherwise
+     */
+    async replay(uniqueId : string) : Promise<boolean> {
+        const row = await this._db.getOne(uniqueId);
+        if (!row || row.status !== 'failed')
+            return false;
+
+        row.status = 'pending';
+        row.attempts = 0;
+        row.nextAttempt = Date.now();
+        await this._db.insertOne(row.uniqueId, row);
+        await this._deliver(row);
+        return true;
+    }
+
+    /**
+     * Permanently delete a notification in the dead-letter state.
+     *
+     * @param uniqueId - the ID of the failed notification
+     * @return `true` if the notification was found, `false` otherwise
+     */
+    async discard(uniqueId : string) : Promise<boolean> {
+        const row = await this._db.getOne(uniqueId);
+        if (!row || row.status !== 'failed')
+            return false;
+        await this._db.deleteOne(uniqueId);
+        return true;
+    }
+}
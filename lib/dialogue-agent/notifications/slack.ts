@@ -0,0 +1,142 @@
+// -*- mode: typescript; indent-tabs-mode: nil; js-basic-offset: 4 -*-
+//
+// This file is part of Genie
+//
+// Copyright 2022 The Board of Trustees of the Leland Stanford Junior University
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//    http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+import * as Tp from 'thingpedia';
+import interpolate from 'string-interp';
+
+import type Engine from '../../engine';
+import { postJSON } from './http-utils';
+
+interface SlackConfig {
+    /**
+     * The incoming webhook URL.
+     */
+    url : string;
+    /**
+     * Override the channel configured in the webhook.
+     */
+    channel ?: string;
+    /**
+     * Override the name of the bot posting the message.
+     */
+    username ?: string;
+    /**
+     * Override the avatar of the bot posting the message.
+     */
+    iconUrl ?: string;
+}
+
+interface SlackAttachment {
+    fallback : string;
+    title ?: string;
+    title_link ?: string;
+    text ?: string;
+    image_url ?: string;
+}
+
+/**
+ * A notification backend that posts to a Slack-compatible incoming webhook.
+ *
+ * The same payload format is understood by Slack, Mattermost and Rocket.Chat.
+ * Text is sent as the message body, while links and pictures become
+ * attachments, which all three services render natively.
+ */
+export default class SlackNotificationBackend implements Tp.Capabilities.NotificationBackend {
+    private _engine : Engine;
+    private _platform : Tp.BasePlatform;
+    private _url : string;
+    private _channel : string|undefined;
+    private _username : string|undefined;
+    private _iconUrl : string|undefined;
+    name = 'Slack';
+    uniqueId = 'slack';
+
+    constructor(engine : Engine, config : SlackConfig) {
+        this._engine = engine;
+        this._platform = engine.platform;
+        this._url = config.url;
+        this._channel = config.channel;
+        this._username = config.username;
+        this._iconUrl = config.iconUrl;
+    }
+
+    get requiredSettings() {
+        return {};
+    }
+
+    private async _post(text : string, attachments : SlackAttachment[], config ?: Record<string, string>) {
+        const url = config && config.url ? config.url : this._url;
+        const payload : Record<string, unknown> = { text };
+        if (attachments.length > 0)
+            payload.attachments = attachments;
+        const channel = config && config.channel ? config.channel : this._channel;
+        if (channel)
+            payload.channel = channel;
+        if (this._username)
+            payload.username = this._username;
+        if (this._iconUrl)
+            payload.icon_url = this._iconUrl;
+
+        await postJSON(url, JSON.stringify(payload), {});
+    }
+
+    async notify(data : {
+        appId : string;
+        icon : string|null;
+        raw : Record<string, unknown>;
+        type : string;
+        formatted : Tp.FormatObjects.FormattedObject[]
+    }, config ?: Record<string, string>) {
+        const lines : string[] = [];
+        const attachments : SlackAttachment[] = [];
+        for (const msg of data.formatted) {
+            const fallback = msg.toLocaleString(this._platform.locale);
+            if (msg.type === 'text') {
+                lines.push(msg.text);
+            } else if (msg.type === 'picture') {
+                attachments.push({ fallback, image_url: msg.url });
+            } else if (msg.type === 'rdl') {
+                attachments.push({
+                    fallback,
+                    title: msg.displayTitle,
+                    title_link: msg.webCallback,
+                    text: msg.displayText,
+                    image_url: msg.pictureUrl
+                });
+            } else {
+                lines.push(fallback);
+            }
+        }
+
+        await this._post(lines.join('\n'), attachments, config);
+    }
+
+    async notifyError(data : {
+        appId : string;
+        icon : string|null;
+        error : Error
+    }, config ?: Record<string, string>) {
+        const text = interpolate(this._engine._("Sorry, that did not work: ${error}."), {
+            error: data.error.message
+        }, {
+            locale: this._platform.locale,
+            timezone: this._platform.timezone
+        })!;
+        await this._post(text, [], config);
+    }
+}
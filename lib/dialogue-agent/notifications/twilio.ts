@@ -22,6 +22,15 @@ import * as Tp from 'thingpedia';
 import * as twilio from 'twilio';
 
 import type Engine from '../../engine';
+import { markPermanentFailure } from './queue';
+
+// Twilio rejects messages that can never be delivered (e.g. the recipient
+// replied STOP, error 21610, or the number is invalid, error 21211) with a
+// client error; other client errors (e.g. bad credentials) also need a
+// change of configuration before the message can be sent
+function isPermanentFailure(error : Error & { status ?: unknown }) {
+    return typeof error.status === 'number' && error.status >= 400 && error.status < 500 && error.status !== 429;
+}
 
 interface TwilioConfig {
     accountSid : string;
@@ -73,8 +82,12 @@ export default class TwilioNotificationBackend implements Tp.Capabilities.Notifi
                 to, from: this._from, body
             });
         } catch(e) {
-            // can happen e.g. if unsubscribed
+            // rethrow so the notification queue can retry the message later,
+            // unless retrying cannot help
             console.error(`Failed to send SMS to ${to}: ${e.message}`);
+            if (isPermanentFailure(e))
+                markPermanentFailure(e);
+            throw e;
         }
     }
 
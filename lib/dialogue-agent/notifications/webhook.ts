@@ -0,0 +1,119 @@
+// -*- mode: typescript; indent-tabs-mode: nil; js-basic-offset: 4 -*-
+//
+// This file is part of Genie
+//
+// Copyright 2022 The Board of Trustees of the Leland Stanford Junior University
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//    http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+import * as crypto from 'crypto';
+import * as Tp from 'thingpedia';
+import * as uuid from 'uuid';
+
+import type Engine from '../../engine';
+import { postJSON } from './http-utils';
+
+interface WebhookConfig {
+    url : string;
+    /**
+     * Shared secret used to sign the payload; if omitted, the payload is not signed.
+     */
+    secret ?: string;
+}
+
+/**
+ * Compute the signature of a webhook payload.
+ *
+ * The signature is the hex-encoded HMAC-SHA256 of the timestamp and the
+ * body, separated by a dot, keyed by the shared secret. It is sent in the
+ * `X-Genie-Signature` header, prefixed by `sha256=`.
+ */
+export function signPayload(secret : string, timestamp : string, body : string) {
+    const hmac = crypto.createHmac('sha256', secret);
+    hmac.update(timestamp + '.' + body);
+    return 'sha256=' + hmac.digest('hex');
+}
+
+/**
+ * A notification backend that POSTs a JSON payload to a generic HTTP endpoint.
+ *
+ * Every request carries a unique `X-Genie-Delivery` ID and a `X-Genie-Timestamp`.
+ * If a secret is configured, the request is also signed with {@link signPayload}.
+ */
+export default class WebhookNotificationBackend implements Tp.Capabilities.NotificationBackend {
+    private _platform : Tp.BasePlatform;
+    private _url : string;
+    private _secret : string|undefined;
+    name = 'Webhook';
+    uniqueId = 'webhook';
+
+    constructor(engine : Engine, config : WebhookConfig) {
+        this._platform = engine.platform;
+        this._url = config.url;
+        this._secret = config.secret;
+    }
+
+    get requiredSettings() {
+        return {};
+    }
+
+    private async _post(payload : Record<string, unknown>, config ?: Record<string, string>) {
+        const url = config && config.url ? config.url : this._url;
+        const body = JSON.stringify(payload);
+        const timestamp = String(Date.now());
+
+        const headers : Record<string, string> = {
+            'X-Genie-Delivery': uuid.v4(),
+            'X-Genie-Timestamp': timestamp,
+        };
+        if (this._secret)
+            headers['X-Genie-Signature'] = signPayload(this._secret, timestamp, body);
+
+        await postJSON(url, body, headers);
+    }
+
+    async notify(data : {
+        appId : string;
+        icon : string|null;
+        raw : Record<string, unknown>;
+        type : string;
+        formatted : Tp.FormatObjects.FormattedObject[]
+    }, config ?: Record<string, string>) {
+        await this._post({
+            event: 'notification',
+            appId: data.appId,
+            icon: data.icon,
+            type: data.type,
+            raw: data.raw,
+            formatted: data.formatted,
+            text: data.formatted.map((x) => x.toLocaleString(this._platform.locale)).join('\n'),
+        }, config);
+    }
+
+    async notifyError(data : {
+        appId : string;
+        icon : string|null;
+        error : Error
+    }, config ?: Record<string, string>) {
+        await this._post({
+            event: 'error',
+            appId: data.appId,
+            icon: data.icon,
+            error: {
+                name: data.error.name,
+                code: (data.error as Error & { code ?: unknown }).code,
+                message: data.error.message
+            }
+        }, config);
+    }
+}
@@ -40,6 +40,22 @@ interface ErrorWithCode extends Error {
     code ?: unknown;
 }
 
+/**
+ * An action that was executed in this conversation, and that the user
+ * might want to undo.
+ */
+export interface ExecutedAction {
+    /**
+     * The statement that was executed.
+     */
+    stmt : Ast.ExpressionStatement;
+    /**
+     * The statement that reverts the effects of the action, or `null` if the
+     * action cannot be undone.
+     */
+    compensation : Ast.ExpressionStatement|null;
+}
+
 /**
  * Run the dialogue, executing ThingTalk and invoking the policy at the
  * right time.
@@ -47,10 +63,26 @@ interface ErrorWithCode extends Error {
 export default class InferenceStatementExecutor {
     private _engine : Engine;
     private _conversationId : string;
+    private _lastAction : ExecutedAction|null;
 
     constructor(engine : Engine, conversationId : string) {
         this._engine = engine;
         this._conversationId = conversationId;
+        this._lastAction = null;
+    }
+
+    /**
+     * The last action that was executed successfully in this conversation.
+     */
+    get lastAction() : ExecutedAction|null {
+        return this._lastAction;
+    }
+
+    /**
+     * Restore the last action, when the conversation is restored.
+     */
+    set lastAction(action : ExecutedAction|null) {
+        this._lastAction = action;
     }
 
     private _getType(schema : Ast.FunctionDef, key : string) {
@@ -193,6 +225,79 @@ export default class InferenceStatementExecutor {
             errors: errorValue ? [errorValue.toJS()] : [],
             icon: app.icon,
         };
+        if (!error && stmt.expression.schema.functionType === 'action')
+            await this._recordAction(stmt, results);
         return [resultList, rawResults, newProgramRecord, undefined, { impl: annotations }];
     }
+
+    private async _recordAction(stmt : Ast.ExpressionStatement, results : Ast.DialogueHistoryResultItem[]) {
+        let compensation = null;
+        try {
+            compensation = await this._makeCompensation(stmt, results);
+        } catch(e) {
+            console.error(`Failed to compute the compensation of ${stmt.prettyprint()}`, e);
+        }
+        this._lastAction = { stmt, compensation };
+    }
+
+    /**
+     * Compute the statement that reverts an action, using the action declared
+     * in the `#[compensation]` annotation of the function.
+     *
+     * The parameters of the compensating action are filled from the results of the
+     * original action (e.g. the ID of the event created by `create_event`), or from
+     * the parameters of the same name that were passed to the original action.
+     */
+    private async _makeCompensation(stmt : Ast.ExpressionStatement, results : Ast.DialogueHistoryResultItem[]) {
+        // actions that depend on the results of a query cannot be undone,
+        // because their parameters are not known in advance
+        let expression : Ast.Expression = stmt.expression;
+        if (expression instanceof Ast.ChainExpression && expression.expressions.length === 1)
+            expression = expression.expressions[0];
+        if (!(expression instanceof Ast.InvocationExpression))
+            return null;
+        const invocation = expression.invocation;
+        const compensationName = invocation.schema!.getImplementationAnnotation<string>('compensation');
+        if (!compensationName)
+            return null;
+
+        const schema = await this._engine.schemas.getSchemaAndNames(invocation.selector.kind, 'action', compensationName);
+        const outputs = results.length > 0 ? results[0].value : {};
+        const inParams : Ast.InputParam[] = [];
+        for (const arg of schema.iterateArguments()) {
+            if (!arg.is_input)
+                continue;
+            let value : Ast.Value|undefined = outputs[arg.name];
+            if (value === undefined)
+                value = invocation.in_params.find((p) => p.name === arg.name)?.value;
+            if (value !== undefined) {
+                inParams.push(new Ast.InputParam(null, arg.name, value.clone()));
+            } else if (arg.required) {
+                console.error(`Cannot compute parameter ${arg.name} of the compensation of ${invocation.selector.kind}:${invocation.channel}`);
+                return null;
+            }
+        }
+
+        const compensation = new Ast.ExpressionStatement(null, new Ast.InvocationExpression(null,
+            new Ast.Invocation(null, invocation.selector.clone(), compensationName, inParams, null), null));
+        await new Ast.Program(null, [], [], [compensation]).typecheck(this._engine.schemas, true);
+        return compensation;
+    }
+
+    /**
+     * Revert the last action executed in this conversation, by executing its
+     * compensating action.
+     *
+     * @return the result of the compensating action
+     */
+    async undoLastAction() : Promise<Ast.DialogueHistoryResultList> {
+        const action = this._lastAction;
+        assert(action && action.compensation);
+        const [resultList] = await this.executeStatement(action.compensation.clone(), undefined, undefined);
+        // the compensation cannot be undone in turn; if it failed,
+        // the original action is still recorded, and the user can try again
+        if (!resultList.error)
+            this._lastAction = null;
+        return resultList;
+    }
 }
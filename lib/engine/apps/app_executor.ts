@@ -26,8 +26,12 @@ import { Syntax, Compiler as AppCompiler, Ast } from 'thingtalk';
 import RuleExecutor from './rule_executor';
 import type ExecWrapper from './exec_wrapper';
 import { ChannelState } from './channel_state_binder';
+import type { AppHistoryEvent, AppHistoryDetails } from './history';
+import type { ActiveWindow } from './schedule';
+import { DryRunMode, RecordedAction, makeDryRunProgram } from './dry_run';
 
 import type Engine from '../index';
+import type { NotificationPolicy } from '../../dialogue-agent/notifications/policy';
 
 interface ResultItem {
     outputType : string;
@@ -94,6 +98,7 @@ class NotificationOutputDelegate {
 interface NotificationConfig {
     backend : string;
     config : Record<string, string>;
+    policy ?: NotificationPolicy;
 }
 
 export interface AppMeta {
@@ -102,6 +107,10 @@ export interface AppMeta {
     description ?: string;
     notifications ?: NotificationConfig;
     startTime : number;
+    paused ?: boolean;
+    activeWindow ?: ActiveWindow;
+    expiration ?: number;
+    dryRun ?: DryRunMode;
 }
 
 /**
@@ -137,6 +146,11 @@ export default class AppExecutor extends events.EventEmitter {
 
     startTime : number;
 
+    /**
+     * The actions this app would have invoked, if it is a dry run.
+     */
+    recordedActions : RecordedAction[];
+
     /**
      * Whether this app is running.
      *
@@ -215,12 +229,53 @@ export default class AppExecutor extends events.EventEmitter {
         this.notifications = meta.notifications;
 
         this.startTime = meta.startTime;
+        this.recordedActions = [];
     }
 
     get metadata() : AppMeta {
         return this._meta;
     }
 
+    /**
+     * Whether this app was paused by the user.
+     *
+     * A paused app is not running, but it is not deleted either, and
+     * it stays paused after a restart.
+     */
+    get isPaused() : boolean {
+        return !!this._meta.paused;
+    }
+    setPaused(paused : boolean) {
+        if (paused)
+            this._meta.paused = true;
+        else
+            delete this._meta.paused;
+    }
+
+    /**
+     * The period of the week when this app is allowed to run, if any.
+     */
+    get activeWindow() : ActiveWindow|undefined {
+        return this._meta.activeWindow;
+    }
+
+    /**
+     * When this app is automatically deleted, in milliseconds since the epoch, if ever.
+     */
+    get expiration() : number|undefined {
+        return this._meta.expiration;
+    }
+
+    /**
+     * How this app is executed without side effects, if it is a dry run.
+     *
+     * A dry run app executes all its rules once, immediately, as part of
+     * its command, and is never saved.
+     */
+    get dryRun() : DryRunMode|undefined {
+        return this._meta.dryRun;
+    }
+
     private _updateNameDescription(name : string|undefined, description : string|undefined) {
         if (name)
             this.name = name;
@@ -245,9 +300,24 @@ export default class AppExecutor extends events.EventEmitter {
         this._error = e;
     }
     reportError(error : Error) {
+        this.recordHistory('error', { message: error.message || String(error) });
         this._notificationOutput.error(error);
     }
 
+    /**
+     * Record an event in the execution history of this app.
+     *
+     * @param {AppHistoryEvent} event - what happened
+     * @param {AppHistoryDetails} details - additional information about the event
+     */
+    recordHistory(event : AppHistoryEvent, details ?: AppHistoryDetails) {
+        // apps that failed before being assigned an ID have no history,
+        // and dry runs leave no trace
+        if (this.uniqueId === undefined || this.dryRun)
+            return;
+        this.engine.apps.history.record(this.uniqueId, event, details);
+    }
+
     get hasRule() {
         return this.rules.length > 0;
     }
@@ -284,6 +354,9 @@ export default class AppExecutor extends events.EventEmitter {
      * On failure, this method will set {@link AppExecutor.error}.
      */
     async compile() : Promise<void> {
+        // a dry run executes a different program, without rules
+        if (this.dryRun)
+            this.program = await makeDryRunProgram(this.program, this.engine.schemas);
         const compiled = await this.compiler.compileProgram(this.program);
 
         if (compiled.command)
@@ -296,6 +369,7 @@ export default class AppExecutor extends events.EventEmitter {
                 this._finishedRules.add(executor);
                 if (this._finishedRules.size === this.rules.length) {
                     console.log(`All rules in ${this.uniqueId} finished, removing self`);
+                    this.recordHistory('finish');
                     this._finished = true;
                     this.removeSelf();
                 }
@@ -353,6 +427,8 @@ export default class AppExecutor extends events.EventEmitter {
      * Start execution of this app in background.
      */
     async start() {
+        if (this.rules.length > 0)
+            this.recordHistory('start');
         await Promise.all(this.rules.map((r) => r.start()));
     }
 
@@ -364,6 +440,20 @@ export default class AppExecutor extends events.EventEmitter {
      * permanently, use {@link AppDatabase.removeApp} or {@link AppExecutor.removeSelf}.
      */
     async stop() {
+        if (this.rules.length > 0)
+            this.recordHistory('stop');
         await Promise.all(this.rules.map((r) => r.stop()));
     }
+
+    /**
+     * Change the timezone of this app.
+     *
+     * Rules that are waiting on a timer are rescheduled to fire at
+     * the same time of day in the new timezone.
+     */
+    setTimezone(timezone : string) {
+        this.compiler = new AppCompiler(this.engine.schemas, timezone);
+        for (const rule of this.rules)
+            rule.setTimezone(timezone);
+    }
 }
@@ -28,14 +28,23 @@ import { Describer, getProgramName } from '../../utils/thingtalk/describe';
 import * as I18n from '../../i18n';
 
 import AppExecutor, { AppMeta } from './app_executor';
+import AppHistory from './history';
+import { ActiveWindow, validateActiveWindow } from './schedule';
+import type { DryRunMode } from './dry_run';
 
 import type Engine from '../index';
 import { LocalTable, AppRow } from '../db';
+import { NotificationPolicy, validateNotificationPolicy } from '../../dialogue-agent/notifications/policy';
 
 /**
  * The collection of all running and configured ThingTalk programs.
  */
 export default class AppDatabase extends events.EventEmitter {
+    /**
+     * The execution history of all apps.
+     */
+    readonly history : AppHistory;
+
     private _apps : Record<string, AppExecutor>;
     private _engine : Engine;
     private _platform : Tp.BasePlatform;
@@ -56,6 +65,7 @@ export default class AppDatabase extends events.EventEmitter {
         this._engine = engine;
         this._platform = engine.platform;
         this._db = engine.db.getLocalTable('app');
+        this.history = new AppHistory(engine.db.getLocalTable('app_history'));
     }
 
     private _getAll() : Promise<AppRow[]> {
@@ -100,8 +110,17 @@ export default class AppDatabase extends events.EventEmitter {
             notifications ?: {
                 backend : string;
                 config : Record<string, string>;
+                policy ?: NotificationPolicy;
             };
+            activeWindow ?: ActiveWindow;
+            expiration ?: number;
+            dryRun ?: boolean|DryRunMode;
         } = {}) {
+        if (options.activeWindow !== undefined)
+            validateActiveWindow(options.activeWindow);
+        if (options.notifications && options.notifications.policy !== undefined)
+            validateNotificationPolicy(options.notifications.policy);
+
         const uniqueId = options.uniqueId || 'uuid-' + uuid.v4();
 
         const name = options.name || getProgramName(program);
@@ -144,9 +163,38 @@ export default class AppDatabase extends events.EventEmitter {
         const icon = options.icon || getProgramIcon(program);
         const conversation = options.conversation;
         const notifications = options.notifications;
+        const activeWindow = options.activeWindow;
+        const expiration = options.expiration;
         const startTime = (new Date()).getTime();
 
-        return this._loadOneApp(program.prettyprint(), { icon, conversation, notifications, startTime }, uniqueId, name, description, true);
+        if (options.dryRun) {
+            const dryRun = options.dryRun === true ? 'record' : options.dryRun;
+            return this._runDryApp(program.prettyprint(), { icon, conversation, notifications, startTime, dryRun }, uniqueId, name, description);
+        }
+
+        return this._loadOneApp(program.prettyprint(), { icon, conversation, notifications, startTime, activeWindow, expiration }, uniqueId, name, description, true);
+    }
+
+    private async _runDryApp(code : string,
+                             metadata : AppMeta,
+                             uniqueId : string,
+                             name : string,
+                             description : string) {
+        // dry runs are never added to the database: they only execute
+        // their command (which includes all the rules) and go away
+        const app = new AppExecutor(this._engine, code, metadata, name, description);
+        app.uniqueId = uniqueId;
+
+        // let compilation errors (including programs that cannot be dry-run)
+        // propagate to the caller
+        await app.compile();
+
+        app.runCommand().catch((e) => {
+            console.error('Failed to dry-run app: ' + e);
+            app.mainOutput.error(e);
+            app.mainOutput.done();
+        });
+        return app;
     }
 
     private async _loadOneApp(code : string,
@@ -175,6 +223,11 @@ export default class AppDatabase extends events.EventEmitter {
     }
 
     async start() {
+        // expire old history in the background, it is not needed to start the apps
+        this.history.prune().catch((e) => {
+            console.error('Failed to prune app history: ' + e.message);
+        });
+
         await this._getAll().then((rows) => Promise.all(rows.map((row) => {
             const code = row.code;
             const metadata = JSON.parse(row.state);
@@ -229,9 +282,47 @@ export default class AppDatabase extends events.EventEmitter {
 
     async removeApp(app : AppExecutor) {
         await this._removeAppInternal(app.uniqueId!);
+        app.recordHistory('delete');
         await this._deleteOne(app.uniqueId!);
     }
 
+    /**
+     * Pause an app, until it is resumed with {@link AppDatabase.resumeApp}.
+     */
+    async pauseApp(app : AppExecutor) {
+        if (app.isPaused)
+            return;
+        app.setPaused(true);
+        await this.saveApp(app);
+        app.recordHistory('pause');
+        this.emit('app-changed', app);
+    }
+
+    /**
+     * Resume an app previously paused with {@link AppDatabase.pauseApp}.
+     */
+    async resumeApp(app : AppExecutor) {
+        if (!app.isPaused)
+            return;
+        app.setPaused(false);
+        await this.saveApp(app);
+        app.recordHistory('resume');
+        this.emit('app-changed', app);
+    }
+
+    /**
+     * Reschedule all running apps in a new timezone.
+     */
+    setTimezone(timezone : string) {
+        for (const id in this._apps) {
+            const app = this._apps[id];
+            app.setTimezone(timezone);
+            // the active window of the app might have moved
+            if (app.activeWindow)
+                this.emit('app-changed', app);
+        }
+    }
+
     getAllApps() : AppExecutor[] {
         const apps = [];
         for (const id in this._apps)
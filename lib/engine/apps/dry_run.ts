@@ -0,0 +1,199 @@
+// -*- mode: typescript; indent-tabs-mode: nil; js-basic-offset: 4 -*-
+//
+// This file is part of Genie
+//
+// Copyright 2022 The Board of Trustees of the Leland Stanford Junior University
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//    http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+// Execute a ThingTalk program without side effects
+
+import * as Tp from 'thingpedia';
+import { Ast, Runtime, SchemaRetriever } from 'thingtalk';
+
+import {
+    ResultGenerator,
+    SimulationExecEnvironment
+} from '../../dialogue-agent/simulator/simulation_exec_environment';
+import CustomError from '../../utils/custom_error';
+
+import ExecWrapper, { OutputDelegate } from './exec_wrapper';
+import type AppExecutor from './app_executor';
+import type Engine from '../index';
+
+/**
+ * How to execute a program in a dry run.
+ *
+ * - `record`: queries are executed for real, and actions are recorded instead
+ *   of being invoked
+ * - `simulate`: queries and actions are simulated with random data, and actions
+ *   are recorded; nothing is sent to the devices
+ */
+export type DryRunMode = 'record'|'simulate';
+
+/**
+ * An action that a program would have invoked, had it not been a dry run.
+ */
+export interface RecordedAction {
+    /**
+     * The Thingpedia class of the action.
+     */
+    kind : string;
+    /**
+     * The name of the action function.
+     */
+    function : string;
+    /**
+     * The ID of the device the action would be invoked on, or `null` if the
+     * device does not need to be identified (there is only one).
+     */
+    device : string|null;
+    /**
+     * The input parameters of the action.
+     */
+    params : Record<string, unknown>;
+}
+
+function streamToQuery(expr : Ast.Expression) : Ast.Expression|null {
+    // monitors become the query they monitor
+    if (expr instanceof Ast.MonitorExpression)
+        return expr.expression;
+    // timers are removed entirely
+    if (expr instanceof Ast.FunctionCallExpression)
+        return null;
+
+    // go inside filters (including edge filters) and projections
+    if (expr instanceof Ast.FilterExpression || expr instanceof Ast.ProjectionExpression) {
+        const inner = streamToQuery(expr.expression);
+        if (inner === null)
+            return null;
+        const clone = expr.clone();
+        clone.expression = inner;
+        return clone;
+    }
+
+    throw new CustomError('unsupported_dry_run', `Dry runs are not supported for stream ${expr.prettyprint()}`);
+}
+
+/**
+ * Convert a program to the program executed in a dry run.
+ *
+ * In a dry run, every rule is executed once, as if its stream had just
+ * fired: monitors execute the query they monitor, and timers are removed.
+ *
+ * @param program - the program to convert
+ * @param schemas - the schema retriever to typecheck the new program
+ * @return the program without rules
+ */
+export async function makeDryRunProgram(program : Ast.Program, schemas : SchemaRetriever) : Promise<Ast.Program> {
+    // the program might not be typechecked yet, if it was just parsed
+    const clone = await program.clone().typecheck(schemas, true);
+
+    const statements : Ast.TopLevelExecutableStatement[] = [];
+    for (const stmt of clone.statements) {
+        if (!(stmt instanceof Ast.ExpressionStatement) || stmt.stream === null) {
+            statements.push(stmt);
+            continue;
+        }
+
+        const [first, ...rest] = stmt.expression.expressions;
+        const query = streamToQuery(first);
+        const expressions = query !== null ? [query, ...rest] : rest;
+        if (expressions.length > 0)
+            statements.push(new Ast.ExpressionStatement(stmt.location, new Ast.ChainExpression(null, expressions, null)));
+    }
+    clone.statements = statements;
+
+    await clone.typecheck(schemas, true);
+    return clone;
+}
+
+/**
+ * The execution environment of a program in a dry run.
+ *
+ * Actions are recorded in {@link AppExecutor.recordedActions} instead of
+ * being invoked. In `simulate` mode, queries are also simulated.
+ */
+export class DryRunExecWrapper extends ExecWrapper {
+    private _simulation : SimulationExecEnvironment|null;
+
+    constructor(engine : Engine, app : AppExecutor, output : OutputDelegate, mode : DryRunMode) {
+        super(engine, app, output);
+
+        if (mode === 'simulate') {
+            this._simulation = new SimulationExecEnvironment(engine.platform.locale, engine.platform.timezone, engine.schemas, undefined, {
+                rng: Math.random,
+                simulateErrors: false
+            });
+            // seed the simulated results with the values in the program
+            const generator = new ResultGenerator(Math.random, engine.platform.timezone, new Map);
+            for (const slot of app.program.iterateSlots2()) {
+                if (slot instanceof Ast.DeviceSelector)
+                    continue;
+                generator.addCandidate(slot.get());
+            }
+            this._simulation.generator = generator;
+        } else {
+            this._simulation = null;
+        }
+    }
+
+    invokeQuery(kind : string,
+                attrs : Record<string, string>,
+                fname : string,
+                params : Record<string, unknown>,
+                hints : Runtime.CompiledQueryHints) : AsyncIterable<[string, Record<string, unknown>]> {
+        if (this._simulation)
+            return this._simulation.invokeQuery(kind, attrs, fname, params, hints);
+        return super.invokeQuery(kind, attrs, fname, params, hints);
+    }
+
+    invokeDBQuery(kind : string, attrs : Record<string, string>, query : Ast.Program) : AsyncIterable<[string, Record<string, unknown>]> {
+        if (this._simulation)
+            return this._simulation.invokeDBQuery(kind, attrs, query);
+        return super.invokeDBQuery(kind, attrs, query);
+    }
+
+    private async *_skipAction(kind : string,
+                               attrs : Record<string, string>,
+                               fname : string,
+                               params : Record<string, unknown>) : AsyncIterable<[string, Record<string, unknown>]> {
+        // pretend that the action succeeded and returned no result
+        for (const d of this._getDevices(kind, attrs)) {
+            const result : Record<string, unknown> = { ...params };
+            if (d.uniqueId !== d.kind)
+                result.__device = new Tp.Value.Entity(d.uniqueId!, d.name);
+            yield [d.kind + ':action/' + fname, result];
+        }
+    }
+
+    async *invokeAction(kind : string,
+                        attrs : Record<string, string>,
+                        fname : string,
+                        params : Record<string, unknown>) : AsyncIterable<[string, Record<string, unknown>]> {
+        const results = this._simulation ?
+            this._simulation.invokeAction(kind, attrs, fname, params) :
+            this._skipAction(kind, attrs, fname, params);
+
+        for await (const [outputType, result] of results) {
+            const device = result.__device as { value : string }|undefined;
+            this.app.recordedActions.push({
+                kind,
+                function: fname,
+                device: device ? device.value : null,
+                params: { ...params }
+            });
+            yield [outputType, result];
+        }
+    }
+}
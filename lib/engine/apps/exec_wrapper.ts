@@ -143,16 +143,31 @@ export default class ExecWrapper extends Runtime.ExecEnvironment {
         // otherwise just wait for the query/action to end
     }
 
+    /**
+     * Reschedule the timer of this program (if any) in a new timezone.
+     */
+    setTimezone(timezone : string) {
+        if (this._trigger instanceof AtTimer)
+            this._trigger.setTimezone(timezone);
+    }
+
     stopTrigger() {
-        if (this._trigger)
+        if (this._trigger) {
+            // end the stream first, so the rule can terminate, then release
+            // the timers and subscriptions
+            this._trigger.end();
             this._trigger.stop();
+            this._trigger = null;
+        }
     }
 
-    private _wrapClearCache<T>(asyncIterable : AsyncIterator<T>) : AsyncIterator<T> {
+    private _wrapTrigger<T>(asyncIterable : AsyncIterator<T>, fn : string) : AsyncIterator<T> {
         const self = this;
         return {
             async next() {
                 const value = await asyncIterable.next();
+                if (!value.done)
+                    self.app.recordHistory('trigger', { function: fn });
                 self.clearGetCache();
                 return value;
             }
@@ -168,21 +183,21 @@ export default class ExecWrapper extends Runtime.ExecEnvironment {
         const trigger = new Timer(base.getTime(), interval, frequency);
         this._trigger = trigger;
         trigger.start();
-        return this._wrapClearCache(trigger);
+        return this._wrapTrigger(trigger, 'timer');
     }
 
     invokeAtTimer(time : ThingTalk.Builtin.Time[], expiration_date : Date|undefined) : AsyncIterator<{ __timestamp : number }> {
         const trigger = new AtTimer(time, expiration_date, this.timezone);
         this._trigger = trigger;
         trigger.start();
-        return this._wrapClearCache(trigger);
+        return this._wrapTrigger(trigger, 'attimer');
     }
 
     invokeOnTimer(date : Date[]) : AsyncIterator<{ __timestamp : number}> {
         const trigger = new OnTimer(date);
         this._trigger = trigger;
         trigger.start();
-        return this._wrapClearCache(trigger);
+        return this._wrapTrigger(trigger, 'ontimer');
     }
 
     invokeMonitor(kind : string,
@@ -193,7 +208,7 @@ export default class ExecWrapper extends Runtime.ExecEnvironment {
         const trigger = new MonitorRunner(this, new DeviceView(this.engine.devices, kind, attrs), fname, params, hints);
         this._trigger = trigger;
         trigger.start();
-        return this._wrapClearCache(trigger);
+        return this._wrapTrigger(trigger, kind + ':' + fname);
     }
 
     private _findInCache(kindKey : string, fnameKey : string, params : Record<string, unknown>) : Array<Promise<QueryFunctionResult>>|undefined {
@@ -209,7 +224,7 @@ export default class ExecWrapper extends Runtime.ExecEnvironment {
         this._execCache = [];
     }
 
-    private _getDevices(kind : string, attrs : Record<string, string>) : Tp.BaseDevice[] {
+    protected _getDevices(kind : string, attrs : Record<string, string>) : Tp.BaseDevice[] {
         const deviceView = new DeviceView(this.engine.devices, kind, attrs, false);
         deviceView.start();
         return deviceView.values();
@@ -247,17 +262,23 @@ export default class ExecWrapper extends Runtime.ExecEnvironment {
             this._execCache.push([kind, fname, params, promises]);
         }
 
-        for (let i = 0; i < promises.length; i++) {
-            const list = await promises[i];
-
-            const device = devices[i];
-            const outputType = device.kind + ':' + fname;
-            for await (const element of list) {
-                extendParams(element, params);
-                if (device.uniqueId !== device.kind)
-                    element.__device = new Tp.Value.Entity(device.uniqueId!, device.name);
-                yield [outputType, element];
+        let count = 0;
+        try {
+            for (let i = 0; i < promises.length; i++) {
+                const list = await promises[i];
+
+                const device = devices[i];
+                const outputType = device.kind + ':' + fname;
+                for await (const element of list) {
+                    extendParams(element, params);
+                    if (device.uniqueId !== device.kind)
+                        element.__device = new Tp.Value.Entity(device.uniqueId!, device.name);
+                    count++;
+                    yield [outputType, element];
+                }
             }
+        } finally {
+            this.app.recordHistory('query', { function: kind + ':' + fname, count });
         }
     }
 
@@ -291,6 +312,7 @@ export default class ExecWrapper extends Runtime.ExecEnvironment {
         for (const d of devices) {
             const outputType = d.kind + ':action/' + fname;
 
+            this.app.recordHistory('action', { function: d.kind + ':' + fname });
             let result = await (d as unknown as Record<string, ActionFunction>)[js_function_name](params, this);
             if (typeof result !== 'undefined' && !isPlainObject(result)) {
                 console.error(`${outputType} returned a value that is not an object and not undefined; this is deprecated and might break in the future`);
@@ -325,6 +347,7 @@ export default class ExecWrapper extends Runtime.ExecEnvironment {
             throw error;
 
         console.error(message, error);
+        this.app.recordHistory('error', { message: message + ': ' + (error.message || String(error)) });
         this.app.setError(error);
         await this._outputDelegate.error(error);
     }
@@ -0,0 +1,183 @@
+// -*- mode: typescript; indent-tabs-mode: nil; js-basic-offset: 4 -*-
+//
+// This file is part of Genie
+//
+// Copyright 2022 The Board of Trustees of the Leland Stanford Junior University
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//    http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+import * as uuid from 'uuid';
+
+import { LocalTable, AppHistoryRow } from '../db';
+
+const DEFAULT_RETENTION = 30 * 24 * 3600 * 1000;
+const DEFAULT_LIMIT = 100;
+const PRUNE_BATCH_SIZE = 500;
+
+/**
+ * The kind of event recorded in the history of an app.
+ *
+ * - `start`: the rules of the app started running
+ * - `stop`: the rules of the app stopped running, because the app was paused, it is
+ *   outside of its active window, the engine is stopping or the app is being deleted
+ * - `pause`: the app was paused by the user
+ * - `resume`: the app was resumed by the user
+ * - `finish`: all the rules of the app terminated
+ * - `expire`: the expiration date of the app passed
+ * - `delete`: the app was deleted
+ * - `trigger`: the stream of a rule fired (a timer elapsed or a monitored value changed)
+ * - `query`: a query completed, with the number of results it returned
+ * - `action`: an action was invoked
+ * - `error`: the app reported an error
+ */
+export type AppHistoryEvent = 'start'|'stop'|'pause'|'resume'|'finish'|'expire'|'delete'|'trigger'|'query'|'action'|'error';
+
+export interface AppHistoryDetails {
+    /**
+     * The Thingpedia function involved in the event, as `kind:name`, or
+     * the type of timer for a timer trigger.
+     */
+    function ?: string;
+    /**
+     * The number of results returned by a query.
+     */
+    count ?: number;
+    /**
+     * The error message, for an error event.
+     */
+    message ?: string;
+}
+
+/**
+ * One entry in the execution history of an app.
+ */
+export interface AppHistoryEntry {
+    /**
+     * When the event occurred.
+     */
+    timestamp : Date;
+    event : AppHistoryEvent;
+    function : string|null;
+    count : number|null;
+    message : string|null;
+}
+
+export interface AppHistoryOptions {
+    /**
+     * How long to keep history entries, in milliseconds.
+     */
+    retention ?: number;
+}
+
+/**
+ * The persistent log of what each app did while executing.
+ *
+ * Entries are kept in the `app_history` table, also after the app is
+ * deleted, and expire after the configured retention period.
+ *
+ * Recording an entry never fails: errors writing to the database are
+ * logged and otherwise ignored, so they don't interfere with the execution
+ * of the app.
+ */
+export default class AppHistory {
+    private _db : LocalTable<AppHistoryRow>;
+    private _retention : number;
+    private _lastTimestamp : number;
+
+    constructor(db : LocalTable<AppHistoryRow>, options : AppHistoryOptions = {}) {
+        this._db = db;
+        this._retention = options.retention ?? DEFAULT_RETENTION;
+        this._lastTimestamp = 0;
+    }
+
+    private _now() {
+        // make timestamps strictly increasing, so events recorded in the same
+        // millisecond are still returned in the order they occurred
+        this._lastTimestamp = Math.max(Date.now(), this._lastTimestamp + 1);
+        return this._lastTimestamp;
+    }
+
+    /**
+     * Record a new event in the history of an app.
+     *
+     * @param {string} appId - the ID of the app
+     * @param {AppHistoryEvent} event - what happened
+     * @param {AppHistoryDetails} details - additional information about the event
+     */
+    record(appId : string, event : AppHistoryEvent, details : AppHistoryDetails = {}) : void {
+        this._db.insertOne(uuid.v4(), {
+            appId,
+            timestamp: this._now(),
+            event,
+            function: details.function ?? null,
+            count: details.count ?? null,
+            message: details.message ?? null
+        }).catch((e) => {
+            console.error(`Failed to record history of app ${appId}: ${e.message}`);
+        });
+    }
+
+    /**
+     * Retrieve the history of an app.
+     *
+     * This returns the latest `limit` events that occurred after `since`,
+     * oldest first.
+     *
+     * @param {string} appId - the ID of the app
+     * @param {Object} options
+     * @param {Date} [options.since] - only return events that occurred at or after this time
+     * @param {number} [options.limit=100] - the maximum number of events to return
+     */
+    async getHistory(appId : string, options : { since ?: Date, limit ?: number } = {}) : Promise<AppHistoryEntry[]> {
+        const filter : Array<{ k : keyof AppHistoryRow, o : '='|'>=', v : string|number }> = [
+            { k: 'appId', o: '=', v: appId }
+        ];
+        if (options.since)
+            filter.push({ k: 'timestamp', o: '>=', v: options.since.getTime() });
+
+        const rows = await this._db.search({
+            filter,
+            sort: ['timestamp', 'desc'],
+            limit: options.limit ?? DEFAULT_LIMIT
+        });
+        // reverse the order from what we loaded
+        rows.reverse();
+
+        return rows.map((r) => ({
+            timestamp: new Date(r.timestamp),
+            event: r.event as AppHistoryEvent,
+            function: r.function,
+            count: r.count,
+            message: r.message
+        }));
+    }
+
+    /**
+     * Delete all events older than the retention period.
+     */
+    async prune() : Promise<void> {
+        const cutoff = Date.now() - this._retention;
+
+        for (;;) {
+            const rows = await this._db.search({
+                filter: [{ k: 'timestamp', o: '<', v: cutoff }],
+                sort: ['timestamp', 'asc'],
+                limit: PRUNE_BATCH_SIZE
+            });
+            for (const row of rows)
+                await this._db.deleteOne(row.uniqueId);
+            if (rows.length < PRUNE_BATCH_SIZE)
+                break;
+        }
+    }
+}
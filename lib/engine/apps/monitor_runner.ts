@@ -59,6 +59,7 @@ export default class MonitorRunner {
     private _stateId : string;
     private _rateLimiter : RateLimiter;
     private _streams : Map<Tp.BaseDevice, MonitorStream>;
+    private _states : Map<Tp.BaseDevice, ChannelStateBinder>;
     private _ended : Set<MonitorStream>;
     private _stopped : boolean;
     private _queue : AsyncQueue<IteratorResult<[string, MonitorEvent], void>>;
@@ -97,6 +98,7 @@ export default class MonitorRunner {
 
         this._devices = devices;
         this._streams = new Map; // from device to the corresponding stream
+        this._states = new Map; // from device to the state of the corresponding stream
         this._ended = new Set;
         this._stopped = false;
         this._queue = new AsyncQueue();
@@ -158,9 +160,12 @@ export default class MonitorRunner {
 
         Promise.resolve().then(() => {
             const state = new ChannelStateBinder(this._env.engine.db, uniqueId);
-            return state.open().then(() => {
-                if (this._stopped)
+            return state.open().then(async () => {
+                if (this._stopped) {
+                    await state.close();
                     return;
+                }
+                this._states.set(device, state);
 
                 const stream = (device as unknown as Record<string, SubscribeFunction>)[this._fn](this._params, state, this._hints, this._env);
                 this._streams.set(device, stream);
@@ -177,6 +182,19 @@ export default class MonitorRunner {
         });
     }
 
+    private _closeState(device : Tp.BaseDevice) {
+        const state = this._states.get(device);
+        if (!state)
+            return;
+
+        // save the state of the stream (such as the time of the last poll)
+        // so the monitor can resume where it left off
+        this._states.delete(device);
+        state.close().catch((e : Error) => {
+            console.error(`Failed to save monitor state ${state.uniqueId}: ${e.message}`);
+        });
+    }
+
     private _onDeviceRemoved(device : Tp.BaseDevice) {
         const stream = this._streams.get(device);
         if (!stream)
@@ -184,6 +202,7 @@ export default class MonitorRunner {
 
         this._streams.delete(device);
         stream.destroy();
+        this._closeState(device);
     }
 
     end() {
@@ -199,6 +218,8 @@ export default class MonitorRunner {
 
         for (const stream of this._streams.values())
             stream.destroy();
+        for (const device of Array.from(this._states.keys()))
+            this._closeState(device);
     }
 
     start() {
@@ -25,6 +25,7 @@ import type Engine from '..';
 import type AppExecutor from './app_executor';
 import ExecWrapper from './exec_wrapper';
 import { OutputDelegate } from './exec_wrapper';
+import { DryRunExecWrapper } from './dry_run';
 
 export default class RuleExecutor extends events.EventEmitter {
     engine : Engine;
@@ -39,6 +40,8 @@ export default class RuleExecutor extends events.EventEmitter {
         reject(err : Error) : void;
     };
     private _finishPromise : Promise<void>;
+    private _stopped : boolean;
+    private _generation : number;
 
     constructor(engine : Engine,
                 app : AppExecutor,
@@ -49,29 +52,40 @@ export default class RuleExecutor extends events.EventEmitter {
         this.app = app;
 
         this._output = output;
-        this._env = new ExecWrapper(engine, app, output);
+        if (app.dryRun)
+            this._env = new DryRunExecWrapper(engine, app, output, app.dryRun);
+        else
+            this._env = new ExecWrapper(engine, app, output);
         this._tt = compiled;
 
         // create an early promise so we can call waitFinished() before start()
         this._finishPromise = new Promise((resolve, reject) => {
             this._finished = { resolve, reject };
         });
+        this._stopped = false;
+        this._generation = 0;
     }
 
-    private async _ruleThread() {
+    private async _ruleThread(generation : number) {
         try {
             await this._tt(this._env);
         } catch(e) {
             this._env.reportError('Uncaught error in rule', e);
         }
 
+        // if the rule was stopped (or stopped and started again), it did not
+        // terminate on its own, and it will run again at the next start()
+        if (this._stopped || generation !== this._generation)
+            return;
+
         this.emit('finish');
         this._output.done();
         this._finished.resolve();
     }
 
     start() {
-        this._ruleThread();
+        this._stopped = false;
+        this._ruleThread(++this._generation);
     }
     waitFinished() {
         return this._finishPromise;
@@ -82,7 +96,18 @@ export default class RuleExecutor extends events.EventEmitter {
         return this.waitFinished();
     }
 
+    /**
+     * Stop the rule temporarily.
+     *
+     * The stream of the rule is terminated, without reporting the rule as
+     * finished. The rule can be restarted with {@link RuleExecutor.start}.
+     */
     stop() {
+        this._stopped = true;
         this._env.stopTrigger();
     }
+
+    setTimezone(timezone : string) {
+        this._env.setTimezone(timezone);
+    }
 }
@@ -20,39 +20,54 @@
 
 import type AppDatabase from './database';
 import type AppExecutor from './app_executor';
+import { getActiveWindowState } from './schedule';
 
+// setTimeout cannot wait longer than 2^31-1 milliseconds; we wake up at least
+// once a day and check again
+const MAX_SCHEDULE_DELAY = 24 * 3600 * 1000;
+
+/**
+ * Start and stop apps when they are added, removed, paused or resumed.
+ *
+ * The runner also enforces the active window of each app, stopping it
+ * outside of the window and starting it again when the window opens,
+ * and deletes apps when their expiration date passes.
+ */
 export default class AppRunner {
     private _db : AppDatabase;
+    private _timers : Map<AppExecutor, NodeJS.Timeout>;
 
     constructor(appdb : AppDatabase) {
         this._db = appdb;
+        this._timers = new Map;
     }
 
     private _startAllApps() {
         const apps = this._db.getAllApps();
-        return Promise.all(apps.map(this._startOneApp, this));
+        return Promise.all(apps.map(this._updateApp, this));
     }
 
     private _stopAllApps() {
+        for (const timer of this._timers.values())
+            clearTimeout(timer);
+        this._timers.clear();
+
         const apps = this._db.getAllApps();
         return Promise.all(apps.map(this._stopOneApp, this));
     }
 
     private _startOneApp(a : AppExecutor) {
-        if (!a.isEnabled) {
-            console.log('App ' + a.uniqueId  + ' is not enabled');
-            return Promise.resolve();
-        }
         console.log('Starting app ' + a.uniqueId);
 
+        // mark the app as running immediately, so that if it is stopped
+        // again before it finishes starting we don't start it twice
+        a.isRunning = true;
         return Promise.race([
             a.start(),
             new Promise((resolve, reject) => {
                 setTimeout(reject, 30000, new Error('App start timed out'));
             })
-        ]).then(() => {
-            a.isRunning = true;
-        }).catch((e) => {
+        ]).catch((e) => {
             console.error('App failed to start: ' + e);
             console.error(e.stack);
         });
@@ -63,31 +78,81 @@ export default class AppRunner {
             return Promise.resolve();
         console.log('Stopping app ' + a.uniqueId);
 
+        a.isRunning = false;
         return Promise.race([
             a.stop(),
             new Promise((resolve, reject) => {
                 setTimeout(reject, 30000, new Error('App stop timed out'));
             })
-        ]).then(() => {
-            a.isRunning = false;
-        }).catch((e) => {
+        ]).catch((e) => {
             console.error('App failed to stop: ' + e);
             console.error(e.stack);
         });
     }
 
-    private _onAppChanged(a : AppExecutor) {
-        if (a.isRunning && !a.isEnabled)
-            this._stopOneApp(a);
-        else if (a.isEnabled && !a.isRunning)
-            this._startOneApp(a);
+    private _clearTimer(a : AppExecutor) {
+        const timer = this._timers.get(a);
+        if (timer) {
+            clearTimeout(timer);
+            this._timers.delete(a);
+        }
+    }
+
+    private _scheduleUpdate(a : AppExecutor, when : number) {
+        this._timers.set(a, setTimeout(() => {
+            this._timers.delete(a);
+            this._updateApp(a);
+        }, Math.min(Math.max(0, when - Date.now()), MAX_SCHEDULE_DELAY)));
+    }
+
+    /**
+     * Start or stop an app according to its current state and schedule.
+     */
+    private _updateApp(a : AppExecutor) : Promise<unknown> {
+        this._clearTimer(a);
+        if (!a.isEnabled) {
+            console.log('App ' + a.uniqueId  + ' is not enabled');
+            return this._stopOneApp(a);
+        }
+
+        const now = Date.now();
+        if (a.expiration !== undefined && now >= a.expiration) {
+            console.log('App ' + a.uniqueId + ' expired, removing');
+            a.recordHistory('expire');
+            return this._db.removeApp(a).catch((e) => {
+                console.error('Failed to remove expired app: ' + e);
+            });
+        }
+
+        let shouldRun = !a.isPaused;
+        let next = a.expiration ?? null;
+        if (shouldRun && a.activeWindow) {
+            const window = getActiveWindowState(a.activeWindow, a.engine.platform.timezone, now);
+            shouldRun = window.active;
+            if (window.next !== null && (next === null || window.next < next))
+                next = window.next;
+        }
+        if (next !== null)
+            this._scheduleUpdate(a, next);
+
+        if (shouldRun && !a.isRunning)
+            return this._startOneApp(a);
+        else if (!shouldRun && a.isRunning)
+            return this._stopOneApp(a);
+        else
+            return Promise.resolve();
+    }
+
+    private _onAppRemoved(a : AppExecutor) {
+        this._clearTimer(a);
+        this._stopOneApp(a);
     }
 
     async start() {
         await this._startAllApps();
-        this._db.on('app-added', this._startOneApp.bind(this));
-        this._db.on('app-removed', this._stopOneApp.bind(this));
-        this._db.on('app-changed', this._onAppChanged.bind(this));
+        this._db.on('app-added', this._updateApp.bind(this));
+        this._db.on('app-removed', this._onAppRemoved.bind(this));
+        this._db.on('app-changed', this._updateApp.bind(this));
     }
 
     async stop() {
@@ -0,0 +1,109 @@
+// -*- mode: typescript; indent-tabs-mode: nil; js-basic-offset: 4 -*-
+//
+// This file is part of Genie
+//
+// Copyright 2022 The Board of Trustees of the Leland Stanford Junior University
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//    http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+import { Temporal } from '@js-temporal/polyfill';
+
+import CustomError from '../../utils/custom_error';
+
+// how many days ahead to look for the next active period
+const LOOKAHEAD_DAYS = 8;
+
+const TIME_REGEX = /^([01][0-9]|2[0-3]):[0-5][0-9]$/;
+
+/**
+ * The period of the week when an app is allowed to run.
+ *
+ * Times are in 24-hour `HH:MM` format, in the user's timezone. If `end` is
+ * earlier than `start`, the period spans midnight; if they are equal, the app
+ * runs all day.
+ */
+export interface ActiveWindow {
+    start : string;
+    end : string;
+    /**
+     * The days of the week when the window starts, as ISO day numbers
+     * (1 is Monday, 7 is Sunday). If omitted, the window applies every day.
+     */
+    days ?: number[];
+}
+
+/**
+ * Check that an active window received from the outside is well-formed.
+ *
+ * @param window - the active window to validate
+ * @return the same window, with the correct type
+ * @throws {CustomError} with code `EINVAL` if the window is invalid
+ */
+export function validateActiveWindow(window : unknown) : ActiveWindow {
+    if (typeof window !== 'object' || window === null || Array.isArray(window))
+        throw new CustomError('EINVAL', `Invalid active window, expected an object`);
+
+    const { start, end, days } = window as Record<string, unknown>;
+    for (const [key, value] of [['start', start], ['end', end]]) {
+        if (typeof value !== 'string' || !TIME_REGEX.test(value))
+            throw new CustomError('EINVAL', `Invalid ${key} time in active window, expected HH:MM`);
+    }
+    if (days !== undefined) {
+        if (!Array.isArray(days) || !days.every((d) => Number.isInteger(d) && d >= 1 && d <= 7))
+            throw new CustomError('EINVAL', `Invalid days in active window, expected an array of numbers between 1 (Monday) and 7 (Sunday)`);
+    }
+    return window as ActiveWindow;
+}
+
+/**
+ * Compute whether an app with the given active window should be running.
+ *
+ * @param window - the active window
+ * @param timezone - the timezone to interpret the window in
+ * @param now - the current time, in milliseconds since the epoch
+ * @return whether the app is in its active window, and when that will
+ *   change (in milliseconds since the epoch), or `null` if it will never
+ *   change
+ */
+export function getActiveWindowState(window : ActiveWindow, timezone : string, now : number) : { active : boolean, next : number|null } {
+    const today = Temporal.Instant.fromEpochMilliseconds(now).toZonedDateTimeISO(timezone).toPlainDate();
+    const start = Temporal.PlainTime.from(window.start);
+    const end = Temporal.PlainTime.from(window.end);
+    const spansMidnight = Temporal.PlainTime.compare(start, end) >= 0;
+
+    // compute the active periods from yesterday (which could span into today)
+    // to a week from now, merging periods that are back to back
+    const periods : Array<[number, number]> = [];
+    for (let i = -1; i <= LOOKAHEAD_DAYS; i++) {
+        const date = today.add({ days: i });
+        if (window.days && !window.days.includes(date.dayOfWeek))
+            continue;
+
+        const from = date.toZonedDateTime({ timeZone: timezone, plainTime: start }).epochMilliseconds;
+        const to = (spansMidnight ? date.add({ days: 1 }) : date).toZonedDateTime({ timeZone: timezone, plainTime: end }).epochMilliseconds;
+
+        const last = periods[periods.length-1];
+        if (last && from <= last[1])
+            last[1] = Math.max(last[1], to);
+        else
+            periods.push([from, to]);
+    }
+
+    for (const [from, to] of periods) {
+        if (now < from)
+            return { active: false, next: from };
+        if (now < to)
+            return { active: true, next: to };
+    }
+    return { active: false, next: null };
+}
@@ -65,6 +65,17 @@ abstract class BaseTimer {
     start() {
         this._reschedule();
     }
+
+    /**
+     * Recompute when the timer should fire next, after a change
+     * in the parameters of the timer.
+     */
+    reschedule() {
+        if (this._stopped || this._timeout === null)
+            return;
+        clearTimeout(this._timeout);
+        this._reschedule();
+    }
 }
 
 class Timer extends BaseTimer {
@@ -268,6 +279,14 @@ class AtTimer extends BaseTimer {
         return `[AtTimer [${this._times}], ${this._expiration_date}]`;
     }
 
+    /**
+     * Change the timezone used to interpret the times of day of this timer.
+     */
+    setTimezone(timezone : string) {
+        this._timezone = timezone;
+        this.reschedule();
+    }
+
     protected _nextTimeout() {
         const now = Temporal.Now.zonedDateTime('iso8601', this._timezone);
 
@@ -22,6 +22,7 @@ import * as Tp from 'thingpedia';
 
 import { SQLiteDatabase, SQLitePlatform } from './sqlite';
 import { DatabaseProxy, DatabaseProxyConfig }  from './dbproxy';
+import { PostgresDatabase, PostgresConfig } from './postgres';
 
 export interface AbstractRow {
     uniqueId : string;
@@ -76,12 +77,38 @@ export interface ConversationHistoryRow {
     message : string
 }
 
+export interface NotificationQueueRow {
+    uniqueId : string;
+    appId : string;
+    backend : string;
+    kind : string;
+    payload : string;
+    config : string|null;
+    status : string;
+    attempts : number;
+    nextAttempt : number;
+    lastError : string|null;
+    created : number;
+}
+
+export interface AppHistoryRow {
+    uniqueId : string;
+    appId : string;
+    timestamp : number;
+    event : string;
+    function : string|null;
+    count : number|null;
+    message : string|null;
+}
+
 export interface LocalTables {
     app : AppRow;
     channel : ChannelRow;
     conversation : ConversationRow;
     conversation_state : ConversationStateRow;
     conversation_history : ConversationHistoryRow;
+    notification_queue : NotificationQueueRow;
+    app_history : AppHistoryRow;
 }
 
 export interface SyncTables {
@@ -147,6 +174,10 @@ export function createDB(platform : Tp.BasePlatform) : AbstractDatabase {
     if (platform.hasCapability('database-proxy'))
         return new DatabaseProxy(platform.getCapability('database-proxy') as DatabaseProxyConfig);
 
+    // use a Postgres server if it's configured in the platform (for multi-user deployments)
+    if (platform.hasCapability('postgres-database'))
+        return new PostgresDatabase(platform.getCapability('postgres-database') as PostgresConfig);
+
     const sqliteplatform = platform as SQLitePlatform;
     return new SQLiteDatabase(sqliteplatform);
 }
@@ -0,0 +1,178 @@
+// -*- mode: typescript; indent-tabs-mode: nil; js-basic-offset: 4 -*-
+//
+// This file is part of Genie
+//
+// Copyright 2022 The Board of Trustees of the Leland Stanford Junior University
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//    http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+import * as pg from 'pg';
+
+import type * as DB from '..';
+import { FIELD_NAMES } from '../sqlite';
+
+import LocalTable from './local_table';
+import SyncTable from './sync_table';
+import DatabaseSchema from './schema.json';
+
+export interface PostgresConfig extends pg.PoolConfig {
+    /**
+     * An existing connection pool to use, instead of creating a new one.
+     *
+     * This allows multiple assistants in the same process to share
+     * the connections to the database server.
+     */
+    pool ?: pg.Pool;
+
+    /**
+     * The Postgres schema (namespace) holding the tables of this assistant.
+     *
+     * Every assistant must use its own schema, or its own database, so
+     * this is required if {@link pool} is set. Defaults to `public`.
+     */
+    schema ?: string;
+}
+
+// the schema version created by schema.sql; increase it, and add the
+// corresponding migration to ensureSchema, every time schema.sql changes
+const SCHEMA_VERSION = 1;
+
+// timestamps are stored as bigint; the values fit in a JS number
+// so we return them as numbers instead of strings
+// this is done on the result of each query, rather than by configuring
+// the type parser of the pool, so it applies to pools passed in the
+// configuration as well
+function getRows(result : pg.QueryResult) : any[] {
+    const int8Fields = result.fields.filter((f) => f.dataTypeID === pg.types.builtins.INT8).map((f) => f.name);
+    if (int8Fields.length > 0) {
+        for (const row of result.rows) {
+            for (const field of int8Fields) {
+                if (typeof row[field] === 'string')
+                    row[field] = parseInt(row[field], 10);
+            }
+        }
+    }
+    return result.rows;
+}
+
+// identifiers in the schema are camelCase, so they must be quoted
+export function quote(identifier : string) {
+    return '"' + identifier.replace(/"/g, '""') + '"';
+}
+
+export async function query(client : pg.ClientBase, string : string, args : unknown[]) : Promise<void> {
+    await client.query(string, args);
+}
+
+export async function selectAll(client : pg.ClientBase, string : string, args : unknown[]) : Promise<any[]> {
+    const result = await client.query(string, args);
+    return getRows(result);
+}
+
+export async function selectOne(client : pg.ClientBase, string : string, args : unknown[]) : Promise<any> {
+    const result = await client.query(string, args);
+    return getRows(result)[0];
+}
+
+export class PostgresDatabase implements DB.AbstractDatabase {
+    private _pool : pg.Pool;
+    readonly schema : string;
+
+    constructor(config : PostgresConfig) {
+        if (config.pool) {
+            // the tables are not scoped by user, so assistants sharing a pool
+            // would overwrite each other's data
+            if (!config.schema)
+                throw new TypeError('A schema is required when sharing a connection pool');
+            this._pool = config.pool;
+        } else {
+            const { pool: _pool, schema: _schema, ...poolConfig } = config;
+            this._pool = new pg.Pool(poolConfig);
+        }
+        this.schema = config.schema || 'public';
+    }
+
+    /**
+     * Compute the quoted name of a table, qualified with the schema of this database.
+     *
+     * Tables are always referred to by qualified name, because the search path
+     * is per-connection state, and the connections could be shared.
+     */
+    table(name : string) {
+        return quote(this.schema) + '.' + quote(name);
+    }
+
+    async withClient<T>(callback : (client : pg.PoolClient) => Promise<T>) : Promise<T> {
+        const client = await this._pool.connect();
+        try {
+            return await callback(client);
+        } finally {
+            client.release();
+        }
+    }
+
+    withTransaction<T>(transaction : (client : pg.PoolClient) => Promise<T>) : Promise<T> {
+        return this.withClient(async (client) => {
+            await query(client, 'begin', []);
+            try {
+                const result = await transaction(client);
+                await query(client, 'commit', []);
+                return result;
+            } catch(err) {
+                try {
+                    await query(client, 'rollback', []);
+                } catch(rollerr) {
+                    console.error('Ignored error from ROLLBACK', rollerr);
+                }
+                throw err;
+            }
+        });
+    }
+
+    ensureSchema() {
+        return this.withTransaction(async (client) => {
+            await query(client, `create schema if not exists ${quote(this.schema)}`, []);
+            await query(client, `create table if not exists ${this.table('schema_migrations')} (
+                "version" integer primary key,
+                "name" text not null,
+                "appliedAt" bigint not null
+            )`, []);
+            const row = await selectOne(client, `select max("version") as "version" from ${this.table('schema_migrations')}`, []);
+            if (row && row.version !== null)
+                return;
+
+            // the schema has multiple statements, so it must be sent without parameters
+            // the table names in it are unqualified, so we qualify them here
+            const schemaSql = DatabaseSchema.replace(/\b(create table|on)\s+"([^"]+)"/g, (match, keyword, name) => keyword + ' ' + this.table(name));
+            await client.query(schemaSql);
+            await query(client, `insert into ${this.table('schema_migrations')}("version", "name", "appliedAt") values($1, $2, $3)`,
+                [SCHEMA_VERSION, 'initial schema', Date.now()]);
+        });
+    }
+
+    /**
+     * Close all the connections to the database server.
+     *
+     * This must not be called if the connection pool was passed in the configuration.
+     */
+    close() {
+        return this._pool.end();
+    }
+
+    getLocalTable<T extends keyof DB.LocalTables>(name : T) : LocalTable<DB.LocalTables[T]> {
+        return new LocalTable(this, name, FIELD_NAMES[name] as any);
+    }
+    getSyncTable<T extends keyof DB.SyncTables>(name : T) : SyncTable<DB.SyncTables[T]> {
+        return new SyncTable(this, name, FIELD_NAMES[name] as any);
+    }
+}
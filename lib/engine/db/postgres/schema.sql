@@ -0,0 +1,84 @@
+create table "app" (
+       "uniqueId" varchar(255) primary key,
+       "code" text not null,
+       "state" text not null,
+       "name" text null default null,
+       "description" text null default null
+);
+
+create table "device" (
+       "uniqueId" varchar(255) primary key,
+       "state" text not null
+);
+
+create table "device_journal" (
+       "uniqueId" varchar(255) primary key,
+       "lastModified" bigint not null
+);
+
+create index "device_lastModified" on "device_journal"("lastModified");
+
+create table "channel" (
+       "uniqueId" varchar(255) primary key,
+       "value" text default null
+);
+
+create table "conversation" (
+       "uniqueId" varchar(255) primary key,
+       "conversationId" varchar(255),
+       "previousId" varchar(255),
+       "dialogueId" varchar(255),
+       "context" text default null,
+       "agent" text default null,
+       "agentTimestamp" text default null,
+       "agentTarget" text default null,
+       "intermediateContext" text default null,
+       "user" text default null,
+       "userTimestamp" text default null,
+       "userTarget" text default null,
+       "vote" text default null,
+       "comment" text default null
+);
+
+create table "conversation_state" (
+       "uniqueId" varchar(255) primary key,
+       "dialogueState" text default null,
+       "lastMessageId" integer default null,
+       "recording" boolean default false
+);
+
+create table "conversation_history" (
+       "uniqueId" varchar(255) primary key,
+       "conversationId" varchar(255) not null,
+       "messageId" integer not null,
+       "message" text not null
+);
+create unique index "conversation_history_messageId" on
+       "conversation_history"("conversationId", "messageId");
+
+create table "notification_queue" (
+       "uniqueId" varchar(255) primary key,
+       "appId" varchar(255) not null,
+       "backend" varchar(255) not null,
+       "kind" varchar(16) not null,
+       "payload" text not null,
+       "config" text default null,
+       "status" varchar(16) not null,
+       "attempts" integer not null default 0,
+       "nextAttempt" bigint not null,
+       "lastError" text default null,
+       "created" bigint not null
+);
+create index "notification_queue_status" on "notification_queue"("status");
+
+create table "app_history" (
+       "uniqueId" varchar(255) primary key,
+       "appId" varchar(255) not null,
+       "timestamp" bigint not null,
+       "event" varchar(16) not null,
+       "function" varchar(255) default null,
+       "count" integer default null,
+       "message" text default null
+);
+create index "app_history_appId" on "app_history"("appId", "timestamp");
+create index "app_history_timestamp" on "app_history"("timestamp");
@@ -0,0 +1,197 @@
+// -*- mode: typescript; indent-tabs-mode: nil; js-basic-offset: 4 -*-
+//
+// This file is part of Genie
+//
+// Copyright 2022 The Board of Trustees of the Leland Stanford Junior University
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//    http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+import * as pg from 'pg';
+import * as sql from '.';
+
+import type { SyncRecord, SyncAtReply } from '..';
+
+type Field<RowType> = Exclude<keyof RowType & string, "uniqueId">;
+
+export default class SyncTable<RowType extends { uniqueId : string }> {
+    name : string;
+    fields : ReadonlyArray<Field<RowType>>;
+    private _db : sql.PostgresDatabase;
+    private _discriminator : Field<RowType>;
+    private _table : string;
+    private _journal : string;
+
+    constructor(db : sql.PostgresDatabase, name : string, fields : ReadonlyArray<Field<RowType>>) {
+        this.name = name;
+        this.fields = fields;
+        this._db = db;
+        this._discriminator = fields[0];
+        this._table = db.table(name);
+        this._journal = db.table(name + '_journal');
+    }
+
+    private get _quotedFields() {
+        return this.fields.map(sql.quote);
+    }
+
+    private async _getLastModifiedInternal(client : pg.ClientBase) : Promise<number> {
+        const row = await sql.selectOne(client, `select max("lastModified") as "maxLastModified"
+            from ${this._journal}`, []);
+        if (!row || row.maxLastModified === null)
+            return 0;
+        else
+            return row.maxLastModified;
+    }
+
+    private _getChangesAfterInternal(client : pg.ClientBase, lastModified : number) : Promise<Array<SyncRecord<RowType>>> {
+        return sql.selectAll(client, `select tj."uniqueId",tj."lastModified",${this._quotedFields.map((f) => 't.' + f)}
+            from ${this._journal} as tj left outer join
+            ${this._table} as t on tj."uniqueId" = t."uniqueId" where
+            tj."lastModified" > $1`, [lastModified]);
+    }
+
+    getAll() : Promise<RowType[]> {
+        return this._db.withClient((client) => {
+            return sql.selectAll(client, `select "uniqueId",${this._quotedFields} from ${this._table}`, []);
+        });
+    }
+
+    getOne(uniqueId : string) : Promise<RowType|undefined> {
+        return this._db.withClient((client) => {
+            return sql.selectOne(client, `select "uniqueId",${this._quotedFields}
+                from ${this._table} where "uniqueId" = $1`, [uniqueId]);
+        });
+    }
+
+    getRaw() : Promise<Array<SyncRecord<RowType>>> {
+        return this._db.withClient((client) => {
+            return sql.selectAll(client, `select tj."uniqueId",tj."lastModified",${this._quotedFields.map((f) => 't.' + f)}
+                from ${this._journal} as tj left outer join
+                ${this._table} as t on tj."uniqueId" = t."uniqueId"`, []);
+        });
+    }
+
+    getChangesAfter(lastModified : number) : Promise<Array<SyncRecord<RowType>>> {
+        return this._db.withClient((client) => {
+            return this._getChangesAfterInternal(client, lastModified);
+        });
+    }
+
+    private async _handleChangesInternal(client : pg.ClientBase, changes : Array<SyncRecord<RowType>>) : Promise<boolean[]> {
+        // changes are applied one at a time, because they share the same connection
+        const done = [];
+        for (const change of changes) {
+            if (change[this._discriminator] !== null) {
+                done.push(await this._insertIfRecentInternal(client, change.uniqueId,
+                    change.lastModified, change as Omit<RowType, "uniqueId">));
+            } else {
+                done.push(await this._deleteIfRecentInternal(client, change.uniqueId,
+                    change.lastModified));
+            }
+        }
+        return done;
+    }
+
+    handleChanges(changes : Array<SyncRecord<RowType>>) : Promise<boolean[]> {
+        return this._db.withTransaction((client) => {
+            return this._handleChangesInternal(client, changes);
+        });
+    }
+
+    syncAt(theirLastModified : number, pushedChanges : Array<SyncRecord<RowType>>) : Promise<SyncAtReply<RowType>> {
+        return this._db.withTransaction(async (client) => {
+            const ourChanges = await this._getChangesAfterInternal(client, theirLastModified);
+            const lastModified = await this._getLastModifiedInternal(client);
+            const done = await this._handleChangesInternal(client, pushedChanges);
+            return { lastModified, ourChanges, done };
+        });
+    }
+
+    private async _insertInternal(client : pg.ClientBase, uniqueId : string, lastModified : number, row : Omit<RowType, "uniqueId">) {
+        const fields = this._quotedFields;
+        await sql.query(client, `insert into ${this._table}("uniqueId",${fields})
+            values($1,${fields.map((f, i) => '$' + (i+2))})
+            on conflict ("uniqueId") do update set ${fields.map((f) => `${f} = excluded.${f}`)}`,
+        ([uniqueId] as unknown[]).concat(this.fields.map((f) => row[f])));
+        await this._touchInternal(client, uniqueId, lastModified);
+        return lastModified;
+    }
+
+    private async _touchInternal(client : pg.ClientBase, uniqueId : string, lastModified : number) {
+        await sql.query(client, `insert into ${this._journal}("uniqueId", "lastModified") values($1, $2)
+            on conflict ("uniqueId") do update set "lastModified" = excluded."lastModified"`, [uniqueId, lastModified]);
+    }
+
+    replaceAll(data : Array<SyncRecord<RowType>>) : Promise<void> {
+        return this._db.withTransaction(async (client) => {
+            await sql.query(client, `delete from ${this._table}`, []);
+            await sql.query(client, `delete from ${this._journal}`, []);
+            for (const row of data) {
+                if (row[this._discriminator] === null)
+                    continue;
+                await this._insertInternal(client, row.uniqueId, row.lastModified, row as RowType);
+            }
+        });
+    }
+
+    private async _isRecentInternal(client : pg.ClientBase, uniqueId : string, lastModified : number) {
+        // lock the journal row, so concurrent changes to the same record are serialized
+        const row = await sql.selectOne(client, `select "lastModified" from ${this._journal}
+            where "uniqueId" = $1 for update`, [uniqueId]);
+        return !row || row.lastModified < lastModified;
+    }
+
+    private async _insertIfRecentInternal(client : pg.ClientBase, uniqueId : string, lastModified : number, row : Omit<RowType, "uniqueId">) {
+        if (!await this._isRecentInternal(client, uniqueId, lastModified))
+            return false;
+        await this._insertInternal(client, uniqueId, lastModified, row);
+        return true;
+    }
+
+    insertIfRecent(uniqueId : string, lastModified : number, row : Omit<RowType, "uniqueId">) : Promise<boolean> {
+        return this._db.withTransaction((client) => {
+            return this._insertIfRecentInternal(client, uniqueId, lastModified, row);
+        });
+    }
+
+    insertOne(uniqueId : string, row : Omit<RowType, "uniqueId">) : Promise<number> {
+        return this._db.withTransaction((client) => {
+            return this._insertInternal(client, uniqueId, Date.now(), row);
+        });
+    }
+
+    private async _deleteInternal(client : pg.ClientBase, uniqueId : string, lastModified : number) {
+        await sql.query(client, `delete from ${this._table} where "uniqueId" = $1`, [uniqueId]);
+        await this._touchInternal(client, uniqueId, lastModified);
+        return lastModified;
+    }
+
+    private async _deleteIfRecentInternal(client : pg.ClientBase, uniqueId : string, lastModified : number) {
+        if (!await this._isRecentInternal(client, uniqueId, lastModified))
+            return false;
+        await this._deleteInternal(client, uniqueId, lastModified);
+        return true;
+    }
+
+    deleteIfRecent(uniqueId : string, lastModified : number) : Promise<boolean> {
+        return this._db.withTransaction((client) => {
+            return this._deleteIfRecentInternal(client, uniqueId, lastModified);
+        });
+    }
+
+    deleteOne(uniqueId : string) : Promise<number> {
+        return this._db.withTransaction((client) => {
+            return this._deleteInternal(client, uniqueId, Date.now());
+        });
+    }
+}
@@ -106,7 +106,7 @@ export function insertOne(client : sqlite3.Database, string : string, args : unk
     });
 }
 
-const FIELD_NAMES = {
+export const FIELD_NAMES = {
     app: ['code', 'state', 'name', 'description'] as const,
     device: ['state'] as const,
     channel: ['value'] as const,
@@ -134,6 +134,26 @@ const FIELD_NAMES = {
         'conversationId',
         'messageId',
         'message'
+    ] as const,
+    notification_queue: [
+        'appId',
+        'backend',
+        'kind',
+        'payload',
+        'config',
+        'status',
+        'attempts',
+        'nextAttempt',
+        'lastError',
+        'created'
+    ] as const,
+    app_history: [
+        'appId',
+        'timestamp',
+        'event',
+        'function',
+        'count',
+        'message'
     ] as const
 };
 
@@ -2,7 +2,7 @@
 //
 // This file is part of Genie
 //
-// Copyright 2020-2021 The Board of Trustees of the Leland Stanford Junior University
+// Copyright 2020-2022 The Board of Trustees of the Leland Stanford Junior University
 //
 // Licensed under the Apache License, Version 2.0 (the "License");
 // you may not use this file except in compliance with the License.
@@ -20,156 +20,403 @@
 
 import * as sqlite3 from 'sqlite3';
 
+import CustomError from '../../../utils/custom_error';
+
 import DatabaseSchema from './schema.json';
 import * as sql from '.';
 
-export function initializeDB(platform : sql.SQLitePlatform) {
-    const filename = platform.getSqliteDB();
-    const key = platform.getSqliteKey();
-    const prefs = platform.getSharedPreferences();
-    prefs.set('sqlite-schema-version', currentVersion);
-
-    const db = new sqlite3.Database(filename, sqlite3.OPEN_READWRITE | sqlite3.OPEN_CREATE);
-    return new Promise<void>((resolve, reject) => {
-        db.on('error', (err) => {
-            console.error('Failed to initialize DB schema', err);
-            reject(err);
-        });
-        db.serialize(() => {
-            if (key) {
-                console.log('Initializing key in Sqlite DB');
-                db.run(sql.makeKeyPragma(key));
-            }
-            db.run('PRAGMA journal_mode=WAL');
-            db.exec(DatabaseSchema);
-        });
-        db.close((err) => {
-            if (!err)
-                resolve();
-        });
-    });
+/**
+ * One step in the evolution of the database schema.
+ *
+ * Each migration is applied in a transaction, together with the update
+ * to the `schema_migrations` table, so a migration that fails leaves
+ * the database at the previous version.
+ *
+ * New migrations must be appended at the end of {@link MIGRATIONS}, and
+ * the same change must be applied to `schema.sql`, which is used to create
+ * new databases. Migrations must not drop tables that contain user data.
+ */
+export interface Migration {
+    version : number;
+    /**
+     * A short human-readable description of the migration.
+     */
+    name : string;
+    /**
+     * The SQL statements that upgrade the database from the previous version.
+     */
+    up : string[];
+    /**
+     * The SQL statements that revert the database to the previous version.
+     */
+    down : string[];
 }
 
-const MIGRATIONS = [
-function migrateTo1(db : sqlite3.Database) {
-    db.serialize(() => {
-        // we used to create a table called `keyword` here, we no longer do that
-        db.run('drop table if exists channel');
-        db.run('create table channel (uniqueId varchar(255) primary key, value text default null)');
-    });
-},
-function migrateTo2(db : sqlite3.Database) {
-    // we used to create a the permission tables here, we no longer do that
-},
-function migrateTo3(db : sqlite3.Database) {
-    // we used to create a the permission tables here, we no longer do that
-},
-function migrateTo4(db : sqlite3.Database) {
+// the historical migrations, before we tracked migrations in a table, were
+// numbered from 1, and used to be applied on top of version 1 for databases
+// that did not record a version
+const LEGACY_BASE_VERSION = 1;
+
+export const MIGRATIONS : Migration[] = [{
+    version: 1,
+    name: 'create channel table',
+    // we used to create a table called `keyword` here, we no longer do that
+    up: [
+        'drop table if exists channel',
+        'create table channel (uniqueId varchar(255) primary key, value text default null)'
+    ],
+    // the channel table predates the first migration, so there is nothing to revert
+    down: []
+}, {
+    version: 2,
+    name: 'create permission tables (removed)',
     // we used to create a the permission tables here, we no longer do that
-},
-function migrateTo5(db : sqlite3.Database) {
+    up: [],
+    down: []
+}, {
+    version: 3,
+    name: 'update permission tables (removed)',
+    up: [],
+    down: []
+}, {
+    version: 4,
+    name: 'update permission tables (removed)',
+    up: [],
+    down: []
+}, {
+    version: 5,
+    name: 'create matrix tables (removed)',
     // we used to create the matrix tables here, we do not do that
-},
-function migrateTo6(db : sqlite3.Database) {
-    // we uses to create the matrix tables here, we do not do that
-},
-function migrateTo7(db : sqlite3.Database) {
-    // nothing to do, just bump the version number...
-},
-function migrateTo8(db : sqlite3.Database) {
+    up: [],
+    down: []
+}, {
+    version: 6,
+    name: 'update matrix tables (removed)',
+    up: [],
+    down: []
+}, {
+    version: 7,
+    name: 'bump version',
+    up: [],
+    down: []
+}, {
+    version: 8,
+    name: 'create memory_table_meta table (removed)',
     // we used to create a table called `memory_table_meta` here, we no longer do that
-},
-function migrateTo9(db : sqlite3.Database) {
-    db.serialize(() => {
-        // we used to create a table called `keyword` here, we no longer do that
-        db.run('drop table if exists conversation');
-        db.run('create table conversation (' +
-               'uniqueId varchar(255) primary key, ' +
-               'conversationId varchar(255), ' +
-               'previousId varchar(255), ' +
-               'dialogueId varchar(255), ' +
-               'context text default null, ' +
-               'agent text default null, ' +
-               'agentTimestamp text default null, ' +
-               'agentTarget text default null, ' +
-               'intermediateContext text default null, ' +
-               'user text default null, ' +
-               'userTimestamp text default null, ' +
-               'userTarget text default null, ' +
-               'vote text default null, ' +
-               'comment text default null)');
-    });
-},
-function migrateTo10(db : sqlite3.Database) {
+    up: [],
+    down: []
+}, {
+    version: 9,
+    name: 'create conversation table',
+    up: [
+        'drop table if exists conversation',
+        `create table conversation (
+            uniqueId varchar(255) primary key,
+            conversationId varchar(255),
+            previousId varchar(255),
+            dialogueId varchar(255),
+            context text default null,
+            agent text default null,
+            agentTimestamp text default null,
+            agentTarget text default null,
+            intermediateContext text default null,
+            user text default null,
+            userTimestamp text default null,
+            userTarget text default null,
+            vote text default null,
+            comment text default null
+        )`
+    ],
+    down: ['drop table conversation']
+}, {
+    version: 10,
+    name: 'skipped',
     // empty; it used to contain a buggy migration
     // we need to skip this number so people who already
     // migrated will migrate again to a working db
-},
-function migrateTo11(db : sqlite3.Database) {
-    db.serialize(() => {
-        db.run('drop table if exists conversation_state');
-        db.run('create table conversation_state (' +
-            'uniqueId varchar(255) primary key, ' +
-            'history text default null, ' +
-            'dialogueState text default null, ' +
-            'lastMessageId int(11) default null)');
-    });
-},
-function migrateTo12(db : sqlite3.Database) {
-    db.serialize(() => {
-        db.run('drop table if exists conversation_history');
-        db.run(`create table conversation_history (
+    up: [],
+    down: []
+}, {
+    version: 11,
+    name: 'create conversation_state table',
+    up: [
+        'drop table if exists conversation_state',
+        `create table conversation_state (
+            uniqueId varchar(255) primary key,
+            history text default null,
+            dialogueState text default null,
+            lastMessageId int(11) default null
+        )`
+    ],
+    down: ['drop table conversation_state']
+}, {
+    version: 12,
+    name: 'create conversation_history table',
+    // sqlite doesn't support dropping columns, so conversation_state.history
+    // is left in place, unused
+    up: [
+        'drop table if exists conversation_history',
+        `create table conversation_history (
             uniqueId varchar(255) primary key,
             conversationId varchar(255) not null,
             messageId int(11) not null,
             message text not null
-        )`);
-        db.run(`create unique index conversation_history_messageId on
-                conversation_history(conversationId, messageId)`);
-
-        // sqlite doesn't support dropping columns
-        //db.run(`alter table conversation_state drop column history`);
-    });
-},
-function migrateTo13(db : sqlite3.Database) {
-    db.serialize(() => {
-        db.run('alter table conversation_state add column recording boolean default false');
-    });
+        )`,
+        `create unique index conversation_history_messageId on
+            conversation_history(conversationId, messageId)`
+    ],
+    down: [
+        'drop index conversation_history_messageId',
+        'drop table conversation_history'
+    ]
+}, {
+    version: 13,
+    name: 'add conversation_state.recording',
+    up: ['alter table conversation_state add column recording boolean default false'],
+    // sqlite doesn't support dropping columns, so we copy the table instead
+    down: [
+        `create table conversation_state_old (
+            uniqueId varchar(255) primary key,
+            history text default null,
+            dialogueState text default null,
+            lastMessageId int(11) default null
+        )`,
+        `insert into conversation_state_old(uniqueId, dialogueState, lastMessageId)
+            select uniqueId, dialogueState, lastMessageId from conversation_state`,
+        'drop table conversation_state',
+        'alter table conversation_state_old rename to conversation_state'
+    ]
+}, {
+    version: 14,
+    name: 'create notification_queue table',
+    up: [
+        'drop table if exists notification_queue',
+        `create table notification_queue (
+            uniqueId varchar(255) primary key,
+            appId varchar(255) not null,
+            backend varchar(255) not null,
+            kind varchar(16) not null,
+            payload text not null,
+            config text default null,
+            status varchar(16) not null,
+            attempts int(11) not null default 0,
+            nextAttempt int(11) not null,
+            lastError text default null,
+            created int(11) not null
+        )`,
+        'create index notification_queue_status on notification_queue(status)'
+    ],
+    down: [
+        'drop index notification_queue_status',
+        'drop table notification_queue'
+    ]
+}, {
+    version: 15,
+    name: 'create app_history table',
+    up: [
+        `create table app_history (
+            uniqueId varchar(255) primary key,
+            appId varchar(255) not null,
+            timestamp int(11) not null,
+            event varchar(16) not null,
+            function varchar(255) default null,
+            count int(11) default null,
+            message text default null
+        )`,
+        'create index app_history_appId on app_history(appId, timestamp)',
+        'create index app_history_timestamp on app_history(timestamp)'
+    ],
+    down: [
+        'drop index app_history_appId',
+        'drop index app_history_timestamp',
+        'drop table app_history'
+    ]
 }];
-const currentVersion = MIGRATIONS.length;
+export const CURRENT_VERSION = MIGRATIONS.length;
 
-export function migrateDB(platform : sql.SQLitePlatform) {
-    // cloud migrations are handled out of band
-    const filename = platform.getSqliteDB();
-    const key = platform.getSqliteKey();
-    const prefs = platform.getSharedPreferences();
-    let version = prefs.get('sqlite-schema-version') as number|undefined;
-    if (version === undefined)
-        version = 1;
-    if (version === currentVersion)
-        return Promise.resolve();
-    prefs.set('sqlite-schema-version', currentVersion);
-
-    console.log('Database needs migration...');
-    const db = new sqlite3.Database(filename, sqlite3.OPEN_READWRITE);
-    return new Promise<void>((callback, errback) => {
-        db.on('error', errback);
-        if (key)
-            db.run(sql.makeKeyPragma(key));
-        MIGRATIONS.forEach((migration, migrateTo) => {
-            // migrations start at 1 (see above)
-            migrateTo = migrateTo+1;
-            if (version! < migrateTo)
-                migration(db);
+async function open(platform : sql.SQLitePlatform, mode : number) : Promise<sqlite3.Database> {
+    const db = await new Promise<sqlite3.Database>((resolve, reject) => {
+        const db = new sqlite3.Database(platform.getSqliteDB(), mode, (err) => {
+            if (err)
+                reject(err);
+            else
+                resolve(db);
         });
+    });
+    const key = platform.getSqliteKey();
+    if (key)
+        await sql.query(db, sql.makeKeyPragma(key), []);
+    return db;
+}
 
+function close(db : sqlite3.Database) {
+    return new Promise<void>((resolve, reject) => {
         db.close((err) => {
-            if (!err)
-                console.log('Successfully migrated database to version ' + currentVersion);
             if (err)
-                errback(err);
+                reject(err);
+            else
+                resolve();
+        });
+    });
+}
+
+function exec(db : sqlite3.Database, statements : string) {
+    return new Promise<void>((resolve, reject) => {
+        db.exec(statements, (err) => {
+            if (err)
+                reject(err);
             else
-                callback();
+                resolve();
         });
     });
 }
+
+async function withTransaction(db : sqlite3.Database, transaction : () => Promise<void>) {
+    await sql.query(db, 'begin transaction', []);
+    try {
+        await transaction();
+        await sql.query(db, 'commit', []);
+    } catch(e) {
+        await sql.query(db, 'rollback', []);
+        throw e;
+    }
+}
+
+async function recordVersions(db : sqlite3.Database, migrations : Migration[]) {
+    const now = Date.now();
+    for (const migration of migrations) {
+        await sql.query(db, 'insert into schema_migrations(version, name, appliedAt) values (?, ?, ?)',
+            [migration.version, migration.name, now]);
+    }
+}
+
+/**
+ * Retrieve the version of the schema of the database.
+ *
+ * Databases created before migrations were recorded in the database
+ * store the version in the shared preferences instead; the version is
+ * copied to the `schema_migrations` table the first time they are opened.
+ */
+async function getVersion(db : sqlite3.Database, platform : sql.SQLitePlatform) : Promise<number> {
+    const table = await sql.selectOne(db, `select name from sqlite_master where type = 'table' and name = 'schema_migrations'`, []);
+    if (table) {
+        const row = await sql.selectOne(db, 'select max(version) as version from schema_migrations', []);
+        return row.version ?? 0;
+    }
+
+    const prefs = platform.getSharedPreferences();
+    const version = (prefs.get('sqlite-schema-version') as number|undefined) ?? LEGACY_BASE_VERSION;
+    await withTransaction(db, async () => {
+        await sql.query(db, `create table schema_migrations (
+            version int(11) primary key,
+            name text not null,
+            appliedAt int(11) not null
+        )`, []);
+        await recordVersions(db, MIGRATIONS.slice(0, version));
+    });
+    return version;
+}
+
+async function applyMigration(db : sqlite3.Database, migration : Migration, direction : 'up'|'down') {
+    console.log(`${direction === 'up' ? 'Applying' : 'Reverting'} database migration ${migration.version}: ${migration.name}`);
+    await withTransaction(db, async () => {
+        for (const statement of migration[direction])
+            await sql.query(db, statement, []);
+        if (direction === 'up')
+            await recordVersions(db, [migration]);
+        else
+            await sql.query(db, 'delete from schema_migrations where version = ?', [migration.version]);
+    });
+}
+
+/**
+ * Check that the database has all the tables and columns the engine uses.
+ *
+ * Tables and columns that the engine does not know about are ignored.
+ *
+ * @param db - the database to check
+ */
+export async function verifySchema(db : sqlite3.Database) : Promise<void> {
+    const tables : Record<string, readonly string[]> = {};
+    for (const [name, fields] of Object.entries(sql.FIELD_NAMES))
+        tables[name] = fields;
+    // sync tables have an additional journal table
+    tables.device_journal = ['lastModified'];
+
+    for (const table in tables) {
+        const columns = new Set((await sql.selectAll(db, `pragma table_info(${table})`, [])).map((c) => c.name));
+        if (columns.size === 0)
+            throw new CustomError('invalid_schema', `Database schema is invalid: missing table ${table}`);
+        for (const column of ['uniqueId', ...tables[table]]) {
+            if (!columns.has(column))
+                throw new CustomError('invalid_schema', `Database schema is invalid: missing column ${table}.${column}`);
+        }
+    }
+}
+
+/**
+ * Create a new database with the current schema.
+ *
+ * @param platform - the platform that owns the database
+ */
+export async function initializeDB(platform : sql.SQLitePlatform) : Promise<void> {
+    const prefs = platform.getSharedPreferences();
+    prefs.set('sqlite-schema-version', CURRENT_VERSION);
+
+    const db = await open(platform, sqlite3.OPEN_READWRITE | sqlite3.OPEN_CREATE);
+    try {
+        await sql.query(db, 'PRAGMA journal_mode=WAL', []);
+        await withTransaction(db, async () => {
+            await exec(db, DatabaseSchema);
+            await recordVersions(db, MIGRATIONS);
+        });
+        await verifySchema(db);
+    } catch(e) {
+        console.error('Failed to initialize DB schema', e);
+        throw e;
+    } finally {
+        await close(db);
+    }
+}
+
+/**
+ * Upgrade or downgrade an existing database to the given schema version.
+ *
+ * When upgrading to the current version, the schema of the database is also
+ * verified.
+ *
+ * @param platform - the platform that owns the database
+ * @param targetVersion - the version to migrate to
+ */
+export async function migrateDB(platform : sql.SQLitePlatform, targetVersion = CURRENT_VERSION) : Promise<void> {
+    if (targetVersion < 0 || targetVersion > CURRENT_VERSION)
+        throw new CustomError('invalid_version', `Invalid database schema version ${targetVersion}`);
+
+    const db = await open(platform, sqlite3.OPEN_READWRITE);
+    try {
+        const version = await getVersion(db, platform);
+        if (version > CURRENT_VERSION)
+            throw new CustomError('invalid_version', `Database schema version ${version} is newer than the latest known version ${CURRENT_VERSION}`);
+
+        if (version !== targetVersion) {
+            console.log(`Database needs migration from version ${version} to ${targetVersion}...`);
+            if (version < targetVersion) {
+                for (const migration of MIGRATIONS.slice(version, targetVersion))
+                    await applyMigration(db, migration, 'up');
+            } else {
+                for (const migration of MIGRATIONS.slice(targetVersion, version).reverse())
+                    await applyMigration(db, migration, 'down');
+            }
+            console.log('Successfully migrated database to version ' + targetVersion);
+        }
+
+        // keep the version in the preferences as well, for older versions of
+        // the engine that do not know about the schema_migrations table
+        platform.getSharedPreferences().set('sqlite-schema-version', targetVersion);
+
+        if (targetVersion === CURRENT_VERSION)
+            await verifySchema(db);
+    } finally {
+        await close(db);
+    }
+}
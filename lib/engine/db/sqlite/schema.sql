@@ -1,5 +1,3 @@
-drop table if exists app ;
-
 create table app (
        uniqueId varchar(255) primary key,
        code text not null,
@@ -8,9 +6,6 @@ create table app (
        description text null default null
 );
 
-drop table if exists device ;
-drop table if exists device_journal ;
-
 create table device (
        uniqueId varchar(255) primary key,
        state text not null
@@ -21,19 +16,13 @@ create table device_journal (
        lastModified datetime
 );
 
-drop index if exists device_lastModified;
-
-create index device_lastModified on device_journal(lastModified) ;
-
-drop table if exists channel ;
+create index device_lastModified on device_journal(lastModified);
 
 create table channel (
        uniqueId varchar(255) primary key,
        value text default null
 );
 
-drop table if exists conversation ;
-
 create table conversation (
        uniqueId varchar(255) primary key,
        conversationId varchar(255),
@@ -51,8 +40,6 @@ create table conversation (
        comment text default null
 );
 
-drop table if exists conversation_state;
-
 create table conversation_state (
        uniqueId varchar(255) primary key,
        dialogueState text default null,
@@ -68,3 +55,36 @@ create table conversation_history (
 );
 create unique index conversation_history_messageId on
        conversation_history(conversationId, messageId);
+
+create table notification_queue (
+       uniqueId varchar(255) primary key,
+       appId varchar(255) not null,
+       backend varchar(255) not null,
+       kind varchar(16) not null,
+       payload text not null,
+       config text default null,
+       status varchar(16) not null,
+       attempts int(11) not null default 0,
+       nextAttempt int(11) not null,
+       lastError text default null,
+       created int(11) not null
+);
+create index notification_queue_status on notification_queue(status);
+
+create table app_history (
+       uniqueId varchar(255) primary key,
+       appId varchar(255) not null,
+       timestamp int(11) not null,
+       event varchar(16) not null,
+       function varchar(255) default null,
+       count int(11) default null,
+       message text default null
+);
+create index app_history_appId on app_history(appId, timestamp);
+create index app_history_timestamp on app_history(timestamp);
+
+create table schema_migrations (
+       version int(11) primary key,
+       name text not null,
+       appliedAt int(11) not null
+);
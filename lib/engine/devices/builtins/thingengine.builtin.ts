@@ -24,9 +24,12 @@ import * as TT from 'thingtalk';
 import * as stream from 'stream';
 import { Temporal } from '@js-temporal/polyfill';
 
+import * as I18n from '../../../i18n';
 import CustomError from '../../../utils/custom_error';
 import * as ThingTalkUtils from '../../../utils/thingtalk';
 
+import { normalizeWakeWord, WAKE_WORD_PREF } from '../../../dialogue-agent/audio/wake_word';
+
 import type ExecWrapper from '../../apps/exec_wrapper';
 import type AssistantEngine from '../..';
 
@@ -282,16 +285,52 @@ export default class MiscellaneousDevice extends Tp.BaseDevice {
         throw new Error('not implemented');
     }
 
-    do_set_language() : never {
-        throw new CustomError(this.platform.type === 'cloud' ? 'unsupported_platform_cloud' : 'unsupported_language', `not supported`);
+    async do_set_language({ language } : { language : unknown }) {
+        if (this.platform.type === 'cloud')
+            throw new CustomError('unsupported_platform_cloud', `not supported`);
+
+        const locale = String(language).toLowerCase();
+        if (!I18n.isSupported(locale))
+            throw new CustomError('unsupported_language', `${locale} is not supported`);
+
+        // keep the region of the current locale if the language is the same
+        const current = this.platform.locale.toLowerCase();
+        if (current === locale || current.startsWith(locale + '-'))
+            return;
+
+        const engine = this.engine as AssistantEngine;
+        if (!await engine.setLocale(locale))
+            throw new CustomError('unsupported_platform', `set_language is not supported in ${this.platform.type} platform`);
     }
 
-    do_set_timezone() : never {
-        throw new CustomError(this.platform.type === 'cloud' ? 'unsupported_platform_cloud' : 'unsupported_platform', `not supported`);
+    async do_set_timezone({ timezone } : { timezone : unknown }) {
+        if (this.platform.type === 'cloud')
+            throw new CustomError('unsupported_platform_cloud', `not supported`);
+
+        let tzid : string;
+        try {
+            tzid = Temporal.TimeZone.from(String(timezone)).toString();
+        } catch(e) {
+            throw new CustomError('invalid_timezone', `${timezone} is not a valid timezone`);
+        }
+        if (tzid === this.platform.timezone)
+            return;
+
+        const engine = this.engine as AssistantEngine;
+        if (!await engine.setTimezone(tzid))
+            throw new CustomError('unsupported_platform', `set_timezone is not supported in ${this.platform.type} platform`);
     }
 
-    do_set_wake_word() : never {
-        throw new CustomError('unsupported', `not supported`);
+    async do_set_wake_word({ word } : { word : string }) {
+        const wakeWord = normalizeWakeWord(word);
+        if (!wakeWord)
+            throw new CustomError('invalid_wake_word', `Invalid wake word ${word}`);
+
+        // the preference is picked up by the local speech handler, and by
+        // satellite clients when they connect
+        const prefs = this.platform.getSharedPreferences();
+        prefs.set(WAKE_WORD_PREF, wakeWord);
+        await (this.engine as AssistantEngine).audio.setWakeWord(wakeWord);
     }
 
     do_set_voice_output({ status } : { status : 'on'|'off' }, env : ExecWrapper) {
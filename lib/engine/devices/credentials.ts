@@ -0,0 +1,272 @@
+// -*- mode: typescript; indent-tabs-mode: nil; js-basic-offset: 4 -*-
+//
+// This file is part of Genie
+//
+// Copyright 2022 The Board of Trustees of the Leland Stanford Junior University
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//    http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+// Envelope encryption of the credentials in the state of a device
+//
+// The secret fields of each device state are encrypted with a random data key,
+// and the data key is encrypted ("wrapped") with a key supplied by the platform.
+// Rotating the platform key only requires wrapping the data keys again.
+
+import * as crypto from 'crypto';
+import * as Tp from 'thingpedia';
+
+import CustomError from '../../utils/custom_error';
+
+const CIPHER = 'aes-256-gcm';
+const KEY_LENGTH = 32;
+const IV_LENGTH = 12;
+const TAG_LENGTH = 16;
+
+const ENVELOPE_VERSION = 1;
+
+/**
+ * The field of the device state that holds the encrypted credentials.
+ */
+export const ENVELOPE_FIELD = '$credentials';
+
+/**
+ * Device state and preferences with a name that matches this regular
+ * expression are considered secret.
+ *
+ * Only the top-level keys of the state are checked: a nested object is
+ * encrypted as a whole if its key matches, and stored in clear otherwise,
+ * even if it contains keys that would match. Devices must store their
+ * credentials at the top level of their state.
+ */
+export const SECRET_KEY_REGEX = /token|secret|password|key$/i;
+
+/**
+ * The keys used to encrypt device credentials, as provided by the
+ * `credential-keys` platform capability.
+ *
+ * Keys are 32 bytes, base64-encoded.
+ */
+export interface CredentialKeyConfig {
+    /**
+     * The key used to encrypt credentials.
+     */
+    currentKey : string;
+    /**
+     * Keys that were used before the current one, and are still accepted
+     * to decrypt credentials that were not yet rotated.
+     */
+    previousKeys ?: string[];
+}
+
+interface CredentialEnvelope {
+    version : number;
+    /**
+     * The ID of the platform key that wraps the data key.
+     */
+    keyId : string;
+    /**
+     * The wrapped data key; IV, authentication tag and ciphertext, base64-encoded.
+     */
+    wrappedKey : string;
+    /**
+     * The encrypted secret fields, in the same format as the wrapped key.
+     */
+    data : string;
+}
+
+function seal(key : Buffer, plaintext : Buffer) : string {
+    const iv = crypto.randomBytes(IV_LENGTH);
+    const cipher = crypto.createCipheriv(CIPHER, key, iv);
+    const ciphertext = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+    return Buffer.concat([iv, cipher.getAuthTag(), ciphertext]).toString('base64');
+}
+
+function open(key : Buffer, sealed : string) : Buffer {
+    const buffer = Buffer.from(sealed, 'base64');
+    const decipher = crypto.createDecipheriv(CIPHER, key, buffer.slice(0, IV_LENGTH));
+    decipher.setAuthTag(buffer.slice(IV_LENGTH, IV_LENGTH + TAG_LENGTH));
+    try {
+        return Buffer.concat([decipher.update(buffer.slice(IV_LENGTH + TAG_LENGTH)), decipher.final()]);
+    } catch(e) {
+        throw new CustomError('invalid_credential_key', `Failed to decrypt device credentials`);
+    }
+}
+
+function parseKey(key : string) : [string, Buffer] {
+    const buffer = Buffer.from(key, 'base64');
+    if (buffer.length !== KEY_LENGTH)
+        throw new CustomError('invalid_credential_key', `Credential keys must be ${KEY_LENGTH} bytes, base64-encoded`);
+    // the key ID is derived from the key, so it does not need to be configured separately
+    const keyId = crypto.createHash('sha256').update(buffer).digest('hex').substring(0, 16);
+    return [keyId, buffer];
+}
+
+/**
+ * Check if the given device state contains encrypted credentials.
+ */
+export function isEncrypted(state : Record<string, unknown>) : boolean {
+    return ENVELOPE_FIELD in state;
+}
+
+/**
+ * Encrypt and decrypt the credentials in the state of a device.
+ *
+ * If no key is configured, states are stored in clear, and only states
+ * that are already in clear can be loaded.
+ */
+export class CredentialCipher {
+    private _keys : Map<string, Buffer>;
+    private _currentKeyId : string|null;
+
+    constructor(config : CredentialKeyConfig|null) {
+        this._keys = new Map;
+        this._currentKeyId = null;
+        if (config === null)
+            return;
+
+        const [currentKeyId, currentKey] = parseKey(config.currentKey);
+        this._currentKeyId = currentKeyId;
+        this._keys.set(currentKeyId, currentKey);
+        for (const previous of config.previousKeys || []) {
+            const [keyId, key] = parseKey(previous);
+            this._keys.set(keyId, key);
+        }
+    }
+
+    /**
+     * Construct the cipher with the keys configured for this platform.
+     *
+     * Keys come from the `credential-keys` capability of the platform, or
+     * from the `GENIE_CREDENTIAL_KEY` and `GENIE_CREDENTIAL_PREVIOUS_KEYS`
+     * (comma-separated) environment variables.
+     */
+    static fromPlatform(platform : Tp.BasePlatform) : CredentialCipher {
+        if (platform.hasCapability('credential-keys'))
+            return new CredentialCipher(platform.getCapability('credential-keys') as CredentialKeyConfig);
+
+        if (process.env.GENIE_CREDENTIAL_KEY) {
+            return new CredentialCipher({
+                currentKey: process.env.GENIE_CREDENTIAL_KEY,
+                previousKeys: process.env.GENIE_CREDENTIAL_PREVIOUS_KEYS ?
+                    process.env.GENIE_CREDENTIAL_PREVIOUS_KEYS.split(',') : []
+            });
+        }
+
+        return new CredentialCipher(null);
+    }
+
+    /**
+     * Whether credentials are encrypted when saved.
+     */
+    get enabled() : boolean {
+        return this._currentKeyId !== null;
+    }
+
+    /**
+     * The ID of the key used to encrypt credentials, or `null` if encryption is not enabled.
+     */
+    get currentKeyId() : string|null {
+        return this._currentKeyId;
+    }
+
+    private _getKey(keyId : string) : Buffer {
+        const key = this._keys.get(keyId);
+        if (!key)
+            throw new CustomError('unknown_credential_key', `Device credentials are encrypted with an unknown key ${keyId}`);
+        return key;
+    }
+
+    /**
+     * Replace the secret fields of a device state with their encrypted form.
+     *
+     * States without secret fields, and all states if encryption is not enabled,
+     * are returned unchanged.
+     */
+    encrypt(state : Record<string, unknown>) : Record<string, unknown> {
+        if (this._currentKeyId === null || isEncrypted(state))
+            return state;
+
+        const clear : Record<string, unknown> = {};
+        const secrets : Record<string, unknown> = {};
+        let hasSecrets = false;
+        for (const key in state) {
+            if (SECRET_KEY_REGEX.test(key)) {
+                secrets[key] = state[key];
+                hasSecrets = true;
+            } else {
+                clear[key] = state[key];
+            }
+        }
+        if (!hasSecrets)
+            return state;
+
+        const dataKey = crypto.randomBytes(KEY_LENGTH);
+        const envelope : CredentialEnvelope = {
+            version: ENVELOPE_VERSION,
+            keyId: this._currentKeyId,
+            wrappedKey: seal(this._getKey(this._currentKeyId), dataKey),
+            data: seal(dataKey, Buffer.from(JSON.stringify(secrets), 'utf8')),
+        };
+        clear[ENVELOPE_FIELD] = envelope;
+        return clear;
+    }
+
+    private _unwrap(envelope : CredentialEnvelope) : Buffer {
+        if (envelope.version !== ENVELOPE_VERSION)
+            throw new CustomError('invalid_credential_key', `Unsupported credential envelope version ${envelope.version}`);
+        return open(this._getKey(envelope.keyId), envelope.wrappedKey);
+    }
+
+    /**
+     * Restore the secret fields of a device state.
+     *
+     * States that are not encrypted are returned unchanged.
+     */
+    decrypt(state : Record<string, unknown>) : Record<string, unknown> {
+        if (!isEncrypted(state))
+            return state;
+
+        const { [ENVELOPE_FIELD]: envelope, ...clear } = state;
+        const dataKey = this._unwrap(envelope as CredentialEnvelope);
+        const secrets = JSON.parse(open(dataKey, (envelope as CredentialEnvelope).data).toString('utf8'));
+        return { ...clear, ...secrets };
+    }
+
+    /**
+     * Convert a device state to use the current key.
+     *
+     * Encrypted states have their data key wrapped again with the current key,
+     * without changing the encrypted credentials. States in clear are encrypted.
+     * If encryption is not enabled, states in clear are returned unchanged,
+     * and encrypted states cannot be converted.
+     */
+    rewrap(state : Record<string, unknown>) : Record<string, unknown> {
+        if (this._currentKeyId === null)
+            return this.decrypt(state);
+        if (!isEncrypted(state))
+            return this.encrypt(state);
+
+        const envelope = state[ENVELOPE_FIELD] as CredentialEnvelope;
+        if (envelope.keyId === this._currentKeyId)
+            return state;
+        const dataKey = this._unwrap(envelope);
+        return {
+            ...state,
+            [ENVELOPE_FIELD]: {
+                ...envelope,
+                keyId: this._currentKeyId,
+                wrappedKey: seal(this._getKey(this._currentKeyId), dataKey)
+            }
+        };
+    }
+}
@@ -26,6 +26,7 @@ import { SchemaRetriever } from 'thingtalk';
 import { AbstractDatabase } from '../db';
 import SyncDatabase from '../db/syncdb';
 import SyncManager from '../sync/manager';
+import { CredentialCipher } from './credentials';
 
 // check for updates of all devices every 3 hours
 // this is to catch bug fixes quickly
@@ -42,6 +43,7 @@ export default class DeviceDatabase extends ObjectSet.Base<Tp.BaseDevice> {
     private _byDescriptor : Map<string, Tp.BaseDevice>;
     private _syncManager : SyncManager;
     private _syncdb : SyncDatabase<"device">;
+    private _credentials : CredentialCipher;
 
     private _subdeviceAddedListener : (device : Tp.BaseDevice) => void;
     private _subdeviceRemovedListener : (device : Tp.BaseDevice) => void;
@@ -80,6 +82,7 @@ export default class DeviceDatabase extends ObjectSet.Base<Tp.BaseDevice> {
 
         this._syncManager = syncManager;
         this._syncdb = new SyncDatabase(platform, db, 'device', syncManager);
+        this._credentials = CredentialCipher.fromPlatform(platform);
 
         this._subdeviceAddedListener = this._notifySubdeviceAdded.bind(this);
         this._subdeviceRemovedListener = this._notifySubdeviceRemoved.bind(this);
@@ -91,6 +94,13 @@ export default class DeviceDatabase extends ObjectSet.Base<Tp.BaseDevice> {
         this._updateTimer = null;
     }
 
+    /**
+     * The cipher used to encrypt the credentials of the devices in the database.
+     */
+    get credentials() : CredentialCipher {
+        return this._credentials;
+    }
+
     async loadOneDevice(serializedDevice : Tp.BaseDevice.DeviceState & { uniqueId ?: string },
                         addToDB : boolean) {
         if (addToDB)
@@ -98,6 +108,15 @@ export default class DeviceDatabase extends ObjectSet.Base<Tp.BaseDevice> {
 
         const uniqueId = serializedDevice.uniqueId!;
         delete serializedDevice.uniqueId;
+        try {
+            serializedDevice = this._credentials.decrypt(serializedDevice) as Tp.BaseDevice.DeviceState;
+        } catch(e) {
+            // do not delete the device: it will load once the right key is configured
+            console.error('Failed to decrypt the credentials of device ' + uniqueId + ': ' + e.message);
+            if (addToDB)
+                throw e;
+            return null;
+        }
         try {
             const device = await this._factory.loadSerialized(serializedDevice.kind, serializedDevice);
             return await this._addDeviceInternal(device, uniqueId, addToDB);
@@ -119,6 +138,16 @@ export default class DeviceDatabase extends ObjectSet.Base<Tp.BaseDevice> {
         const rows = await this._syncdb.getAll();
 
         await Promise.all(rows.map(async (row : any) => {
+            // convert credentials stored in clear, or with a previous key,
+            // so they do not stay unprotected until the device changes
+            if (this._credentials.enabled) {
+                try {
+                    await this._rewrapCredentials(row);
+                } catch(e) {
+                    console.error('Failed to encrypt the credentials of device ' + row.uniqueId + ': ' + e.message);
+                }
+            }
+
             try {
                 const serializedDevice = JSON.parse(row.state);
                 serializedDevice.uniqueId = row.uniqueId;
@@ -134,8 +163,15 @@ export default class DeviceDatabase extends ObjectSet.Base<Tp.BaseDevice> {
     private _onObjectAdded(uniqueId : string, row : any) {
         const serializedDevice = JSON.parse(row.state);
         if (this._devices.has(uniqueId)) {
+            let state;
+            try {
+                state = this._credentials.decrypt(serializedDevice) as Tp.BaseDevice.DeviceState;
+            } catch(e) {
+                console.error('Failed to decrypt the credentials of device ' + uniqueId + ': ' + e.message);
+                return;
+            }
             this._isUpdatingState = true;
-            this._devices.get(uniqueId)!.updateState(serializedDevice);
+            this._devices.get(uniqueId)!.updateState(state);
             this._isUpdatingState = false;
         } else {
             serializedDevice.uniqueId = uniqueId;
@@ -300,11 +336,41 @@ export default class DeviceDatabase extends ObjectSet.Base<Tp.BaseDevice> {
         this.emit('device-changed', device);
         if (device.isTransient)
             return;
-        const state = device.serialize();
+        // credentials are encrypted before they reach the database, so
+        // they are also encrypted when synchronized with other tiers
+        const state = this._credentials.encrypt(device.serialize());
         const uniqueId = device.uniqueId!;
         await this._syncdb.insertOne(uniqueId, { state: JSON.stringify(state) });
     }
 
+    private async _rewrapCredentials(row : { uniqueId : string, state : string }) : Promise<boolean> {
+        const state = JSON.parse(row.state);
+        const rewrapped = this._credentials.rewrap(state);
+        if (rewrapped === state)
+            return false;
+        await this._syncdb.insertOne(row.uniqueId, { state: JSON.stringify(rewrapped) });
+        return true;
+    }
+
+    /**
+     * Encrypt the credentials of all devices with the current key.
+     *
+     * This happens automatically when the database is started, so it only
+     * needs to be called to make sure all devices were converted before the
+     * previous key is removed from the configuration. Only the data keys
+     * are wrapped again; the credentials themselves are not re-encrypted.
+     *
+     * @returns the number of devices that were updated
+     */
+    async rotateCredentialKey() : Promise<number> {
+        let count = 0;
+        for (const row of await this._syncdb.getAll()) {
+            if (await this._rewrapCredentials(row))
+                count++;
+        }
+        return count;
+    }
+
     private async _addDeviceInternal(device : Tp.BaseDevice, uniqueId : string|undefined, addToDB : boolean) {
         if (device.uniqueId === undefined) {
             if (uniqueId === undefined)
@@ -0,0 +1,288 @@
+// -*- mode: typescript; indent-tabs-mode: nil; js-basic-offset: 4 -*-
+//
+// This file is part of Genie
+//
+// Copyright 2022 The Board of Trustees of the Leland Stanford Junior University
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//    http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+import * as Tp from 'thingpedia';
+
+import type DeviceDatabase from './database';
+
+/**
+ * The field of the device state that holds when the access token expires,
+ * in milliseconds since the epoch, or `null` if the token does not expire.
+ * The field is absent if the expiration is not known.
+ */
+export const EXPIRES_FIELD = 'oauthExpiresAt';
+
+// refresh this long before the token expires
+const DEFAULT_REFRESH_MARGIN = 5 * 60 * 1000;
+// the lifetime to assume for tokens of unknown expiration (typical of most providers)
+const DEFAULT_TOKEN_LIFETIME = 3600 * 1000;
+const DEFAULT_RETRY_DELAY = 60 * 1000;
+const DEFAULT_MAX_ATTEMPTS = 5;
+
+// the maximum delay of setTimeout; longer timers are split
+const MAX_TIMEOUT = 2147483647;
+
+export interface OAuthRefreshOptions {
+    /**
+     * How long before the expiration of the token to refresh it, in milliseconds.
+     */
+    refreshMargin ?: number;
+    /**
+     * The lifetime to assume for tokens whose expiration is not known, in milliseconds.
+     */
+    defaultTokenLifetime ?: number;
+    /**
+     * Delay before the first retry of a failed refresh, in milliseconds; the delay doubles at every retry.
+     */
+    retryDelay ?: number;
+    /**
+     * Number of refresh attempts before the failure is considered permanent.
+     */
+    maxAttempts ?: number;
+}
+
+/**
+ * Called when the credentials of a device cannot be refreshed, and the
+ * user must configure the device again.
+ */
+export type ReauthenticationCallback = (device : Tp.BaseDevice, error : Error) => Promise<void>;
+
+type UpdateTokenMethod = Tp.BaseDevice['updateOAuth2Token'];
+
+interface TrackedDevice {
+    device : Tp.BaseDevice;
+    oauth : Tp.BaseDevice.OAuth2Interface;
+    originalUpdateToken : UpdateTokenMethod;
+    // when tracking started, to compute the expiration of tokens of unknown lifetime
+    since : number;
+    timer : NodeJS.Timeout|null;
+    attempts : number;
+    // the refresh token that failed permanently, if any
+    failedToken : string|undefined|null;
+}
+
+function isPermanentFailure(error : Error & { code ?: unknown }) {
+    // the authorization server rejected the refresh token (RFC 6749, section 5.2)
+    if (error.code === 400 || error.code === 401 || error.code === 403)
+        return true;
+    return /invalid_grant|unauthorized_client|HTTP error 40[013]\b/.test(error.message);
+}
+
+function parseExpiresIn(extraData : Record<string, unknown>) : number|undefined {
+    const expiresIn = Number(extraData.expires_in);
+    if (!extraData.expires_in || !Number.isFinite(expiresIn))
+        return undefined;
+    return Date.now() + expiresIn * 1000;
+}
+
+/**
+ * Keep the OAuth access tokens of all configured devices fresh.
+ *
+ * The manager tracks when the access token of each device that supports OAuth
+ * expires, and refreshes it shortly before that, so that the token is valid when
+ * an app uses it. The expiration time is saved in the device state, together with
+ * the new tokens.
+ *
+ * If the token cannot be refreshed, because the authorization server rejects
+ * the refresh token or because of repeated failures, the user is notified that
+ * the device must be configured again.
+ */
+export default class OAuthRefreshManager {
+    private _devices : DeviceDatabase;
+    private _onReauthenticationRequired : ReauthenticationCallback;
+    private _refreshMargin : number;
+    private _defaultTokenLifetime : number;
+    private _retryDelay : number;
+    private _maxAttempts : number;
+    private _tracked : Map<string, TrackedDevice>;
+
+    private _deviceAddedListener : (device : Tp.BaseDevice) => void;
+    private _deviceRemovedListener : (device : Tp.BaseDevice) => void;
+    private _deviceChangedListener : (device : Tp.BaseDevice) => void;
+
+    constructor(devices : DeviceDatabase,
+                onReauthenticationRequired : ReauthenticationCallback,
+                options : OAuthRefreshOptions = {}) {
+        this._devices = devices;
+        this._onReauthenticationRequired = onReauthenticationRequired;
+        this._refreshMargin = options.refreshMargin ?? DEFAULT_REFRESH_MARGIN;
+        this._defaultTokenLifetime = options.defaultTokenLifetime ?? DEFAULT_TOKEN_LIFETIME;
+        this._retryDelay = options.retryDelay ?? DEFAULT_RETRY_DELAY;
+        this._maxAttempts = options.maxAttempts ?? DEFAULT_MAX_ATTEMPTS;
+        this._tracked = new Map;
+
+        this._deviceAddedListener = this._track.bind(this);
+        this._deviceRemovedListener = this._untrack.bind(this);
+        this._deviceChangedListener = this._onDeviceChanged.bind(this);
+    }
+
+    async start() {
+        this._devices.on('device-added', this._deviceAddedListener);
+        this._devices.on('device-removed', this._deviceRemovedListener);
+        this._devices.on('device-changed', this._deviceChangedListener);
+
+        for (const device of this._devices.getAllDevices())
+            this._track(device);
+    }
+
+    async stop() {
+        this._devices.removeListener('device-added', this._deviceAddedListener);
+        this._devices.removeListener('device-removed', this._deviceRemovedListener);
+        this._devices.removeListener('device-changed', this._deviceChangedListener);
+
+        for (const tracked of Array.from(this._tracked.values()))
+            this._untrack(tracked.device);
+    }
+
+    /**
+     * Return when the access token of the given device expires.
+     *
+     * @param uniqueId - the ID of the device
+     * @return the expiration date, `null` if the token does not expire, or
+     *   `undefined` if the device does not use OAuth or its expiration is not known
+     */
+    getExpiration(uniqueId : string) : Date|null|undefined {
+        const tracked = this._tracked.get(uniqueId);
+        if (!tracked)
+            return undefined;
+        const expiresAt = tracked.device.state[EXPIRES_FIELD];
+        if (expiresAt === null)
+            return null;
+        if (typeof expiresAt !== 'number')
+            return undefined;
+        return new Date(expiresAt);
+    }
+
+    private _track(device : Tp.BaseDevice) {
+        if (device.uniqueId === undefined || this._tracked.has(device.uniqueId))
+            return;
+        const oauth = device.queryInterface('oauth2');
+        // without a refresh token, there is nothing we can do
+        if (oauth === null || !device.state.refreshToken)
+            return;
+
+        // record the expiration of the token whenever the device receives a new one
+        const originalUpdateToken = device.updateOAuth2Token;
+        device.updateOAuth2Token = function(accessToken, refreshToken, extraData) {
+            // if the server does not say when the new token expires, forget the
+            // expiration of the old token, so the default lifetime applies
+            const expiresAt = parseExpiresIn(extraData);
+            if (expiresAt === undefined)
+                delete this.state[EXPIRES_FIELD];
+            else
+                this.state[EXPIRES_FIELD] = expiresAt;
+            return originalUpdateToken.call(this, accessToken, refreshToken, extraData);
+        };
+
+        const tracked : TrackedDevice = {
+            device,
+            oauth,
+            originalUpdateToken,
+            since: Date.now(),
+            timer: null,
+            attempts: 0,
+            failedToken: null
+        };
+        this._tracked.set(device.uniqueId, tracked);
+        this._schedule(tracked);
+    }
+
+    private _untrack(device : Tp.BaseDevice) {
+        const tracked = this._tracked.get(device.uniqueId!);
+        if (!tracked || tracked.device !== device)
+            return;
+        this._tracked.delete(device.uniqueId!);
+        if (tracked.timer)
+            clearTimeout(tracked.timer);
+        device.updateOAuth2Token = tracked.originalUpdateToken;
+    }
+
+    private _onDeviceChanged(device : Tp.BaseDevice) {
+        const tracked = this._tracked.get(device.uniqueId!);
+        if (!tracked) {
+            // the device might have gained a refresh token
+            this._track(device);
+            return;
+        }
+
+        if (tracked.failedToken !== null) {
+            // wait for the user to configure the device again
+            if (device.state.refreshToken === tracked.failedToken)
+                return;
+            tracked.failedToken = null;
+            tracked.attempts = 0;
+            tracked.since = Date.now();
+        }
+        // a new token has a new expiration
+        if (tracked.attempts === 0)
+            this._schedule(tracked);
+    }
+
+    private _setTimer(tracked : TrackedDevice, delay : number) {
+        if (tracked.timer)
+            clearTimeout(tracked.timer);
+        if (delay > MAX_TIMEOUT) {
+            tracked.timer = setTimeout(() => this._schedule(tracked), MAX_TIMEOUT);
+            return;
+        }
+        tracked.timer = setTimeout(() => {
+            this._refresh(tracked).catch((e) => {
+                console.error(`Failed to refresh the credentials of ${tracked.device.uniqueId}`, e);
+            });
+        }, Math.max(0, delay));
+    }
+
+    private _schedule(tracked : TrackedDevice) {
+        const expiresAt = tracked.device.state[EXPIRES_FIELD];
+        if (expiresAt === null) {
+            // the token does not expire
+            if (tracked.timer)
+                clearTimeout(tracked.timer);
+            tracked.timer = null;
+            return;
+        }
+
+        const refreshAt = (typeof expiresAt === 'number' ? expiresAt : tracked.since + this._defaultTokenLifetime) - this._refreshMargin;
+        this._setTimer(tracked, refreshAt - Date.now());
+    }
+
+    private async _refresh(tracked : TrackedDevice) {
+        tracked.timer = null;
+        const device = tracked.device;
+        const refreshToken = device.state.refreshToken;
+        try {
+            await tracked.oauth.refreshCredentials();
+        } catch(e) {
+            tracked.attempts ++;
+            console.error(`Failed to refresh the credentials of ${device.uniqueId} (attempt ${tracked.attempts}): ${e.message}`);
+            if (isPermanentFailure(e) || tracked.attempts >= this._maxAttempts) {
+                tracked.failedToken = refreshToken;
+                await this._onReauthenticationRequired(device, e);
+            } else {
+                this._setTimer(tracked, this._retryDelay * Math.pow(2, tracked.attempts-1));
+            }
+            return;
+        }
+
+        tracked.attempts = 0;
+        // if the device did not report the expiration of the new token,
+        // assume it has the default lifetime
+        tracked.since = Date.now();
+        this._schedule(tracked);
+    }
+}
@@ -27,6 +27,7 @@ import * as I18n from '../i18n';
 import * as DB from './db';
 import { AbstractDatabase, createDB } from './db';
 import DeviceDatabase from './devices/database';
+import OAuthRefreshManager, { OAuthRefreshOptions } from './devices/oauth_refresh';
 import SyncManager from './sync/manager';
 import PairedEngineManager from './sync/pairing';
 import * as Builtins from './devices/builtins';
@@ -34,11 +35,24 @@ import * as Builtins from './devices/builtins';
 import AppDatabase from './apps/database';
 import AppRunner from './apps/runner';
 import type AppExecutor from './apps/app_executor';
+import type { AppHistoryEntry } from './apps/history';
+import type { ActiveWindow } from './apps/schedule';
+import type { DryRunMode } from './apps/dry_run';
+import {
+    AssistantProfile,
+    ProfileExportOptions,
+    ProfileImportOptions,
+    exportProfile,
+    importProfile
+} from './profile';
 
 import AudioController from '../dialogue-agent/audio/controller';
 import AssistantDispatcher from '../dialogue-agent/assistant_dispatcher';
+import type { DialogueHandlerFactory } from '../dialogue-agent/dialogue-loop';
 import { NotificationConfig } from '../dialogue-agent/notifications';
 import NotificationFormatter from '../dialogue-agent/notifications/formatter';
+import type { FailedNotificationInfo, NotificationQueueOptions } from '../dialogue-agent/notifications/queue';
+import type { NotificationPolicy } from '../dialogue-agent/notifications/policy';
 
 import * as Config from '../config';
 import  { ActivityMonitor, ActivityMonitorStatus } from './activity_monitor';
@@ -58,6 +72,18 @@ interface EngineModule {
     stop() : Promise<void>;
 }
 
+/**
+ * The methods of a platform that supports changing the locale or
+ * the timezone while the engine is running.
+ *
+ * These are not part of the Thingpedia platform interface, so a platform
+ * might not implement them.
+ */
+interface LocaleSettingsPlatform extends Tp.BasePlatform {
+    setLocale ?(locale : string) : void;
+    setTimezone ?(timezone : string) : void;
+}
+
 interface DeviceState {
     kind : string;
     accessToken ?: string;
@@ -95,6 +121,18 @@ export interface AppInfo {
      * Whether the app is set to run in the background.
      */
     isEnabled : boolean;
+    /**
+     * Whether the app was paused by the user.
+     */
+    isPaused : boolean;
+    /**
+     * The period of the week when the app is allowed to run, if any.
+     */
+    activeWindow ?: ActiveWindow;
+    /**
+     * When the app will be deleted automatically, in milliseconds since the epoch, if ever.
+     */
+    expiration ?: number;
     /**
      * The last error reported by the app.
      */
@@ -112,6 +150,11 @@ export interface AppInfo {
          * address to send notifications to.
          */
         config : Record<string, string>;
+        /**
+         * Quiet hours, digest and rate limiting policy for this app; if
+         * omitted, the `notification-policy` preference applies.
+         */
+        policy ?: NotificationPolicy;
     };
 }
 
@@ -173,7 +216,7 @@ export interface AppResult {
  *
  */
 export default class AssistantEngine extends Tp.BaseEngine {
-    readonly _ : (x : string) => string;
+    _ : (x : string) => string;
 
     private _db : AbstractDatabase;
     // should be private, but it is accessed from @org.thingpedia.builtin.thingengine
@@ -196,12 +239,16 @@ export default class AssistantEngine extends Tp.BaseEngine {
      * @param {external:thingpedia.BasePlatform} platform - the platform associated with this engine
      * @param {Object} options - additional options; this is also passed to the parent class
      * @param {string} [options.cloudSyncUrl] - URL to use for cloud sync
+     * @param {Object} [options.notificationQueueOptions] - retry policy for notifications sent to notification backends
+     * @param {Object} [options.oauthRefreshOptions] - when to refresh the OAuth tokens of configured devices
      */
     constructor(platform : Tp.BasePlatform, options : {
         cloudSyncUrl ?: string;
         nluModelUrl ?: string;
         thingpediaUrl ?: string;
         notifications ?: NotificationConfig;
+        notificationQueueOptions ?: NotificationQueueOptions;
+        oauthRefreshOptions ?: OAuthRefreshOptions;
         activityMonitorOptions ?: {
             idleTimeoutMillis ?: number;
             quiesceTimeoutMillis ?: number;
@@ -225,7 +272,7 @@ export default class AssistantEngine extends Tp.BaseEngine {
 
         this._appdb = new AppDatabase(this);
 
-        this._assistant = new AssistantDispatcher(this, options.nluModelUrl, options.notifications||{});
+        this._assistant = new AssistantDispatcher(this, options.nluModelUrl, options.notifications||{}, options.notificationQueueOptions);
 
         this._audio = new AudioController(this._devices);
 
@@ -239,7 +286,10 @@ export default class AssistantEngine extends Tp.BaseEngine {
         if (this._audio)
             this._modules.push(this._audio);
         this._modules.push(this._assistant,
-            new AppRunner(this._appdb));
+            new AppRunner(this._appdb),
+            new OAuthRefreshManager(this._devices,
+                (device, error) => this._assistant.notifyReauthenticationRequired(device, error),
+                options.oauthRefreshOptions));
         this._modules.push(this._activityMonitor);
 
         this._running = false;
@@ -591,6 +641,9 @@ export default class AssistantEngine extends Tp.BaseEngine {
             icon: a.icon || null,
             isRunning: a.isRunning,
             isEnabled: a.isEnabled,
+            isPaused: a.isPaused,
+            activeWindow: a.activeWindow,
+            expiration: a.expiration,
             error: a.error,
             notifications: a.notifications,
         };
@@ -625,6 +678,58 @@ export default class AssistantEngine extends Tp.BaseEngine {
         return this._toAppInfo(app);
     }
 
+    /**
+     * Get the execution history of a ThingTalk program (app).
+     *
+     * The history records when the app started and stopped, when its rules
+     * fired, how many results its queries returned, which actions it invoked,
+     * and the errors it reported. The history is kept for some time after the
+     * app is deleted.
+     *
+     * @param {string} uniqueId - the ID of the app
+     * @param {Object} options
+     * @param {Date} [options.since] - only return events that occurred at or after this time
+     * @param {number} [options.limit=100] - the maximum number of events to return
+     * @return {Array<AppHistoryEntry>} the latest events in the history of the app, oldest first
+     */
+    getAppHistory(uniqueId : string, options : { since ?: Date, limit ?: number } = {}) : Promise<AppHistoryEntry[]> {
+        return this._appdb.history.getHistory(uniqueId, options);
+    }
+
+    /**
+     * Pause the ThingTalk program (app) with the given ID.
+     *
+     * A paused app stops running until it is resumed with {@link resumeApp},
+     * also across restarts. Monitors in the app resume from their saved state,
+     * so they do not report again the data they saw before pausing.
+     *
+     * @param {string} uniqueId - the ID of the app to pause
+     * @return {boolean} true if the app exists and has rules that can be paused, false otherwise
+     */
+    async pauseApp(uniqueId : string) : Promise<boolean> {
+        const app = this._appdb.getApp(uniqueId);
+        if (app === undefined || !app.hasRule)
+            return false;
+
+        await this._appdb.pauseApp(app);
+        return true;
+    }
+
+    /**
+     * Resume a ThingTalk program (app) previously paused with {@link pauseApp}.
+     *
+     * @param {string} uniqueId - the ID of the app to resume
+     * @return {boolean} true if the app exists and has rules that can be resumed, false otherwise
+     */
+    async resumeApp(uniqueId : string) : Promise<boolean> {
+        const app = this._appdb.getApp(uniqueId);
+        if (app === undefined || !app.hasRule)
+            return false;
+
+        await this._appdb.resumeApp(app);
+        return true;
+    }
+
     /**
      * Stop (delete) the ThingTalk program (app) with the given ID.
      *
@@ -654,6 +759,19 @@ export default class AssistantEngine extends Tp.BaseEngine {
      *        being executed
      * @param {string} [options.icon] - the icon of the new app (as a Thingpedia class ID)
      * @param {string} [options.conversation] - the ID of the conversation associated with the new app
+     * @param {Object} [options.notifications] - how to deliver notifications from the new app
+     * @param {string} options.notifications.backend - the notification backend to use
+     * @param {Object} options.notifications.config - backend-specific configuration
+     * @param {Object} [options.notifications.policy] - quiet hours, digest and rate limiting policy
+     * @param {Object} [options.activeWindow] - only run the app in this period of the week
+     * @param {string} options.activeWindow.start - the start of the period, as `HH:MM`
+     * @param {string} options.activeWindow.end - the end of the period, as `HH:MM`
+     * @param {number[]} [options.activeWindow.days] - the days of the week (1 is Monday) when the period starts
+     * @param {number} [options.expiration] - delete the app automatically at this time, in milliseconds since the epoch
+     * @param {boolean|string} [options.dryRun] - execute the app once without side effects instead of creating it:
+     *        `true` or `"record"` executes queries but records actions instead of invoking them; `"simulate"`
+     *        also replaces the results of queries with simulated data; rules are executed once, immediately, and
+     *        the app is not saved
      * @return {AppExecutor} the newly created program
      */
     async createApp(programOrString : ThingTalk.Ast.Program|string, options ?: {
@@ -665,7 +783,11 @@ export default class AssistantEngine extends Tp.BaseEngine {
         notifications ?: {
             backend : string;
             config : Record<string, string>;
+            policy ?: NotificationPolicy;
         };
+        activeWindow ?: ActiveWindow;
+        expiration ?: number;
+        dryRun ?: boolean|DryRunMode;
     }) : Promise<AppExecutor> {
         let program : ThingTalk.Ast.Program;
         if (typeof programOrString === 'string') {
@@ -696,6 +818,8 @@ export default class AssistantEngine extends Tp.BaseEngine {
      *        being executed
      * @param {string} [options.icon] - the icon of the new app (as a Thingpedia class ID)
      * @param {string} [options.conversation] - the ID of the conversation associated with the new app
+     * @param {boolean|string} [options.dryRun] - execute the app without side effects, as in {@link createApp};
+     *        the actions that would have been invoked are returned as `actions`
      */
     async createAppAndReturnResults(programOrString : ThingTalk.Ast.Program|string, options ?: {
         uniqueId ?: string;
@@ -706,7 +830,11 @@ export default class AssistantEngine extends Tp.BaseEngine {
         notifications ?: {
             backend : string;
             config : Record<string, string>;
+            policy ?: NotificationPolicy;
         };
+        activeWindow ?: ActiveWindow;
+        expiration ?: number;
+        dryRun ?: boolean|DryRunMode;
     }) {
         const app = await this.createApp(programOrString, options);
         const results : AppResult[] = [];
@@ -728,10 +856,124 @@ export default class AssistantEngine extends Tp.BaseEngine {
             description: app.description,
             code: app.program.prettyprint(),
             icon: app.icon,
-            results, errors
+            results, errors,
+            actions: app.dryRun ? app.recordedActions : undefined
         };
     }
 
+    /**
+     * Register a new notification backend at runtime.
+     *
+     * This is in addition to the backends configured through the `notifications`
+     * constructor option.
+     *
+     * @param {external:thingpedia.Capabilities.NotificationBackend} backend - the backend to register
+     */
+    registerNotificationBackend(backend : Tp.Capabilities.NotificationBackend) : void {
+        this._assistant.registerNotificationBackend(backend);
+    }
+
+    /**
+     * Remove a notification backend previously registered at runtime.
+     *
+     * @param {string} uniqueId - the ID of the backend to remove
+     * @return {boolean} true if the backend was removed, false if it did not exist
+     */
+    unregisterNotificationBackend(uniqueId : string) : boolean {
+        return this._assistant.unregisterNotificationBackend(uniqueId);
+    }
+
+    /**
+     * Register a new dialogue handler, such as a chit-chat model or a
+     * question answering bot.
+     *
+     * The handler takes part in every conversation, together with the builtin
+     * ThingTalk and FAQ handlers and the dialogue handlers provided by
+     * Thingpedia devices.
+     *
+     * @param {string} uniqueId - the ID of the handler
+     * @param {Function} factory - a function constructing the handler for one conversation
+     * @param {Object} [options]
+     * @param {number} [options.priority] - the priority of the handler, overriding the one set by the handler
+     */
+    registerDialogueHandler(uniqueId : string,
+                            factory : DialogueHandlerFactory,
+                            options : { priority ?: Tp.DialogueHandler.Priority } = {}) : void {
+        this._assistant.registerDialogueHandler(uniqueId, factory, options);
+    }
+
+    /**
+     * Remove a dialogue handler previously registered.
+     *
+     * @param {string} uniqueId - the ID of the handler to remove
+     * @return {boolean} true if the handler was removed, false if it did not exist
+     */
+    unregisterDialogueHandler(uniqueId : string) : boolean {
+        return this._assistant.unregisterDialogueHandler(uniqueId);
+    }
+
+    /**
+     * Get the list of notifications that could not be delivered to their
+     * notification backend, even after retrying.
+     *
+     * @return {Array<FailedNotificationInfo>} the failed notifications, oldest first
+     */
+    getFailedNotifications() : Promise<FailedNotificationInfo[]> {
+        return this._assistant.getFailedNotifications();
+    }
+
+    /**
+     * Attempt again to deliver a notification that previously failed.
+     *
+     * @param {string} uniqueId - the ID of the failed notification
+     * @return {boolean} true if the notification exists, false otherwise
+     */
+    replayFailedNotification(uniqueId : string) : Promise<boolean> {
+        return this._assistant.replayFailedNotification(uniqueId);
+    }
+
+    /**
+     * Delete a notification that previously failed, without delivering it.
+     *
+     * @param {string} uniqueId - the ID of the failed notification
+     * @return {boolean} true if the notification exists, false otherwise
+     */
+    deleteFailedNotification(uniqueId : string) : Promise<boolean> {
+        return this._assistant.deleteFailedNotification(uniqueId);
+    }
+
+    /**
+     * Export the state of this assistant in a portable format.
+     *
+     * The profile can be imported in a different engine, of any tier, with
+     * {@link importProfile}.
+     *
+     * @param {Object} options
+     * @param {string} [options.secrets=exclude] - what to do with access tokens and passwords
+     *        of devices: `include`, `exclude` or `encrypt`
+     * @param {string} [options.passphrase] - the passphrase to encrypt secrets with
+     * @return {Object} the exported profile
+     */
+    exportProfile(options : ProfileExportOptions = {}) : Promise<AssistantProfile> {
+        return exportProfile(this._db, this._platform.getSharedPreferences(), options, this._devices.credentials);
+    }
+
+    /**
+     * Import a profile exported with {@link exportProfile}.
+     *
+     * The profile is merged into the database of this engine. Devices and
+     * apps are loaded from the database when the engine is opened, so this
+     * method must be called before {@link open}.
+     *
+     * @param {Object} profile - the profile to import
+     * @param {Object} options
+     * @param {string} [options.passphrase] - the passphrase to decrypt secrets with
+     */
+    async importProfile(profile : AssistantProfile, options : ProfileImportOptions = {}) : Promise<void> {
+        await this._db.ensureSchema();
+        await importProfile(this._db, this._platform.getSharedPreferences(), profile, options, this._devices.credentials);
+    }
+
     /**
      * Configure cloud synchronization.
      *
@@ -751,6 +993,49 @@ export default class AssistantEngine extends Tp.BaseEngine {
         return true;
     }
 
+    /**
+     * Change the locale of the assistant, without restarting the engine.
+     *
+     * This method updates the platform, then reloads the language pack and the
+     * parser of all open conversations.
+     *
+     * @param {string} locale - the new locale, as a BCP 47 tag
+     * @return {boolean} whether the locale was changed (false if the platform does
+     *   not support changing the locale)
+     */
+    async setLocale(locale : string) : Promise<boolean> {
+        const platform = this._platform as LocaleSettingsPlatform;
+        if (!platform.setLocale)
+            return false;
+
+        platform.setLocale(locale);
+        this._langPack = I18n.get(locale);
+        this._ = this._langPack.gettext;
+        await this._assistant.reloadLocale();
+        return true;
+    }
+
+    /**
+     * Change the timezone of the assistant, without restarting the engine.
+     *
+     * This method updates the platform, reschedules the timers of all running apps,
+     * and reloads all open conversations.
+     *
+     * @param {string} timezone - the new timezone, as an IANA timezone identifier
+     * @return {boolean} whether the timezone was changed (false if the platform does
+     *   not support changing the timezone)
+     */
+    async setTimezone(timezone : string) : Promise<boolean> {
+        const platform = this._platform as LocaleSettingsPlatform;
+        if (!platform.setTimezone)
+            return false;
+
+        platform.setTimezone(timezone);
+        this._appdb.setTimezone(timezone);
+        await this._assistant.reloadLocale();
+        return true;
+    }
+
     /**
      * Configure synchronization with a local server.
      *
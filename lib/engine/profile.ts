@@ -0,0 +1,294 @@
+// -*- mode: typescript; indent-tabs-mode: nil; js-basic-offset: 4 -*-
+//
+// This file is part of Genie
+//
+// Copyright 2022 The Board of Trustees of the Leland Stanford Junior University
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//    http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+// Export and import the full state of an assistant, in a portable format
+
+import * as crypto from 'crypto';
+import * as util from 'util';
+import * as Tp from 'thingpedia';
+
+import CustomError from '../utils/custom_error';
+import { CredentialCipher, SECRET_KEY_REGEX } from './devices/credentials';
+
+import {
+    AbstractDatabase,
+    AppRow,
+    ChannelRow,
+    ConversationStateRow,
+    ConversationHistoryRow
+} from './db';
+
+const PROFILE_VERSION = 1;
+
+const CIPHER = 'aes-256-gcm';
+const KEY_LENGTH = 32;
+const SALT_LENGTH = 16;
+const IV_LENGTH = 12;
+
+const scrypt = util.promisify(crypto.scrypt) as (password : string, salt : Buffer, keylen : number) => Promise<Buffer>;
+
+// preferences that describe this specific installation, rather than the user,
+// and are not exported (including the state of sync with other tiers)
+const INSTALLATION_PREFERENCES = new Set([
+    'sqlite-schema-version',
+    'cloud-id',
+    'cloud-sync-device-id',
+    'servers'
+]);
+const INSTALLATION_PREFERENCE_PREFIXES = ['syncdb-time-'];
+
+// the devices representing the tiers of the assistant are also specific
+// to this installation
+const TIER_DEVICE_KIND = 'org.thingpedia.builtin.thingengine';
+
+/**
+ * What to do with secrets (access tokens, passwords, API keys) when exporting
+ * a profile.
+ *
+ * - `include`: include them in clear text
+ * - `exclude`: leave them out; the affected devices will need to be configured
+ *   again after importing the profile
+ * - `encrypt`: include them, encrypted with a passphrase
+ */
+export type ProfileSecretMode = 'include'|'exclude'|'encrypt';
+
+/**
+ * The secrets in a profile, separate from the rest of the data so they can
+ * be excluded or encrypted.
+ */
+export interface ProfileSecrets {
+    /**
+     * The secret fields of the state of each device, by device ID.
+     */
+    devices : Record<string, Record<string, unknown>>;
+    preferences : Record<string, unknown>;
+}
+
+export interface EncryptedProfileSecrets {
+    cipher : typeof CIPHER;
+    /**
+     * The salt used to derive the key from the passphrase with scrypt, base64-encoded.
+     */
+    salt : string;
+    iv : string;
+    tag : string;
+    data : string;
+}
+
+/**
+ * The exported state of an assistant.
+ */
+export interface AssistantProfile {
+    version : number;
+    /**
+     * When the profile was exported, as an ISO date string.
+     */
+    exportedAt : string;
+    preferences : Record<string, unknown>;
+    devices : Array<{ uniqueId : string, state : Record<string, unknown> }>;
+    apps : AppRow[];
+    channels : ChannelRow[];
+    conversations : ConversationStateRow[];
+    conversationHistory : ConversationHistoryRow[];
+    secrets ?: ProfileSecrets;
+    encryptedSecrets ?: EncryptedProfileSecrets;
+}
+
+export interface ProfileExportOptions {
+    secrets ?: ProfileSecretMode;
+    /**
+     * The passphrase to encrypt secrets with, if `secrets` is `encrypt`.
+     */
+    passphrase ?: string;
+}
+
+export interface ProfileImportOptions {
+    /**
+     * The passphrase to decrypt secrets with, if the profile has encrypted secrets.
+     */
+    passphrase ?: string;
+}
+
+function isInstallationPreference(key : string) {
+    return INSTALLATION_PREFERENCES.has(key) ||
+        INSTALLATION_PREFERENCE_PREFIXES.some((prefix) => key.startsWith(prefix));
+}
+
+function splitSecrets(obj : Record<string, unknown>) : [Record<string, unknown>, Record<string, unknown>] {
+    const clear : Record<string, unknown> = {};
+    const secret : Record<string, unknown> = {};
+    for (const key in obj) {
+        if (SECRET_KEY_REGEX.test(key))
+            secret[key] = obj[key];
+        else
+            clear[key] = obj[key];
+    }
+    return [clear, secret];
+}
+
+async function encryptSecrets(secrets : ProfileSecrets, passphrase : string) : Promise<EncryptedProfileSecrets> {
+    const salt = crypto.randomBytes(SALT_LENGTH);
+    const iv = crypto.randomBytes(IV_LENGTH);
+    const key = await scrypt(passphrase, salt, KEY_LENGTH);
+
+    const cipher = crypto.createCipheriv(CIPHER, key, iv);
+    const data = Buffer.concat([cipher.update(JSON.stringify(secrets), 'utf8'), cipher.final()]);
+    return {
+        cipher: CIPHER,
+        salt: salt.toString('base64'),
+        iv: iv.toString('base64'),
+        tag: cipher.getAuthTag().toString('base64'),
+        data: data.toString('base64')
+    };
+}
+
+async function decryptSecrets(encrypted : EncryptedProfileSecrets, passphrase : string) : Promise<ProfileSecrets> {
+    if (encrypted.cipher !== CIPHER)
+        throw new CustomError('unsupported_profile', `Unsupported cipher ${encrypted.cipher}`);
+
+    const key = await scrypt(passphrase, Buffer.from(encrypted.salt, 'base64'), KEY_LENGTH);
+    const decipher = crypto.createDecipheriv(CIPHER, key, Buffer.from(encrypted.iv, 'base64'));
+    decipher.setAuthTag(Buffer.from(encrypted.tag, 'base64'));
+    try {
+        const data = Buffer.concat([decipher.update(Buffer.from(encrypted.data, 'base64')), decipher.final()]);
+        return JSON.parse(data.toString('utf8'));
+    } catch(e) {
+        throw new CustomError('invalid_passphrase', `Invalid passphrase to decrypt the profile secrets`);
+    }
+}
+
+/**
+ * Export the state of an assistant.
+ *
+ * The profile includes the configured devices, the apps (with their notification
+ * settings), the channel states, the state and history of each conversation,
+ * and the preferences of the user. It does not include the recorded conversation
+ * logs, or anything that is specific to the installation, such as the
+ * configuration of sync with other tiers.
+ *
+ * @param db - the database of the assistant
+ * @param prefs - the shared preferences of the assistant
+ * @param options - export options
+ * @param credentials - the cipher to decrypt the device credentials stored in the database
+ */
+export async function exportProfile(db : AbstractDatabase,
+                                    prefs : Tp.Preferences,
+                                    options : ProfileExportOptions = {},
+                                    credentials = new CredentialCipher(null)) : Promise<AssistantProfile> {
+    const mode = options.secrets ?? 'exclude';
+    if (mode === 'encrypt' && !options.passphrase)
+        throw new CustomError('missing_passphrase', `A passphrase is required to encrypt secrets`);
+
+    const secrets : ProfileSecrets = { devices: {}, preferences: {} };
+
+    const preferences : Record<string, unknown> = {};
+    for (const key of prefs.keys()) {
+        if (isInstallationPreference(key))
+            continue;
+        const value = prefs.get(key);
+        if (value === undefined)
+            continue;
+        if (SECRET_KEY_REGEX.test(key))
+            secrets.preferences[key] = value;
+        else
+            preferences[key] = value;
+    }
+
+    const devices = [];
+    for (const row of await db.getSyncTable('device').getAll()) {
+        const state = credentials.decrypt(JSON.parse(row.state));
+        if (state.kind === TIER_DEVICE_KIND)
+            continue;
+        const [clear, secret] = splitSecrets(state);
+        devices.push({ uniqueId: row.uniqueId, state: clear });
+        if (Object.keys(secret).length > 0)
+            secrets.devices[row.uniqueId] = secret;
+    }
+
+    const profile : AssistantProfile = {
+        version: PROFILE_VERSION,
+        exportedAt: new Date().toISOString(),
+        preferences,
+        devices,
+        apps: await db.getLocalTable('app').getAll(),
+        channels: await db.getLocalTable('channel').getAll(),
+        conversations: await db.getLocalTable('conversation_state').getAll(),
+        conversationHistory: await db.getLocalTable('conversation_history').getAll(),
+    };
+    if (mode === 'include')
+        profile.secrets = secrets;
+    else if (mode === 'encrypt')
+        profile.encryptedSecrets = await encryptSecrets(secrets, options.passphrase!);
+    return profile;
+}
+
+/**
+ * Import a profile previously exported with {@link exportProfile}.
+ *
+ * The content of the profile is merged with the existing state of the
+ * assistant: devices, apps and conversations with the same ID are replaced,
+ * the others are kept.
+ *
+ * @param db - the database of the assistant
+ * @param prefs - the shared preferences of the assistant
+ * @param profile - the profile to import
+ * @param options - import options
+ * @param credentials - the cipher to encrypt the device credentials stored in the database
+ */
+export async function importProfile(db : AbstractDatabase,
+                                    prefs : Tp.Preferences,
+                                    profile : AssistantProfile,
+                                    options : ProfileImportOptions = {},
+                                    credentials = new CredentialCipher(null)) : Promise<void> {
+    if (profile.version !== PROFILE_VERSION)
+        throw new CustomError('unsupported_profile', `Unsupported profile version ${profile.version}`);
+
+    // decrypt first, so we fail before touching the database if the passphrase is wrong
+    let secrets : ProfileSecrets = { devices: {}, preferences: {} };
+    if (profile.encryptedSecrets) {
+        if (!options.passphrase)
+            throw new CustomError('missing_passphrase', `The profile secrets are encrypted, a passphrase is required`);
+        secrets = await decryptSecrets(profile.encryptedSecrets, options.passphrase);
+    } else if (profile.secrets) {
+        secrets = profile.secrets;
+    }
+
+    const devices = db.getSyncTable('device');
+    for (const device of profile.devices) {
+        const state = { ...device.state, ...(secrets.devices[device.uniqueId] || {}) };
+        await devices.insertOne(device.uniqueId, { state: JSON.stringify(credentials.encrypt(state)) });
+    }
+
+    const apps = db.getLocalTable('app');
+    for (const { uniqueId, ...row } of profile.apps)
+        await apps.insertOne(uniqueId, row);
+    const channels = db.getLocalTable('channel');
+    for (const { uniqueId, ...row } of profile.channels)
+        await channels.insertOne(uniqueId, row);
+    const conversations = db.getLocalTable('conversation_state');
+    for (const { uniqueId, ...row } of profile.conversations)
+        await conversations.insertOne(uniqueId, row);
+    const history = db.getLocalTable('conversation_history');
+    for (const { uniqueId, ...row } of profile.conversationHistory)
+        await history.insertOne(uniqueId, row);
+
+    for (const key in profile.preferences)
+        prefs.set(key, profile.preferences[key]);
+    for (const key in secrets.preferences)
+        prefs.set(key, secrets.preferences[key]);
+}
@@ -74,19 +74,36 @@ const _classes : { [locale : string] : LPClass } = {
 
 const _instances = new Map<string, LanguagePack>();
 
+function findClass(locale : string) : LPClass|null {
+    const chunks = locale.toLowerCase().split('-');
+    for (let i = chunks.length; i >= 1; i--) {
+        const candidate = chunks.slice(0, i).join('-');
+        if (candidate in _classes)
+            return _classes[candidate];
+    }
+    return null;
+}
+
+/**
+ * Check if the given locale has a dedicated language pack.
+ *
+ * Locales that are not supported fall back to a generic language pack in
+ * {@link get}, which is not adequate for a conversation in that language.
+ */
+export function isSupported(locale : string) : boolean {
+    return findClass(locale) !== null;
+}
+
 export function get(locale : string) : LanguagePack {
     locale = locale.toLowerCase();
     if (_instances.has(locale))
         return _instances.get(locale)!;
 
-    const chunks = locale.split('-');
-    for (let i = chunks.length; i >= 1; i--) {
-        const candidate = chunks.slice(0, i).join('-');
-        if (candidate in _classes) {
-            const instance = new (_classes[candidate])(locale);
-            _instances.set(locale, instance);
-            return instance;
-        }
+    const lpClass = findClass(locale);
+    if (lpClass !== null) {
+        const instance = new lpClass(locale);
+        _instances.set(locale, instance);
+        return instance;
     }
     console.error(`Locale ${locale} is not fully supported.`);
     const instance = new LanguagePack(locale);
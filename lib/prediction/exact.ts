@@ -21,7 +21,7 @@
 import { promises as pfs } from 'fs';
 
 import Trie, { WILDCARD } from '../utils/trie';
-import { BTrie } from '../utils/btrie';
+import { BTrie, BTrieBuilder } from '../utils/btrie';
 
 // at most 20 parses for each sentence
 const LIMIT = 20;
@@ -76,6 +76,12 @@ export default class ExactMatcher {
     }
 
     *[Symbol.iterator]() : IterableIterator<[Array<string | typeof WILDCARD>, string]> {
+        if (this._btrie) {
+            for (const [key, values] of this._btrie) {
+                for (const value of values.split('\0'))
+                    yield [key, value];
+            }
+        }
         for (const [key, valueSet] of this._trie) {
             if (!valueSet)
                 continue;
@@ -92,6 +98,29 @@ export default class ExactMatcher {
         this._createTrie();
     }
 
+    /**
+     * Save all the sentences in this matcher, both from the binary file and
+     * added in memory, to a new binary file that can be read by {@link load}.
+     *
+     * The file is replaced atomically.
+     */
+    async save(filename : string) {
+        const builder = new BTrieBuilder((existing : string|undefined, newValue : string) => {
+            if (existing === undefined)
+                return newValue;
+            // like in memory, a later value wins over an existing copy
+            const values = existing.split('\0').filter((v) => v !== newValue);
+            values.push(newValue);
+            return values.slice(-LIMIT).join('\0');
+        });
+        for (const [key, value] of this)
+            builder.insert(key, value);
+
+        const tmpfile = filename + '.tmp';
+        await pfs.writeFile(tmpfile, builder.build());
+        await pfs.rename(tmpfile, filename);
+    }
+
     add(utterance : string[], target_code : string[]) {
         let inString = false;
         let spanBegin = 0;
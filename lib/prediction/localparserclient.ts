@@ -28,8 +28,9 @@ import editDistance from '../utils/edit-distance';
 import { EntityMap, renumberEntities } from '../utils/entity-utils';
 import * as ThingTalkUtils from '../utils/thingtalk';
 
-import Predictor from './predictor';
+import { ReloadablePredictor, WorkerStatus } from './predictor';
 import ExactMatcherBuilder from './exactbuilder';
+import ExactMatcherImpl from './exact';
 import {
     ParseOptions,
     PredictionCandidate,
@@ -56,15 +57,62 @@ export interface CacheInterface {
         contextCode : string[] | undefined,
         options : ParseOptions
     ) : Promise<void>;
+
+    /**
+     * Remove all cached results.
+     *
+     * This is called when the parser changes behavior, for example
+     * after the model is reloaded.
+     */
+    clear?() : void|Promise<void>;
+}
+
+/**
+ * Receives a hit every time a sentence is parsed, keyed on how the
+ * result was computed: `cache`, `exact` (exact match), `model` (neural
+ * model only) or `rule` (special cases that skip the model entirely).
+ */
+export interface ParserStatistics {
+    hit(key : string) : void;
 }
 
 export interface LocalParserOptions {
     id ?: string;
     minibatchSize ?: number;
     maxLatency ?: number;
+    /**
+     * Number of worker processes to run for each local model.
+     */
+    workers ?: number;
     cacheInterface ?: CacheInterface;
+    statistics ?: ParserStatistics;
+    /**
+     * Reload the model when its directory changes (local models only).
+     */
+    watch ?: boolean;
+    /**
+     * A second model to send a fraction of the traffic to.
+     *
+     * Results computed by this model are marked with model `experiment`,
+     * and results computed by the main model are marked with model `main`.
+     */
+    experiment ?: {
+        url : string;
+        fraction : number;
+    };
+    rng ?: () => number;
+}
+
+interface Model {
+    id : string;
+    predictor : ReloadablePredictor;
 }
 
+const DummyStatistics = {
+    hit() {
+    }
+};
+
 function compareScore(a : PredictionCandidate, b : PredictionCandidate) : number {
     if (a.score === b.score)
         return 0;
@@ -79,11 +127,14 @@ export default class LocalParserClient {
     private _locale : string;
     private _langPack : I18n.LanguagePack;
     private _tokenizer : I18n.BaseTokenizer;
-    private _predictor : Predictor;
+    private _models : Model[];
+    private _experimentFraction : number;
+    private _rng : () => number;
     private _platform : Tp.BasePlatform|undefined;
     private _exactmatcher : ExactMatcher|undefined;
     private _tpClient : Tp.BaseClient|null;
     private _cacheInterface ?: CacheInterface;
+    private _stats : ParserStatistics;
 
     constructor(modeldir : string,
                 locale : string,
@@ -94,22 +145,84 @@ export default class LocalParserClient {
         this._locale = locale;
         this._langPack = I18n.get(locale);
         this._tokenizer = this._langPack.getTokenizer();
-        this._predictor = new Predictor(modeldir, options);
+        const predictorOptions = {
+            minibatchSize: options.minibatchSize,
+            maxLatency: options.maxLatency,
+            workers: options.workers,
+            watch: options.watch
+        };
+        this._models = [{ id: 'main', predictor: new ReloadablePredictor(modeldir, predictorOptions) }];
+        if (options.experiment)
+            this._models.push({ id: 'experiment', predictor: new ReloadablePredictor(options.experiment.url, predictorOptions) });
+        this._experimentFraction = options.experiment ? options.experiment.fraction : 0;
+        this._rng = options.rng || Math.random;
+        for (const model of this._models) {
+            model.predictor.on('reload', () => {
+                console.log(`Switched to a new version of the ${model.id} model`);
+                this._clearCache().catch((e) => {
+                    console.error(`Failed to clear the parser cache: ${e.message}`);
+                });
+            });
+        }
 
         this._platform = platform;
         this._exactmatcher = exactmatcher;
         this._tpClient = tpClient;
         this._cacheInterface = options.cacheInterface;
+        this._stats = options.statistics ?? DummyStatistics;
+    }
+
+    /**
+     * Whether the neural model is ready to serve predictions.
+     */
+    get isAlive() : boolean {
+        return this._models.every((model) => model.predictor.isAlive);
+    }
+
+    /**
+     * Check the state of the workers of each model, keyed by model ID.
+     */
+    getWorkerStatus() : Record<string, WorkerStatus[]> {
+        const status : Record<string, WorkerStatus[]> = {};
+        for (const model of this._models)
+            status[model.id] = model.predictor.getWorkerStatus();
+        return status;
     }
 
     async start() : Promise<void> {
-        await Promise.all([
-            this._predictor.start(),
-            this._startExactMatcher()
-        ]);
+        for (const model of this._models)
+            model.predictor.start();
+        await this._startExactMatcher();
     }
     async stop() : Promise<void> {
-        await this._predictor.stop();
+        for (const model of this._models)
+            model.predictor.stop();
+    }
+
+    /**
+     * Load the models again, and switch to the new version once loaded.
+     *
+     * The current version keeps serving requests while the new version
+     * loads, and is kept if the new version fails to load.
+     */
+    async reload() : Promise<void> {
+        await Promise.all(this._models.map((model) => model.predictor.reload()));
+    }
+
+    private async _clearCache() {
+        if (this._cacheInterface && this._cacheInterface.clear)
+            await this._cacheInterface.clear();
+    }
+
+    private _chooseModel(options : ParseOptions) : Model {
+        if (options.model) {
+            const requested = this._models.find((model) => model.id === options.model);
+            if (requested)
+                return requested;
+        }
+        if (this._models.length > 1 && this._rng() < this._experimentFraction)
+            return this._models[1];
+        return this._models[0];
     }
 
     private async _startExactMatcher() {
@@ -172,18 +285,27 @@ export default class LocalParserClient {
             entities = tokenized.entities;
         }
         
+        // the model is chosen first, so cached results are not shared
+        // between the models
+        const model = this._chooseModel(options);
+        if (this._models.length > 1)
+            options = { ...options, model: model.id };
+
         if (this._cacheInterface) {
             const cacheResult =
                 await this._cacheInterface.get(
                     tokens, entities, contextCode, options
                 );
-            if (cacheResult !== null) 
+            if (cacheResult !== null) {
+                this._stats.hit('cache');
                 return cacheResult;
+            }
         }
 
         const answer = options.answer;
 
         let result : PredictionCandidate[]|null = null;
+        let usedModel = false;
         let exact : string[][]|null = null;
         const intent = {
             command: 1,
@@ -222,10 +344,11 @@ export default class LocalParserClient {
         if (result === null) {
             let candidates;
             if (contextCode)
-                candidates = await this._predictor.predict(contextCode.join(' '), tokens.join(' '), answer, NLU_TASK, options.example_id);
+                candidates = await model.predictor.predict(contextCode.join(' '), tokens.join(' '), answer, NLU_TASK, options.example_id);
             else
-                candidates = await this._predictor.predict(tokens.join(' '), undefined, answer, SEMANTIC_PARSING_TASK, options.example_id);
+                candidates = await model.predictor.predict(tokens.join(' '), undefined, answer, SEMANTIC_PARSING_TASK, options.example_id);
             assert(candidates.length > 0);
+            usedModel = true;
 
             result = candidates.map((c) => {
                 const score = c.score.is_correct ?? 1;
@@ -237,6 +360,10 @@ export default class LocalParserClient {
 
             intent.other = candidates[0].score.is_ood ?? 0;
             intent.command = 1 - intent.other;
+
+            this._stats.hit(exact !== null ? 'exact' : 'model');
+        } else {
+            this._stats.hit('rule');
         }
 
         let result2 = result!; // guaranteed not null
@@ -278,6 +405,8 @@ export default class LocalParserClient {
             entities: entities,
             intent
         };
+        if (usedModel && this._models.length > 1)
+            predictionResult.model = model.id;
         
         if (this._cacheInterface) 
             this._cacheInterface.set(predictionResult, contextCode, options);
@@ -285,8 +414,46 @@ export default class LocalParserClient {
         return predictionResult;
     }
 
+    /**
+     * Teach a new sentence to the parser.
+     *
+     * The program is typechecked against the current Thingpedia, and then
+     * added to the exact matcher, so it takes effect immediately for the
+     * following calls to {@link sendUtterance}.
+     *
+     * @param utterance - the sentence, as typed by the user
+     * @param code - the program the sentence corresponds to, in NN syntax
+     * @return the normalized program that was added to the exact matcher
+     */
+    async onlineLearn(utterance : string, code : string[]) : Promise<string[]> {
+        if (!(this._exactmatcher instanceof ExactMatcherImpl))
+            throw new Error(`Online learning requires a modifiable exact matcher`);
+
+        const tokenized = await this._tokenizer.tokenize(utterance);
+        if (tokenized.tokens.length === 0)
+            throw new Error(`Cannot learn an empty sentence`);
+
+        const schemas = new ThingTalk.SchemaRetriever(this._tpClient!, null, true);
+        // in strict mode, this throws if the program does not typecheck
+        const parsed = (await ThingTalkUtils.parsePrediction(code, tokenized.entities, {
+            timezone: this._platform?.timezone,
+            thingpediaClient: this._tpClient,
+            schemaRetriever: schemas
+        }, true))!;
+        const normalized = ThingTalkUtils.serializePrediction(parsed, tokenized.tokens, tokenized.entities, {
+            locale: this._locale,
+            timezone: this._platform?.timezone,
+            ignoreSentence: true
+        });
+
+        this._exactmatcher.add(tokenized.tokens, normalized);
+        // cached results might not reflect the new sentence
+        await this._clearCache();
+        return normalized;
+    }
+
     async generateUtterance(contextCode : string[], contextEntities : EntityMap, targetAct : string[]) : Promise<GenerationResult[]> {
-        const candidates = await this._predictor.predict(contextCode.join(' ') + ' ' + targetAct.join(' '), NLG_QUESTION, undefined, NLG_TASK);
+        const candidates = await this._models[0].predictor.predict(contextCode.join(' ') + ' ' + targetAct.join(' '), NLG_QUESTION, undefined, NLG_TASK);
         return candidates.map((cand) => {
             return {
                 answer: cand.answer,
@@ -0,0 +1,98 @@
+// -*- mode: typescript; indent-tabs-mode: nil; js-basic-offset: 4 -*-
+//
+// This file is part of Genie
+//
+// Copyright 2022 The Board of Trustees of the Leland Stanford Junior University
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//    http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+import { EntityMap } from '../utils/entity-utils';
+
+import { CacheInterface } from './localparserclient';
+import { ParseOptions, PredictionResult } from './types';
+
+const DEFAULT_MAX_SIZE = 1000;
+
+function makeKey(tokens : string[],
+                 entities : EntityMap,
+                 contextCode : string[]|undefined,
+                 options : ParseOptions) {
+    // only include the options that affect the result of parsing
+    return JSON.stringify([
+        tokens,
+        entities,
+        contextCode ?? null,
+        options.thingtalk_version ?? null,
+        options.answer ?? null,
+        options.expect ?? null,
+        options.choices ?? null,
+        !!options.skip_typechecking,
+        options.model ?? null
+    ]);
+}
+
+/**
+ * An in-memory cache of parse results, for {@link LocalParserClient}.
+ *
+ * Results are keyed on the tokenized utterance, its entities and the
+ * context, and the least recently used result is evicted once the cache
+ * is full.
+ */
+export default class LRUCache implements CacheInterface {
+    private _maxSize : number;
+    // a Map iterates in insertion order, so the first key is the least
+    // recently used one
+    private _store : Map<string, string>;
+
+    constructor(maxSize = DEFAULT_MAX_SIZE) {
+        this._maxSize = maxSize;
+        this._store = new Map;
+    }
+
+    get size() {
+        return this._store.size;
+    }
+
+    async get(tokens : string[],
+              entities : EntityMap,
+              contextCode : string[]|undefined,
+              options : ParseOptions) : Promise<PredictionResult|null> {
+        const key = makeKey(tokens, entities, contextCode, options);
+        const value = this._store.get(key);
+        if (value === undefined)
+            return null;
+
+        // move to the most recently used position
+        this._store.delete(key);
+        this._store.set(key, value);
+        // results are stored serialized, so callers are free to modify them
+        return JSON.parse(value);
+    }
+
+    async set(result : PredictionResult,
+              contextCode : string[]|undefined,
+              options : ParseOptions) : Promise<void> {
+        if (this._maxSize <= 0)
+            return;
+
+        const key = makeKey(result.tokens, result.entities, contextCode, options);
+        this._store.delete(key);
+        this._store.set(key, JSON.stringify(result));
+        while (this._store.size > this._maxSize)
+            this._store.delete(this._store.keys().next().value);
+    }
+
+    clear() {
+        this._store.clear();
+    }
+}
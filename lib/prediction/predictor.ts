@@ -20,6 +20,7 @@
 
 import assert from 'assert';
 import * as events from 'events';
+import * as fs from 'fs';
 import * as child_process from 'child_process';
 import * as Tp from 'thingpedia';
 
@@ -39,6 +40,14 @@ interface Request {
 
 const DEFAULT_MINIBATCH_SIZE = 30;
 const DEFAULT_MAX_LATENCY = 50; // milliseconds
+const DEFAULT_MAX_ATTEMPTS = 3;
+// dead workers are restarted after this delay, doubling every time the worker
+// dies again without completing a request
+const DEFAULT_RESTART_DELAY = 1000; // milliseconds
+const MAX_RESTART_DELAY = 60000; // milliseconds
+// wait until the model directory has not changed for this long before reloading,
+// so we don't load a checkpoint that is still being written
+const DEFAULT_RELOAD_DELAY = 5000; // milliseconds
 
 interface Example {
     context : string;
@@ -50,6 +59,18 @@ interface Example {
     reject(err : Error) : void;
 }
 
+/**
+ * The error used to fail the pending requests of a worker that died.
+ */
+class WorkerDiedError extends Error {
+    code : 'EWORKERDIED';
+
+    constructor(message : string) {
+        super(message);
+        this.code = 'EWORKERDIED';
+    }
+}
+
 class LocalWorker extends events.EventEmitter {
     private _child : child_process.ChildProcess|null;
     private _stream : JsonDatagramSocket|null;
@@ -68,6 +89,10 @@ class LocalWorker extends events.EventEmitter {
         this._modeldir = modeldir;
     }
 
+    get isAlive() {
+        return this._child !== null;
+    }
+
     stop() {
         if (this._child)
             this._child.kill();
@@ -97,13 +122,13 @@ class LocalWorker extends events.EventEmitter {
             stdio: ['pipe', 'pipe', 'inherit']
         });
         this._child.on('error', (e) => {
-            this._failAll(e);
+            this._failAll(new WorkerDiedError(e.message));
             this.emit('error', e);
         });
         this._child.on('exit', (code, signal) => {
             //console.error(`Child exited with code ${code}, signal ${signal}`);
 
-            const err = new Error(`Worker died`);
+            const err = new WorkerDiedError(`Worker died`);
             this._failAll(err);
             this.emit('error', err);
             this._child = null;
@@ -112,7 +137,7 @@ class LocalWorker extends events.EventEmitter {
 
         this._stream = new JsonDatagramSocket(this._child.stdout!, this._child.stdin!, 'utf8');
         this._stream.on('error', (e) => {
-            this._failAll(e);
+            this._failAll(new WorkerDiedError(e.message));
             this.emit('error', e);
         });
         this._stream.on('data', (msg) => {
@@ -161,7 +186,8 @@ class LocalWorker extends events.EventEmitter {
             this._stream!.write({ id, task, instances: minibatch }, (err : Error | undefined | null) => {
                 if (err) {
                     console.error(err);
-                    reject(err);
+                    this._requests.delete(id);
+                    reject(new WorkerDiedError(err.message));
                 }
             });
         });
@@ -176,6 +202,12 @@ class RemoteWorker extends events.EventEmitter {
         this._url = url;
     }
 
+    get isAlive() {
+        // there is no persistent connection to check, so a remote
+        // worker is always assumed to be up
+        return true;
+    }
+
     start() {}
     stop() {}
 
@@ -200,24 +232,82 @@ class RemoteWorker extends events.EventEmitter {
     }
 }
 
+export interface PredictorOptions {
+    minibatchSize ?: number;
+    maxLatency ?: number;
+    /**
+     * Number of worker processes to run (local models only).
+     */
+    workers ?: number;
+    /**
+     * How many times a minibatch is sent to a worker before giving up,
+     * if the workers keep dying while processing it.
+     */
+    maxAttempts ?: number;
+}
+
+/**
+ * The state of one of the workers of a {@link Predictor}.
+ */
+export interface WorkerStatus {
+    /**
+     * Whether the worker is running.
+     */
+    alive : boolean;
+    /**
+     * The number of minibatches the worker is processing.
+     */
+    pending : number;
+    /**
+     * The number of times the worker died since it last completed a request.
+     */
+    failures : number;
+}
+
+interface WorkerSlot {
+    worker : LocalWorker|RemoteWorker|null;
+    pending : number;
+    failures : number;
+    restartTimer : NodeJS.Timeout|null;
+}
+
+interface Minibatch {
+    task : string;
+    examples : Example[];
+    attempts : number;
+}
+
 export default class Predictor {
     private _modelurl : string;
-    private _worker : LocalWorker|RemoteWorker|null;
+    private _slots : WorkerSlot[];
+    // minibatches waiting for a worker to become available
+    private _waiting : Minibatch[];
     private _stopped : boolean;
 
     private _minibatchSize : number;
     private _maxLatency : number;
+    private _maxAttempts : number;
 
     private _minibatchTask = '';
     private _minibatch : Example[] = [];
     private _minibatchStartTime = 0;
 
-    constructor(modelurl : string, { minibatchSize = DEFAULT_MINIBATCH_SIZE, maxLatency = DEFAULT_MAX_LATENCY }) {
+    constructor(modelurl : string, { minibatchSize = DEFAULT_MINIBATCH_SIZE,
+                                     maxLatency = DEFAULT_MAX_LATENCY,
+                                     workers = 1,
+                                     maxAttempts = DEFAULT_MAX_ATTEMPTS } : PredictorOptions) {
         this._modelurl = modelurl;
-        this._worker = null;
+
+        // there is no process to crash or to parallelize with a remote model
+        const isRemote = /^kf\+https?:/.test(modelurl);
+        this._slots = [];
+        for (let i = 0; i < (isRemote ? 1 : Math.max(1, workers)); i++)
+            this._slots.push({ worker: null, pending: 0, failures: 0, restartTimer: null });
+        this._waiting = [];
 
         this._minibatchSize = minibatchSize;
         this._maxLatency = maxLatency;
+        this._maxAttempts = maxAttempts;
 
         this._stopped = false;
     }
@@ -231,13 +321,48 @@ export default class Predictor {
 
         //console.error(`minibatch: ${minibatch.length} instances`);
 
-        this._worker!.request(task, minibatch).then((candidates) => {
-            assert(candidates.length === minibatch.length);
-            for (let i = 0; i < minibatch.length; i++)
-                minibatch[i].resolve(candidates[i]);
+        this._dispatch({ task, examples: minibatch, attempts: 0 });
+    }
+
+    private _chooseSlot() : WorkerSlot|null {
+        let best : WorkerSlot|null = null;
+        for (const slot of this._slots) {
+            if (slot.worker === null)
+                continue;
+            if (best === null || slot.pending < best.pending)
+                best = slot;
+        }
+        return best;
+    }
+
+    private _dispatch(minibatch : Minibatch) {
+        const slot = this._chooseSlot();
+        if (slot === null) {
+            // all workers are restarting, wait for one of them
+            this._waiting.push(minibatch);
+            return;
+        }
+
+        const worker = slot.worker!;
+        slot.pending ++;
+        minibatch.attempts ++;
+        worker.request(minibatch.task, minibatch.examples).then((candidates) => {
+            slot.pending --;
+            slot.failures = 0;
+            assert(candidates.length === minibatch.examples.length);
+            for (let i = 0; i < minibatch.examples.length; i++)
+                minibatch.examples[i].resolve(candidates[i]);
         }, (err : Error) => {
-            for (let i = 0; i < minibatch.length; i++)
-                minibatch[i].reject(err);
+            slot.pending --;
+            // if the worker died, the minibatch is not at fault, so we try again
+            // on a different worker, unless it looks like the minibatch is what
+            // kills the workers
+            if (err instanceof WorkerDiedError && !this._stopped && minibatch.attempts < this._maxAttempts) {
+                this._dispatch(minibatch);
+                return;
+            }
+            for (let i = 0; i < minibatch.examples.length; i++)
+                minibatch.examples[i].reject(err);
         });
     }
 
@@ -271,22 +396,47 @@ export default class Predictor {
         assert(typeof context === 'string');
         assert(typeof question === 'string');
 
-        // ensure we have a worker, in case it recently died
-        if (!this._worker)
-            this.start();
-
         let resolve ! : (data : RawPredictionCandidate[]) => void,
             reject ! : (err : Error) => void;
         const promise = new Promise<RawPredictionCandidate[]>((_resolve, _reject) => {
             resolve = _resolve;
             reject = _reject;
         });
+        if (this._stopped) {
+            reject(new Error(`Predictor was stopped`));
+            return promise;
+        }
+        // start the workers if the caller did not
+        if (this._slots.every((slot) => slot.worker === null && slot.restartTimer === null))
+            this.start();
         this._addRequest({ context, question, answer, resolve, reject }, task);
 
         return promise;
     }
 
-    start() {
+    /**
+     * Whether the predictor can serve predictions, that is, whether
+     * at least one of its workers is running.
+     *
+     * Workers that die are restarted automatically, so this becomes true
+     * again once a worker has restarted.
+     */
+    get isAlive() {
+        return !this._stopped && this._slots.some((slot) => slot.worker !== null && slot.worker.isAlive);
+    }
+
+    /**
+     * Check the state of each worker.
+     */
+    getWorkerStatus() : WorkerStatus[] {
+        return this._slots.map((slot) => ({
+            alive: !this._stopped && slot.worker !== null && slot.worker.isAlive,
+            pending: slot.pending,
+            failures: slot.failures
+        }));
+    }
+
+    private _startWorker(slot : WorkerSlot) {
         let worker : RemoteWorker|LocalWorker;
         if (/^kf\+https?:/.test(this._modelurl)) {
             worker = new RemoteWorker(this._modelurl.substring('kf+'.length));
@@ -296,36 +446,246 @@ export default class Predictor {
         }
 
         worker.on('error', (error : Error) => {
-            if (!this._stopped)
-                console.error(`Prediction worker had an error: ${error.message}`);
-            this._worker = null;
-
-            // fail all the requests in the minibatch if the worker is hosed
-            for (const ex of this._minibatch)
-                ex.reject(error);
-            this._minibatch = [];
-            this._minibatchStartTime = 0;
-            this._minibatchTask = '';
-
+            // a dying worker can report more than one error
+            if (slot.worker !== worker)
+                return;
+            slot.worker = null;
             worker.stop();
+            if (this._stopped)
+                return;
+
+            console.error(`Prediction worker had an error: ${error.message}`);
+            this._scheduleRestart(slot);
         });
         worker.start();
 
-        this._worker = worker;
+        slot.worker = worker;
+
+        // dispatch everything that was waiting for a worker
+        const waiting = this._waiting;
+        this._waiting = [];
+        for (const minibatch of waiting)
+            this._dispatch(minibatch);
+    }
+
+    private _scheduleRestart(slot : WorkerSlot) {
+        // back off exponentially if the worker keeps dying
+        const delay = Math.min(DEFAULT_RESTART_DELAY * Math.pow(2, slot.failures), MAX_RESTART_DELAY);
+        slot.failures ++;
+        slot.restartTimer = setTimeout(() => {
+            slot.restartTimer = null;
+            if (!this._stopped)
+                this._startWorker(slot);
+        }, delay);
+    }
+
+    start() {
+        this._stopped = false;
+        for (const slot of this._slots) {
+            if (slot.worker === null && slot.restartTimer === null)
+                this._startWorker(slot);
+        }
     }
 
     stop() {
         this._stopped = true;
-        if (this._worker)
-            this._worker.stop();
+        for (const slot of this._slots) {
+            if (slot.restartTimer)
+                clearTimeout(slot.restartTimer);
+            slot.restartTimer = null;
+            if (slot.worker)
+                slot.worker.stop();
+            slot.worker = null;
+        }
+
+        const err = new Error(`Predictor was stopped`);
+        for (const minibatch of this._waiting) {
+            for (const ex of minibatch.examples)
+                ex.reject(err);
+        }
+        this._waiting = [];
     }
 
     reload() {
-        // stop the worker, if any
-        if (this._worker)
-            this._worker.stop();
+        // stop the workers, if any
+        for (const slot of this._slots) {
+            if (slot.restartTimer)
+                clearTimeout(slot.restartTimer);
+            slot.restartTimer = null;
+            if (slot.worker)
+                slot.worker.stop();
+            slot.worker = null;
+        }
 
         // start again
         this.start();
     }
 }
+
+interface PredictorGeneration {
+    predictor : Predictor;
+    pending : number;
+    retired : boolean;
+}
+
+export interface ReloadablePredictorOptions extends PredictorOptions {
+    watch ?: boolean;
+    reloadDelay ?: number;
+}
+
+/**
+ * A {@link Predictor} that can switch to a new version of the model
+ * without interrupting service.
+ *
+ * The new model is started alongside the old one, and requests are switched
+ * to it only after it has answered a first prediction. Requests that were
+ * already sent to the old model complete normally before it is stopped.
+ *
+ * With the `watch` option, local models are reloaded automatically
+ * when their directory changes. A `reload` event is emitted every time
+ * the model is switched.
+ */
+export class ReloadablePredictor extends events.EventEmitter {
+    private _modelurl : string;
+    private _options : ReloadablePredictorOptions;
+    private _current : PredictorGeneration;
+    private _watcher : fs.FSWatcher|null;
+    private _reloadTimer : NodeJS.Timeout|null;
+    private _reloading : Promise<void>|null;
+    private _stopped : boolean;
+
+    constructor(modelurl : string, options : ReloadablePredictorOptions = {}) {
+        super();
+        this._modelurl = modelurl;
+        this._options = options;
+        this._current = this._makeGeneration();
+        this._watcher = null;
+        this._reloadTimer = null;
+        this._reloading = null;
+        this._stopped = false;
+    }
+
+    get isAlive() {
+        return this._current.predictor.isAlive;
+    }
+
+    getWorkerStatus() : WorkerStatus[] {
+        return this._current.predictor.getWorkerStatus();
+    }
+
+    private _makeGeneration() : PredictorGeneration {
+        return {
+            predictor: new Predictor(this._modelurl, this._options),
+            pending: 0,
+            retired: false
+        };
+    }
+
+    private _retire(generation : PredictorGeneration) {
+        generation.retired = true;
+        if (generation.pending === 0)
+            generation.predictor.stop();
+    }
+
+    async predict(context : string, question ?: string, answer ?: string, task ?: string, example_id ?: string) : Promise<RawPredictionCandidate[]> {
+        const generation = this._current;
+        generation.pending ++;
+        try {
+            return await generation.predictor.predict(context, question, answer, task, example_id);
+        } finally {
+            generation.pending --;
+            if (generation.retired && generation.pending === 0)
+                generation.predictor.stop();
+        }
+    }
+
+    start() {
+        this._current.predictor.start();
+        if (this._options.watch)
+            this._startWatching();
+    }
+
+    private _startWatching() {
+        if (!this._modelurl.startsWith('file://'))
+            return;
+
+        const modeldir = this._modelurl.substring('file://'.length);
+        try {
+            this._watcher = fs.watch(modeldir, () => this._scheduleReload());
+        } catch(e) {
+            console.error(`Failed to watch ${modeldir} for changes: ${e.message}`);
+            return;
+        }
+        this._watcher.on('error', (e) => {
+            console.error(`Failed to watch ${modeldir} for changes: ${e.message}`);
+        });
+    }
+
+    private _scheduleReload() {
+        if (this._stopped)
+            return;
+        if (this._reloadTimer)
+            clearTimeout(this._reloadTimer);
+        this._reloadTimer = setTimeout(() => {
+            this._reloadTimer = null;
+            this.reload().catch((e) => {
+                console.error(`Failed to reload model ${this._modelurl}, keeping the current version: ${e.message}`);
+            });
+        }, this._options.reloadDelay ?? DEFAULT_RELOAD_DELAY);
+    }
+
+    /**
+     * Load the model again, and switch to it once it is ready.
+     *
+     * If the new model fails to load, the current model is kept.
+     *
+     * @return whether the model was switched
+     */
+    async reload() : Promise<boolean> {
+        // reloads are serialized; if the model changes again while
+        // we're loading, we load it once more afterwards
+        while (this._reloading)
+            await this._reloading.catch(() => {});
+
+        let switched = false;
+        this._reloading = (async () => {
+            const next = this._makeGeneration();
+            next.predictor.start();
+            try {
+                // the worker starts asynchronously, so the model is loaded
+                // when it can answer a prediction
+                await next.predictor.predict('hello');
+            } catch(e) {
+                next.predictor.stop();
+                throw e;
+            }
+            if (this._stopped) {
+                next.predictor.stop();
+                return;
+            }
+
+            const previous = this._current;
+            this._current = next;
+            this._retire(previous);
+            switched = true;
+            this.emit('reload');
+        })();
+        try {
+            await this._reloading;
+        } finally {
+            this._reloading = null;
+        }
+        return switched;
+    }
+
+    stop() {
+        this._stopped = true;
+        if (this._reloadTimer)
+            clearTimeout(this._reloadTimer);
+        this._reloadTimer = null;
+        if (this._watcher)
+            this._watcher.close();
+        this._watcher = null;
+        this._current.predictor.stop();
+    }
+}
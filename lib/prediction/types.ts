@@ -33,6 +33,12 @@ export interface ParseOptions {
     tokenized ?: boolean;
     skip_typechecking ?: boolean;
     example_id ?: string;
+    /**
+     * The model to use, if the parser serves more than one.
+     *
+     * If not given, the parser picks one according to its traffic split.
+     */
+    model ?: string;
 }
 
 /**
@@ -108,7 +114,13 @@ export interface PredictionResult {
          * not representable in ThingTalk (out-of-domain).
          */
         other : number;
-    }
+    };
+
+    /**
+     * The model that computed this result, if the parser serves more than one
+     * (for example, to compare a new model against the current one).
+     */
+    model ?: string;
 }
 
 export interface GenerationResult {
@@ -27,6 +27,13 @@ import { MessageType } from '../dialogue-agent/protocol';
 import type Conversation from '../dialogue-agent/conversation';
 import type AudioController from '../dialogue-agent/audio/controller';
 import { AudioPlayer, CustomPlayerSpec } from '../dialogue-agent/audio/interface';
+import {
+    DEFAULT_WAKE_WORD,
+    WAKE_WORD_PREF,
+    WakeWordMatch,
+    matchWakeWord,
+    normalizeWakeWord
+} from '../dialogue-agent/audio/wake_word';
 import CustomError from '../utils/custom_error';
 
 interface SpeechHandlerOptions {
@@ -99,6 +106,11 @@ class LocalAudioPlayer implements AudioPlayer {
         prefs.set('enable-voice-output', input);
         this._handler.setVoiceOutput(input);
     }
+    async setWakeWord(word : string) {
+        const prefs = this._platform.getSharedPreferences();
+        prefs.set(WAKE_WORD_PREF, word);
+        this._handler.setWakeWord(word);
+    }
 }
 
 export default class SpeechHandler extends events.EventEmitter {
@@ -115,6 +127,7 @@ export default class SpeechHandler extends events.EventEmitter {
     private _started : boolean;
     private _enableVoiceInput : boolean;
     private _enableVoiceOutput : boolean;
+    private _wakeWord : string;
     private _stream : any|null = null;
     private _audioController : AudioController;
     private _queuedAudio : string[];
@@ -165,12 +178,15 @@ export default class SpeechHandler extends events.EventEmitter {
         this._started = true;
         this._enableVoiceInput = this._prefs.get('enable-voice-input') as boolean ?? true;
         this._enableVoiceOutput = this._prefs.get('enable-voice-output') as boolean ?? true;
+        this._wakeWord = normalizeWakeWord(this._prefs.get(WAKE_WORD_PREF) as string ?? '') || DEFAULT_WAKE_WORD;
 
         this._prefs.on('changed', (key : string) => {
             if (key === 'enable-voice-input')
                 this.setVoiceInput(this._prefs.get('enable-voice-input') as boolean ?? true);
             else if (key === 'enable-voice-output')
                 this.setVoiceOutput(this._prefs.get('enable-voice-output') as boolean ?? true);
+            else if (key === WAKE_WORD_PREF)
+                this.setWakeWord(this._prefs.get(WAKE_WORD_PREF) as string ?? DEFAULT_WAKE_WORD);
         });
 
         this._player = null;
@@ -196,6 +212,17 @@ export default class SpeechHandler extends events.EventEmitter {
             this._tts.clearQueue();
     }
 
+    /**
+     * Change the wake word that must prefix every command.
+     *
+     * The wake word is matched on the text of the recognized speech, so it
+     * applies even if the wake-word detector of the platform only supports
+     * a fixed keyword.
+     */
+    setWakeWord(word : string) : void {
+        this._wakeWord = normalizeWakeWord(word) || DEFAULT_WAKE_WORD;
+    }
+
     // called from conversation
     async setHypothesis() {
         // ignore, this is called from the conversation when it broadcasts the hypothesis
@@ -302,6 +329,14 @@ export default class SpeechHandler extends events.EventEmitter {
 
         this._currentRequest = this._recognizer.request(this._stream, buffer);
         this._currentRequest.on('hypothesis', (hypothesis : string) => {
+            if (mustHaveWakeword) {
+                // only show the part of the hypothesis after the wake word, and
+                // nothing until the wake word was heard
+                const [match, rest] = matchWakeWord(this._wakeWord, hypothesis);
+                if (match !== WakeWordMatch.FULL)
+                    return;
+                hypothesis = rest;
+            }
             this._conversation.setHypothesis(hypothesis);
         });
         this._currentRequest.on('done', (status : string, utterance : string) => {
@@ -310,15 +345,15 @@ export default class SpeechHandler extends events.EventEmitter {
                 console.log('Recognized as "' + utterance + '"');
 
                 if (mustHaveWakeword) {
-                    const wakeWordMatch = /^(computer)[,.!]?/i.exec(utterance);
-                    if (!wakeWordMatch) {
+                    const [match, rest] = matchWakeWord(this._wakeWord, utterance);
+                    if (match !== WakeWordMatch.FULL) {
                         console.log('Ignored because wake-word is missing');
                         this.emit('no-match');
                         return;
                     }
                     // remove the prefix from the utterance so we don't confuse
                     // the model
-                    utterance = utterance.substring(wakeWordMatch[0].length).trim();
+                    utterance = rest;
                 }
                 // if there is nothing left, start listening again in case
                 // the user paused in-between the wakeword and the command
@@ -507,15 +507,62 @@ export class BTrie {
         const nodeHeader = readNodeHeader(this._buffer, node.offset);
         this._check(nodeHeader.nodeType !== NodeType.DATA);
 
-        if (nodeHeader.nodeType === NodeType.LEAF) {
-            const dataNodeOffset = this._buffer.readUInt32LE(node.offset + 1);
-            const dataHeader = readNodeHeader(this._buffer, dataNodeOffset);
-            this._check(dataHeader.nodeType === NodeType.DATA && dataHeader.flags === 0);
-            const dataSize = this._buffer.readUInt16LE(dataNodeOffset + 1);
-            const dataOffset = dataNodeOffset + 1 + 2;
-            return this._buffer.toString('utf8', dataOffset, dataOffset+dataSize);
-        } else {
+        if (nodeHeader.nodeType === NodeType.LEAF)
+            return this._readLeafData(node.offset);
+        else
             return undefined;
+    }
+
+    // read the value pointed to by the leaf node at the given offset
+    private _readLeafData(leafOffset : number) {
+        const dataNodeOffset = this._buffer.readUInt32LE(leafOffset + 1);
+        const dataHeader = readNodeHeader(this._buffer, dataNodeOffset);
+        this._check(dataHeader.nodeType === NodeType.DATA && dataHeader.flags === 0);
+        const dataSize = this._buffer.readUInt16LE(dataNodeOffset + 1);
+        const dataOffset = dataNodeOffset + 1 + 2;
+        return this._buffer.toString('utf8', dataOffset, dataOffset+dataSize);
+    }
+
+    private *_iterateNode(node : MMappedNode, prefix : Array<string | typeof WILDCARD>) : IterableIterator<[Array<string | typeof WILDCARD>, string]> {
+        let startOffset = node.offset;
+        while (startOffset < node.offset + node.size) {
+            const header = readNodeHeader(this._buffer, startOffset);
+            this._check(header.nodeType !== NodeType.DATA, startOffset, header);
+
+            if (header.nodeType === NodeType.LEAF) {
+                yield [prefix, this._readLeafData(startOffset)];
+                startOffset = this._skipNode(startOffset);
+                continue;
+            }
+
+            const keyLength = this._buffer.readUInt8(startOffset + 1);
+            this._check(startOffset + 2 + keyLength <= this._buffer.length);
+            const key = (header.flags & NodeFlags.WILDCARD) === NodeFlags.WILDCARD ? WILDCARD :
+                this._buffer.toString('utf8', startOffset + 2, startOffset + 2 + keyLength);
+
+            let child : MMappedNode;
+            if (header.nodeType === NodeType.COMPACT) {
+                child = {
+                    offset: startOffset + 2 + keyLength,
+                    size: 1
+                };
+            } else {
+                this._check(startOffset + 2 + keyLength + 6 <= this._buffer.length);
+                child = {
+                    offset: this._buffer.readUInt32LE(startOffset + 2 + keyLength),
+                    size: this._buffer.readUInt16LE(startOffset + 2 + keyLength + 4)
+                };
+                this._check(child.offset + child.size <= this._buffer.length);
+            }
+            yield* this._iterateNode(child, prefix.concat([key]));
+            startOffset = this._skipEntry(startOffset);
         }
     }
+
+    /**
+     * Iterate all the key-value pairs stored in this trie.
+     */
+    [Symbol.iterator]() : IterableIterator<[Array<string | typeof WILDCARD>, string]> {
+        return this._iterateNode(this._root, []);
+    }
 }
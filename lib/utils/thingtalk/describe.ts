@@ -1933,6 +1933,8 @@ export class Describer {
             return this._("cancel");
         case 'stop':
             return this._("stop");
+        case 'undo':
+            return this._("undo");
         case 'help':
             return this._("help");
         case 'makerule':
@@ -72,6 +72,17 @@ export async function parse(code : string, options : SchemaRetriever|ParseOption
     return parsed.typecheck(schemas, loadMetadata);
 }
 
+// clients send the "undo" button as the $undo special command, like $stop or
+// $nevermind, but ThingTalk has no such control command, so we convert it to
+// the undo dialogue act
+function normalizeUndoCommand(parsed : Ast.Input) : Ast.Input {
+    if (parsed instanceof Ast.ControlCommand &&
+        parsed.intent instanceof Ast.SpecialControlIntent &&
+        parsed.intent.type === 'undo')
+        return new Ast.DialogueState(null, 'org.thingpedia.dialogue.transaction', 'undo', null, []);
+    return parsed;
+}
+
 export function parsePrediction(code : string|string[], entities : Syntax.EntityMap|Syntax.EntityResolver, options : ParseOptions, strict : true) : Promise<Ast.Input>;
 export function parsePrediction(code : string|string[], entities : Syntax.EntityMap|Syntax.EntityResolver, options : ParseOptions, strict ?: boolean) : Promise<Ast.Input|null>;
 export async function parsePrediction(code : string|string[], entities : Syntax.EntityMap|Syntax.EntityResolver, options : ParseOptions, strict = false) : Promise<Ast.Input|null> {
@@ -97,6 +108,7 @@ export async function parsePrediction(code : string|string[], entities : Syntax.
                 throw e1; // use the first error not the second in case both fail
             }
         }
+        parsed = normalizeUndoCommand(parsed);
         await parsed.typecheck(schemas, options.loadMetadata);
         return parsed;
     } catch(e) {
@@ -63,6 +63,10 @@ export default class TimedReference<T> {
      * If `ref` is false, this function does not affect the reference count. If
      * the reference is currently expiring, the timeout is reset.
      *
+     * If computing the object fails, the reference reverts to the empty state,
+     * so the next call will compute the object again, and the reference count
+     * is not increased, so the caller must not call {@link release}.
+     *
      * @param ref
      * @param ifabsent how to compute the reference if absent; if unspecified, the
      *    object might be null if absent
@@ -79,11 +83,19 @@ export default class TimedReference<T> {
                 clearTimeout(this._timeout);
                 this._timeout = null;
             }
-            return this._cached;
+            if (!ref)
+                return this._cached;
+            // the object might still be computed, and fail
+            return this._cached.catch((error) => {
+                this._refCount --;
+                throw error;
+            });
         }
 
         if (ifabsent) {
-            return this._cached = Promise.resolve(ifabsent()).then((result) => {
+            const promise : Promise<T> = new Promise<T>((resolve) => {
+                resolve(ifabsent());
+            }).then((result) => {
                 this._age = Date.now();
                 if (this._refCount === 0 && !this._timeout) {
                     this._timeout = setTimeout(() => {
@@ -91,7 +103,14 @@ export default class TimedReference<T> {
                     }, this._maxAge);
                 }
                 return result;
+            }, (error) => {
+                if (this._cached === promise)
+                    this._cached = null;
+                if (ref)
+                    this._refCount --;
+                throw error;
             });
+            return this._cached = promise;
         } else {
             return null;
         }
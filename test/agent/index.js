@@ -182,6 +182,8 @@ async function mockNLU(conversation) {
     conversation._loop._nlu.onlineLearn = function(utterance, targetCode) {
         if (utterance === 'get an xkcd comic')
             assert.strictEqual(targetCode.join(' '), 'now => @com.xkcd.get_comic => notify');
+        else if (utterance === 'maybe show me a comic or a cat?')
+            assert.strictEqual(targetCode.join(' '), '$dialogue @org.thingpedia.dialogue.transaction . execute ; @com.thecatapi . get ( ) ;');
         else if (utterance === '!! test command multiple results !!')
             assert.strictEqual(targetCode.join(' '), 'now => @com.twitter.post param:status:String = " multiple results "');
         else
@@ -268,6 +270,34 @@ async function test(testRunner, dlg, i) {
         await roundtrip(testRunner, turn.user, turn.agent);
 }
 
+// the last action is saved with the conversation, so it can be undone
+// after the conversation is restored (e.g. after the engine restarts)
+async function testRestoreConversation(testRunner, engine, options) {
+    testRunner.reset();
+    await roundtrip(testRunner, `\\t $dialogue @org.thingpedia.dialogue.transaction.execute;
+now => @com.twitter(id="twitter-foo",name="Twitter Account foo").follow(user_name="bob"^^tt:username) #[confirm=enum(confirmed)];`, null);
+
+    const state = JSON.parse(JSON.stringify(testRunner.conversation.getState()));
+    await testRunner.conversation.stop();
+
+    const conversation = new Conversation(engine, 'test', { ...options, showWelcome: false });
+    testRunner.conversation = conversation;
+    await mockNLU(conversation);
+    const delegate = new TestDelegate(testRunner);
+    await delegate.start();
+    await conversation.start(state);
+
+    const context = `$dialogue @org.thingpedia.dialogue.transaction . sys_action_success ; @com.twitter ( id = GENERIC_ENTITY_tt:device_id_0 ) . follow ( user_name = USERNAME_0 ) #[ results = [ { user_name = USERNAME_0 , __device = GENERIC_ENTITY_tt:device_id_0 } ] ] ; // {"GENERIC_ENTITY_tt:device_id_0":{"value":"twitter-foo","display":"Twitter Account foo"},"USERNAME_0":"bob"}`;
+    await roundtrip(testRunner, 'undo that', `Do you want me to undo follow @bob on Twitter?
+>> context = ${context}
+>> expecting = yesno
+`);
+    await roundtrip(testRunner, '\\t $yes;', `Okay, I undid it.
+>> context = ${context}
+>> expecting = null
+`);
+}
+
 async function readLog(conversation) {
     const logstream = conversation.readLog();
     let log = '';
@@ -290,7 +320,7 @@ async function main(onlyIds) {
     const engine = MockEngine.createMockEngine(tpClient, rng, database);
 
     const nluServerUrl = 'https://nlp-staging.almond.stanford.edu';
-    const conversation = new Conversation(engine, 'test', {
+    const options = {
         nluServerUrl: nluServerUrl,
         nlgServerUrl: null,
         debug: true,
@@ -299,7 +329,8 @@ async function main(onlyIds) {
         anonymous: false,
         rng: rng,
         syncDevices: true
-    });
+    };
+    const conversation = new Conversation(engine, 'test', options);
     conversation.startRecording();
     testRunner.conversation = conversation;
     await mockNLU(conversation);
@@ -325,8 +356,11 @@ Hello! How can I help you?
     }
 
     await conversation.endRecording();
+    const recorded = await readLog(conversation);
+
+    await testRestoreConversation(testRunner, engine, options);
 
-    const log = (await readLog(conversation))
+    const log = recorded
         .replace(/^#! timestamp: 202[1-9]-[01][0-9]-[0123][0-9]T[012][0-9]:[0-5][0-9]:[0-5][0-9](\.[0-9]+)Z$/gm,
             '#! timestamp: XXXX-XX-XXTXX:XX:XX.XXXZ')
         .replace(/^# test\/[0-9a-f-]{36}$/gm, '# test')
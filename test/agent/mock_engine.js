@@ -497,6 +497,10 @@ class MockAssistantDispatcher {
     getAvailableNotificationBackends() {
         return [{ name: 'SMS', uniqueId: 'twilio', requiredSettings:['$context.self.phone_number'] }];
     }
+
+    getDialogueHandlerIds() {
+        return [];
+    }
 }
 
 class MockLocalTable {
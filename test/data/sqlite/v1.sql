@@ -0,0 +1,32 @@
+-- the engine database at version 1 (also used until version 8), before migrations were
+-- recorded in the schema_migrations table
+
+create table app (
+       uniqueId varchar(255) primary key,
+       code text not null,
+       state text not null,
+       name text null default null,
+       description text null default null
+);
+
+create table device (
+       uniqueId varchar(255) primary key,
+       state text not null
+);
+
+create table device_journal (
+       uniqueId varchar(255) primary key,
+       lastModified datetime
+);
+
+create index device_lastModified on device_journal(lastModified);
+
+create table channel (
+       uniqueId varchar(255) primary key,
+       value text default null
+);
+
+insert into app values ('uuid-app', 'monitor(@com.twitter.home_timeline()) => notify;', '{"startTime":0}', 'Twitter', 'notify me of new tweets');
+insert into device values ('com.twitter-foo', '{"kind":"com.twitter","userId":"foo"}');
+insert into device_journal values ('com.twitter-foo', 1600000000000);
+insert into channel values ('app:uuid-app:0', '[]');
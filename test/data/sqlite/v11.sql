@@ -0,0 +1,58 @@
+-- the engine database at version 11, before migrations were
+-- recorded in the schema_migrations table
+
+create table app (
+       uniqueId varchar(255) primary key,
+       code text not null,
+       state text not null,
+       name text null default null,
+       description text null default null
+);
+
+create table device (
+       uniqueId varchar(255) primary key,
+       state text not null
+);
+
+create table device_journal (
+       uniqueId varchar(255) primary key,
+       lastModified datetime
+);
+
+create index device_lastModified on device_journal(lastModified);
+
+create table channel (
+       uniqueId varchar(255) primary key,
+       value text default null
+);
+
+create table conversation (
+       uniqueId varchar(255) primary key,
+       conversationId varchar(255),
+       previousId varchar(255),
+       dialogueId varchar(255),
+       context text default null,
+       agent text default null,
+       agentTimestamp text default null,
+       agentTarget text default null,
+       intermediateContext text default null,
+       user text default null,
+       userTimestamp text default null,
+       userTarget text default null,
+       vote text default null,
+       comment text default null
+);
+
+create table conversation_state (
+       uniqueId varchar(255) primary key,
+       history text default null,
+       dialogueState text default null,
+       lastMessageId int(11) default null
+);
+
+insert into app values ('uuid-app', 'monitor(@com.twitter.home_timeline()) => notify;', '{"startTime":0}', 'Twitter', 'notify me of new tweets');
+insert into device values ('com.twitter-foo', '{"kind":"com.twitter","userId":"foo"}');
+insert into device_journal values ('com.twitter-foo', 1600000000000);
+insert into channel values ('app:uuid-app:0', '[]');
+insert into conversation(uniqueId, conversationId, dialogueId, user, userTarget) values ('turn-1', 'main', 'dlg-1', 'hello', '$dialogue @org.thingpedia.dialogue.transaction.greet;');
+insert into conversation_state values ('main', null, '$dialogue @org.thingpedia.dialogue.transaction.greet;', 1);
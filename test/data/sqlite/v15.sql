@@ -0,0 +1,98 @@
+-- the engine database at version 15, before migrations were
+-- recorded in the schema_migrations table
+
+create table app (
+       uniqueId varchar(255) primary key,
+       code text not null,
+       state text not null,
+       name text null default null,
+       description text null default null
+);
+
+create table device (
+       uniqueId varchar(255) primary key,
+       state text not null
+);
+
+create table device_journal (
+       uniqueId varchar(255) primary key,
+       lastModified datetime
+);
+
+create index device_lastModified on device_journal(lastModified);
+
+create table channel (
+       uniqueId varchar(255) primary key,
+       value text default null
+);
+
+create table conversation (
+       uniqueId varchar(255) primary key,
+       conversationId varchar(255),
+       previousId varchar(255),
+       dialogueId varchar(255),
+       context text default null,
+       agent text default null,
+       agentTimestamp text default null,
+       agentTarget text default null,
+       intermediateContext text default null,
+       user text default null,
+       userTimestamp text default null,
+       userTarget text default null,
+       vote text default null,
+       comment text default null
+);
+
+create table conversation_state (
+       uniqueId varchar(255) primary key,
+       history text default null,
+       dialogueState text default null,
+       lastMessageId int(11) default null,
+       recording boolean default false
+);
+
+create table conversation_history (
+       uniqueId varchar(255) primary key,
+       conversationId varchar(255) not null,
+       messageId int(11) not null,
+       message text not null
+);
+create unique index conversation_history_messageId on
+       conversation_history(conversationId, messageId);
+
+create table notification_queue (
+       uniqueId varchar(255) primary key,
+       appId varchar(255) not null,
+       backend varchar(255) not null,
+       kind varchar(16) not null,
+       payload text not null,
+       config text default null,
+       status varchar(16) not null,
+       attempts int(11) not null default 0,
+       nextAttempt int(11) not null,
+       lastError text default null,
+       created int(11) not null
+);
+create index notification_queue_status on notification_queue(status);
+
+create table app_history (
+       uniqueId varchar(255) primary key,
+       appId varchar(255) not null,
+       timestamp int(11) not null,
+       event varchar(16) not null,
+       function varchar(255) default null,
+       count int(11) default null,
+       message text default null
+);
+create index app_history_appId on app_history(appId, timestamp);
+create index app_history_timestamp on app_history(timestamp);
+
+insert into app values ('uuid-app', 'monitor(@com.twitter.home_timeline()) => notify;', '{"startTime":0}', 'Twitter', 'notify me of new tweets');
+insert into device values ('com.twitter-foo', '{"kind":"com.twitter","userId":"foo"}');
+insert into device_journal values ('com.twitter-foo', 1600000000000);
+insert into channel values ('app:uuid-app:0', '[]');
+insert into conversation(uniqueId, conversationId, dialogueId, user, userTarget) values ('turn-1', 'main', 'dlg-1', 'hello', '$dialogue @org.thingpedia.dialogue.transaction.greet;');
+insert into conversation_state values ('main', null, '$dialogue @org.thingpedia.dialogue.transaction.greet;', 1, true);
+insert into conversation_history values ('main:1', 'main', 1, '{"type":"text","text":"hello"}');
+insert into notification_queue values ('notif-1', 'uuid-app', 'email', 'notification', '{}', null, 'failed', 5, 1600000000000, 'connection refused', 1600000000000);
+insert into app_history values ('hist-1', 'uuid-app', 1600000000000, 'start', null, null, null);
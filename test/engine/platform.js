@@ -179,6 +179,15 @@ class Platform extends Tp.BasePlatform {
         return this._timezone;
     }
 
+    setLocale(locale) {
+        this._locale = locale;
+        this._gettext.setLocale(locale);
+    }
+
+    setTimezone(timezone) {
+        this._timezone = timezone;
+    }
+
     // Check if this platform has the required capability
     // (eg. long running, big storage, reliable connectivity, server
     // connectivity, stable IP, local device discovery, bluetooth, etc.)
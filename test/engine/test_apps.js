@@ -218,6 +218,128 @@ async function testGetError(engine, icon = null) {
     test.get_get_data = originalget;
 }
 
+async function testAppHistory(engine) {
+    const test = engine.devices.getDevice('org.thingpedia.builtin.test');
+    const originaldo = test.do_eat_data;
+
+    const error = new Error('test error');
+    test.do_eat_data = (data) => {
+        throw error;
+    };
+
+    const since = new Date;
+    const app = await engine.createApp('now => @org.thingpedia.builtin.test.get_data(count=2, size=10byte) => @org.thingpedia.builtin.test.eat_data(data=data);',
+        { name: 'some app', description: 'some app description' });
+    await collectOutputs(app);
+    test.do_eat_data = originaldo;
+
+    // history is written in the background
+    await delay(100);
+
+    const history = await engine.getAppHistory(app.uniqueId, { since });
+    assert.deepStrictEqual(history.map((h) => [h.event, h.function, h.count]), [
+        ['action', 'org.thingpedia.builtin.test:eat_data', null],
+        ['error', null, null],
+        ['action', 'org.thingpedia.builtin.test:eat_data', null],
+        ['error', null, null],
+        ['query', 'org.thingpedia.builtin.test:get_data', 2],
+    ]);
+    assert(history[1].message.endsWith('test error'));
+
+    const limited = await engine.getAppHistory(app.uniqueId, { since, limit: 1 });
+    assert.deepStrictEqual(limited, history.slice(4));
+}
+
+async function testPauseResume(engine) {
+    const test = engine.devices.getDevice('org.thingpedia.builtin.test');
+    const originaldo = test.do_eat_data;
+
+    let count = 0;
+    test.do_eat_data = (data) => {
+        count++;
+    };
+
+    const app = await engine.createApp('timer(base=$now, interval=2s) => @org.thingpedia.builtin.test.eat_data(data="some data ");',
+        { name: 'some app', description: 'some app description' });
+    await delay(2500);
+    assert.strictEqual(count, 1);
+
+    assert.strictEqual(await engine.pauseApp(app.uniqueId), true);
+    let info = engine.getAppInfo(app.uniqueId);
+    assert.strictEqual(info.isPaused, true);
+    assert.strictEqual(info.isRunning, false);
+    const row = await engine.db.getLocalTable('app').getOne(app.uniqueId);
+    assert.strictEqual(JSON.parse(row.state).paused, true);
+
+    // the timer does not fire while the app is paused
+    await delay(2500);
+    assert.strictEqual(count, 1);
+
+    assert.strictEqual(await engine.resumeApp(app.uniqueId), true);
+    info = engine.getAppInfo(app.uniqueId);
+    assert.strictEqual(info.isPaused, false);
+    assert.strictEqual(info.isRunning, true);
+    await delay(2500);
+    assert.strictEqual(count, 2);
+
+    await engine.deleteApp(app.uniqueId);
+    assert.strictEqual(await engine.pauseApp(app.uniqueId), false);
+    test.do_eat_data = originaldo;
+}
+
+async function testExpiration(engine) {
+    const app = await engine.createApp('timer(base=$now, interval=2s) => @org.thingpedia.builtin.test.eat_data(data="some data ");',
+        { name: 'some app', description: 'some app description', expiration: Date.now() + 1000 });
+    await delay(100);
+    assert(engine.apps.hasApp(app.uniqueId));
+    assert.strictEqual(engine.getAppInfo(app.uniqueId).expiration > Date.now(), true);
+
+    await delay(1500);
+    assert(!engine.apps.hasApp(app.uniqueId));
+}
+
+async function testDryRun(engine) {
+    const test = engine.devices.getDevice('org.thingpedia.builtin.test');
+    const originaldo = test.do_eat_data;
+
+    let count = 0;
+    test.do_eat_data = (data) => {
+        count++;
+    };
+
+    const result = await engine.createAppAndReturnResults('monitor(@org.thingpedia.builtin.test.get_data(count=2, size=10byte)) => @org.thingpedia.builtin.test.eat_data(data=data);',
+        { name: 'some app', description: 'some app description', dryRun: true });
+    // the action was not invoked, and the app was not created
+    assert.strictEqual(count, 0);
+    assert(!engine.apps.hasApp(result.uniqueId));
+    assert.deepStrictEqual(result.errors, []);
+    assert.deepStrictEqual(result.actions, [{
+        kind: 'org.thingpedia.builtin.test',
+        function: 'eat_data',
+        device: null,
+        params: { data: '!!!!!!!!!!' }
+    }, {
+        kind: 'org.thingpedia.builtin.test',
+        function: 'eat_data',
+        device: null,
+        params: { data: '""""""""""' }
+    }]);
+    assert.deepStrictEqual(await engine.getAppHistory(result.uniqueId), []);
+
+    // in simulation mode, the results of queries are random
+    const simulated = await engine.createAppAndReturnResults('timer(base=$now, interval=1h) => @org.thingpedia.builtin.test.get_data(count=2, size=10byte) => @org.thingpedia.builtin.test.eat_data(data=data);',
+        { name: 'some app', description: 'some app description', dryRun: 'simulate' });
+    assert.strictEqual(count, 0);
+    assert(simulated.actions.length > 0);
+    for (const action of simulated.actions) {
+        assert.strictEqual(action.kind, 'org.thingpedia.builtin.test');
+        assert.strictEqual(action.function, 'eat_data');
+        assert.strictEqual(typeof action.params.data, 'string');
+    }
+
+    test.do_eat_data = originaldo;
+}
+
 function testWhen(engine, conversation) {
     return new Promise((resolve, reject) => {
         setTimeout(() => reject(new Error('Timed out while waiting for data to appear')), 10000).unref();
@@ -791,6 +913,10 @@ export default async function testApps(engine) {
     await testSimpleGet(engine, 'org.foo');
     await testGetGet(engine);
     await testGetError(engine, 'org.foo');
+    await testAppHistory(engine);
+    await testPauseResume(engine);
+    await testExpiration(engine);
+    await testDryRun(engine);
     await testWhen(engine, true);
     await testWhen(engine, false);
     await testTimer(engine);
@@ -84,6 +84,38 @@ async function testOtherBuiltins(engine) {
     await checkRandom(device, undefined, -100, -200, -100);
 }
 
+async function testSetLanguageTimezone(engine) {
+    const device = engine.devices.getDevice('org.thingpedia.builtin.thingengine.builtin');
+
+    await assert.rejects(() => device.do_set_timezone({ timezone: 'Not/A_Timezone' }), { code: 'invalid_timezone' });
+    await device.do_set_timezone({ timezone: 'Asia/Tokyo' });
+    assert.strictEqual(engine.platform.timezone, 'Asia/Tokyo');
+    await device.do_set_timezone({ timezone: 'America/Los_Angeles' });
+    assert.strictEqual(engine.platform.timezone, 'America/Los_Angeles');
+
+    await assert.rejects(() => device.do_set_language({ language: 'xx' }), { code: 'unsupported_language' });
+    // same language as the current locale: the region is preserved
+    await device.do_set_language({ language: 'en' });
+    assert.strictEqual(engine.platform.locale, 'en-US');
+
+    // switching to a different language changes the language of the replies
+    await device.do_set_language({ language: 'it' });
+    assert.strictEqual(engine.platform.locale, 'it');
+    assert.strictEqual(engine._("Sorry I couldn't help on that."), "Mi dispiace non poter essere d'aiuto.");
+
+    await engine.setLocale('en-US');
+    assert.strictEqual(engine.platform.locale, 'en-US');
+    assert.strictEqual(engine._("Sorry I couldn't help on that."), "Sorry I couldn't help on that.");
+}
+
+async function testSetWakeWord(engine) {
+    const device = engine.devices.getDevice('org.thingpedia.builtin.thingengine.builtin');
+
+    await assert.rejects(() => device.do_set_wake_word({ word: '?!' }), { code: 'invalid_wake_word' });
+    await device.do_set_wake_word({ word: 'Hey, Genie!' });
+    assert.strictEqual(engine.platform.getSharedPreferences().get('wake-word'), 'hey genie');
+}
+
 function testBuiltinsAreExpected(engine) {
     // test that the built devices are what we expect
 
@@ -111,5 +143,7 @@ export default async function testBuiltins(engine) {
     await testGetDateTime(engine);
     await testGetCommands(engine);
     await testOtherBuiltins(engine);
+    await testSetLanguageTimezone(engine);
+    await testSetWakeWord(engine);
     await testPlatformDevice(engine);
 }
@@ -20,8 +20,11 @@
 
 
 import assert from 'assert';
+import { newDb } from 'pg-mem';
 import './test-classes/test_database';
 
+import { PostgresDatabase } from '../../lib/engine/db/postgres';
+
 async function collectOutputs(app) {
     let into = [];
     for await (const output of app.mainOutput)
@@ -80,8 +83,169 @@ async function testAggregateDatabaseQuery(engine) {
     }]);
 }
 
+function newPostgresPool() {
+    // use an in-memory stand-in for a Postgres server
+    // (the coverage check rejects "create table if not exists" on existing
+    // tables, because it does not look at the column definitions)
+    const { Pool } = newDb({ noAstCoverageCheck: true }).adapters.createPg();
+    return new Pool();
+}
+
+async function makePostgresDatabase() {
+    const db = new PostgresDatabase({ pool: newPostgresPool(), schema: 'user_1' });
+    await db.ensureSchema();
+    // ensuring the schema again is a no-op
+    await db.ensureSchema();
+    return db;
+}
+
+async function testPostgresLocalTable() {
+    const db = await makePostgresDatabase();
+    const apps = db.getLocalTable('app');
+
+    assert.deepStrictEqual(await apps.getAll(), []);
+    assert.strictEqual(await apps.getOne('app-1'), undefined);
+
+    await apps.insertOne('app-1', { code: 'code 1', state: '{}', name: 'App 1', description: 'first app' });
+    await apps.insertOne('app-2', { code: 'code 2', state: '{}', name: 'App 2', description: 'second app' });
+    assert.deepStrictEqual(await apps.getOne('app-1'), {
+        uniqueId: 'app-1', code: 'code 1', state: '{}', name: 'App 1', description: 'first app'
+    });
+
+    // inserting again replaces the row
+    await apps.insertOne('app-1', { code: 'code 1 bis', state: '{}', name: 'App 1', description: 'first app' });
+    assert.strictEqual((await apps.getOne('app-1')).code, 'code 1 bis');
+    assert.deepStrictEqual((await apps.getBy('name', 'App 2')).map((r) => r.uniqueId), ['app-2']);
+
+    await apps.deleteOne('app-2');
+    assert.deepStrictEqual((await apps.getAll()).map((r) => r.uniqueId), ['app-1']);
+
+    const history = db.getLocalTable('app_history');
+    for (let i = 0; i < 5; i++) {
+        await history.insertOne('event-' + i, {
+            appId: i % 2 ? 'app-1' : 'app-2',
+            timestamp: 1650000000000 + i,
+            event: 'action',
+            function: '@com.twitter.post',
+            count: i,
+            message: null
+        });
+    }
+    const found = await history.search({
+        filter: [{ k: 'appId', o: '=', v: 'app-2' }, { k: 'timestamp', o: '>', v: 1650000000000 }],
+        sort: ['timestamp', 'desc'],
+        limit: 1
+    });
+    assert.deepStrictEqual(found, [{
+        uniqueId: 'event-4',
+        appId: 'app-2',
+        timestamp: 1650000000004,
+        event: 'action',
+        function: '@com.twitter.post',
+        count: 4,
+        message: null
+    }]);
+    assert.deepStrictEqual((await history.search({ filter: [], sort: ['timestamp', 'asc'], limit: 3 })).map((r) => r.uniqueId),
+        ['event-0', 'event-1', 'event-2']);
+}
+
+async function testPostgresSyncTable() {
+    const db = await makePostgresDatabase();
+    const devices = db.getSyncTable('device');
+
+    const t1 = await devices.insertOne('device-1', { state: '{"kind":"one"}' });
+    assert.deepStrictEqual(await devices.getAll(), [{ uniqueId: 'device-1', state: '{"kind":"one"}' }]);
+    assert.deepStrictEqual(await devices.getRaw(), [{ uniqueId: 'device-1', lastModified: t1, state: '{"kind":"one"}' }]);
+
+    // older changes are ignored, newer ones are applied
+    assert.strictEqual(await devices.insertIfRecent('device-1', t1 - 1, { state: '{"kind":"old"}' }), false);
+    assert.strictEqual(await devices.insertIfRecent('device-1', t1 + 1, { state: '{"kind":"new"}' }), true);
+    assert.deepStrictEqual(await devices.getOne('device-1'), { uniqueId: 'device-1', state: '{"kind":"new"}' });
+    assert.strictEqual(await devices.deleteIfRecent('device-1', t1), false);
+
+    assert.deepStrictEqual(await devices.handleChanges([
+        { uniqueId: 'device-2', lastModified: t1 + 2, state: '{"kind":"two"}' },
+        { uniqueId: 'device-1', lastModified: t1 + 3, state: null },
+    ]), [true, true]);
+    assert.deepStrictEqual(await devices.getAll(), [{ uniqueId: 'device-2', state: '{"kind":"two"}' }]);
+
+    // deletions are kept in the journal
+    assert.deepStrictEqual(await devices.getChangesAfter(t1 + 2), [{ uniqueId: 'device-1', lastModified: t1 + 3, state: null }]);
+
+    const reply = await devices.syncAt(t1 + 1, [
+        { uniqueId: 'device-3', lastModified: t1 + 4, state: '{"kind":"three"}' },
+        { uniqueId: 'device-2', lastModified: t1, state: '{"kind":"stale"}' }
+    ]);
+    assert.strictEqual(reply.lastModified, t1 + 3);
+    assert.deepStrictEqual(reply.ourChanges.sort((a, b) => a.lastModified - b.lastModified), [
+        { uniqueId: 'device-2', lastModified: t1 + 2, state: '{"kind":"two"}' },
+        { uniqueId: 'device-1', lastModified: t1 + 3, state: null },
+    ]);
+    assert.deepStrictEqual(reply.done, [true, false]);
+
+    await devices.replaceAll([
+        { uniqueId: 'device-4', lastModified: t1 + 5, state: '{"kind":"four"}' },
+        { uniqueId: 'device-5', lastModified: t1 + 6, state: null },
+    ]);
+    assert.deepStrictEqual(await devices.getRaw(), [{ uniqueId: 'device-4', lastModified: t1 + 5, state: '{"kind":"four"}' }]);
+
+    await devices.deleteOne('device-4');
+    assert.deepStrictEqual(await devices.getAll(), []);
+    assert.strictEqual(await devices.getOne('device-4'), undefined);
+}
+
+async function testPostgresSharedPool() {
+    const pool = newPostgresPool();
+
+    // sharing a pool without separate schemas would mix the data of different users
+    assert.throws(() => new PostgresDatabase({ pool }), TypeError);
+
+    const db1 = new PostgresDatabase({ pool, schema: 'user_1' });
+    const db2 = new PostgresDatabase({ pool, schema: 'user_2' });
+    await db1.ensureSchema();
+    await db2.ensureSchema();
+
+    await db1.getLocalTable('app').insertOne('app-1', { code: 'code 1', state: '{}', name: 'App 1', description: 'first user' });
+    await db2.getLocalTable('app').insertOne('app-1', { code: 'code 2', state: '{}', name: 'App 1', description: 'second user' });
+    assert.strictEqual((await db1.getLocalTable('app').getOne('app-1')).description, 'first user');
+    assert.strictEqual((await db2.getLocalTable('app').getOne('app-1')).description, 'second user');
+
+    await db2.getSyncTable('device').insertOne('device-1', { state: '{"kind":"two"}' });
+    assert.deepStrictEqual(await db1.getSyncTable('device').getAll(), []);
+    assert.deepStrictEqual(await db2.getSyncTable('device').getAll(), [{ uniqueId: 'device-1', state: '{"kind":"two"}' }]);
+}
+
+async function testPostgresBigint() {
+    // a pool that returns bigint columns as strings, like a real Postgres server
+    // with the default type parsers
+    const pool = {
+        async connect() {
+            return {
+                async query(text, values) {
+                    return {
+                        rows: [{ uniqueId: 'device-1', lastModified: '1650000000000', state: '{}' }],
+                        fields: [
+                            { name: 'uniqueId', dataTypeID: 1043 },
+                            { name: 'lastModified', dataTypeID: 20 },
+                            { name: 'state', dataTypeID: 25 }
+                        ]
+                    };
+                },
+                release() {}
+            };
+        }
+    };
+    const db = new PostgresDatabase({ pool, schema: 'user_1' });
+    assert.deepStrictEqual(await db.getSyncTable('device').getRaw(), [{ uniqueId: 'device-1', lastModified: 1650000000000, state: '{}' }]);
+}
+
 export default async function testDatabase(engine) {
     await testSimpleDatabaseQuery(engine);
     await testJoinDatabaseQuery(engine);
     await testAggregateDatabaseQuery(engine);
+
+    await testPostgresLocalTable();
+    await testPostgresSyncTable();
+    await testPostgresSharedPool();
+    await testPostgresBigint();
 }
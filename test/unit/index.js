@@ -43,20 +43,30 @@ async function do_test(array) {
 // test lib scripts
 // keep this alphabetized!
 do_test([
+    ('./test_app_history'),
+    ('./test_app_schedule'),
+    ('./test_arbitration'),
     ('./test_array_set'),
     ('./test_augment'),
     ('./test_bart_canonical_extractor'),
     ('./test_base_canonical_generator'),
     ('./test_btrie'),
     ('./test_card_formatter'),
+    ('./test_cmdline_platform'),
+    ('./test_conversation_logs'),
     ('./test_describe'),
     ('./test_describe_api'),
     ('./test_describe_policy'),
+    ('./test_device_credentials'),
+    ('./test_dialogue_handler_registry'),
     ('./test_dialogue_loop'),
+    ('./test_dry_run'),
     ('./test_engine_protocol'),
+    ('./test_engine_server'),
     ('./test_entities'),
     ('./test_entity_match'),
     ('./test_exact_matcher'),
+    ('./test_faq_index'),
     ('./test_helpers'),
     ('./test_i18n_english'),
     ('./test_i18n_chinese'),
@@ -64,24 +74,38 @@ do_test([
     ('./test_infix_to_postfix'),
     ('./test_ip_address'),
     ('./test_linked_list'),
+    ('./test_local_parser_learn'),
+    ('./test_local_parser_models'),
+    ('./test_lru_cache'),
+    ('./test_metrics'),
     ('./test_misc'),
     ('./test_new_tokenizer_en'),
     ('./test_new_tokenizer_it'),
     ('./test_new_tokenizer_zh'),
+    ('./test_notification_backends'),
+    ('./test_notification_policy'),
+    ('./test_notification_queue'),
+    ('./test_oauth_refresh'),
     ('./test_parsers'),
     ('./test_pos_nfa'),
     ('./test_postprocess_nlg_en'),
+    ('./test_predictor_pool'),
     ('./test_priority_queue'),
+    ('./test_profile'),
     ('./test_random'),
     ('./test_requoting'),
     ('./test_requote'),
     ('./test_restartable_async_iterable'),
     ('./test_sentence_generator'),
+    ('./test_server'),
+    ('./test_server_backends'),
     ('./test_slot_extractor'),
+    ('./test_sqlite_migration'),
     ('./test_stream_utils'),
     ('./test_template_string'),
     ('./test_timed_reference'),
     ('./test_timers'),
     ('./test_trie'),
+    ('./test_wake_word'),
     ('./test_wikidata_utils'),
 ]);
@@ -0,0 +1,146 @@
+// -*- mode: js; indent-tabs-mode: nil; js-basic-offset: 4 -*-
+//
+// This file is part of Genie
+//
+// Copyright 2022 The Board of Trustees of the Leland Stanford Junior University
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//    http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+import assert from 'assert';
+
+import AppHistory from '../../lib/engine/apps/history';
+
+const OPERATORS = {
+    '=': (a, b) => a === b,
+    '<': (a, b) => a < b,
+    '>': (a, b) => a > b,
+    '<=': (a, b) => a <= b,
+    '>=': (a, b) => a >= b,
+};
+
+class MemoryTable {
+    constructor() {
+        this.name = 'app_history';
+        this.rows = new Map;
+    }
+
+    async getAll() {
+        return Array.from(this.rows.values()).map((r) => ({ ...r }));
+    }
+    async search({ filter, sort, limit }) {
+        const rows = (await this.getAll()).filter((r) => filter.every((f) => OPERATORS[f.o](r[f.k], f.v)));
+        const [key, direction] = sort;
+        rows.sort((a, b) => direction === 'asc' ? a[key] - b[key] : b[key] - a[key]);
+        return rows.slice(0, limit);
+    }
+    async insertOne(uniqueId, row) {
+        this.rows.set(uniqueId, { ...row, uniqueId });
+    }
+    async deleteOne(uniqueId) {
+        this.rows.delete(uniqueId);
+    }
+}
+
+function delay(ms) {
+    return new Promise((resolve) => {
+        setTimeout(resolve, ms);
+    });
+}
+
+async function testRecord() {
+    const table = new MemoryTable();
+    const history = new AppHistory(table);
+
+    history.record('app-1', 'start');
+    history.record('app-1', 'trigger', { function: 'com.twitter:home_timeline' });
+    history.record('app-2', 'action', { function: 'org.foo:bar' });
+    history.record('app-1', 'query', { function: 'com.bing:web_search', count: 3 });
+    history.record('app-1', 'error', { message: 'Uncaught error in rule: something broke' });
+    await delay(0);
+
+    const entries = await history.getHistory('app-1');
+    assert.deepStrictEqual(entries.map((e) => [e.event, e.function, e.count, e.message]), [
+        ['start', null, null, null],
+        ['trigger', 'com.twitter:home_timeline', null, null],
+        ['query', 'com.bing:web_search', 3, null],
+        ['error', null, null, 'Uncaught error in rule: something broke'],
+    ]);
+    for (const entry of entries)
+        assert(entry.timestamp instanceof Date);
+    // events recorded in the same millisecond keep their order
+    for (let i = 1; i < entries.length; i++)
+        assert(entries[i].timestamp.getTime() > entries[i-1].timestamp.getTime());
+
+    assert.deepStrictEqual(await history.getHistory('app-3'), []);
+}
+
+async function testSinceLimit() {
+    const table = new MemoryTable();
+    const history = new AppHistory(table);
+
+    for (let i = 0; i < 10; i++)
+        history.record('app-1', 'query', { function: 'org.foo:bar', count: i });
+    await delay(0);
+
+    const all = await history.getHistory('app-1');
+    assert.deepStrictEqual(all.map((e) => e.count), [0, 1, 2, 3, 4, 5, 6, 7, 8, 9]);
+
+    // the limit keeps the latest events
+    const latest = await history.getHistory('app-1', { limit: 3 });
+    assert.deepStrictEqual(latest.map((e) => e.count), [7, 8, 9]);
+
+    const since = await history.getHistory('app-1', { since: all[6].timestamp });
+    assert.deepStrictEqual(since.map((e) => e.count), [6, 7, 8, 9]);
+
+    const sinceLimit = await history.getHistory('app-1', { since: all[2].timestamp, limit: 2 });
+    assert.deepStrictEqual(sinceLimit.map((e) => e.count), [8, 9]);
+}
+
+async function testPrune() {
+    const table = new MemoryTable();
+    const history = new AppHistory(table, { retention: 1000 });
+
+    const now = Date.now();
+    await table.insertOne('old-1', { appId: 'app-1', timestamp: now - 5000, event: 'start', function: null, count: null, message: null });
+    await table.insertOne('old-2', { appId: 'app-2', timestamp: now - 2000, event: 'delete', function: null, count: null, message: null });
+    history.record('app-1', 'stop');
+    await delay(0);
+
+    await history.prune();
+    assert.deepStrictEqual(Array.from(table.rows.keys()).filter((k) => k.startsWith('old-')), []);
+    const entries = await history.getHistory('app-1');
+    assert.deepStrictEqual(entries.map((e) => e.event), ['stop']);
+}
+
+async function testRecordFailure() {
+    const table = new MemoryTable();
+    table.insertOne = async () => {
+        throw new Error('database is locked');
+    };
+    const history = new AppHistory(table);
+
+    // errors writing the history are not propagated
+    history.record('app-1', 'start');
+    await delay(0);
+    assert.deepStrictEqual(await history.getHistory('app-1'), []);
+}
+
+async function main() {
+    await testRecord();
+    await testSinceLimit();
+    await testPrune();
+    await testRecordFailure();
+}
+export default main;
+if (!module.parent)
+    main();
@@ -0,0 +1,211 @@
+// -*- mode: js; indent-tabs-mode: nil; js-basic-offset: 4 -*-
+//
+// This file is part of Genie
+//
+// Copyright 2022 The Board of Trustees of the Leland Stanford Junior University
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//    http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+import assert from 'assert';
+import * as events from 'events';
+
+import { getActiveWindowState, validateActiveWindow } from '../../lib/engine/apps/schedule';
+import AppRunner from '../../lib/engine/apps/runner';
+
+const TIMEZONE = 'America/Los_Angeles';
+
+function at(iso) {
+    return new Date(iso).getTime();
+}
+
+function testActiveWindow() {
+    const workHours = { start: '09:00', end: '18:00', days: [1, 2, 3, 4, 5] };
+
+    // Wednesday 2022-03-02 at 10:00 PST
+    assert.deepStrictEqual(getActiveWindowState(workHours, TIMEZONE, at('2022-03-02T10:00:00-08:00')),
+        { active: true, next: at('2022-03-02T18:00:00-08:00') });
+    // Wednesday at 8:00
+    assert.deepStrictEqual(getActiveWindowState(workHours, TIMEZONE, at('2022-03-02T08:00:00-08:00')),
+        { active: false, next: at('2022-03-02T09:00:00-08:00') });
+    // Friday at 19:00, the next window is on Monday
+    assert.deepStrictEqual(getActiveWindowState(workHours, TIMEZONE, at('2022-03-04T19:00:00-08:00')),
+        { active: false, next: at('2022-03-07T09:00:00-08:00') });
+    // Friday 2022-03-11 at 19:00, the next window is on Monday after the DST change
+    assert.deepStrictEqual(getActiveWindowState(workHours, TIMEZONE, at('2022-03-11T19:00:00-08:00')),
+        { active: false, next: at('2022-03-14T09:00:00-07:00') });
+
+    // a window spanning midnight, starting on Saturday only
+    const saturdayNight = { start: '22:00', end: '02:00', days: [6] };
+    assert.deepStrictEqual(getActiveWindowState(saturdayNight, TIMEZONE, at('2022-03-06T01:00:00-08:00')),
+        { active: true, next: at('2022-03-06T02:00:00-08:00') });
+    assert.deepStrictEqual(getActiveWindowState(saturdayNight, TIMEZONE, at('2022-03-06T03:00:00-08:00')),
+        { active: false, next: at('2022-03-12T22:00:00-08:00') });
+
+    // a window spanning midnight every day never stops at midnight
+    const night = { start: '22:00', end: '22:00' };
+    assert.deepStrictEqual(getActiveWindowState(night, TIMEZONE, at('2022-03-02T23:00:00-08:00')).active, true);
+    assert(getActiveWindowState(night, TIMEZONE, at('2022-03-02T23:00:00-08:00')).next > at('2022-03-09T00:00:00-08:00'));
+
+    // no days at all
+    assert.deepStrictEqual(getActiveWindowState({ start: '09:00', end: '10:00', days: [] }, TIMEZONE, at('2022-03-02T09:30:00-08:00')),
+        { active: false, next: null });
+}
+
+class MockApp {
+    constructor(uniqueId, meta = {}) {
+        this.uniqueId = uniqueId;
+        this.engine = { platform: { timezone: TIMEZONE } };
+        this.isEnabled = true;
+        this.isRunning = false;
+        this.isPaused = !!meta.paused;
+        this.activeWindow = meta.activeWindow;
+        this.expiration = meta.expiration;
+        this.history = [];
+    }
+
+    async start() {
+        this.history.push('start');
+    }
+    async stop() {
+        this.history.push('stop');
+    }
+    recordHistory(event) {
+        if (event === 'expire')
+            this.history.push(event);
+    }
+}
+
+class MockAppDatabase extends events.EventEmitter {
+    constructor() {
+        super();
+        this.apps = new Map;
+    }
+
+    getAllApps() {
+        return Array.from(this.apps.values());
+    }
+    addApp(app) {
+        this.apps.set(app.uniqueId, app);
+        this.emit('app-added', app);
+    }
+    async removeApp(app) {
+        this.apps.delete(app.uniqueId);
+        this.emit('app-removed', app);
+    }
+}
+
+function delay(ms) {
+    return new Promise((resolve) => {
+        setTimeout(resolve, ms);
+    });
+}
+
+async function testRunner() {
+    const db = new MockAppDatabase();
+    const runner = new AppRunner(db);
+    await runner.start();
+
+    // regular app
+    const app1 = new MockApp('app-1');
+    db.addApp(app1);
+    await delay(0);
+    assert.deepStrictEqual(app1.history, ['start']);
+    assert.strictEqual(app1.isRunning, true);
+
+    // pause and resume
+    app1.isPaused = true;
+    db.emit('app-changed', app1);
+    assert.strictEqual(app1.isRunning, false);
+    app1.isPaused = false;
+    db.emit('app-changed', app1);
+    await delay(0);
+    assert.deepStrictEqual(app1.history, ['start', 'stop', 'start']);
+    assert.strictEqual(app1.isRunning, true);
+
+    // paused apps are not started
+    const app2 = new MockApp('app-2', { paused: true });
+    db.addApp(app2);
+    await delay(0);
+    assert.deepStrictEqual(app2.history, []);
+
+    // apps outside of their window are not started
+    const app3 = new MockApp('app-3', { activeWindow: { start: '09:00', end: '10:00', days: [] } });
+    db.addApp(app3);
+    await delay(0);
+    assert.deepStrictEqual(app3.history, []);
+
+    // apps in their window are started
+    const app4 = new MockApp('app-4', { activeWindow: { start: '00:00', end: '00:00' } });
+    db.addApp(app4);
+    await delay(0);
+    assert.deepStrictEqual(app4.history, ['start']);
+
+    // expired apps are removed
+    const app5 = new MockApp('app-5', { expiration: Date.now() - 1000 });
+    db.addApp(app5);
+    await delay(0);
+    assert.deepStrictEqual(app5.history, ['expire']);
+    assert(!db.apps.has('app-5'));
+
+    // apps are removed when they expire
+    const app6 = new MockApp('app-6', { expiration: Date.now() + 100 });
+    db.addApp(app6);
+    await delay(0);
+    assert.deepStrictEqual(app6.history, ['start']);
+    await delay(200);
+    assert.deepStrictEqual(app6.history, ['start', 'expire', 'stop']);
+    assert(!db.apps.has('app-6'));
+
+    await runner.stop();
+    assert.strictEqual(app1.isRunning, false);
+    assert.strictEqual(app4.isRunning, false);
+}
+
+function testValidateActiveWindow() {
+    for (const window of [
+        { start: '09:00', end: '17:30' },
+        { start: '22:00', end: '06:00', days: [1, 7] },
+        { start: '00:00', end: '23:59', days: [] },
+    ])
+        assert.strictEqual(validateActiveWindow(window), window);
+
+    for (const window of [
+        null,
+        '09:00-17:00',
+        { start: '09:00' },
+        { start: '9am', end: '17:00' },
+        { start: '9:00', end: '17:00' },
+        { start: '24:00', end: '17:00' },
+        { start: '09:00', end: '17:60' },
+        { start: '09:00', end: 1700 },
+        { start: '09:00', end: '17:00', days: 1 },
+        { start: '09:00', end: '17:00', days: [0] },
+        { start: '09:00', end: '17:00', days: [8] },
+        { start: '09:00', end: '17:00', days: [1.5] },
+        { start: '09:00', end: '17:00', days: ['monday'] },
+    ]) {
+        assert.throws(() => validateActiveWindow(window), (e) => {
+            assert.strictEqual(e.code, 'EINVAL');
+            return true;
+        });
+    }
+}
+
+async function main() {
+    testActiveWindow();
+    testValidateActiveWindow();
+    await testRunner();
+}
+export default main;
+if (!module.parent)
+    main();
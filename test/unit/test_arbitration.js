@@ -0,0 +1,176 @@
+// -*- mode: js; indent-tabs-mode: nil; js-basic-offset: 4 -*-
+//
+// This file is part of Genie
+//
+// Copyright 2022 The Board of Trustees of the Leland Stanford Junior University
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//    http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+import assert from 'assert';
+
+import {
+    CommandAnalysisType,
+    Confidence
+} from '../../lib/dialogue-agent/dialogue-loop';
+import {
+    DefaultArbitrationPolicy,
+    ConfidenceThresholdPolicy,
+    ScoreWeightedPolicy,
+    StickyPolicy,
+    makeTrace,
+    formatTrace
+} from '../../lib/dialogue-agent/arbitration';
+import ValueCategory from '../../lib/dialogue-agent/value-category';
+
+const thingtalk = { uniqueId: 'thingtalk', priority: 2 };
+const faq = { uniqueId: 'faq/covid', priority: 1 };
+
+function candidates(thingtalkType, faqType) {
+    return [
+        { handler: thingtalk, analysis: { type: thingtalkType, utterance: 'foo', user_target: '' } },
+        { handler: faq, analysis: { type: faqType, utterance: 'foo', user_target: '' } },
+    ];
+}
+
+function context(currentHandler = null, currentHandlerTurns = 0, expecting = null) {
+    return {
+        currentHandler,
+        expecting,
+        currentHandlerTurns,
+        command: { type: 'command', utterance: 'foo', platformData: {} }
+    };
+}
+
+function testDefault() {
+    const policy = new DefaultArbitrationPolicy();
+
+    let decision = policy.choose(candidates(CommandAnalysisType.CONFIDENT_IN_DOMAIN_COMMAND,
+        CommandAnalysisType.EXACT_IN_DOMAIN_COMMAND), context());
+    assert.strictEqual(decision.handler, faq);
+    assert.strictEqual(decision.reason, 'highest confidence (ABSOLUTE)');
+
+    decision = policy.choose(candidates(CommandAnalysisType.CONFIDENT_IN_DOMAIN_COMMAND,
+        CommandAnalysisType.CONFIDENT_IN_DOMAIN_COMMAND), context());
+    assert.strictEqual(decision.handler, thingtalk);
+    assert.strictEqual(decision.reason, 'highest priority among the handlers with NORMAL confidence');
+
+    decision = policy.choose(candidates(CommandAnalysisType.NONCONFIDENT_IN_DOMAIN_FOLLOWUP,
+        CommandAnalysisType.CONFIDENT_IN_DOMAIN_COMMAND), context(thingtalk, 1, ValueCategory.YesNo));
+    assert.strictEqual(decision.handler, thingtalk);
+    assert.strictEqual(decision.reason, 'the current handler is expecting an answer');
+
+    decision = policy.choose(candidates(CommandAnalysisType.OUT_OF_DOMAIN_COMMAND,
+        CommandAnalysisType.OUT_OF_DOMAIN_COMMAND), context());
+    assert.strictEqual(decision.handler, undefined);
+    assert.strictEqual(decision.analysis.type, CommandAnalysisType.OUT_OF_DOMAIN_COMMAND);
+}
+
+function testThreshold() {
+    const policy = new ConfidenceThresholdPolicy({ minConfidence: Confidence.NORMAL });
+
+    let decision = policy.choose(candidates(CommandAnalysisType.NONCONFIDENT_IN_DOMAIN_COMMAND,
+        CommandAnalysisType.CONFIDENT_IN_DOMAIN_COMMAND), context());
+    assert.strictEqual(decision.handler, faq);
+    assert.strictEqual(decision.reason, 'highest confidence (NORMAL) (below threshold: thingtalk)');
+
+    decision = policy.choose(candidates(CommandAnalysisType.NONCONFIDENT_IN_DOMAIN_COMMAND,
+        CommandAnalysisType.OUT_OF_DOMAIN_COMMAND), context());
+    assert.strictEqual(decision.handler, undefined);
+}
+
+function testScoreWeighted() {
+    let policy = new ScoreWeightedPolicy();
+    let decision = policy.choose(candidates(CommandAnalysisType.CONFIDENT_IN_DOMAIN_COMMAND,
+        CommandAnalysisType.STRONGLY_CONFIDENT_IN_DOMAIN_COMMAND), context());
+    // 2 + 0.5 * 2 = 3 vs 3 + 0.5 * 1 = 3.5
+    assert.strictEqual(decision.handler, faq);
+    assert.deepStrictEqual(decision.scores, { 'thingtalk': 3, 'faq/covid': 3.5 });
+
+    policy = new ScoreWeightedPolicy({ weights: { 'faq/covid': 0.5 } });
+    decision = policy.choose(candidates(CommandAnalysisType.CONFIDENT_IN_DOMAIN_COMMAND,
+        CommandAnalysisType.STRONGLY_CONFIDENT_IN_DOMAIN_COMMAND), context());
+    assert.strictEqual(decision.handler, thingtalk);
+    assert.strictEqual(decision.reason, 'highest score (3)');
+
+    // follow-ups are only considered for the current handler
+    decision = policy.choose(candidates(CommandAnalysisType.OUT_OF_DOMAIN_COMMAND,
+        CommandAnalysisType.EXACT_IN_DOMAIN_FOLLOWUP), context(thingtalk, 1));
+    assert.strictEqual(decision.handler, undefined);
+
+    // special commands always win
+    decision = policy.choose(candidates(CommandAnalysisType.EXACT_IN_DOMAIN_COMMAND,
+        CommandAnalysisType.STOP), context());
+    assert.strictEqual(decision.handler, faq);
+    assert.strictEqual(decision.reason, 'special command');
+}
+
+function testSticky() {
+    const policy = new StickyPolicy({ turns: 2 });
+
+    let decision = policy.choose(candidates(CommandAnalysisType.NONCONFIDENT_IN_DOMAIN_COMMAND,
+        CommandAnalysisType.STRONGLY_CONFIDENT_IN_DOMAIN_COMMAND), context(thingtalk, 1));
+    assert.strictEqual(decision.handler, thingtalk);
+    assert.strictEqual(decision.reason, 'sticky current handler, chosen for 1 of 2 turns');
+
+    // after the configured number of turns, the fallback policy decides
+    decision = policy.choose(candidates(CommandAnalysisType.NONCONFIDENT_IN_DOMAIN_COMMAND,
+        CommandAnalysisType.STRONGLY_CONFIDENT_IN_DOMAIN_COMMAND), context(thingtalk, 2));
+    assert.strictEqual(decision.handler, faq);
+
+    // exact matches of other handlers override the current handler
+    decision = policy.choose(candidates(CommandAnalysisType.CONFIDENT_IN_DOMAIN_COMMAND,
+        CommandAnalysisType.EXACT_IN_DOMAIN_COMMAND), context(thingtalk, 1));
+    assert.strictEqual(decision.handler, faq);
+
+    // so does a current handler that cannot handle the command
+    decision = policy.choose(candidates(CommandAnalysisType.OUT_OF_DOMAIN_COMMAND,
+        CommandAnalysisType.CONFIDENT_IN_DOMAIN_COMMAND), context(thingtalk, 1));
+    assert.strictEqual(decision.handler, faq);
+}
+
+function testTrace() {
+    const policy = new ScoreWeightedPolicy();
+    const cands = candidates(CommandAnalysisType.CONFIDENT_IN_DOMAIN_COMMAND,
+        CommandAnalysisType.OUT_OF_DOMAIN_COMMAND);
+    const ctx = context(thingtalk, 3, ValueCategory.Generic);
+    const trace = makeTrace(policy, cands, ctx, policy.choose(cands, ctx));
+
+    assert.deepStrictEqual(trace, {
+        policy: 'score-weighted',
+        currentHandler: 'thingtalk',
+        currentHandlerTurns: 3,
+        expecting: 'Generic',
+        candidates: [
+            { handler: 'thingtalk', priority: 2, analysis: 'CONFIDENT_IN_DOMAIN_COMMAND', confidence: 'NORMAL', score: 3.25 },
+            { handler: 'faq/covid', priority: 1, analysis: 'OUT_OF_DOMAIN_COMMAND', confidence: 'NO', score: 0 },
+        ],
+        chosen: 'thingtalk',
+        reason: 'highest score (3.25)'
+    });
+    assert.deepStrictEqual(formatTrace(trace), [
+        'Chose thingtalk using policy score-weighted: highest score (3.25)',
+        'Current handler: thingtalk (3 turns, expecting Generic)',
+        'thingtalk (priority 2): CONFIDENT_IN_DOMAIN_COMMAND, confidence NORMAL, score 3.25',
+        'faq/covid (priority 1): OUT_OF_DOMAIN_COMMAND, confidence NO, score 0',
+    ]);
+}
+
+export default async function main() {
+    testDefault();
+    testThreshold();
+    testScoreWeighted();
+    testSticky();
+    testTrace();
+}
+if (!module.parent)
+    main();
@@ -61,6 +61,13 @@ async function testBasic() {
     assert.deepStrictEqual(btrie.search(['play', 'coldplay']), '$8');
     assert.deepStrictEqual(btrie.search(['play']), '$9');
     assert.deepStrictEqual(btrie.search(['play', 'taylor', 'swift']), undefined);
+
+    const iterated = Array.from(btrie);
+    const sortKey = ([key,]) => key.map((k) => k === WILDCARD ? '*' : k).join(' ');
+    iterated.sort((a, b) => sortKey(a).localeCompare(sortKey(b)));
+    const expected = DATA.slice();
+    expected.sort((a, b) => sortKey(a).localeCompare(sortKey(b)));
+    assert.deepStrictEqual(iterated, expected);
 }
 
 function testEmpty() {
@@ -77,6 +84,7 @@ function testEmpty() {
     for (let [key,] of DATA.slice(0, 6))
         assert.deepStrictEqual(btrie.search(key), undefined);
     assert.deepStrictEqual(btrie.search([]), undefined);
+    assert.deepStrictEqual(Array.from(btrie), []);
 }
 
 async function main() {
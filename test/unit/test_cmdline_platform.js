@@ -0,0 +1,66 @@
+// -*- mode: js; indent-tabs-mode: nil; js-basic-offset: 4 -*-
+//
+// This file is part of Genie
+//
+// Copyright 2022 The Board of Trustees of the Leland Stanford Junior University
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//    http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+import assert from 'assert';
+import * as fs from 'fs';
+import * as os from 'os';
+import * as path from 'path';
+
+import Platform from '../../tool/lib/cmdline-platform';
+
+const THINGPEDIA_URL = 'https://thingpedia.example.com/thingpedia';
+
+async function testPersistLocaleTimezone(workdir) {
+    const platform1 = new Platform(workdir, undefined, THINGPEDIA_URL);
+    assert.strictEqual(platform1.locale, 'en-US');
+
+    platform1.setLocale('it-IT');
+    platform1.setTimezone('Asia/Tokyo');
+    assert.strictEqual(platform1.locale, 'it-IT');
+    assert.strictEqual(platform1.timezone, 'Asia/Tokyo');
+    await platform1.getSharedPreferences().flush();
+
+    // the language and timezone are restored on restart
+    const platform2 = new Platform(workdir, undefined, THINGPEDIA_URL);
+    assert.strictEqual(platform2.locale, 'it-IT');
+    assert.strictEqual(platform2.timezone, 'Asia/Tokyo');
+    assert.strictEqual(platform2.getCapability('gettext').locale, 'it-IT');
+
+    // a locale passed explicitly takes precedence
+    const platform3 = new Platform(workdir, 'es-ES', THINGPEDIA_URL);
+    assert.strictEqual(platform3.locale, 'es-ES');
+}
+
+export default async function main() {
+    const tz = process.env.GENIE_TZ;
+    delete process.env.GENIE_TZ;
+    const workdir = fs.mkdtempSync(path.resolve(os.tmpdir(), 'genie-platform-'));
+    try {
+        await testPersistLocaleTimezone(workdir);
+    } finally {
+        // let the preferences finish their scheduled writes before removing the directory
+        await new Promise((resolve) => {
+            setTimeout(resolve, 200);
+        });
+        fs.rmSync(workdir, { recursive: true, force: true });
+        if (tz !== undefined)
+            process.env.GENIE_TZ = tz;
+    }
+}
+if (!module.parent)
+    main();
@@ -0,0 +1,127 @@
+// -*- mode: js; indent-tabs-mode: nil; js-basic-offset: 4 -*-
+//
+// This file is part of Genie
+//
+// Copyright 2022 The Board of Trustees of the Leland Stanford Junior University
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//    http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+
+
+import assert from 'assert';
+import * as crypto from 'crypto';
+
+import { readConversationLogs, anonymizeDialogue } from '../../lib/dialogue-agent/logging';
+
+class MemoryTable {
+    constructor(rows) {
+        this.name = 'conversation';
+        this.rows = rows;
+    }
+
+    async getAll() {
+        return this.rows.map((r) => ({ ...r }));
+    }
+    async getBy(field, value) {
+        return (await this.getAll()).filter((r) => r[field] === value);
+    }
+}
+
+function makeRow(uniqueId, conversationId, dialogueId, previousId, user, timestamp, extra = {}) {
+    return {
+        uniqueId,
+        conversationId,
+        dialogueId,
+        previousId,
+        context: null,
+        agent: null,
+        agentTimestamp: null,
+        agentTarget: null,
+        intermediateContext: null,
+        user,
+        userTimestamp: timestamp,
+        userTarget: '$dialogue @org.thingpedia.dialogue.transaction.execute;',
+        vote: null,
+        comment: null,
+        ...extra
+    };
+}
+
+const ROWS = [
+    // out of order, to check that turns are reconstructed
+    makeRow('t2', 'conv1', 'd1', 't1', 'thanks', '2022-03-01T10:01:00.000Z', { vote: 'up', agent: 'I posted "hello world" on Twitter.' }),
+    makeRow('t1', 'conv1', 'd1', null, 'post Hello World on twitter', '2022-03-01T10:00:00.000Z', {
+        userTarget: '$dialogue @org.thingpedia.dialogue.transaction.execute; @com.twitter.post(status="hello world");'
+    }),
+    makeRow('t3', 'conv1', 'd2', null, 'what time is it', '2022-03-05T10:00:00.000Z'),
+    makeRow('t4', 'conv2', 'd3', null, 'call bob', '2022-02-01T10:00:00.000Z', { vote: 'down' }),
+];
+
+async function collect(iterable) {
+    const result = [];
+    for await (const dlg of iterable)
+        result.push(dlg);
+    return result;
+}
+
+async function testRead() {
+    const table = new MemoryTable(ROWS);
+
+    const all = await collect(readConversationLogs(table));
+    assert.deepStrictEqual(all.map((d) => d.id), ['conv2/d3', 'conv1/d1', 'conv1/d2']);
+    assert.deepStrictEqual(all[1].turns.map((t) => t.user), ['post Hello World on twitter', 'thanks']);
+    assert(all[1].turns[0].user_timestamp instanceof Date);
+
+    const conv1 = await collect(readConversationLogs(table, { conversationIds: ['conv1'] }));
+    assert.deepStrictEqual(conv1.map((d) => d.id), ['conv1/d1', 'conv1/d2']);
+
+    const march = await collect(readConversationLogs(table, {
+        since: new Date('2022-03-01T00:00:00.000Z'),
+        until: new Date('2022-03-02T00:00:00.000Z')
+    }));
+    assert.deepStrictEqual(march.map((d) => d.id), ['conv1/d1']);
+
+    assert.deepStrictEqual((await collect(readConversationLogs(table, { vote: 'down' }))).map((d) => d.id), ['conv2/d3']);
+    assert.deepStrictEqual((await collect(readConversationLogs(table, { vote: 'any' }))).map((d) => d.id), ['conv2/d3', 'conv1/d1']);
+}
+
+async function testAnonymize() {
+    const [dlg] = await collect(readConversationLogs(new MemoryTable(ROWS), { conversationIds: ['conv1'] }));
+
+    const anonymized = anonymizeDialogue(dlg, 'key1');
+    assert(anonymized.id.endsWith('/d1'));
+    assert(!anonymized.id.includes('conv1'));
+    // the same key hashes to the same ID, different keys do not
+    assert.strictEqual(anonymized.id, anonymizeDialogue(dlg, 'key1').id);
+    assert.notStrictEqual(anonymized.id, anonymizeDialogue(dlg, 'key2').id);
+    // the ID is not a plain hash of the conversation ID
+    assert(!anonymized.id.startsWith(crypto.createHash('sha256').update('conv1').digest('hex').substring(0, 16)));
+
+    assert.strictEqual(anonymized.turns[0].user_target,
+        '$dialogue @org.thingpedia.dialogue.transaction.execute; @com.twitter.post(status="STRING_0");');
+    // values are replaced in the utterances regardless of case, but only as whole words
+    assert.strictEqual(anonymized.turns[0].user, 'post STRING_0 on twitter');
+    assert.strictEqual(anonymized.turns[1].agent, 'I posted "STRING_0" on Twitter.');
+    assert.strictEqual(anonymized.turns[1].vote, 'up');
+
+    // the original is not modified
+    assert.strictEqual(dlg.turns[0].user, 'post Hello World on twitter');
+}
+
+async function main() {
+    await testRead();
+    await testAnonymize();
+}
+export default main;
+if (!module.parent)
+    main();
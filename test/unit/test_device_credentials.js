@@ -0,0 +1,243 @@
+// -*- mode: js; indent-tabs-mode: nil; js-basic-offset: 4 -*-
+//
+// This file is part of Genie
+//
+// Copyright 2022 The Board of Trustees of the Leland Stanford Junior University
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//    http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+import assert from 'assert';
+import * as crypto from 'crypto';
+import * as events from 'events';
+import * as Tp from 'thingpedia';
+
+import { CredentialCipher, ENVELOPE_FIELD } from '../../lib/engine/devices/credentials';
+import DeviceDatabase from '../../lib/engine/devices/database';
+
+const KEY_1 = crypto.randomBytes(32).toString('base64');
+const KEY_2 = crypto.randomBytes(32).toString('base64');
+
+const STATE = { kind: 'com.twitter', userId: 'foo', accessToken: 'aaa', refreshToken: 'bbb' };
+
+function testEncryptDecrypt() {
+    const cipher = new CredentialCipher({ currentKey: KEY_1 });
+    assert(cipher.enabled);
+
+    const encrypted = cipher.encrypt(STATE);
+    assert.deepStrictEqual(Object.keys(encrypted), ['kind', 'userId', ENVELOPE_FIELD]);
+    assert.strictEqual(encrypted[ENVELOPE_FIELD].keyId, cipher.currentKeyId);
+    assert(!JSON.stringify(encrypted).includes('aaa'));
+    assert.deepStrictEqual(cipher.decrypt(encrypted), STATE);
+
+    // encrypting twice is a no-op
+    assert.strictEqual(cipher.encrypt(encrypted), encrypted);
+
+    // each state has its own data key
+    assert.notStrictEqual(cipher.encrypt(STATE)[ENVELOPE_FIELD].wrappedKey, encrypted[ENVELOPE_FIELD].wrappedKey);
+
+    // states without secrets are not changed
+    const weather = { kind: 'org.thingpedia.weather' };
+    assert.strictEqual(cipher.encrypt(weather), weather);
+    assert.strictEqual(cipher.decrypt(weather), weather);
+}
+
+function testDisabled() {
+    const cipher = new CredentialCipher(null);
+    assert(!cipher.enabled);
+    assert.strictEqual(cipher.encrypt(STATE), STATE);
+
+    const encrypted = new CredentialCipher({ currentKey: KEY_1 }).encrypt(STATE);
+    assert.throws(() => cipher.decrypt(encrypted), { code: 'unknown_credential_key' });
+    assert.strictEqual(cipher.rewrap(STATE), STATE);
+    assert.throws(() => cipher.rewrap(encrypted), { code: 'unknown_credential_key' });
+}
+
+function testRotation() {
+    const old = new CredentialCipher({ currentKey: KEY_1 });
+    const encrypted = old.encrypt(STATE);
+
+    const rotated = new CredentialCipher({ currentKey: KEY_2, previousKeys: [KEY_1] });
+    assert.notStrictEqual(rotated.currentKeyId, old.currentKeyId);
+    assert.deepStrictEqual(rotated.decrypt(encrypted), STATE);
+
+    const rewrapped = rotated.rewrap(encrypted);
+    assert.strictEqual(rewrapped[ENVELOPE_FIELD].keyId, rotated.currentKeyId);
+    // the credentials are not encrypted again
+    assert.strictEqual(rewrapped[ENVELOPE_FIELD].data, encrypted[ENVELOPE_FIELD].data);
+    assert.strictEqual(rotated.rewrap(rewrapped), rewrapped);
+
+    // after rotation, the old key is no longer needed
+    assert.deepStrictEqual(new CredentialCipher({ currentKey: KEY_2 }).decrypt(rewrapped), STATE);
+    assert.throws(() => new CredentialCipher({ currentKey: KEY_2 }).decrypt(encrypted), { code: 'unknown_credential_key' });
+    // and the new key cannot be used to decrypt with the old one
+    assert.throws(() => old.decrypt(rewrapped), { code: 'unknown_credential_key' });
+
+    // states in clear are encrypted during rotation
+    assert.deepStrictEqual(rotated.decrypt(rotated.rewrap(STATE)), STATE);
+}
+
+function testInvalidKey() {
+    assert.throws(() => new CredentialCipher({ currentKey: 'short' }), { code: 'invalid_credential_key' });
+
+    const cipher = new CredentialCipher({ currentKey: KEY_1 });
+    const encrypted = cipher.encrypt(STATE);
+    const tampered = { ...encrypted, [ENVELOPE_FIELD]: { ...encrypted[ENVELOPE_FIELD], data: encrypted[ENVELOPE_FIELD].wrappedKey } };
+    assert.throws(() => cipher.decrypt(tampered), { code: 'invalid_credential_key' });
+}
+
+class MemoryTable {
+    constructor(name) {
+        this.name = name;
+        this.fields = ['state'];
+        this.rows = new Map;
+    }
+
+    async getAll() {
+        return Array.from(this.rows.values());
+    }
+    async insertOne(uniqueId, row) {
+        this.rows.set(uniqueId, { ...row, uniqueId });
+        return Date.now();
+    }
+    async deleteOne(uniqueId) {
+        this.rows.delete(uniqueId);
+        return Date.now();
+    }
+}
+
+class MockPlatform {
+    constructor(keys) {
+        this._keys = keys;
+    }
+
+    hasCapability(cap) {
+        return cap === 'credential-keys';
+    }
+    getCapability(cap) {
+        return cap === 'credential-keys' ? this._keys : null;
+    }
+}
+
+class MockSyncManager extends events.EventEmitter {
+    constructor() {
+        super();
+        this.ownTier = 'server';
+        this.ownIdentity = '';
+        this.sent = [];
+    }
+
+    registerHandler() {}
+    getClientConnections() {
+        return [];
+    }
+    sendToAll(msg) {
+        this.sent.push(JSON.parse(JSON.stringify(msg)));
+    }
+}
+
+class MockDevice extends Tp.BaseDevice {
+    constructor(engine, state) {
+        super(engine, state);
+        this.uniqueId = 'com.twitter-' + state.userId;
+    }
+}
+MockDevice.metadata = { kind: 'com.twitter', version: 1, name: 'Twitter', description: 'Twitter', types: [], category: 'online', params: {}, auth: { type: 'oauth2' } };
+
+class MockFactory {
+    async loadSerialized(kind, state) {
+        return new MockDevice({ platform: { locale: 'en-US', timezone: 'America/Los_Angeles' } }, state);
+    }
+}
+
+async function makeDeviceDatabase(db, keys) {
+    const syncManager = new MockSyncManager();
+    const devices = new DeviceDatabase(new MockPlatform(keys), db, syncManager, new MockFactory(), null);
+    return [devices, syncManager];
+}
+
+async function testDeviceDatabase() {
+    const table = new MemoryTable('device');
+    const db = { getSyncTable: () => table };
+
+    const [devices, syncManager] = await makeDeviceDatabase(db, { currentKey: KEY_1 });
+    await devices.start();
+    await devices.addSerialized({ ...STATE });
+
+    // the database and the sync messages only have ciphertext
+    const stored = JSON.parse(table.rows.get('com.twitter-foo').state);
+    assert.strictEqual(stored.accessToken, undefined);
+    assert(stored[ENVELOPE_FIELD]);
+    assert.strictEqual(syncManager.sent.length, 1);
+    assert(!JSON.stringify(syncManager.sent).includes('aaa'));
+    assert(!JSON.stringify(syncManager.sent).includes('bbb'));
+
+    // the device itself has the credentials in clear
+    assert.strictEqual(devices.getDevice('com.twitter-foo').state.accessToken, 'aaa');
+    await devices.stop();
+
+    // on restart, the credentials are decrypted transparently
+    const [devices2] = await makeDeviceDatabase(db, { currentKey: KEY_2, previousKeys: [KEY_1] });
+    await devices2.start();
+    assert.strictEqual(devices2.getDevice('com.twitter-foo').state.refreshToken, 'bbb');
+    // the data key is wrapped with the new key when the database starts
+    const rewrapped = JSON.parse(table.rows.get('com.twitter-foo').state);
+    assert.strictEqual(rewrapped[ENVELOPE_FIELD].keyId, devices2.credentials.currentKeyId);
+    assert.strictEqual(await devices2.rotateCredentialKey(), 0);
+    await devices2.stop();
+
+    // with the wrong key, the device is not loaded, but it is not deleted either
+    const [devices3] = await makeDeviceDatabase(db, { currentKey: KEY_1 });
+    await devices3.start();
+    assert(!devices3.hasDevice('com.twitter-foo'));
+    assert(table.rows.has('com.twitter-foo'));
+    await devices3.stop();
+
+    // after rotation, only the new key is needed
+    const [devices4] = await makeDeviceDatabase(db, { currentKey: KEY_2 });
+    await devices4.start();
+    assert.strictEqual(devices4.getDevice('com.twitter-foo').state.accessToken, 'aaa');
+    await devices4.stop();
+}
+
+async function testEncryptOnStart() {
+    const table = new MemoryTable('device');
+    const db = { getSyncTable: () => table };
+    // a device saved before encryption was enabled
+    table.rows.set('com.twitter-foo', { uniqueId: 'com.twitter-foo', state: JSON.stringify(STATE) });
+
+    // without a key, the state is left alone
+    const [devices] = await makeDeviceDatabase(db, null);
+    await devices.start();
+    assert.deepStrictEqual(JSON.parse(table.rows.get('com.twitter-foo').state), STATE);
+    await devices.stop();
+
+    // with a key, the credentials are encrypted as soon as the database starts
+    const [devices2] = await makeDeviceDatabase(db, { currentKey: KEY_1 });
+    await devices2.start();
+    const stored = JSON.parse(table.rows.get('com.twitter-foo').state);
+    assert.strictEqual(stored.accessToken, undefined);
+    assert.strictEqual(stored.refreshToken, undefined);
+    assert(stored[ENVELOPE_FIELD]);
+    assert.strictEqual(devices2.getDevice('com.twitter-foo').state.accessToken, 'aaa');
+    await devices2.stop();
+}
+
+export default async function main() {
+    testEncryptDecrypt();
+    testDisabled();
+    testRotation();
+    testInvalidKey();
+    await testDeviceDatabase();
+    await testEncryptOnStart();
+}
+if (!module.parent) main();
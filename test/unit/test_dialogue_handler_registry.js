@@ -0,0 +1,153 @@
+// -*- mode: js; indent-tabs-mode: nil; js-basic-offset: 4 -*-
+//
+// This file is part of Genie
+//
+// Copyright 2022 The Board of Trustees of the Leland Stanford Junior University
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//    http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+import assert from 'assert';
+import * as Tp from 'thingpedia';
+
+import AssistantDispatcher from '../../lib/dialogue-agent/assistant_dispatcher';
+import { DialogueLoop } from '../../lib/dialogue-agent/dialogue-loop';
+
+class MockDeviceDatabase {
+    getAllDevices() {
+        return [];
+    }
+    on() {}
+    removeListener() {}
+}
+
+function makeDispatcher() {
+    const engine = {
+        platform: { locale: 'en-US', timezone: 'America/Los_Angeles' },
+        db: {
+            getLocalTable() {
+                return {};
+            }
+        },
+        devices: new MockDeviceDatabase(),
+    };
+    return new AssistantDispatcher(engine, undefined, {});
+}
+
+class MockHandler {
+    constructor(loop, uniqueId) {
+        this.loop = loop;
+        this.uniqueId = uniqueId;
+        this.priority = Tp.DialogueHandler.Priority.SECONDARY;
+        this.icon = null;
+        this.initialized = false;
+    }
+
+    async initialize() {
+        this.initialized = true;
+        return null;
+    }
+}
+
+class FailingHandler extends MockHandler {
+    async initialize() {
+        throw new Error('initialize failed');
+    }
+}
+
+// a dialogue loop with only the state needed to manage the custom handlers
+function makeLoop(dispatcher) {
+    const loop = Object.create(DialogueLoop.prototype);
+    loop.engine = { assistant: dispatcher };
+    loop._customHandlers = new Map;
+    loop._failedCustomHandlers = new Set;
+    loop._currentHandler = null;
+    return loop;
+}
+
+function testRegister() {
+    const dispatcher = makeDispatcher();
+    const loop = {};
+
+    dispatcher.registerDialogueHandler('chitchat', (loop) => new MockHandler(loop, 'chitchat'));
+    dispatcher.registerDialogueHandler('qa', (loop) => new MockHandler(loop, 'qa'),
+        { priority: Tp.DialogueHandler.Priority.PRIMARY });
+    assert.deepStrictEqual(dispatcher.getDialogueHandlerIds(), ['chitchat', 'qa']);
+
+    const handlers = new Map(dispatcher.getDialogueHandlerIds().map((id) => [id, dispatcher.createDialogueHandler(id, loop)]));
+    assert.strictEqual(handlers.get('chitchat').loop, loop);
+    // the priority of the handler is kept unless overridden
+    assert.strictEqual(handlers.get('chitchat').priority, Tp.DialogueHandler.Priority.SECONDARY);
+    assert.strictEqual(handlers.get('qa').priority, Tp.DialogueHandler.Priority.PRIMARY);
+
+    // each conversation gets its own handler
+    assert.notStrictEqual(dispatcher.createDialogueHandler('qa', {}), handlers.get('qa'));
+
+    assert.strictEqual(dispatcher.unregisterDialogueHandler('qa'), true);
+    assert.strictEqual(dispatcher.unregisterDialogueHandler('qa'), false);
+    assert.deepStrictEqual(dispatcher.getDialogueHandlerIds(), ['chitchat']);
+    assert.throws(() => dispatcher.createDialogueHandler('qa', loop));
+}
+
+function testInvalid() {
+    const dispatcher = makeDispatcher();
+
+    // builtin handlers cannot be replaced
+    assert.throws(() => dispatcher.registerDialogueHandler('thingtalk', (loop) => new MockHandler(loop, 'thingtalk')));
+    assert.throws(() => dispatcher.registerDialogueHandler('faq/covid', (loop) => new MockHandler(loop, 'faq/covid')));
+
+    dispatcher.registerDialogueHandler('chitchat', (loop) => new MockHandler(loop, 'chitchat'));
+    assert.throws(() => dispatcher.registerDialogueHandler('chitchat', (loop) => new MockHandler(loop, 'chitchat')));
+
+    // the state of the handler is saved under the registered ID, so they must match
+    dispatcher.registerDialogueHandler('bad', (loop) => new MockHandler(loop, 'other'));
+    assert.throws(() => dispatcher.createDialogueHandler('bad', {}));
+}
+
+async function testFailingHandlers() {
+    const dispatcher = makeDispatcher();
+    let constructed = 0;
+    dispatcher.registerDialogueHandler('chitchat', (loop) => new MockHandler(loop, 'chitchat'));
+    dispatcher.registerDialogueHandler('broken', () => {
+        constructed++;
+        throw new Error('factory failed');
+    });
+    dispatcher.registerDialogueHandler('uninitializable', (loop) => new FailingHandler(loop, 'uninitializable'));
+
+    // handlers that fail to construct or initialize are skipped, and the others still work
+    const loop = makeLoop(dispatcher);
+    await loop._updateCustomHandlers();
+    assert.deepStrictEqual(Array.from(loop._customHandlers.keys()), ['chitchat']);
+    assert(loop._customHandlers.get('chitchat').initialized);
+    assert.strictEqual(constructed, 1);
+
+    // they are not tried again at every turn
+    await loop._updateCustomHandlers();
+    assert.deepStrictEqual(Array.from(loop._customHandlers.keys()), ['chitchat']);
+    assert.strictEqual(constructed, 1);
+
+    // but they are once they are registered again
+    dispatcher.unregisterDialogueHandler('broken');
+    await loop._updateCustomHandlers();
+    dispatcher.registerDialogueHandler('broken', (loop) => new MockHandler(loop, 'broken'));
+    await loop._updateCustomHandlers();
+    assert.deepStrictEqual(Array.from(loop._customHandlers.keys()), ['chitchat', 'broken']);
+    assert(loop._customHandlers.get('broken').initialized);
+}
+
+export default async function main() {
+    testRegister();
+    testInvalid();
+    await testFailingHandlers();
+}
+if (!module.parent)
+    main();
@@ -0,0 +1,78 @@
+// -*- mode: js; indent-tabs-mode: nil; js-basic-offset: 4 -*-
+//
+// This file is part of ThingTalk
+//
+// Copyright 2017-2020 The Board of Trustees of the Leland Stanford Junior University
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//    http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+//
+// Author: Giovanni Campagna <gcampagn@cs.stanford.edu>
+
+import assert from 'assert';
+import { Syntax, SchemaRetriever } from 'thingtalk';
+
+import { makeDryRunProgram } from '../../lib/engine/apps/dry_run';
+
+import _mockSchemaDelegate from './mock_schema_delegate';
+const schemaRetriever = new SchemaRetriever(_mockSchemaDelegate, null, true);
+
+const TEST_CASES = [
+    // commands are unchanged
+    [`@com.twitter.home_timeline() => @com.twitter.post(status=text);`,
+     `@com.twitter.home_timeline() => @com.twitter.post(status=text);`],
+
+    // monitors become the query they monitor
+    [`monitor(@com.twitter.home_timeline()) => @com.twitter.post(status=text);`,
+     `@com.twitter.home_timeline() => @com.twitter.post(status=text);`],
+    [`monitor(@com.twitter.home_timeline()) => notify;`,
+     `@com.twitter.home_timeline();`],
+    [`monitor(text of @com.twitter.home_timeline()) => @com.twitter.post(status=text);`,
+     `@com.twitter.home_timeline() => @com.twitter.post(status=text);`],
+    [`monitor(@com.twitter.home_timeline() filter author == "bob"^^tt:username) => @com.twitter.post(status=text);`,
+     `@com.twitter.home_timeline() filter author == "bob"^^tt:username => @com.twitter.post(status=text);`],
+
+    // edge filters are kept, and applied to the current results
+    [`monitor(@com.twitter.home_timeline()) filter text =~ "foo" => @com.twitter.post(status=text);`,
+     `@com.twitter.home_timeline() filter text =~ "foo" => @com.twitter.post(status=text);`],
+
+    // timers are removed
+    [`timer(base=$now, interval=1h) => @com.twitter.post(status="foo");`,
+     `@com.twitter.post(status="foo");`],
+    [`attimer(time=[new Time(9, 0)]) => @com.twitter.home_timeline() => @com.twitter.post(status=text);`,
+     `@com.twitter.home_timeline() => @com.twitter.post(status=text);`],
+
+    // all rules are converted
+    [`monitor(@com.twitter.home_timeline()) => @com.twitter.post(status=text);
+      timer(base=$now, interval=1h) => @com.twitter.post(status="foo");`,
+     `@com.twitter.home_timeline() => @com.twitter.post(status=text);
+@com.twitter.post(status="foo");`],
+];
+
+async function test(i) {
+    console.log('Test Case #' + (i+1));
+    const [code, expected] = TEST_CASES[i];
+
+    const program = await Syntax.parse(code).typecheck(schemaRetriever);
+    const converted = await makeDryRunProgram(program, schemaRetriever);
+    assert.strictEqual(converted.prettyprint(), expected);
+
+    // the original program is not modified
+    assert.strictEqual(program.prettyprint(), (await Syntax.parse(code).typecheck(schemaRetriever)).prettyprint());
+}
+
+export default async function main() {
+    for (let i = 0; i < TEST_CASES.length; i++)
+        await test(i);
+}
+if (!module.parent)
+    main();
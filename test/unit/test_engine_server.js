@@ -0,0 +1,270 @@
+// -*- mode: js; indent-tabs-mode: nil; js-basic-offset: 4 -*-
+//
+// This file is part of Genie
+//
+// Copyright 2022 The Board of Trustees of the Leland Stanford Junior University
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//    http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+import assert from 'assert';
+import * as events from 'events';
+import * as http from 'http';
+import WebSocket from 'ws';
+
+import { createServer } from '../../tool/engine-server';
+import { validateActiveWindow } from '../../lib/engine/apps/schedule';
+import { validateNotificationPolicy } from '../../lib/dialogue-agent/notifications/policy';
+
+const TOKEN = 'secret-token';
+
+class MockConversation {
+    constructor(engine, id) {
+        this.engine = engine;
+        this.id = id;
+        this.outputs = [];
+        this.commands = [];
+    }
+
+    async addOutput(out, replayHistory) {
+        this.outputs.push(out);
+        await out.send({ type: 'text', text: 'Hello! How can I help you?', icon: null });
+    }
+    removeOutput(out) {
+        this.outputs = this.outputs.filter((o) => o !== out);
+    }
+
+    async handleCommand(text) {
+        this.commands.push(text);
+        for (const out of this.outputs)
+            await out.send({ type: 'text', text: `You said ${text}`, icon: null });
+    }
+}
+
+class MockEngine {
+    constructor() {
+        this.apps = new Map;
+        this.conversations = new Map;
+        this.closedConversations = [];
+        this.devices = new events.EventEmitter();
+        this.devices.getAllDevices = () => [];
+        this.activityMonitor = new events.EventEmitter();
+
+        const self = this;
+        this.assistant = {
+            async getOrOpenConversation(id, options) {
+                if (!self.conversations.has(id))
+                    self.conversations.set(id, new MockConversation(self, id));
+                return self.conversations.get(id);
+            },
+            closeConversation(id) {
+                self.closedConversations.push(id);
+            }
+        };
+    }
+
+    getAppInfo(uniqueId, throw_ = true) {
+        const app = this.apps.get(uniqueId);
+        if (!app) {
+            if (throw_)
+                throw new Error('Invalid app ' + uniqueId);
+            return undefined;
+        }
+        return { uniqueId: app.uniqueId, name: app.name, code: app.code };
+    }
+    getAppInfos() {
+        return Array.from(this.apps.keys()).map((id) => this.getAppInfo(id));
+    }
+    async createApp(code, options) {
+        if (code === 'invalid')
+            throw new Error('Syntax error');
+        if (options.activeWindow !== undefined)
+            validateActiveWindow(options.activeWindow);
+        if (options.notifications && options.notifications.policy !== undefined)
+            validateNotificationPolicy(options.notifications.policy);
+        const app = { uniqueId: options.uniqueId || 'uuid-' + (this.apps.size+1), name: options.name || 'Some App', code, error: null };
+        // like the real engine, apps that fail to compile are returned
+        // with their error, but they are not added
+        if (code === 'compile error') {
+            app.error = 'Compile error';
+            return app;
+        }
+        this.apps.set(app.uniqueId, app);
+        return app;
+    }
+    async deleteApp(uniqueId) {
+        return this.apps.delete(uniqueId);
+    }
+}
+
+function request(port, method, path, { token = TOKEN, body } = {}) {
+    const headers = { 'Content-Type': 'application/json' };
+    if (token)
+        headers['Authorization'] = 'Bearer ' + token;
+    return new Promise((resolve, reject) => {
+        const req = http.request({ host: '127.0.0.1', port, method, path, headers }, (res) => {
+            let data = '';
+            res.setEncoding('utf8');
+            res.on('data', (chunk) => {
+                data += chunk;
+            });
+            res.on('end', () => resolve([res.statusCode, JSON.parse(data)]));
+        });
+        req.on('error', reject);
+        if (body)
+            req.write(JSON.stringify(body));
+        req.end();
+    });
+}
+
+function openSocket(port, query) {
+    return new Promise((resolve, reject) => {
+        const ws = new WebSocket(`ws://127.0.0.1:${port}/api/conversation?${query}`);
+        const messages = [];
+        ws.on('message', (data) => {
+            messages.push(JSON.parse(data.toString()));
+        });
+        ws.on('open', () => resolve([ws, messages]));
+        ws.on('unexpected-response', (req, res) => reject(new Error(`Unexpected status ${res.statusCode}`)));
+        ws.on('error', reject);
+    });
+}
+
+function waitFor(check) {
+    return new Promise((resolve, reject) => {
+        const start = Date.now();
+        const interval = setInterval(() => {
+            if (check()) {
+                clearInterval(interval);
+                resolve();
+            } else if (Date.now() - start > 5000) {
+                clearInterval(interval);
+                reject(new Error('Timed out'));
+            }
+        }, 10);
+    });
+}
+
+async function testAuth(port) {
+    let [status, body] = await request(port, 'GET', '/api/apps', { token: null });
+    assert.strictEqual(status, 401);
+    assert.strictEqual(body.code, 'EPERM');
+
+    [status, body] = await request(port, 'GET', '/api/apps', { token: 'wrong-token' });
+    assert.strictEqual(status, 401);
+
+    [status, body] = await request(port, 'POST', '/api/apps', { token: 'wrong', body: { code: 'now => @com.xkcd.get_comic();' } });
+    assert.strictEqual(status, 401);
+
+    // the API description is public
+    [status, body] = await request(port, 'GET', '/api/openapi.json', { token: null });
+    assert.strictEqual(status, 200);
+    assert.strictEqual(typeof body.paths, 'object');
+
+    await assert.rejects(openSocket(port, ''), /Unexpected status 401/);
+    await assert.rejects(openSocket(port, 'access_token=wrong-token'), /Unexpected status 401/);
+}
+
+async function testApps(port) {
+    let [status, body] = await request(port, 'GET', '/api/apps');
+    assert.strictEqual(status, 200);
+    assert.deepStrictEqual(body, []);
+
+    [status, body] = await request(port, 'POST', '/api/apps', { body: { code: 'now => @com.xkcd.get_comic();', name: 'Comic' } });
+    assert.strictEqual(status, 200);
+    assert.deepStrictEqual(body, { uniqueId: 'uuid-1', name: 'Comic', code: 'now => @com.xkcd.get_comic();' });
+
+    [status, body] = await request(port, 'POST', '/api/apps', { body: { code: 'invalid' } });
+    assert.strictEqual(status, 400);
+    assert.strictEqual(body.error, 'Syntax error');
+
+    [status, body] = await request(port, 'POST', '/api/apps', { body: { code: 'compile error' } });
+    assert.strictEqual(status, 400);
+    assert.deepStrictEqual(body, { error: 'Compile error', code: 'EINVAL' });
+
+    [status, body] = await request(port, 'POST', '/api/apps', { body: { name: 'missing code' } });
+    assert.strictEqual(status, 400);
+
+    [status, body] = await request(port, 'POST', '/api/apps', { body: { code: 'now => @com.xkcd.get_comic();', activeWindow: { start: '9am', end: '17:00' } } });
+    assert.strictEqual(status, 400);
+    assert.strictEqual(body.code, 'EINVAL');
+
+    [status, body] = await request(port, 'POST', '/api/apps', { body: { code: 'now => @com.xkcd.get_comic();', notifications: { policy: { quietHours: { start: '22:00' } } } } });
+    assert.strictEqual(status, 400);
+    assert.strictEqual(body.code, 'EINVAL');
+
+    [status, body] = await request(port, 'GET', '/api/apps');
+    assert.strictEqual(status, 200);
+    assert.deepStrictEqual(body.map((a) => a.uniqueId), ['uuid-1']);
+
+    [status, body] = await request(port, 'GET', '/api/apps/uuid-1');
+    assert.strictEqual(status, 200);
+    assert.strictEqual(body.name, 'Comic');
+
+    [status, body] = await request(port, 'DELETE', '/api/apps/uuid-1');
+    assert.strictEqual(status, 200);
+    assert.deepStrictEqual(body, { result: 'ok' });
+
+    [status, body] = await request(port, 'DELETE', '/api/apps/uuid-1');
+    assert.strictEqual(status, 404);
+    assert.strictEqual(body.code, 'ENOENT');
+
+    [status, body] = await request(port, 'GET', '/api/apps/uuid-1');
+    assert.strictEqual(status, 404);
+}
+
+async function testConversation(engine, port) {
+    const [ws, messages] = await openSocket(port, `access_token=${TOKEN}&id=test-conversation`);
+
+    // the server identifies the conversation, then replays the welcome message
+    await waitFor(() => messages.length >= 2);
+    assert.deepStrictEqual(messages[0], { type: 'id', id: 'test-conversation' });
+    assert.strictEqual(messages[1].type, 'text');
+    assert.strictEqual(messages[1].text, 'Hello! How can I help you?');
+
+    ws.send(JSON.stringify({ type: 'command', text: 'hello' }));
+    await waitFor(() => messages.length >= 3);
+    assert.deepStrictEqual(engine.conversations.get('test-conversation').commands, ['hello']);
+    assert.strictEqual(messages[2].text, 'You said hello');
+
+    ws.send('not json');
+    await waitFor(() => messages.length >= 4);
+    assert.strictEqual(messages[3].type, 'error');
+    assert.strictEqual(messages[3].code, 'EINVAL');
+
+    ws.close();
+    await waitFor(() => engine.closedConversations.includes('test-conversation'));
+}
+
+export default async function main() {
+    const engine = new MockEngine();
+    const [server, wss] = createServer(engine, TOKEN, '0.0.0-test', { debug: false });
+    await new Promise((resolve) => {
+        server.listen(0, '127.0.0.1', resolve);
+    });
+    const port = server.address().port;
+
+    try {
+        await testAuth(port);
+        await testApps(port);
+        await testConversation(engine, port);
+    } finally {
+        for (const client of wss.clients)
+            client.close(1001);
+        wss.close();
+        await new Promise((resolve) => {
+            server.close(resolve);
+        });
+    }
+}
+if (!module.parent)
+    main();
@@ -19,6 +19,9 @@
 // Author: Giovanni Campagna <gcampagn@cs.stanford.edu>
 
 import assert from 'assert';
+import * as os from 'os';
+import * as path from 'path';
+import { promises as pfs } from 'fs';
 
 import ExactMatcher from '../../lib/prediction/exact';
 
@@ -86,10 +89,45 @@ function testAmbiguous() {
     assert.deepStrictEqual(matcher.get('get a dog'.split(' ')), ['now => @uk.co.thedogapi.get => notify'.split(' ')]);
 }
 
+async function testSaveLoad() {
+    const dir = await pfs.mkdtemp(path.resolve(os.tmpdir(), 'genie-test-exact-'));
+    const filename = path.resolve(dir, 'learned.btrie');
+
+    try {
+        const matcher = new ExactMatcher();
+        matcher.add('get a cat'.split(' '), 'now => @com.thecatapi.get => notify'.split(' '));
+        matcher.add('post on twitter saying foo'.split(' '), 'now => @com.twitter.post param:status:String = " foo "'.split(' '));
+        await matcher.save(filename);
+
+        const loaded = new ExactMatcher();
+        await loaded.load(filename);
+        assert.deepStrictEqual(loaded.get('get a cat'.split(' ')), ['now => @com.thecatapi.get => notify'.split(' ')]);
+        assert.deepStrictEqual(loaded.get('post on twitter saying lol'.split(' ')), [('now => @com.twitter.post param:status:String = " lol "'.split(' '))]);
+
+        // sentences added after loading are saved together with the existing ones
+        loaded.add('get a cat'.split(' '), 'now => @com.thecatapi2.get => notify'.split(' '));
+        loaded.add('get a dog'.split(' '), 'now => @uk.co.thedogapi.get => notify'.split(' '));
+        await loaded.save(filename);
+
+        const reloaded = new ExactMatcher();
+        await reloaded.load(filename);
+        assert.deepStrictEqual(reloaded.get('get a cat'.split(' ')), [
+            'now => @com.thecatapi2.get => notify'.split(' '),
+            'now => @com.thecatapi.get => notify'.split(' '),
+        ]);
+        assert.deepStrictEqual(reloaded.get('get a dog'.split(' ')), ['now => @uk.co.thedogapi.get => notify'.split(' ')]);
+        assert.deepStrictEqual(reloaded.get('post on twitter saying lol'.split(' ')), [('now => @com.twitter.post param:status:String = " lol "'.split(' '))]);
+    } finally {
+        await pfs.unlink(filename).catch(() => {});
+        await pfs.rmdir(dir);
+    }
+}
+
 async function main() {
     testBasic();
     testQuoteFree();
     testAmbiguous();
+    await testSaveLoad();
 }
 export default main;
 if (!module.parent)
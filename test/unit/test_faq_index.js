@@ -0,0 +1,92 @@
+// -*- mode: js; indent-tabs-mode: nil; js-basic-offset: 4 -*-
+//
+// This file is part of Genie
+//
+// Copyright 2022 The Board of Trustees of the Leland Stanford Junior University
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//    http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+import assert from 'assert';
+
+import FAQIndex, { parseCorpus } from '../../lib/dialogue-agent/handlers/faq_index';
+
+const TSV_CORPUS = `# questions about Genie
+what is genie?\tGenie is a virtual assistant.
+who made genie?\tGenie was made at Stanford.
+who developed genie?\tGenie was made at Stanford.
+how do i reset my password?\tUse the "Forgot password" link.
+`;
+
+const YAML_CORPUS = `
+- questions:
+    - 如何重置密码？
+    - 忘记密码怎么办？
+  answer: 请使用"忘记密码"链接。
+- question: 天气怎么样？
+  answer: 请问天气。
+`;
+
+function testParse() {
+    const entries = parseCorpus(TSV_CORPUS, 'tsv');
+    assert.strictEqual(entries.length, 3);
+    assert.deepStrictEqual(entries[0], { questions: ['what is genie?'], answer: 'Genie is a virtual assistant.' });
+    assert.deepStrictEqual(entries[1].questions, ['who made genie?', 'who developed genie?']);
+
+    assert.deepStrictEqual(parseCorpus(YAML_CORPUS, 'yaml')[1], { questions: ['天气怎么样？'], answer: '请问天气。' });
+
+    assert.throws(() => parseCorpus('what is genie?\n', 'tsv'));
+    assert.throws(() => parseCorpus('- answer: foo\n', 'yaml'));
+    assert.throws(() => parseCorpus('foo: bar\n', 'yaml'));
+}
+
+function testEnglish() {
+    const index = new FAQIndex(parseCorpus(TSV_CORPUS, 'tsv'), 'en-US');
+    assert.strictEqual(index.size, 3);
+
+    // an exact match scores 1, regardless of punctuation and case
+    let results = index.search('What is Genie');
+    assert.strictEqual(results[0].answer, 'Genie is a virtual assistant.');
+    assert(Math.abs(results[0].score - 1) < 1e-9);
+
+    // answers are ranked, and each answer appears once
+    results = index.search('who developed the genie assistant?');
+    assert.strictEqual(results[0].answer, 'Genie was made at Stanford.');
+    assert.strictEqual(results[0].question, 'who developed genie?');
+    assert.strictEqual(results.filter((r) => r.answer === 'Genie was made at Stanford.').length, 1);
+    for (let i = 1; i < results.length; i++)
+        assert(results[i-1].score >= results[i].score);
+    assert(results.every((r) => r.score > 0 && r.score <= 1));
+
+    results = index.search('I forgot my password, how do I reset it?', 1);
+    assert.strictEqual(results.length, 1);
+    assert.strictEqual(results[0].answer, 'Use the "Forgot password" link.');
+
+    // nothing in common
+    assert.deepStrictEqual(index.search('turn on the lights'), []);
+}
+
+function testChinese() {
+    const index = new FAQIndex(parseCorpus(YAML_CORPUS, 'yaml'), 'zh-CN');
+
+    const results = index.search('忘记密码怎么办');
+    assert.strictEqual(results[0].answer, '请使用"忘记密码"链接。');
+    assert(Math.abs(results[0].score - 1) < 1e-9);
+}
+
+export default async function main() {
+    testParse();
+    testEnglish();
+    testChinese();
+}
+if (!module.parent)
+    main();
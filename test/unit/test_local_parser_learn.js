@@ -0,0 +1,52 @@
+// -*- mode: js; indent-tabs-mode: nil; js-basic-offset: 4 -*-
+//
+// This file is part of Genie
+//
+// Copyright 2022 The Board of Trustees of the Leland Stanford Junior University
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//    http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+
+import assert from 'assert';
+
+import LocalParserClient from '../../lib/prediction/localparserclient';
+import ExactMatcher from '../../lib/prediction/exact';
+import _mockThingpediaClient from './mock_schema_delegate';
+
+async function testLearn() {
+    const matcher = new ExactMatcher();
+    // the model is never started, so it does not need to exist
+    const parser = new LocalParserClient('file:///nonexistent', 'en-US', undefined, matcher, _mockThingpediaClient);
+
+    const code = await parser.onlineLearn('show me my tweets', '@com.twitter . home_timeline ( ) ;'.split(' '));
+    assert.deepStrictEqual(code.join(' '), '@com.twitter . home_timeline ( ) ;');
+    assert.deepStrictEqual(matcher.get('show me my tweets'.split(' ')), [code]);
+
+    // programs are typechecked before they are learned
+    await assert.rejects(() => parser.onlineLearn('show me my toots', '@com.twitter . toots ( ) ;'.split(' ')));
+    assert.strictEqual(matcher.get('show me my toots'.split(' ')), null);
+
+    await assert.rejects(() => parser.onlineLearn('show me my tweets', 'not thingtalk'.split(' ')));
+    await assert.rejects(() => parser.onlineLearn('', '@com.twitter . home_timeline ( ) ;'.split(' ')));
+
+    // without an exact matcher we can modify, learning fails
+    const parser2 = new LocalParserClient('file:///nonexistent', 'en-US', undefined, undefined, _mockThingpediaClient);
+    await assert.rejects(() => parser2.onlineLearn('show me my tweets', '@com.twitter . home_timeline ( ) ;'.split(' ')));
+}
+
+async function main() {
+    await testLearn();
+}
+export default main;
+if (!module.parent)
+    main();
@@ -0,0 +1,158 @@
+// -*- mode: js; indent-tabs-mode: nil; js-basic-offset: 4 -*-
+//
+// This file is part of Genie
+//
+// Copyright 2022 The Board of Trustees of the Leland Stanford Junior University
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//    http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+
+
+import assert from 'assert';
+import * as http from 'http';
+
+import LocalParserClient from '../../lib/prediction/localparserclient';
+import LRUCache from '../../lib/prediction/lrucache';
+
+// a fake model server, speaking the same protocol as a KFServing deployment of genienlp
+class MockModelServer {
+    constructor(answer) {
+        this.answer = answer;
+        this.fail = false;
+        this.requests = [];
+        this._server = http.createServer((req, res) => {
+            let body = '';
+            req.on('data', (chunk) => {
+                body += chunk;
+            });
+            req.on('end', () => {
+                const parsed = JSON.parse(body);
+                this.requests.push(...parsed.instances.map((i) => i.context));
+                if (this.fail) {
+                    res.statusCode = 500;
+                    res.end('model is broken');
+                    return;
+                }
+                res.setHeader('Content-Type', 'application/json');
+                res.end(JSON.stringify({
+                    predictions: parsed.instances.map(() => ({ answer: this.answer, score: {} }))
+                }));
+            });
+        });
+    }
+
+    get url() {
+        return `kf+http://127.0.0.1:${this._server.address().port}/v1/models/nlp:predict`;
+    }
+
+    start() {
+        return new Promise((resolve) => {
+            this._server.listen(0, '127.0.0.1', resolve);
+        });
+    }
+
+    stop() {
+        return new Promise((resolve) => {
+            this._server.close(resolve);
+        });
+    }
+}
+
+const OPTIONS = { skip_typechecking: true };
+
+async function testExperiment() {
+    const main = new MockModelServer('$failed ;');
+    const experiment = new MockModelServer('$yes ;');
+    await main.start();
+    await experiment.start();
+
+    const random = [0.5, 0.05, 0.9];
+    const parser = new LocalParserClient(main.url, 'en-US', undefined, undefined, null, {
+        maxLatency: 1,
+        experiment: { url: experiment.url, fraction: 0.1 },
+        rng: () => random.shift()
+    });
+    await parser.start();
+
+    const first = await parser.sendUtterance('show me my tweets', undefined, undefined, OPTIONS);
+    assert.strictEqual(first.model, 'main');
+    assert.deepStrictEqual(first.candidates[0].code, ['$failed', ';']);
+    const second = await parser.sendUtterance('show me my emails', undefined, undefined, OPTIONS);
+    assert.strictEqual(second.model, 'experiment');
+    assert.deepStrictEqual(second.candidates[0].code, ['$yes', ';']);
+    const third = await parser.sendUtterance('show me my files', undefined, undefined, OPTIONS);
+    assert.strictEqual(third.model, 'main');
+
+    assert.deepStrictEqual(main.requests, ['show me my tweets', 'show me my files']);
+    assert.deepStrictEqual(experiment.requests, ['show me my emails']);
+
+    // the model can also be requested explicitly
+    const pinned = await parser.sendUtterance('show me my tweets', undefined, undefined, { ...OPTIONS, model: 'experiment' });
+    assert.strictEqual(pinned.model, 'experiment');
+    assert.strictEqual(random.length, 0);
+
+    await parser.stop();
+    await main.stop();
+    await experiment.stop();
+}
+
+async function testReload() {
+    const model = new MockModelServer('$failed ;');
+    await model.start();
+
+    const hits = [];
+    const parser = new LocalParserClient(model.url, 'en-US', undefined, undefined, null, {
+        maxLatency: 1,
+        cacheInterface: new LRUCache(),
+        statistics: {
+            hit(key) {
+                hits.push(key);
+            }
+        }
+    });
+    await parser.start();
+
+    const first = await parser.sendUtterance('show me my tweets', undefined, undefined, OPTIONS);
+    // with a single model, results are not marked
+    assert.strictEqual(first.model, undefined);
+    await parser.sendUtterance('show me my tweets', undefined, undefined, OPTIONS);
+    assert.deepStrictEqual(hits, ['model', 'cache']);
+
+    // if the new version of the model fails to load, the current one is kept
+    model.fail = true;
+    await assert.rejects(() => parser.reload());
+    model.fail = false;
+    await parser.sendUtterance('show me my tweets', undefined, undefined, OPTIONS);
+    assert.deepStrictEqual(hits, ['model', 'cache', 'cache']);
+
+    // once the model is reloaded, the cache is cleared
+    model.answer = '$yes ;';
+    model.requests = [];
+    await parser.reload();
+    // the new model is warmed up before switching
+    assert.deepStrictEqual(model.requests, ['hello']);
+    const reloaded = await parser.sendUtterance('show me my tweets', undefined, undefined, OPTIONS);
+    assert.deepStrictEqual(reloaded.candidates[0].code, ['$yes', ';']);
+    assert.deepStrictEqual(hits, ['model', 'cache', 'cache', 'model']);
+
+    await parser.stop();
+    await model.stop();
+}
+
+async function main() {
+    await testExperiment();
+    await testReload();
+}
+export default main;
+if (!module.parent)
+    main();
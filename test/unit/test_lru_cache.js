@@ -0,0 +1,100 @@
+// -*- mode: js; indent-tabs-mode: nil; js-basic-offset: 4 -*-
+//
+// This file is part of Genie
+//
+// Copyright 2022 The Board of Trustees of the Leland Stanford Junior University
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//    http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+
+
+import assert from 'assert';
+
+import LocalParserClient from '../../lib/prediction/localparserclient';
+import LRUCache from '../../lib/prediction/lrucache';
+
+function makeResult(sentence) {
+    return {
+        result: 'ok',
+        tokens: sentence.split(' '),
+        entities: {},
+        candidates: [{ code: ['$failed', ';'], score: 1 }],
+        intent: { command: 1, other: 0, ignore: 0 }
+    };
+}
+
+async function testEviction() {
+    const cache = new LRUCache(2);
+
+    await cache.set(makeResult('one'), undefined, {});
+    await cache.set(makeResult('two'), undefined, {});
+    assert.strictEqual(cache.size, 2);
+
+    // touch "one", so "two" is the least recently used
+    assert.deepStrictEqual(await cache.get(['one'], {}, undefined, {}), makeResult('one'));
+    await cache.set(makeResult('three'), undefined, {});
+    assert.strictEqual(cache.size, 2);
+    assert.strictEqual(await cache.get(['two'], {}, undefined, {}), null);
+    assert.notStrictEqual(await cache.get(['one'], {}, undefined, {}), null);
+    assert.notStrictEqual(await cache.get(['three'], {}, undefined, {}), null);
+
+    cache.clear();
+    assert.strictEqual(cache.size, 0);
+    assert.strictEqual(await cache.get(['one'], {}, undefined, {}), null);
+}
+
+async function testKey() {
+    const cache = new LRUCache();
+    await cache.set(makeResult('yes'), ['$dialogue', 'foo', ';'], { expect: 'YesNo', example_id: '1' });
+
+    // irrelevant options do not matter, but the context and the relevant options do
+    assert.notStrictEqual(await cache.get(['yes'], {}, ['$dialogue', 'foo', ';'], { expect: 'YesNo', example_id: '2' }), null);
+    assert.strictEqual(await cache.get(['yes'], {}, ['$dialogue', 'bar', ';'], { expect: 'YesNo' }), null);
+    assert.strictEqual(await cache.get(['yes'], {}, undefined, { expect: 'YesNo' }), null);
+    assert.strictEqual(await cache.get(['yes'], {}, ['$dialogue', 'foo', ';'], {}), null);
+
+    // results are copied, so modifying them does not affect the cache
+    const result = await cache.get(['yes'], {}, ['$dialogue', 'foo', ';'], { expect: 'YesNo' });
+    result.candidates = [];
+    assert.deepStrictEqual(await cache.get(['yes'], {}, ['$dialogue', 'foo', ';'], { expect: 'YesNo' }), makeResult('yes'));
+}
+
+async function testParserStatistics() {
+    const hits = [];
+    // the model is never started, and only cache and rule-based results are used
+    const parser = new LocalParserClient('file:///nonexistent', 'en-US', undefined, undefined, null, {
+        cacheInterface: new LRUCache(),
+        statistics: {
+            hit(key) {
+                hits.push(key);
+            }
+        }
+    });
+
+    const options = { expect: 'MultipleChoice', choices: ['red', 'blue'], skip_typechecking: true };
+    const first = await parser.sendUtterance('blue', undefined, undefined, options);
+    assert.deepStrictEqual(first.candidates[0].code, ['$choice', '(', '1', ')', ';']);
+    const second = await parser.sendUtterance('blue', undefined, undefined, options);
+    assert.deepStrictEqual(second, first);
+    assert.deepStrictEqual(hits, ['rule', 'cache']);
+    assert(!parser.isAlive);
+}
+
+async function main() {
+    await testEviction();
+    await testKey();
+    await testParserStatistics();
+}
+export default main;
+if (!module.parent)
+    main();
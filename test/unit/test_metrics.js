@@ -0,0 +1,64 @@
+// -*- mode: js; indent-tabs-mode: nil; js-basic-offset: 4 -*-
+//
+// This file is part of Genie
+//
+// Copyright 2022 The Board of Trustees of the Leland Stanford Junior University
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//    http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+
+
+import assert from 'assert';
+
+import * as Metrics from '../../tool/lib/metrics';
+
+function testRender() {
+    const registry = new Metrics.Registry();
+    const counter = registry.counter('test_requests_total', 'Requests.', ['locale']);
+    const histogram = registry.histogram('test_duration_seconds', 'Duration.', ['locale'], [0.1, 1]);
+    const gauge = registry.gauge('test_loaded', 'Loaded.');
+
+    counter.inc({ locale: 'en-US' });
+    counter.inc({ locale: 'en-US' }, 2);
+    counter.inc({ locale: 'it"IT' });
+    histogram.observe({ locale: 'en-US' }, 0.05);
+    histogram.observe({ locale: 'en-US' }, 0.5);
+    histogram.observe({ locale: 'en-US' }, 5);
+    gauge.set({}, 1);
+
+    assert.strictEqual(registry.render(), `# HELP test_requests_total Requests.
+# TYPE test_requests_total counter
+test_requests_total{locale="en-US"} 3
+test_requests_total{locale="it\\"IT"} 1
+# HELP test_duration_seconds Duration.
+# TYPE test_duration_seconds histogram
+test_duration_seconds_bucket{locale="en-US",le="0.1"} 1
+test_duration_seconds_bucket{locale="en-US",le="1"} 2
+test_duration_seconds_bucket{locale="en-US",le="+Inf"} 3
+test_duration_seconds_sum{locale="en-US"} 5.55
+test_duration_seconds_count{locale="en-US"} 3
+# HELP test_loaded Loaded.
+# TYPE test_loaded gauge
+test_loaded 1
+`);
+
+    assert.throws(() => counter.inc({}));
+    assert.throws(() => registry.counter('test_loaded', 'Duplicate.'));
+}
+
+async function main() {
+    testRender();
+}
+export default main;
+if (!module.parent)
+    main();
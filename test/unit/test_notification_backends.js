@@ -0,0 +1,198 @@
+// -*- mode: js; indent-tabs-mode: nil; js-basic-offset: 4 -*-
+//
+// This file is part of Genie
+//
+// Copyright 2022 The Board of Trustees of the Leland Stanford Junior University
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//    http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+
+import assert from 'assert';
+import * as fs from 'fs';
+import * as http from 'http';
+import * as os from 'os';
+import * as path from 'path';
+
+import { FORMAT_TYPES } from '../../lib/dialogue-agent/card-output/format_objects';
+import WebhookNotificationBackend, { signPayload } from '../../lib/dialogue-agent/notifications/webhook';
+import SlackNotificationBackend from '../../lib/dialogue-agent/notifications/slack';
+import FileNotificationBackend from '../../lib/dialogue-agent/notifications/file';
+
+const mockEngine = {
+    platform: {
+        locale: 'en-US',
+        timezone: 'America/Los_Angeles'
+    },
+    _(x) {
+        return x;
+    }
+};
+
+function makeNotification() {
+    return {
+        appId: 'app-foo',
+        icon: 'com.xkcd',
+        raw: { number: 42 },
+        type: 'com.xkcd:get_comic',
+        formatted: [
+            new FORMAT_TYPES.text({ type: 'text', text: 'Here is the comic' }),
+            new FORMAT_TYPES.rdl({ type: 'rdl', displayTitle: 'XKCD #42', webCallback: 'https://xkcd.com/42' }),
+        ]
+    };
+}
+
+function startServer(handler) {
+    return new Promise((resolve, reject) => {
+        const server = http.createServer((req, res) => {
+            let body = '';
+            req.setEncoding('utf8');
+            req.on('data', (chunk) => {
+                body += chunk;
+            });
+            req.on('end', () => {
+                handler(req, body, res);
+            });
+        });
+        server.listen(0, '127.0.0.1', () => resolve(server));
+        server.on('error', reject);
+    });
+}
+
+async function testWebhook() {
+    const received = [];
+    let failuresLeft = 1;
+    const server = await startServer((req, body, res) => {
+        received.push({ headers: req.headers, body });
+        if (failuresLeft > 0) {
+            failuresLeft--;
+            res.writeHead(503);
+            res.end();
+            return;
+        }
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end('{}');
+    });
+    const url = `http://127.0.0.1:${server.address().port}/hook`;
+
+    try {
+        const backend = new WebhookNotificationBackend(mockEngine, {
+            url, secret: 'sekrit'
+        });
+
+        // server errors are left to the notification queue to retry
+        await assert.rejects(backend.notify(makeNotification()), (e) => e.code === 503 && !e.permanent);
+        assert.strictEqual(received.length, 1);
+
+        await backend.notify(makeNotification());
+        assert.strictEqual(received.length, 2);
+        // every request is a separate delivery
+        assert.notStrictEqual(received[0].headers['x-genie-delivery'], received[1].headers['x-genie-delivery']);
+
+        const last = received[1];
+        assert.strictEqual(last.headers['content-type'], 'application/json');
+        assert.strictEqual(last.headers['x-genie-signature'],
+            signPayload('sekrit', last.headers['x-genie-timestamp'], last.body));
+
+        const payload = JSON.parse(last.body);
+        assert.strictEqual(payload.event, 'notification');
+        assert.strictEqual(payload.appId, 'app-foo');
+        assert.deepStrictEqual(payload.raw, { number: 42 });
+        assert.strictEqual(payload.formatted.length, 2);
+        assert.strictEqual(payload.formatted[1].webCallback, 'https://xkcd.com/42');
+        assert.strictEqual(payload.text, 'Here is the comic\nLink: XKCD #42 <https://xkcd.com/42>');
+
+        // client errors are permanent, so the queue will not retry them
+        received.length = 0;
+        const badBackend = new WebhookNotificationBackend(mockEngine, {
+            url: url.replace('/hook', '/missing')
+        });
+        server.removeAllListeners('request');
+        server.on('request', (req, res) => {
+            received.push(req.url);
+            res.writeHead(404);
+            res.end();
+        });
+        await assert.rejects(badBackend.notifyError({ appId: 'app-foo', icon: null, error: new Error('oops') }), (e) => e.code === 404 && e.permanent);
+        assert.deepStrictEqual(received, ['/missing']);
+    } finally {
+        server.close();
+    }
+}
+
+async function testSlack() {
+    const received = [];
+    const server = await startServer((req, body, res) => {
+        received.push(JSON.parse(body));
+        res.writeHead(200);
+        res.end('ok');
+    });
+    const url = `http://127.0.0.1:${server.address().port}/services/hook`;
+
+    try {
+        const backend = new SlackNotificationBackend(mockEngine, {
+            url, channel: '#alerts', username: 'Genie'
+        });
+        await backend.notify(makeNotification());
+        await backend.notifyError({ appId: 'app-foo', icon: null, error: new Error('oops') });
+
+        assert.deepStrictEqual(received, [{
+            text: 'Here is the comic',
+            channel: '#alerts',
+            username: 'Genie',
+            attachments: [{
+                fallback: 'Link: XKCD #42 <https://xkcd.com/42>',
+                title: 'XKCD #42',
+                title_link: 'https://xkcd.com/42'
+            }]
+        }, {
+            text: 'Sorry, that did not work: oops.',
+            channel: '#alerts',
+            username: 'Genie',
+        }]);
+    } finally {
+        server.close();
+    }
+}
+
+async function testFile() {
+    const dir = await fs.promises.mkdtemp(path.resolve(os.tmpdir(), 'genie-notifications-'));
+    const filename = path.resolve(dir, 'notifications.jsonl');
+
+    try {
+        const backend = new FileNotificationBackend(mockEngine, { path: filename });
+        await Promise.all([
+            backend.notify(makeNotification()),
+            backend.notifyError({ appId: 'app-foo', icon: null, error: new Error('oops') })
+        ]);
+
+        const lines = (await fs.promises.readFile(filename, { encoding: 'utf8' })).trim().split('\n').map((l) => JSON.parse(l));
+        assert.strictEqual(lines.length, 2);
+        assert.strictEqual(lines[0].event, 'notification');
+        assert.strictEqual(lines[0].type, 'com.xkcd:get_comic');
+        assert.strictEqual(lines[0].formatted[0].text, 'Here is the comic');
+        assert.strictEqual(lines[1].event, 'error');
+        assert.strictEqual(lines[1].error, 'oops');
+    } finally {
+        await fs.promises.unlink(filename);
+        await fs.promises.rmdir(dir);
+    }
+}
+
+async function main() {
+    await testWebhook();
+    await testSlack();
+    await testFile();
+}
+export default main;
+if (!module.parent)
+    main();
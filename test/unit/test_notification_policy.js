@@ -0,0 +1,247 @@
+// -*- mode: js; indent-tabs-mode: nil; js-basic-offset: 4 -*-
+//
+// This file is part of Genie
+//
+// Copyright 2022 The Board of Trustees of the Leland Stanford Junior University
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//    http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+
+import assert from 'assert';
+
+import NotificationThrottler, {
+    getQuietHoursEnd,
+    validateNotificationPolicy
+} from '../../lib/dialogue-agent/notifications/policy';
+
+class MemoryTable {
+    constructor() {
+        this.name = 'notification_queue';
+        this.rows = new Map;
+    }
+
+    async getAll() {
+        return Array.from(this.rows.values()).map((r) => ({ ...r }));
+    }
+    async getBy(field, value) {
+        return (await this.getAll()).filter((r) => r[field] === value);
+    }
+    async insertOne(uniqueId, row) {
+        this.rows.set(uniqueId, { ...row, uniqueId });
+    }
+    async deleteOne(uniqueId) {
+        this.rows.delete(uniqueId);
+    }
+}
+
+function delay(ms) {
+    return new Promise((resolve) => {
+        setTimeout(resolve, ms);
+    });
+}
+
+function testQuietHoursEnd() {
+    const tz = 'America/Los_Angeles';
+    const overnight = { start: '22:00', end: '07:00' };
+
+    // 2022-03-01 23:30 PST
+    assert.strictEqual(getQuietHoursEnd(overnight, tz, Date.parse('2022-03-02T07:30:00Z')),
+        Date.parse('2022-03-02T15:00:00Z'));
+    // 2022-03-02 03:00 PST
+    assert.strictEqual(getQuietHoursEnd(overnight, tz, Date.parse('2022-03-02T11:00:00Z')),
+        Date.parse('2022-03-02T15:00:00Z'));
+    // 2022-03-02 12:00 PST
+    assert.strictEqual(getQuietHoursEnd(overnight, tz, Date.parse('2022-03-02T20:00:00Z')), null);
+    // 2022-03-02 07:00 PST: quiet hours have just ended
+    assert.strictEqual(getQuietHoursEnd(overnight, tz, Date.parse('2022-03-02T15:00:00Z')), null);
+
+    const afternoon = { start: '13:00', end: '15:00' };
+    // 2022-03-02 14:00 PST
+    assert.strictEqual(getQuietHoursEnd(afternoon, tz, Date.parse('2022-03-02T22:00:00Z')),
+        Date.parse('2022-03-02T23:00:00Z'));
+    // 2022-03-02 16:00 PST
+    assert.strictEqual(getQuietHoursEnd(afternoon, tz, Date.parse('2022-03-03T00:00:00Z')), null);
+
+    // the same instant in a different timezone: 2022-03-02 08:30 CET
+    assert.strictEqual(getQuietHoursEnd(overnight, 'Europe/Rome', Date.parse('2022-03-02T07:30:00Z')), null);
+}
+
+const APP = { uniqueId: 'app-foo' };
+
+function makeThrottler(policy, table = new MemoryTable(), apps = [APP]) {
+    const delivered = [];
+    const throttler = new NotificationThrottler(table, () => policy, () => 'America/Los_Angeles',
+        (appId) => apps.find((app) => app.uniqueId === appId), async (app, batch) => {
+            delivered.push([app.uniqueId, batch]);
+        });
+    return [throttler, delivered];
+}
+
+async function testNoPolicy() {
+    const [throttler, delivered] = makeThrottler(undefined);
+    for (let i = 0; i < 10; i++)
+        assert.strictEqual(await throttler.shouldDeliverNow(APP, 'type', { i }), true);
+    await throttler.stop();
+    assert.deepStrictEqual(delivered, []);
+}
+
+async function testRateLimit() {
+    const [throttler, delivered] = makeThrottler({ rateLimit: { max: 2, interval: 50 } });
+
+    assert.strictEqual(await throttler.shouldDeliverNow(APP, 'type', { i: 0 }), true);
+    assert.strictEqual(await throttler.shouldDeliverNow(APP, 'type', { i: 1 }), true);
+    assert.strictEqual(await throttler.shouldDeliverNow(APP, 'type', { i: 2 }), false);
+    assert.strictEqual(await throttler.shouldDeliverNow(APP, 'type', { i: 3 }), false);
+    // other apps are not affected
+    assert.strictEqual(await throttler.shouldDeliverNow({ uniqueId: 'app-bar' }, 'type', { i: 0 }), true);
+    assert.deepStrictEqual(delivered, []);
+
+    await delay(100);
+    assert.deepStrictEqual(delivered, [
+        ['app-foo', [{ outputType: 'type', outputValue: { i: 2 } }, { outputType: 'type', outputValue: { i: 3 } }]]
+    ]);
+
+    // the limit has reset
+    assert.strictEqual(await throttler.shouldDeliverNow(APP, 'type', { i: 4 }), true);
+    await throttler.stop();
+}
+
+async function testDigest() {
+    const [throttler, delivered] = makeThrottler({ digestInterval: 50 });
+
+    for (let i = 0; i < 3; i++)
+        assert.strictEqual(await throttler.shouldDeliverNow(APP, 'type', { i }), false);
+    assert.deepStrictEqual(delivered, []);
+
+    await delay(100);
+    assert.strictEqual(delivered.length, 1);
+    assert.deepStrictEqual(delivered[0][1].map((n) => n.outputValue.i), [0, 1, 2]);
+    await throttler.stop();
+}
+
+async function testRestart() {
+    const table = new MemoryTable();
+    const policy = { digestInterval: 50 };
+    const [throttler1, delivered1] = makeThrottler(policy, table);
+
+    assert.strictEqual(await throttler1.shouldDeliverNow(APP, 'type', { i: 0 }), false);
+    assert.strictEqual(await throttler1.shouldDeliverNow(APP, 'type', { i: 1 }), false);
+    assert.strictEqual(table.rows.size, 2);
+    const [row] = table.rows.values();
+    assert.strictEqual(row.status, 'held');
+    assert.strictEqual(row.appId, 'app-foo');
+
+    // buffered notifications are kept across a restart, instead of being
+    // delivered on stop
+    await throttler1.stop();
+    await delay(100);
+    assert.deepStrictEqual(delivered1, []);
+    assert.strictEqual(table.rows.size, 2);
+
+    // notifications from apps that no longer exist are dropped
+    await table.insertOne('uuid-deleted', { ...row, uniqueId: 'uuid-deleted', appId: 'app-deleted' });
+
+    const [throttler2, delivered2] = makeThrottler(policy, table);
+    await throttler2.start();
+    assert.strictEqual(table.rows.size, 2);
+    await delay(20);
+    assert.deepStrictEqual(delivered2, [
+        ['app-foo', [{ outputType: 'type', outputValue: { i: 0 } }, { outputType: 'type', outputValue: { i: 1 } }]]
+    ]);
+    assert.strictEqual(table.rows.size, 0);
+    await throttler2.stop();
+}
+
+async function testRemoveApp() {
+    const [throttler, delivered] = makeThrottler({ digestInterval: 50 });
+
+    // apps without buffered notifications are forgotten immediately
+    assert.strictEqual(await throttler.shouldDeliverNow(APP, 'type', { i: 0 }), false);
+    await delay(100);
+    assert.strictEqual(delivered.length, 1);
+    throttler.removeApp(APP);
+    assert.strictEqual(throttler._apps.size, 0);
+
+    // otherwise, after the last digest is delivered
+    assert.strictEqual(await throttler.shouldDeliverNow(APP, 'type', { i: 1 }), false);
+    throttler.removeApp(APP);
+    assert.strictEqual(throttler._apps.size, 1);
+    await delay(100);
+    assert.strictEqual(delivered.length, 2);
+    assert.deepStrictEqual(delivered[1][1].map((n) => n.outputValue.i), [1]);
+    assert.strictEqual(throttler._apps.size, 0);
+
+    await throttler.stop();
+}
+
+function testValidatePolicy() {
+    for (const policy of [
+        {},
+        { quietHours: { start: '22:00', end: '07:00' } },
+        { digestInterval: 3600000 },
+        { rateLimit: { max: 5, interval: 60000 } },
+    ])
+        assert.strictEqual(validateNotificationPolicy(policy), policy);
+
+    for (const policy of [
+        null,
+        'quiet',
+        { quietHours: '22:00-07:00' },
+        { quietHours: { start: '22:00' } },
+        { quietHours: { start: '10pm', end: '07:00' } },
+        { quietHours: { start: '22:00', end: '7:00' } },
+        { digestInterval: 0 },
+        { digestInterval: '1h' },
+        { rateLimit: 5 },
+        { rateLimit: { max: 0, interval: 60000 } },
+        { rateLimit: { max: 1.5, interval: 60000 } },
+        { rateLimit: { max: 5 } },
+    ]) {
+        assert.throws(() => validateNotificationPolicy(policy), (e) => {
+            assert.strictEqual(e.code, 'EINVAL');
+            return true;
+        });
+    }
+}
+
+async function testQuietHours() {
+    // quiet hours covering the whole day except the minute before last,
+    // so that the current time is always in quiet hours
+    const now = new Date();
+    const start = new Date(now.getTime() - 60000);
+    const end = new Date(now.getTime() - 120000);
+    const fmt = (d) => d.toLocaleTimeString('en-GB', { timeZone: 'America/Los_Angeles', hour: '2-digit', minute: '2-digit', hourCycle: 'h23' });
+    const [throttler, delivered] = makeThrottler({ quietHours: { start: fmt(start), end: fmt(end) } });
+
+    assert.strictEqual(await throttler.shouldDeliverNow(APP, 'type', { i: 0 }), false);
+    assert.strictEqual(await throttler.shouldDeliverNow(APP, 'type', { i: 1 }), false);
+    await delay(20);
+    assert.deepStrictEqual(delivered, []);
+
+    await throttler.stop();
+    assert.deepStrictEqual(delivered, []);
+}
+
+async function main() {
+    testQuietHoursEnd();
+    testValidatePolicy();
+    await testNoPolicy();
+    await testRateLimit();
+    await testDigest();
+    await testRestart();
+    await testRemoveApp();
+    await testQuietHours();
+}
+export default main;
+if (!module.parent)
+    main();
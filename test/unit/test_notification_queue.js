@@ -0,0 +1,294 @@
+// -*- mode: js; indent-tabs-mode: nil; js-basic-offset: 4 -*-
+//
+// This file is part of Genie
+//
+// Copyright 2022 The Board of Trustees of the Leland Stanford Junior University
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//    http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+
+import assert from 'assert';
+
+import { FORMAT_TYPES } from '../../lib/dialogue-agent/card-output/format_objects';
+import NotificationQueue from '../../lib/dialogue-agent/notifications/queue';
+import TwilioNotificationBackend from '../../lib/dialogue-agent/notifications/twilio';
+
+class MemoryTable {
+    constructor() {
+        this.name = 'notification_queue';
+        this.rows = new Map;
+    }
+
+    async getAll() {
+        return Array.from(this.rows.values()).map((r) => ({ ...r }));
+    }
+    async getOne(uniqueId) {
+        const row = this.rows.get(uniqueId);
+        return row ? { ...row } : undefined;
+    }
+    async getBy(field, value) {
+        return (await this.getAll()).filter((r) => r[field] === value);
+    }
+    async insertOne(uniqueId, row) {
+        this.rows.set(uniqueId, { ...row, uniqueId });
+    }
+    async deleteOne(uniqueId) {
+        this.rows.delete(uniqueId);
+    }
+}
+
+class MockBackend {
+    constructor() {
+        this.name = 'Mock';
+        this.uniqueId = 'mock';
+        this.requiredSettings = {};
+        this.failures = 0;
+        this.received = [];
+    }
+
+    async notify(data, config) {
+        if (this.failures > 0) {
+            this.failures--;
+            throw new Error('server is down');
+        }
+        this.received.push(['notify', data, config]);
+    }
+    async notifyError(data, config) {
+        if (this.failures > 0) {
+            this.failures--;
+            throw new Error('server is down');
+        }
+        this.received.push(['notifyError', data, config]);
+    }
+}
+
+function delay(ms) {
+    return new Promise((resolve) => {
+        setTimeout(resolve, ms);
+    });
+}
+
+function makeNotification() {
+    return {
+        appId: 'app-foo',
+        icon: 'com.xkcd',
+        raw: { number: 42 },
+        type: 'com.xkcd:get_comic',
+        formatted: [new FORMAT_TYPES.text({ type: 'text', text: 'Here is the comic' })]
+    };
+}
+
+async function testImmediateDelivery() {
+    const table = new MemoryTable();
+    const backend = new MockBackend();
+    const queue = new NotificationQueue(table, 'en-US', (id) => id === 'mock' ? backend : undefined);
+    await queue.start();
+
+    await queue.enqueueNotification('mock', makeNotification(), { to: 'someone' });
+    assert.strictEqual(backend.received.length, 1);
+    assert.strictEqual(backend.received[0][0], 'notify');
+    assert.deepStrictEqual(backend.received[0][2], { to: 'someone' });
+    assert.strictEqual(table.rows.size, 0);
+
+    await queue.stop();
+}
+
+async function testRetry() {
+    const table = new MemoryTable();
+    const backend = new MockBackend();
+    backend.failures = 2;
+    const queue = new NotificationQueue(table, 'en-US', (id) => id === 'mock' ? backend : undefined, {
+        maxAttempts: 5,
+        retryDelay: 10
+    });
+    await queue.start();
+
+    await queue.enqueueError('mock', { appId: 'app-foo', icon: null, error: new Error('oops') }, undefined);
+    assert.strictEqual(backend.received.length, 0);
+    assert.strictEqual(table.rows.size, 1);
+    const [row] = table.rows.values();
+    assert.strictEqual(row.status, 'pending');
+    assert.strictEqual(row.attempts, 1);
+    assert.strictEqual(row.lastError, 'server is down');
+
+    // 10ms for the first retry, 20ms for the second
+    await delay(100);
+    assert.strictEqual(backend.received.length, 1);
+    assert.strictEqual(backend.received[0][0], 'notifyError');
+    assert.strictEqual(backend.received[0][1].error.message, 'oops');
+    assert.strictEqual(table.rows.size, 0);
+
+    await queue.stop();
+}
+
+async function testDeadLetterAndReplay() {
+    const table = new MemoryTable();
+    const backend = new MockBackend();
+    let available = false;
+    const queue = new NotificationQueue(table, 'en-US', (id) => available ? backend : undefined, {
+        maxAttempts: 2,
+        retryDelay: 10
+    });
+    await queue.start();
+
+    await queue.enqueueNotification('mock', makeNotification(), undefined);
+    await delay(50);
+
+    const failed = await queue.getFailed();
+    assert.strictEqual(failed.length, 1);
+    assert.strictEqual(failed[0].appId, 'app-foo');
+    assert.strictEqual(failed[0].backend, 'mock');
+    assert.strictEqual(failed[0].kind, 'notification');
+    assert.strictEqual(failed[0].text, 'Here is the comic');
+    assert.strictEqual(failed[0].attempts, 2);
+    assert.strictEqual(failed[0].lastError, 'Notification backend mock is not available');
+
+    // dead-lettered notifications are not retried automatically
+    available = true;
+    await delay(50);
+    assert.strictEqual(backend.received.length, 0);
+
+    assert.strictEqual(await queue.replay('non-existent'), false);
+    assert.strictEqual(await queue.replay(failed[0].uniqueId), true);
+    assert.strictEqual(backend.received.length, 1);
+
+    // the replayed notification was rebuilt from the database
+    const [, data] = backend.received[0];
+    assert.deepStrictEqual(data.raw, { number: 42 });
+    assert.strictEqual(data.formatted[0].toLocaleString('en-US'), 'Here is the comic');
+    assert.deepStrictEqual(await queue.getFailed(), []);
+
+    await queue.stop();
+}
+
+async function testRestart() {
+    const table = new MemoryTable();
+    const backend = new MockBackend();
+    backend.failures = 1;
+
+    const queue1 = new NotificationQueue(table, 'en-US', () => backend, { retryDelay: 60000 });
+    await queue1.start();
+    await queue1.enqueueNotification('mock', makeNotification(), undefined);
+    await queue1.stop();
+    assert.strictEqual(table.rows.size, 1);
+
+    // pretend the retry time has passed while the engine was down
+    const [row] = table.rows.values();
+    row.nextAttempt = Date.now();
+
+    const queue2 = new NotificationQueue(table, 'en-US', () => backend, { retryDelay: 60000 });
+    await queue2.start();
+    await delay(20);
+    assert.strictEqual(backend.received.length, 1);
+    assert.strictEqual(table.rows.size, 0);
+    await queue2.stop();
+}
+
+async function testDiscard() {
+    const table = new MemoryTable();
+    const queue = new NotificationQueue(table, 'en-US', () => undefined, { maxAttempts: 1 });
+    await queue.start();
+
+    await queue.enqueueNotification('mock', makeNotification(), undefined);
+    const failed = await queue.getFailed();
+    assert.strictEqual(failed.length, 1);
+    assert.strictEqual(await queue.discard(failed[0].uniqueId), true);
+    assert.strictEqual(await queue.discard(failed[0].uniqueId), false);
+    assert.strictEqual(table.rows.size, 0);
+
+    await queue.stop();
+}
+
+async function testTwilioFailure() {
+    const table = new MemoryTable();
+    const engine = {
+        platform: {
+            locale: 'en-US',
+            getProfile() {
+                return { phone: '+15555555555', phone_verified: true };
+            }
+        }
+    };
+    const backend = new TwilioNotificationBackend(engine, {
+        accountSid: 'AC00000000000000000000000000000000',
+        authToken: 'fake-token',
+        from: '+15551234567'
+    });
+    const sent = [];
+    // errors as thrown by the Twilio client (RestException)
+    const failures = [{ status: 503, code: 20503, message: 'Service is unavailable. Please try again' }];
+    backend._client = {
+        messages: {
+            async create(msg) {
+                const failure = failures.shift();
+                if (failure)
+                    throw Object.assign(new Error(failure.message), failure);
+                sent.push(msg);
+            }
+        }
+    };
+
+    const queue = new NotificationQueue(table, 'en-US', (id) => id === 'twilio' ? backend : undefined, {
+        maxAttempts: 2,
+        retryDelay: 10
+    });
+    await queue.start();
+
+    // transient failures are retried
+    await queue.enqueueNotification('twilio', makeNotification(), undefined);
+    assert.strictEqual(sent.length, 0);
+    const [row] = table.rows.values();
+    assert.strictEqual(row.status, 'pending');
+    assert.strictEqual(row.lastError, 'Service is unavailable. Please try again');
+
+    await delay(50);
+    assert.strictEqual(sent.length, 1);
+    assert.strictEqual(sent[0].to, '+15555555555');
+    assert.strictEqual(table.rows.size, 0);
+
+    // repeated failures are dead-lettered
+    for (let i = 0; i < 2; i++)
+        failures.push({ status: 503, code: 20503, message: 'Service is unavailable. Please try again' });
+    await queue.enqueueNotification('twilio', makeNotification(), undefined);
+    await delay(50);
+    let failed = await queue.getFailed();
+    assert.strictEqual(failed.length, 1);
+    assert.strictEqual(failed[0].backend, 'twilio');
+    assert.strictEqual(failed[0].attempts, 2);
+    assert.strictEqual(await queue.discard(failed[0].uniqueId), true);
+
+    // messages that Twilio rejects (here, because the recipient unsubscribed)
+    // are dead-lettered without retrying
+    failures.push({ status: 400, code: 21610, message: 'Attempt to send to unsubscribed recipient' });
+    await queue.enqueueNotification('twilio', makeNotification(), undefined);
+    failed = await queue.getFailed();
+    assert.strictEqual(failed.length, 1);
+    assert.strictEqual(failed[0].attempts, 1);
+    assert.strictEqual(failed[0].lastError, 'Attempt to send to unsubscribed recipient');
+    await delay(50);
+    assert.strictEqual(sent.length, 1);
+
+    await queue.stop();
+}
+
+async function main() {
+    await testImmediateDelivery();
+    await testRetry();
+    await testDeadLetterAndReplay();
+    await testRestart();
+    await testDiscard();
+    await testTwilioFailure();
+}
+export default main;
+if (!module.parent)
+    main();
@@ -0,0 +1,323 @@
+// -*- mode: js; indent-tabs-mode: nil; js-basic-offset: 4 -*-
+//
+// This file is part of Genie
+//
+// Copyright 2022 The Board of Trustees of the Leland Stanford Junior University
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//    http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+import assert from 'assert';
+import * as events from 'events';
+
+import OAuthRefreshManager, { EXPIRES_FIELD } from '../../lib/engine/devices/oauth_refresh';
+
+function delay(ms) {
+    return new Promise((resolve) => {
+        setTimeout(resolve, ms);
+    });
+}
+
+class MockDeviceDatabase extends events.EventEmitter {
+    constructor() {
+        super();
+        this.devices = [];
+    }
+
+    getAllDevices() {
+        return this.devices;
+    }
+
+    add(device) {
+        device.database = this;
+        this.devices.push(device);
+        this.emit('device-added', device);
+    }
+    remove(device) {
+        this.devices = this.devices.filter((d) => d !== device);
+        this.emit('device-removed', device);
+    }
+}
+
+// a device that behaves like one using the OAuth helpers from Thingpedia
+class MockOAuthDevice {
+    constructor(uniqueId, state, refresh) {
+        this.uniqueId = uniqueId;
+        this.name = 'Mock';
+        this.kind = 'com.example';
+        this.state = state;
+        this.database = null;
+        this.refreshCount = 0;
+        this._refresh = refresh;
+    }
+
+    queryInterface(iface) {
+        if (iface === 'oauth2')
+            return this;
+        return null;
+    }
+
+    async refreshCredentials() {
+        this.refreshCount ++;
+        const result = await this._refresh(this.refreshCount);
+        await this.updateOAuth2Token(result.access_token, result.refresh_token, result);
+    }
+
+    async updateOAuth2Token(accessToken, refreshToken, extraData) {
+        this.state.accessToken = accessToken;
+        if (refreshToken)
+            this.state.refreshToken = refreshToken;
+        this.stateChanged();
+    }
+
+    stateChanged() {
+        this.database.emit('device-changed', this);
+    }
+}
+
+const OPTIONS = {
+    refreshMargin: 50,
+    defaultTokenLifetime: 100,
+    retryDelay: 10,
+    maxAttempts: 3
+};
+
+async function testRefreshBeforeExpiration() {
+    const db = new MockDeviceDatabase();
+    const device = new MockOAuthDevice('com.example-1', {
+        kind: 'com.example',
+        accessToken: 'a1',
+        refreshToken: 'r1',
+        // expires soon
+        [EXPIRES_FIELD]: Date.now() + 70
+    }, (count) => ({ access_token: 'a' + (count+1), expires_in: 3600 }));
+    db.add(device);
+
+    const failures = [];
+    const manager = new OAuthRefreshManager(db, async (device, error) => {
+        failures.push([device, error]);
+    }, OPTIONS);
+    await manager.start();
+    assert(manager.getExpiration('com.example-1') instanceof Date);
+
+    await delay(60);
+    assert.strictEqual(device.refreshCount, 1);
+    assert.strictEqual(device.state.accessToken, 'a2');
+    // the refresh token is kept
+    assert.strictEqual(device.state.refreshToken, 'r1');
+    // the new expiration is recorded in the state, so it is saved with the device
+    assert(device.state[EXPIRES_FIELD] > Date.now() + 3500 * 1000);
+
+    // not refreshed again until close to the new expiration
+    await delay(50);
+    assert.strictEqual(device.refreshCount, 1);
+    assert.deepStrictEqual(failures, []);
+
+    await manager.stop();
+    // the device is left as it was
+    assert(!Object.prototype.hasOwnProperty.call(device, 'updateOAuth2Token') ||
+           device.updateOAuth2Token === MockOAuthDevice.prototype.updateOAuth2Token);
+}
+
+async function testUnknownExpiration() {
+    const db = new MockDeviceDatabase();
+    const manager = new OAuthRefreshManager(db, async () => {}, OPTIONS);
+    await manager.start();
+
+    // a newly configured device, without a known expiration
+    const device = new MockOAuthDevice('com.example-2', {
+        kind: 'com.example',
+        accessToken: 'a1',
+        refreshToken: 'r1',
+    }, () => ({ access_token: 'new', refresh_token: 'r2' }));
+    db.add(device);
+    assert.strictEqual(manager.getExpiration('com.example-2'), undefined);
+
+    // refreshed after the default lifetime, minus the margin
+    await delay(10);
+    assert.strictEqual(device.refreshCount, 0);
+    await delay(60);
+    assert.strictEqual(device.refreshCount, 1);
+    assert.strictEqual(device.state.refreshToken, 'r2');
+
+    // the server did not report the expiration of the new token either,
+    // so it is refreshed again after the default lifetime
+    assert.strictEqual(manager.getExpiration('com.example-2'), undefined);
+    assert(!Object.prototype.hasOwnProperty.call(device.state, EXPIRES_FIELD));
+    await delay(60);
+    assert.strictEqual(device.refreshCount, 2);
+
+    await manager.stop();
+}
+
+async function testNoExpiration() {
+    const db = new MockDeviceDatabase();
+    const manager = new OAuthRefreshManager(db, async () => {}, OPTIONS);
+    await manager.start();
+
+    // a token that explicitly never expires
+    const device = new MockOAuthDevice('com.example-8', {
+        kind: 'com.example',
+        accessToken: 'a1',
+        refreshToken: 'r1',
+        [EXPIRES_FIELD]: null
+    }, () => ({ access_token: 'a2', expires_in: 3600 }));
+    db.add(device);
+    assert.strictEqual(manager.getExpiration('com.example-8'), null);
+
+    await delay(120);
+    assert.strictEqual(device.refreshCount, 0);
+
+    await manager.stop();
+}
+
+async function testTransientFailure() {
+    const db = new MockDeviceDatabase();
+    const device = new MockOAuthDevice('com.example-3', {
+        kind: 'com.example',
+        accessToken: 'a1',
+        refreshToken: 'r1',
+        [EXPIRES_FIELD]: Date.now()
+    }, (count) => {
+        if (count === 1)
+            throw new Error('ECONNRESET');
+        return { access_token: 'a2', expires_in: 3600 };
+    });
+    db.add(device);
+
+    const failures = [];
+    const manager = new OAuthRefreshManager(db, async (device, error) => {
+        failures.push(error);
+    }, OPTIONS);
+    await manager.start();
+
+    await delay(40);
+    assert.strictEqual(device.refreshCount, 2);
+    assert.strictEqual(device.state.accessToken, 'a2');
+    assert.deepStrictEqual(failures, []);
+
+    await manager.stop();
+}
+
+async function testPermanentFailure() {
+    const db = new MockDeviceDatabase();
+    const device = new MockOAuthDevice('com.example-4', {
+        kind: 'com.example',
+        accessToken: 'a1',
+        refreshToken: 'r1',
+        [EXPIRES_FIELD]: Date.now()
+    }, (count) => {
+        if (count === 1) {
+            const e = new Error('Unexpected HTTP error 400 in request to https://example.com/token');
+            e.code = 400;
+            throw e;
+        }
+        return { access_token: 'a2', expires_in: 3600 };
+    });
+    db.add(device);
+
+    const failures = [];
+    const manager = new OAuthRefreshManager(db, async (device, error) => {
+        failures.push([device.uniqueId, error.message]);
+    }, OPTIONS);
+    await manager.start();
+
+    await delay(40);
+    // no retry
+    assert.strictEqual(device.refreshCount, 1);
+    assert.deepStrictEqual(failures, [['com.example-4', 'Unexpected HTTP error 400 in request to https://example.com/token']]);
+
+    // unrelated changes do not restart the refresh
+    device.state.other = 'foo';
+    device.stateChanged();
+    await delay(20);
+    assert.strictEqual(device.refreshCount, 1);
+
+    // configuring the device again does
+    device.state.refreshToken = 'r2';
+    device.state[EXPIRES_FIELD] = Date.now();
+    device.stateChanged();
+    await delay(20);
+    assert.strictEqual(device.refreshCount, 2);
+    assert.strictEqual(device.state.accessToken, 'a2');
+    assert.strictEqual(failures.length, 1);
+
+    await manager.stop();
+}
+
+async function testTooManyFailures() {
+    const db = new MockDeviceDatabase();
+    const device = new MockOAuthDevice('com.example-5', {
+        kind: 'com.example',
+        accessToken: 'a1',
+        refreshToken: 'r1',
+        [EXPIRES_FIELD]: Date.now()
+    }, () => {
+        throw new Error('ETIMEDOUT');
+    });
+    db.add(device);
+
+    const failures = [];
+    const manager = new OAuthRefreshManager(db, async (device, error) => {
+        failures.push(error.message);
+    }, OPTIONS);
+    await manager.start();
+
+    // retried after 10 and 20 ms
+    await delay(80);
+    assert.strictEqual(device.refreshCount, 3);
+    assert.deepStrictEqual(failures, ['ETIMEDOUT']);
+
+    await manager.stop();
+}
+
+async function testRemovedDevice() {
+    const db = new MockDeviceDatabase();
+    const manager = new OAuthRefreshManager(db, async () => {}, OPTIONS);
+    await manager.start();
+
+    const device = new MockOAuthDevice('com.example-6', {
+        kind: 'com.example',
+        accessToken: 'a1',
+        refreshToken: 'r1',
+        [EXPIRES_FIELD]: Date.now() + 60
+    }, () => ({ access_token: 'a2', expires_in: 3600 }));
+    db.add(device);
+    db.remove(device);
+    assert.strictEqual(manager.getExpiration('com.example-6'), undefined);
+
+    await delay(30);
+    assert.strictEqual(device.refreshCount, 0);
+
+    // devices without a refresh token are ignored
+    const norefresh = new MockOAuthDevice('com.example-7', {
+        kind: 'com.example',
+        accessToken: 'a1',
+        [EXPIRES_FIELD]: Date.now()
+    }, () => ({ access_token: 'a2', expires_in: 3600 }));
+    db.add(norefresh);
+    await delay(20);
+    assert.strictEqual(norefresh.refreshCount, 0);
+
+    await manager.stop();
+}
+
+export default async function main() {
+    await testRefreshBeforeExpiration();
+    await testUnknownExpiration();
+    await testNoExpiration();
+    await testTransientFailure();
+    await testPermanentFailure();
+    await testTooManyFailures();
+    await testRemovedDevice();
+}
+if (!module.parent) main();
@@ -0,0 +1,125 @@
+// -*- mode: js; indent-tabs-mode: nil; js-basic-offset: 4 -*-
+//
+// This file is part of Genie
+//
+// Copyright 2022 The Board of Trustees of the Leland Stanford Junior University
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//    http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+
+
+import assert from 'assert';
+import * as fs from 'fs';
+import * as os from 'os';
+import * as path from 'path';
+
+import Predictor from '../../lib/prediction/predictor';
+
+// a fake genienlp server, which answers with its PID, and can be asked to crash
+const FAKE_GENIENLP = `#!/usr/bin/env node
+const fs = require('fs');
+const readline = require('readline');
+const markerFile = process.env.GENIENLP_TEST_MARKER;
+readline.createInterface({ input: process.stdin }).on('line', (line) => {
+    const msg = JSON.parse(line);
+    for (const instance of msg.instances) {
+        if (instance.context === 'always crash')
+            process.exit(1);
+        if (instance.context === 'crash once' && !fs.existsSync(markerFile)) {
+            fs.writeFileSync(markerFile, '');
+            process.exit(1);
+        }
+    }
+    setTimeout(() => {
+        process.stdout.write(JSON.stringify({
+            id: msg.id,
+            instances: msg.instances.map(() => ({ answer: String(process.pid), score: {} }))
+        }) + '\\n');
+    }, 10);
+});
+`;
+
+async function withFakeGenienlp(fn) {
+    const tmpdir = await fs.promises.mkdtemp(path.resolve(os.tmpdir(), 'genie-predictor-'));
+    const genienlp = path.resolve(tmpdir, 'genienlp');
+    await fs.promises.writeFile(genienlp, FAKE_GENIENLP, { mode: 0o755 });
+
+    const oldPath = process.env.PATH;
+    process.env.PATH = tmpdir + path.delimiter + oldPath;
+    process.env.GENIENLP_TEST_MARKER = path.resolve(tmpdir, 'crashed');
+    try {
+        await fn();
+    } finally {
+        process.env.PATH = oldPath;
+        delete process.env.GENIENLP_TEST_MARKER;
+        await fs.promises.rm(tmpdir, { recursive: true, force: true });
+    }
+}
+
+async function testLeastLoaded() {
+    // minibatches of one, so each request is dispatched separately
+    const predictor = new Predictor('file:///nonexistent', { minibatchSize: 1, maxLatency: 1, workers: 2 });
+    predictor.start();
+    assert.strictEqual(predictor.getWorkerStatus().length, 2);
+
+    const results = await Promise.all([predictor.predict('one'), predictor.predict('two')]);
+    // the second request went to the worker that was not busy
+    assert.notStrictEqual(results[0][0].answer, results[1][0].answer);
+    assert(predictor.isAlive);
+    predictor.stop();
+    assert(!predictor.isAlive);
+}
+
+async function testRequeue() {
+    const predictor = new Predictor('file:///nonexistent', { minibatchSize: 1, maxLatency: 1, workers: 2 });
+    predictor.start();
+
+    // the worker dies while processing the request, and the request is retried on the other worker
+    const result = await predictor.predict('crash once');
+    assert.strictEqual(result.length, 1);
+
+    const status = predictor.getWorkerStatus();
+    assert.deepStrictEqual(status.map((s) => s.alive).sort(), [false, true]);
+    assert.deepStrictEqual(status.map((s) => s.failures).sort(), [0, 1]);
+    assert(predictor.isAlive);
+
+    // the dead worker is restarted after a delay
+    await new Promise((resolve) => {
+        setTimeout(resolve, 1500);
+    });
+    assert.deepStrictEqual(predictor.getWorkerStatus().map((s) => s.alive), [true, true]);
+
+    predictor.stop();
+}
+
+async function testPoisonRequest() {
+    const predictor = new Predictor('file:///nonexistent', { minibatchSize: 1, maxLatency: 1, workers: 2, maxAttempts: 2 });
+    predictor.start();
+
+    // a request that kills every worker is eventually failed
+    await assert.rejects(() => predictor.predict('always crash'), (err) => err.code === 'EWORKERDIED');
+    predictor.stop();
+
+    await assert.rejects(() => predictor.predict('one'), /Predictor was stopped/);
+}
+
+async function main() {
+    await withFakeGenienlp(async () => {
+        await testLeastLoaded();
+        await testRequeue();
+        await testPoisonRequest();
+    });
+}
+export default main;
+if (!module.parent)
+    main();
@@ -0,0 +1,199 @@
+// -*- mode: js; indent-tabs-mode: nil; js-basic-offset: 4 -*-
+//
+// This file is part of Genie
+//
+// Copyright 2022 The Board of Trustees of the Leland Stanford Junior University
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//    http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+import assert from 'assert';
+
+import { exportProfile, importProfile } from '../../lib/engine/profile';
+
+class MemoryTable {
+    constructor(name) {
+        this.name = name;
+        this.rows = new Map;
+    }
+
+    async getAll() {
+        return Array.from(this.rows.values()).map((r) => ({ ...r }));
+    }
+    async insertOne(uniqueId, row) {
+        this.rows.set(uniqueId, { ...row, uniqueId });
+    }
+}
+
+class MemoryDatabase {
+    constructor() {
+        this.tables = new Map;
+    }
+
+    async ensureSchema() {}
+
+    _getTable(name) {
+        if (!this.tables.has(name))
+            this.tables.set(name, new MemoryTable(name));
+        return this.tables.get(name);
+    }
+    getLocalTable(name) {
+        return this._getTable(name);
+    }
+    getSyncTable(name) {
+        return this._getTable(name);
+    }
+}
+
+class MemoryPreferences {
+    constructor(prefs = {}) {
+        this.prefs = prefs;
+    }
+
+    keys() {
+        return Object.keys(this.prefs);
+    }
+    get(key) {
+        return this.prefs[key];
+    }
+    set(key, value) {
+        this.prefs[key] = value;
+        return value;
+    }
+}
+
+async function makeSource() {
+    const db = new MemoryDatabase();
+    const devices = db.getSyncTable('device');
+    await devices.insertOne('com.twitter-foo', { state: JSON.stringify({ kind: 'com.twitter', userId: 'foo', accessToken: 'aaa', refreshToken: 'bbb' }) });
+    await devices.insertOne('org.thingpedia.weather', { state: JSON.stringify({ kind: 'org.thingpedia.weather' }) });
+    await devices.insertOne('thingengine-own-cloud', { state: JSON.stringify({ kind: 'org.thingpedia.builtin.thingengine', tier: 'cloud', cloudId: 'xxx', authToken: 'ccc' }) });
+
+    await db.getLocalTable('app').insertOne('uuid-app', {
+        code: 'monitor(@com.twitter.home_timeline()) => notify;',
+        state: JSON.stringify({ notifications: { backend: 'email', config: { to: 'bob@example.com' } }, startTime: 0 }),
+        name: 'Twitter',
+        description: 'notify me of new tweets'
+    });
+    await db.getLocalTable('channel').insertOne('app:uuid-app:0', { value: '[]' });
+    await db.getLocalTable('conversation_state').insertOne('main', { dialogueState: null, lastMessageId: 2, recording: false });
+    await db.getLocalTable('conversation_history').insertOne('main:1', { conversationId: 'main', messageId: 1, message: '{"type":"text"}' });
+
+    const prefs = new MemoryPreferences({
+        'preferred-temperature': 'C',
+        'wake-word': 'jarvis',
+        'developer-key': 'secret-key',
+        'auth-token': 'ddd',
+        'sqlite-schema-version': 15,
+        'cloud-sync-device-id': 'abcdef',
+        'syncdb-time-device-cloud': 42
+    });
+    return [db, prefs];
+}
+
+function checkImported(db, prefs, withSecrets) {
+    const devices = db.getSyncTable('device').rows;
+    assert.deepStrictEqual(Array.from(devices.keys()), ['com.twitter-foo', 'org.thingpedia.weather']);
+    assert.deepStrictEqual(JSON.parse(devices.get('com.twitter-foo').state), withSecrets ?
+        { kind: 'com.twitter', userId: 'foo', accessToken: 'aaa', refreshToken: 'bbb' } :
+        { kind: 'com.twitter', userId: 'foo' });
+
+    const app = db.getLocalTable('app').rows.get('uuid-app');
+    assert.deepStrictEqual(JSON.parse(app.state).notifications, { backend: 'email', config: { to: 'bob@example.com' } });
+    assert.strictEqual(db.getLocalTable('channel').rows.get('app:uuid-app:0').value, '[]');
+    assert.strictEqual(db.getLocalTable('conversation_state').rows.get('main').lastMessageId, 2);
+    assert.strictEqual(db.getLocalTable('conversation_history').rows.get('main:1').messageId, 1);
+
+    const expectedPrefs = {
+        'preferred-temperature': 'C',
+        'wake-word': 'jarvis',
+    };
+    if (withSecrets) {
+        expectedPrefs['developer-key'] = 'secret-key';
+        expectedPrefs['auth-token'] = 'ddd';
+    }
+    assert.deepStrictEqual(prefs.prefs, expectedPrefs);
+}
+
+async function testExcludeSecrets() {
+    const [db, prefs] = await makeSource();
+    const profile = await exportProfile(db, prefs);
+
+    // the profile is plain JSON
+    const serialized = JSON.stringify(profile);
+    assert(!serialized.includes('aaa'));
+    assert(!serialized.includes('secret-key'));
+    assert.strictEqual(profile.secrets, undefined);
+    assert.strictEqual(profile.encryptedSecrets, undefined);
+
+    const targetDb = new MemoryDatabase();
+    const targetPrefs = new MemoryPreferences();
+    await importProfile(targetDb, targetPrefs, JSON.parse(serialized));
+    checkImported(targetDb, targetPrefs, false);
+}
+
+async function testIncludeSecrets() {
+    const [db, prefs] = await makeSource();
+    const profile = await exportProfile(db, prefs, { secrets: 'include' });
+
+    const targetDb = new MemoryDatabase();
+    const targetPrefs = new MemoryPreferences();
+    await importProfile(targetDb, targetPrefs, JSON.parse(JSON.stringify(profile)));
+    checkImported(targetDb, targetPrefs, true);
+}
+
+async function testEncryptSecrets() {
+    const [db, prefs] = await makeSource();
+    await assert.rejects(exportProfile(db, prefs, { secrets: 'encrypt' }), { code: 'missing_passphrase' });
+
+    const profile = JSON.parse(JSON.stringify(await exportProfile(db, prefs, { secrets: 'encrypt', passphrase: 'open sesame' })));
+    assert(!JSON.stringify(profile).includes('aaa'));
+    assert.strictEqual(profile.encryptedSecrets.cipher, 'aes-256-gcm');
+
+    const targetDb = new MemoryDatabase();
+    const targetPrefs = new MemoryPreferences();
+    await assert.rejects(importProfile(targetDb, targetPrefs, profile), { code: 'missing_passphrase' });
+    await assert.rejects(importProfile(targetDb, targetPrefs, profile, { passphrase: 'wrong' }), { code: 'invalid_passphrase' });
+    // nothing was imported
+    assert.strictEqual(targetDb.tables.size, 0);
+    assert.deepStrictEqual(targetPrefs.prefs, {});
+
+    await importProfile(targetDb, targetPrefs, profile, { passphrase: 'open sesame' });
+    checkImported(targetDb, targetPrefs, true);
+}
+
+async function testMerge() {
+    const [db, prefs] = await makeSource();
+    const profile = await exportProfile(db, prefs);
+
+    const targetDb = new MemoryDatabase();
+    await targetDb.getLocalTable('app').insertOne('uuid-other', { code: 'foo', state: '{}', name: 'other', description: 'other' });
+    await targetDb.getLocalTable('app').insertOne('uuid-app', { code: 'bar', state: '{}', name: 'old', description: 'old' });
+    const targetPrefs = new MemoryPreferences({ 'sqlite-schema-version': 12 });
+    await importProfile(targetDb, targetPrefs, profile);
+
+    const apps = targetDb.getLocalTable('app').rows;
+    assert.strictEqual(apps.get('uuid-other').name, 'other');
+    assert.strictEqual(apps.get('uuid-app').name, 'Twitter');
+    assert.strictEqual(targetPrefs.get('sqlite-schema-version'), 12);
+
+    await assert.rejects(importProfile(targetDb, targetPrefs, { ...profile, version: 2 }), { code: 'unsupported_profile' });
+}
+
+export default async function main() {
+    await testExcludeSecrets();
+    await testIncludeSecrets();
+    await testEncryptSecrets();
+    await testMerge();
+}
+if (!module.parent)
+    main();
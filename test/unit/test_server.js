@@ -0,0 +1,224 @@
+// -*- mode: js; indent-tabs-mode: nil; js-basic-offset: 4 -*-
+//
+// This file is part of Genie
+//
+// Copyright 2022 The Board of Trustees of the Leland Stanford Junior University
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//    http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+import assert from 'assert';
+import * as fs from 'fs';
+import * as http from 'http';
+import * as os from 'os';
+import * as path from 'path';
+
+import ExactMatcher from '../../lib/prediction/exact';
+import {
+    BackendManager,
+    ServerMetrics,
+    createApp,
+    getModelConfigs
+} from '../../tool/server';
+
+const DEVELOPER_KEY = 'secret-developer-key';
+
+// a parser that learns into the exact matcher, like the real one
+class MockParser {
+    constructor(exactmatcher) {
+        this.isAlive = true;
+        this._exactmatcher = exactmatcher;
+    }
+
+    getWorkerStatus() {
+        return { main: [{ alive: this.isAlive }] };
+    }
+    async onlineLearn(utterance, target) {
+        this._exactmatcher.add(utterance.split(' '), target);
+        return target;
+    }
+    async stop() {
+    }
+}
+
+// a backend manager that loads mock models, but stores the learned
+// sentences where the configuration says
+class MockBackendManager extends BackendManager {
+    constructor(configs) {
+        super(configs, {}, null, null, 60000);
+    }
+
+    async _load(locale) {
+        const config = this._configs.get(locale);
+        const exactmatcher = new ExactMatcher();
+        if (config.learnedFile && fs.existsSync(config.learnedFile))
+            await exactmatcher.load(config.learnedFile);
+        const nlu = new MockParser(exactmatcher);
+        const backend = { nlu, nlg: nlu, exactmatcher, learnedFile: config.learnedFile, saveQueue: Promise.resolve() };
+        this._loaded.set(locale, backend);
+        return backend;
+    }
+}
+
+function request(port, method, urlpath, body) {
+    return new Promise((resolve, reject) => {
+        const req = http.request({ host: '127.0.0.1', port, method, path: urlpath, headers: { 'Content-Type': 'application/json' } }, (res) => {
+            let data = '';
+            res.setEncoding('utf8');
+            res.on('data', (chunk) => {
+                data += chunk;
+            });
+            res.on('end', () => resolve([res.statusCode, JSON.parse(data)]));
+        });
+        req.on('error', reject);
+        if (body)
+            req.write(JSON.stringify(body));
+        req.end();
+    });
+}
+
+async function withServer(backends, developerKeys, fn) {
+    const app = createApp(backends, new ServerMetrics(), { developer_key: developerKeys });
+    const server = http.createServer(app);
+    await new Promise((resolve) => {
+        server.listen(0, '127.0.0.1', resolve);
+    });
+    try {
+        await fn(server.address().port);
+    } finally {
+        await new Promise((resolve) => {
+            server.close(resolve);
+        });
+    }
+}
+
+function testModelConfigs() {
+    // learned sentences are stored in the model directory by default
+    const configs = getModelConfigs({
+        locale: 'en-US',
+        nlu_model: ['file:///srv/models/en', 'it-IT=file:///srv/models/it', 'de-DE=kf+https://example.com/de'],
+        learned_file: ['it-IT=/var/lib/genie/learned-it.btrie']
+    });
+    assert.strictEqual(configs.get('en-US').learnedFile, '/srv/models/en/learned-sentences.btrie');
+    // unless a different file is given
+    assert.strictEqual(configs.get('it-IT').learnedFile, '/var/lib/genie/learned-it.btrie');
+    // remote models have no directory to store them in
+    assert.strictEqual(configs.get('de-DE').learnedFile, false);
+
+    assert.throws(() => getModelConfigs({
+        locale: 'en-US',
+        nlu_model: ['file:///srv/models/en'],
+        nlg_model: ['it-IT=file:///srv/models/it-nlg'],
+    }), /An NLG model was specified for it-IT/);
+}
+
+async function testLearnDisabled(modeldir) {
+    const backends = new MockBackendManager(getModelConfigs({ locale: 'en-US', nlu_model: ['file://' + modeldir] }));
+
+    // without developer keys, nobody can teach the server
+    await withServer(backends, [], async (port) => {
+        const [status, body] = await request(port, 'POST', '/en-US/learn', {
+            q: 'hello', target: '$yes ;', developer_key: DEVELOPER_KEY
+        });
+        assert.strictEqual(status, 403);
+        assert.deepStrictEqual(body, { error: 'Online learning is disabled on this server' });
+    });
+    await backends.stop();
+    assert(!fs.existsSync(path.resolve(modeldir, 'learned-sentences.btrie')));
+}
+
+async function testLearnDeveloperKey(modeldir) {
+    const backends = new MockBackendManager(getModelConfigs({ locale: 'en-US', nlu_model: ['file://' + modeldir] }));
+
+    await withServer(backends, [DEVELOPER_KEY], async (port) => {
+        let [status, body] = await request(port, 'POST', '/en-US/learn', {
+            q: 'hello', target: '$yes ;'
+        });
+        assert.strictEqual(status, 401);
+        assert.deepStrictEqual(body, { error: 'Missing or invalid developer key' });
+
+        [status, body] = await request(port, 'POST', '/en-US/learn', {
+            q: 'hello', target: '$yes ;', developer_key: 'wrong-key'
+        });
+        assert.strictEqual(status, 401);
+        assert.deepStrictEqual(body, { error: 'Missing or invalid developer key' });
+    });
+    await backends.stop();
+    assert(!fs.existsSync(path.resolve(modeldir, 'learned-sentences.btrie')));
+}
+
+async function testLearnPersistence(modeldir) {
+    const configs = getModelConfigs({ locale: 'en-US', nlu_model: ['file://' + modeldir] });
+    const backends = new MockBackendManager(configs);
+
+    await withServer(backends, [DEVELOPER_KEY], async (port) => {
+        let [status, body] = await request(port, 'POST', '/en-US/learn', {
+            q: 'hello', target: '$yes ;', developer_key: DEVELOPER_KEY
+        });
+        assert.strictEqual(status, 200);
+        assert.deepStrictEqual(body, { result: 'ok', message: 'Learnt successfully', code: '$yes ;' });
+
+        // with store=no, the sentence is not saved
+        [status, body] = await request(port, 'POST', '/en-US/learn', {
+            q: 'goodbye', target: '$no ;', developer_key: DEVELOPER_KEY, store: 'no'
+        });
+        assert.strictEqual(status, 200);
+    });
+    await backends.stop();
+
+    // the learned sentence was saved in the model directory, and survives
+    // a restart of the server
+    const learned = new ExactMatcher();
+    await learned.load(path.resolve(modeldir, 'learned-sentences.btrie'));
+    assert.deepStrictEqual(learned.get(['hello']), [['$yes', ';']]);
+    assert.strictEqual(learned.get(['goodbye']), null);
+
+    const restarted = new MockBackendManager(configs);
+    await restarted.use('en-US', async (backend) => {
+        assert.deepStrictEqual(backend.exactmatcher.get(['hello']), [['$yes', ';']]);
+    });
+    await restarted.stop();
+}
+
+async function testUnsupportedLocale(modeldir) {
+    const backends = new MockBackendManager(getModelConfigs({ locale: 'en-US', nlu_model: ['file://' + modeldir] }));
+
+    // every endpoint reports languages not served by this server in the same way
+    await withServer(backends, [DEVELOPER_KEY], async (port) => {
+        for (const [urlpath, body] of [
+            ['/de-DE/query', { q: 'hallo' }],
+            ['/de-DE/answer', { context: 'null', entities: {}, target: '$yes ;' }],
+            ['/de-DE/tokenize', { q: 'hallo' }],
+            ['/de-DE/learn', { q: 'hallo', target: '$yes ;', developer_key: DEVELOPER_KEY }],
+        ]) {
+            const [status, response] = await request(port, 'POST', urlpath, body);
+            assert.strictEqual(status, 404, urlpath);
+            assert.deepStrictEqual(response, { error: 'Unsupported language' });
+        }
+    });
+    await backends.stop();
+}
+
+export default async function main() {
+    const modeldir = fs.mkdtempSync(path.resolve(os.tmpdir(), 'genie-server-'));
+    try {
+        testModelConfigs();
+        await testLearnDisabled(modeldir);
+        await testLearnDeveloperKey(modeldir);
+        await testLearnPersistence(modeldir);
+        await testUnsupportedLocale(modeldir);
+    } finally {
+        fs.rmSync(modeldir, { recursive: true, force: true });
+    }
+}
+if (!module.parent)
+    main();
@@ -0,0 +1,176 @@
+// -*- mode: js; indent-tabs-mode: nil; js-basic-offset: 4 -*-
+//
+// This file is part of Genie
+//
+// Copyright 2022 The Board of Trustees of the Leland Stanford Junior University
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//    http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+import assert from 'assert';
+
+import { BackendManager } from '../../tool/server';
+
+function delay(ms) {
+    return new Promise((resolve) => {
+        setTimeout(resolve, ms);
+    });
+}
+
+class MockParser {
+    constructor() {
+        this.isAlive = true;
+        this.stopped = 0;
+    }
+
+    getWorkerStatus() {
+        return { main: [{ alive: this.isAlive }] };
+    }
+    async stop() {
+        this.stopped ++;
+    }
+}
+
+// a backend manager that loads mock models instead of real ones
+class MockBackendManager extends BackendManager {
+    constructor(locales, idleTimeout) {
+        const configs = new Map;
+        for (const locale of locales)
+            configs.set(locale, { nluModel: `./${locale}`, nlgModel: undefined, experimentModel: undefined, learnedFile: false });
+        super(configs, {}, null, null, idleTimeout);
+        this.loaded = [];
+        this.failures = 0;
+    }
+
+    async _load(locale) {
+        if (this.failures > 0) {
+            this.failures --;
+            throw new Error('Failed to load the models');
+        }
+        const nlu = new MockParser();
+        const backend = { nlu, nlg: nlu, learnedFile: false, saveQueue: Promise.resolve() };
+        this.loaded.push(backend);
+        this._loaded.set(locale, backend);
+        return backend;
+    }
+}
+
+async function testLoad() {
+    const manager = new MockBackendManager(['en-US', 'it-IT'], 60000);
+    assert(manager.has('en-US'));
+    assert(!manager.has('de-DE'));
+
+    // models are loaded on first use
+    assert.deepStrictEqual(manager.getStatus('en-US'), { loaded: false, alive: false });
+    const first = await manager.use('en-US', async (backend) => backend);
+    assert.strictEqual(manager.loaded.length, 1);
+    assert.deepStrictEqual(manager.getStatus('en-US'), { loaded: true, alive: true, workers: { main: [{ alive: true }] } });
+    assert.deepStrictEqual(manager.getStatus('it-IT'), { loaded: false, alive: false });
+
+    // and reused afterwards
+    const second = await manager.use('en-US', async (backend) => backend);
+    assert.strictEqual(second, first);
+    assert.strictEqual(manager.loaded.length, 1);
+
+    await manager.use('it-IT', async () => {});
+    assert.strictEqual(manager.loaded.length, 2);
+
+    await manager.stop();
+}
+
+async function testIdleUnload() {
+    const manager = new MockBackendManager(['en-US'], 50);
+
+    const first = await manager.use('en-US', async (backend) => {
+        // models are not unloaded while in use
+        await delay(150);
+        assert.strictEqual(backend.nlu.stopped, 0);
+        return backend;
+    });
+    assert.deepStrictEqual(manager.getStatus('en-US').loaded, true);
+
+    await delay(200);
+    assert.strictEqual(first.nlu.stopped, 1);
+    assert.deepStrictEqual(manager.getStatus('en-US'), { loaded: false, alive: false });
+
+    // the next request loads the models again
+    const second = await manager.use('en-US', async (backend) => backend);
+    assert.notStrictEqual(second, first);
+    assert.strictEqual(manager.loaded.length, 2);
+
+    await manager.stop();
+    assert.strictEqual(first.nlu.stopped, 1);
+    assert.strictEqual(second.nlu.stopped, 1);
+}
+
+async function testStop() {
+    const manager = new MockBackendManager(['en-US', 'it-IT'], 60000);
+
+    const backend = await manager.use('en-US', async (backend) => backend);
+    // pretend a save of the learned sentences is in progress
+    let saved = false;
+    backend.saveQueue = delay(100).then(() => {
+        saved = true;
+    });
+
+    // stop waits for the pending save and for the models to stop
+    await manager.stop();
+    assert(saved);
+    assert.strictEqual(backend.nlu.stopped, 1);
+    assert.deepStrictEqual(manager.getStatus('en-US'), { loaded: false, alive: false });
+
+    // the models are not unloaded a second time
+    await delay(10);
+    assert.strictEqual(backend.nlu.stopped, 1);
+}
+
+async function testStopInflight() {
+    const manager = new MockBackendManager(['en-US'], 60000);
+
+    // stop waits for the requests in progress before unloading the models
+    let finished = false;
+    const request = manager.use('en-US', async (backend) => {
+        await delay(100);
+        assert.strictEqual(backend.nlu.stopped, 0);
+        finished = true;
+        return backend;
+    });
+    await delay(10);
+    await manager.stop();
+    assert(finished);
+    const backend = await request;
+    assert.strictEqual(backend.nlu.stopped, 1);
+}
+
+async function testLoadFailure() {
+    const manager = new MockBackendManager(['en-US'], 60000);
+
+    // a failed load is not kept, and the next request loads again
+    manager.failures = 1;
+    await assert.rejects(manager.use('en-US', async (backend) => backend), /Failed to load the models/);
+    assert.deepStrictEqual(manager.getStatus('en-US'), { loaded: false, alive: false });
+    const backend = await manager.use('en-US', async (backend) => backend);
+    assert.strictEqual(manager.loaded.length, 1);
+
+    await manager.stop();
+    assert.strictEqual(backend.nlu.stopped, 1);
+}
+
+export default async function main() {
+    await testLoad();
+    await testIdleUnload();
+    await testStop();
+    await testStopInflight();
+    await testLoadFailure();
+}
+if (!module.parent)
+    main();
@@ -0,0 +1,233 @@
+// -*- mode: js; indent-tabs-mode: nil; js-basic-offset: 4 -*-
+//
+// This file is part of Genie
+//
+// Copyright 2022 The Board of Trustees of the Leland Stanford Junior University
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//    http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+import assert from 'assert';
+import * as fs from 'fs';
+import * as os from 'os';
+import * as path from 'path';
+import * as sqlite3 from 'sqlite3';
+
+import * as sql from '../../lib/engine/db/sqlite';
+import { CURRENT_VERSION, initializeDB, migrateDB } from '../../lib/engine/db/sqlite/migration';
+
+const FIXTURE_DIR = path.resolve(path.dirname(module.filename), '../data/sqlite');
+
+// the fixture with the schema of each historical version
+const FIXTURES = {
+    1: 'v1.sql',
+    2: 'v1.sql',
+    3: 'v1.sql',
+    4: 'v1.sql',
+    5: 'v1.sql',
+    6: 'v1.sql',
+    7: 'v1.sql',
+    8: 'v1.sql',
+    9: 'v9.sql',
+    10: 'v9.sql',
+    11: 'v11.sql',
+    12: 'v12.sql',
+    13: 'v13.sql',
+    14: 'v14.sql',
+    15: 'v15.sql',
+};
+
+class MockPlatform {
+    constructor(filename, prefs = {}) {
+        this._filename = filename;
+        this._prefs = prefs;
+    }
+
+    getSqliteDB() {
+        return this._filename;
+    }
+    getSqliteKey() {
+        return null;
+    }
+    getSharedPreferences() {
+        return {
+            get: (key) => this._prefs[key],
+            set: (key, value) => this._prefs[key] = value
+        };
+    }
+}
+
+function callbackToPromise(resolve, reject) {
+    return (err) => {
+        if (err)
+            reject(err);
+        else
+            resolve();
+    };
+}
+
+async function withDatabase(filename, callback) {
+    const db = new sqlite3.Database(filename, sqlite3.OPEN_READWRITE | sqlite3.OPEN_CREATE);
+    try {
+        return await callback(db);
+    } finally {
+        await new Promise((resolve, reject) => {
+            db.close(callbackToPromise(resolve, reject));
+        });
+    }
+}
+
+function getSchema(filename) {
+    return withDatabase(filename, async (db) => {
+        const schema = {};
+        const objects = await sql.selectAll(db, `select type, name from sqlite_master where name not like 'sqlite_%' order by name`, []);
+        for (const { type, name } of objects) {
+            if (type === 'table')
+                schema[name] = (await sql.selectAll(db, `pragma table_info(${name})`, [])).map((c) => c.name).sort();
+            else
+                schema[name] = type;
+        }
+        return schema;
+    });
+}
+
+function getVersions(filename) {
+    return withDatabase(filename, async (db) => {
+        return (await sql.selectAll(db, `select version from schema_migrations order by version`, [])).map((r) => r.version);
+    });
+}
+
+function range(from, to) {
+    const array = [];
+    for (let i = from; i <= to; i++)
+        array.push(i);
+    return array;
+}
+
+async function testInitialize(tmpdir) {
+    const filename = path.resolve(tmpdir, 'fresh.db');
+    const platform = new MockPlatform(filename);
+    await initializeDB(platform);
+
+    assert.strictEqual(platform.getSharedPreferences().get('sqlite-schema-version'), CURRENT_VERSION);
+    assert.deepStrictEqual(await getVersions(filename), range(1, CURRENT_VERSION));
+
+    // migrating a database that is already current does nothing
+    await migrateDB(platform);
+    assert.deepStrictEqual(await getVersions(filename), range(1, CURRENT_VERSION));
+
+    return getSchema(filename);
+}
+
+async function testMigrateFrom(tmpdir, version, freshSchema) {
+    console.log(`Migrating from version ${version}`);
+    const filename = path.resolve(tmpdir, `v${version}.db`);
+    await withDatabase(filename, async (db) => {
+        const fixture = await fs.promises.readFile(path.resolve(FIXTURE_DIR, FIXTURES[version]), { encoding: 'utf8' });
+        await new Promise((resolve, reject) => {
+            db.exec(fixture, callbackToPromise(resolve, reject));
+        });
+    });
+
+    // databases at version 1 did not always record their version
+    const platform = new MockPlatform(filename, version > 1 ? { 'sqlite-schema-version': version } : {});
+    await migrateDB(platform);
+    assert.strictEqual(platform.getSharedPreferences().get('sqlite-schema-version'), CURRENT_VERSION);
+    assert.deepStrictEqual(await getVersions(filename), range(1, CURRENT_VERSION));
+
+    // the migrated database has the same tables, columns and indexes as a new
+    // database, except for columns that sqlite cannot drop
+    const schema = await getSchema(filename);
+    if (version >= 11)
+        assert.deepStrictEqual(schema.conversation_state, ['dialogueState', 'history', 'lastMessageId', 'recording', 'uniqueId']);
+    schema.conversation_state = freshSchema.conversation_state;
+    assert.deepStrictEqual(schema, freshSchema);
+
+    // the data is preserved
+    await withDatabase(filename, async (db) => {
+        assert.strictEqual((await sql.selectOne(db, `select name from app where uniqueId = 'uuid-app'`, [])).name, 'Twitter');
+        assert.strictEqual((await sql.selectOne(db, `select state from device where uniqueId = 'com.twitter-foo'`, [])).state,
+            '{"kind":"com.twitter","userId":"foo"}');
+        assert.strictEqual((await sql.selectOne(db, `select value from channel where uniqueId = 'app:uuid-app:0'`, [])).value, '[]');
+        if (version >= 9)
+            assert.strictEqual((await sql.selectOne(db, `select user from conversation where uniqueId = 'turn-1'`, [])).user, 'hello');
+        if (version >= 11)
+            assert.strictEqual((await sql.selectOne(db, `select lastMessageId from conversation_state where uniqueId = 'main'`, [])).lastMessageId, 1);
+        if (version >= 12)
+            assert.strictEqual((await sql.selectAll(db, `select * from conversation_history`, [])).length, 1);
+        if (version >= 14)
+            assert.strictEqual((await sql.selectOne(db, `select status from notification_queue where uniqueId = 'notif-1'`, [])).status, 'failed');
+        if (version >= 15)
+            assert.strictEqual((await sql.selectAll(db, `select * from app_history`, [])).length, 1);
+    });
+}
+
+async function testDowngrade(tmpdir, freshSchema) {
+    const filename = path.resolve(tmpdir, 'downgrade.db');
+    const platform = new MockPlatform(filename);
+    await initializeDB(platform);
+    await withDatabase(filename, async (db) => {
+        await sql.query(db, `insert into conversation_state values ('main', 'foo', 3, true)`, []);
+    });
+
+    await migrateDB(platform, 12);
+    assert.strictEqual(platform.getSharedPreferences().get('sqlite-schema-version'), 12);
+    assert.deepStrictEqual(await getVersions(filename), range(1, 12));
+    const schema = await getSchema(filename);
+    assert.strictEqual(schema.app_history, undefined);
+    assert.strictEqual(schema.notification_queue, undefined);
+    assert.deepStrictEqual(schema.conversation_state, ['dialogueState', 'history', 'lastMessageId', 'uniqueId']);
+    await withDatabase(filename, async (db) => {
+        assert.deepStrictEqual(await sql.selectOne(db, `select * from conversation_state`, []),
+            { uniqueId: 'main', history: null, dialogueState: 'foo', lastMessageId: 3 });
+    });
+
+    // and back up again
+    await migrateDB(platform);
+    assert.deepStrictEqual(await getVersions(filename), range(1, CURRENT_VERSION));
+    const upgraded = await getSchema(filename);
+    upgraded.conversation_state = freshSchema.conversation_state;
+    assert.deepStrictEqual(upgraded, freshSchema);
+}
+
+async function testInvalid(tmpdir) {
+    // a database from a newer version of the engine
+    const newer = path.resolve(tmpdir, 'newer.db');
+    await withDatabase(newer, async (db) => {
+        await sql.query(db, 'create table app (uniqueId varchar(255) primary key)', []);
+    });
+    await assert.rejects(migrateDB(new MockPlatform(newer, { 'sqlite-schema-version': CURRENT_VERSION + 1 })),
+        { code: 'invalid_version' });
+
+    // a database that claims to be current but is missing a table
+    const broken = path.resolve(tmpdir, 'broken.db');
+    await withDatabase(broken, async (db) => {
+        await sql.query(db, 'create table app (uniqueId varchar(255) primary key)', []);
+    });
+    await assert.rejects(migrateDB(new MockPlatform(broken, { 'sqlite-schema-version': CURRENT_VERSION })),
+        { code: 'invalid_schema' });
+}
+
+export default async function main() {
+    const tmpdir = await fs.promises.mkdtemp(path.resolve(os.tmpdir(), 'genie-migration-'));
+    try {
+        const freshSchema = await testInitialize(tmpdir);
+        for (let version = 1; version <= CURRENT_VERSION; version++)
+            await testMigrateFrom(tmpdir, version, freshSchema);
+        await testDowngrade(tmpdir, freshSchema);
+        await testInvalid(tmpdir);
+    } finally {
+        await fs.promises.rm(tmpdir, { recursive: true, force: true });
+    }
+}
+if (!module.parent)
+    main();
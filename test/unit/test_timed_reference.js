@@ -174,12 +174,50 @@ async function testParallel() {
     assert.strictEqual(await value2, 42);
 }
 
+async function testFailure() {
+    let acquired = 0;
+    let released = false;
+
+    const ref = new TimedReference(1000, () => {
+        released = true;
+    });
+
+    // a failed computation does not hold a reference, in parallel or not
+    const value1 = ref.acquire(true, async () => {
+        acquired ++;
+        await delay(100);
+        throw new Error('failed');
+    });
+    const value2 = ref.acquire(true, () => {
+        assert.fail(`value should not be acquired again`);
+    });
+    assert.strictEqual(ref._refCount, 2);
+    await assert.rejects(value1, /failed/);
+    await assert.rejects(value2, /failed/);
+    assert.strictEqual(ref._refCount, 0);
+    assert.strictEqual(await ref.acquire(false), null);
+
+    // and the next call tries again
+    const value3 = await ref.acquire(true, () => {
+        acquired ++;
+        return 42;
+    });
+    assert.strictEqual(value3, 42);
+    assert.strictEqual(acquired, 2);
+    assert.strictEqual(ref._refCount, 1);
+
+    ref.releaseNow();
+    await delay(10);
+    assert.strictEqual(released, true);
+}
+
 async function main() {
     await Promise.all([
         testBasic(),
         testAutorelease(),
         testReleaseNow(),
-        testParallel()
+        testParallel(),
+        testFailure()
     ]);
 }
 export default main;
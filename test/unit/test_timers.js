@@ -20,6 +20,7 @@
 
 
 import assert from 'assert';
+import { Temporal } from '@js-temporal/polyfill';
 import * as timers from '../../lib/engine/apps/timers';
 
 function testTimer_setTimems() {
@@ -529,6 +530,30 @@ function testOnTimer_nextTimeout() {
     });
 }
 
+function testAtTimer_setTimezone() {
+    console.log("Testing AtTimer setTimezone...");
+
+    // pick a time later today in Tokyo
+    const now = Temporal.Now.zonedDateTime('iso8601', 'Asia/Tokyo');
+    const target = now.hour < 23 ? now.add({ hours: 1 }).toPlainTime() : new Temporal.PlainTime(23, 59, 59);
+    const expected = now.withPlainTime(target).epochMilliseconds - now.epochMilliseconds;
+
+    const timer = new timers.AtTimer([{ hour: target.hour, minute: target.minute, second: target.second }], null, 'America/Los_Angeles');
+    assert(Math.abs(timer._nextTimeout() - expected) > 3600000);
+
+    timer.start();
+    const oldTimeout = timer._timeout;
+    timer.setTimezone('Asia/Tokyo');
+    assert(Math.abs(timer._nextTimeout() - expected) < 1000);
+    // the pending timeout was replaced
+    assert.notStrictEqual(timer._timeout, oldTimeout);
+    timer.stop();
+
+    // setting the timezone of a stopped timer does not schedule it again
+    timer.setTimezone('America/Los_Angeles');
+    assert.strictEqual(timer._timeout, null);
+}
+
 function main() {
     testTimer_setTimems();
     testTimer_getTimems();
@@ -538,6 +563,7 @@ function main() {
     testTimer_splitWeek_error();
     testTimer_nextTimeout_error();
     testOnTimer_nextTimeout();
+    testAtTimer_setTimezone();
 }
 export default main;
 if (!module.parent)
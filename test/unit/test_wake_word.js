@@ -0,0 +1,141 @@
+// -*- mode: js; indent-tabs-mode: nil; js-basic-offset: 4 -*-
+//
+// This file is part of Genie
+//
+// Copyright 2022 The Board of Trustees of the Leland Stanford Junior University
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//    http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+
+import assert from 'assert';
+
+import {
+    WakeWordMatch,
+    matchWakeWord,
+    normalizeWakeWord
+} from '../../lib/dialogue-agent/audio/wake_word';
+import AudioSubprotocolImplementation from '../../lib/dialogue-agent/audio/protocol_impl';
+import AudioController from '../../lib/dialogue-agent/audio/controller';
+
+function testNormalize() {
+    assert.strictEqual(normalizeWakeWord('Computer'), 'computer');
+    assert.strictEqual(normalizeWakeWord('  Hey,   Genie! '), 'hey genie');
+    assert.strictEqual(normalizeWakeWord("Ok Jarvis's"), "ok jarvis's");
+    assert.strictEqual(normalizeWakeWord('Ciao Mondo'), 'ciao mondo');
+    assert.strictEqual(normalizeWakeWord('?!'), '');
+}
+
+const MATCH_TESTS = [
+    ['computer', 'computer, what time is it?', WakeWordMatch.FULL, 'what time is it?'],
+    ['computer', 'Computer. Play some music', WakeWordMatch.FULL, 'Play some music'],
+    ['computer', 'computer', WakeWordMatch.FULL, ''],
+    ['computer', 'comp', WakeWordMatch.PARTIAL, ''],
+    ['computer', '', WakeWordMatch.PARTIAL, ''],
+    ['computer', 'what time is it', WakeWordMatch.NONE, ''],
+    ['computer', 'computers are great', WakeWordMatch.NONE, ''],
+    ['hey genie', 'hey', WakeWordMatch.PARTIAL, ''],
+    ['hey genie', 'Hey gen', WakeWordMatch.PARTIAL, ''],
+    ['hey genie', 'hey, Genie! turn on the lights', WakeWordMatch.FULL, 'turn on the lights'],
+    ['hey genie', 'hey there', WakeWordMatch.NONE, ''],
+    ['hey genie', 'genie turn on the lights', WakeWordMatch.NONE, ''],
+];
+
+function testMatch() {
+    for (let i = 0; i < MATCH_TESTS.length; i++) {
+        const [wakeWord, text, expectedMatch, expectedRest] = MATCH_TESTS[i];
+        const [match, rest] = matchWakeWord(wakeWord, text);
+        assert.strictEqual(match, expectedMatch, `Wrong match in test ${i+1}`);
+        assert.strictEqual(rest, expectedRest, `Wrong remaining text in test ${i+1}`);
+    }
+}
+
+function makeConnection(wakeWord) {
+    const sent = [];
+    const conn = {
+        conversationId: 'test',
+        engine: {
+            audio: { addPlayer() {} },
+            platform: {
+                getSharedPreferences() {
+                    return { get: (key) => (key === 'wake-word' ? wakeWord : undefined) };
+                }
+            }
+        },
+        async send(msg) {
+            sent.push(msg);
+        }
+    };
+    return [conn, sent];
+}
+
+async function testProtocol() {
+    // the wake word is sent on connection to clients that support it
+    const [conn, sent] = makeConnection('hey genie');
+    const impl = new AudioSubprotocolImplementation(conn, ['wake-word']);
+    assert.deepStrictEqual(sent, [{ type: 'protocol:audio', req: 0, op: 'set-wake-word', word: 'hey genie' }]);
+    await impl.handle({ type: 'protocol:audio', req: 0 });
+
+    const promise = impl.setWakeWord('computer');
+    assert.deepStrictEqual(sent[1], { type: 'protocol:audio', req: 1, op: 'set-wake-word', word: 'computer' });
+    await impl.handle({ type: 'protocol:audio', req: 1 });
+    await promise;
+
+    // but not to clients that do not support it
+    const [conn2, sent2] = makeConnection('hey genie');
+    const impl2 = new AudioSubprotocolImplementation(conn2, []);
+    assert.deepStrictEqual(sent2, []);
+    await assert.rejects(() => impl2.setWakeWord('computer'), { code: 'unsupported' });
+}
+
+class MockPlayer {
+    constructor(conversationId, setWakeWord) {
+        this.conversationId = conversationId;
+        this.words = [];
+        if (setWakeWord) {
+            this.setWakeWord = async (word) => {
+                await setWakeWord(word);
+                this.words.push(word);
+            };
+        }
+    }
+}
+
+async function testController() {
+    const controller = new AudioController(null);
+    const unsupported = new MockPlayer('unsupported', null);
+    const hanging = new MockPlayer('hanging', () => new Promise(() => {}));
+    const failing = new MockPlayer('failing', async () => {
+        throw new Error('failed');
+    });
+    const working = new MockPlayer('working', async () => {});
+    for (const player of [unsupported, hanging, failing, working])
+        await controller.addPlayer(player);
+
+    // players that hang or fail do not prevent the others from updating
+    const start = Date.now();
+    await controller.setWakeWord('hey genie', 100);
+    assert(Date.now() - start < 1000);
+    assert.deepStrictEqual(working.words, ['hey genie']);
+    assert.deepStrictEqual(hanging.words, []);
+    assert.deepStrictEqual(failing.words, []);
+}
+
+async function main() {
+    testNormalize();
+    testMatch();
+    await testProtocol();
+    await testController();
+}
+export default main;
+if (!module.parent)
+    main();
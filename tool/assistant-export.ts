@@ -0,0 +1,73 @@
+// -*- mode: typescript; indent-tabs-mode: nil; js-basic-offset: 4 -*-
+//
+// This file is part of Genie
+//
+// Copyright 2022 The Board of Trustees of the Leland Stanford Junior University
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//    http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+import * as argparse from 'argparse';
+import * as fs from 'fs';
+
+import { createDB } from '../lib/engine/db';
+import { exportProfile } from '../lib/engine/profile';
+import { CredentialCipher } from '../lib/engine/devices/credentials';
+import * as StreamUtils from '../lib/utils/stream-utils';
+
+import Platform from './lib/cmdline-platform';
+import { DEFAULT_THINGPEDIA_URL } from './lib/argutils';
+
+export function initArgparse(subparsers : argparse.SubParser) {
+    const parser = subparsers.add_parser('assistant-export', {
+        add_help: true,
+        description: "Export the devices, apps, conversation state and preferences of an assistant, " +
+            "so they can be imported with assistant-import."
+    });
+    parser.add_argument('-o', '--output', {
+        required: true,
+        type: fs.createWriteStream
+    });
+    parser.add_argument('--workdir', {
+        required: false,
+        help: 'Directory where the assistant database is stored (defaults to the ~/.config/genie-toolkit).'
+    });
+    parser.add_argument('--secrets', {
+        required: false,
+        choices: ['include', 'exclude', 'encrypt'],
+        default: 'exclude',
+        help: "What to do with the access tokens and passwords of the configured devices: " +
+            "leave them out (the default), include them in clear text, or encrypt them with a passphrase."
+    });
+    parser.add_argument('--passphrase-file', {
+        required: false,
+        help: "A file containing the passphrase to encrypt secrets with (required with --secrets encrypt)."
+    });
+}
+
+export async function execute(args : any) {
+    if (args.secrets === 'encrypt' && !args.passphrase_file)
+        throw new Error(`--passphrase-file is required to encrypt secrets`);
+    const passphrase = args.passphrase_file ? (await fs.promises.readFile(args.passphrase_file, { encoding: 'utf8' })).trim() : undefined;
+
+    const platform = new Platform(args.workdir, 'en-US', DEFAULT_THINGPEDIA_URL);
+    const db = createDB(platform);
+    await db.ensureSchema();
+
+    const profile = await exportProfile(db, platform.getSharedPreferences(), {
+        secrets: args.secrets,
+        passphrase
+    }, CredentialCipher.fromPlatform(platform));
+
+    args.output.end(JSON.stringify(profile, undefined, 2));
+    await StreamUtils.waitFinish(args.output);
+}
@@ -0,0 +1,60 @@
+// -*- mode: typescript; indent-tabs-mode: nil; js-basic-offset: 4 -*-
+//
+// This file is part of Genie
+//
+// Copyright 2022 The Board of Trustees of the Leland Stanford Junior University
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//    http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+import * as argparse from 'argparse';
+import * as fs from 'fs';
+
+import { createDB } from '../lib/engine/db';
+import { importProfile } from '../lib/engine/profile';
+import { CredentialCipher } from '../lib/engine/devices/credentials';
+
+import Platform from './lib/cmdline-platform';
+import { DEFAULT_THINGPEDIA_URL } from './lib/argutils';
+
+export function initArgparse(subparsers : argparse.SubParser) {
+    const parser = subparsers.add_parser('assistant-import', {
+        add_help: true,
+        description: "Import a profile exported with assistant-export into an assistant. " +
+            "The assistant must not be running."
+    });
+    parser.add_argument('-i', '--input', {
+        required: true,
+        help: 'The profile to import.'
+    });
+    parser.add_argument('--workdir', {
+        required: false,
+        help: 'Directory where the assistant database is stored (defaults to the ~/.config/genie-toolkit).'
+    });
+    parser.add_argument('--passphrase-file', {
+        required: false,
+        help: "A file containing the passphrase to decrypt secrets with, if they were encrypted."
+    });
+}
+
+export async function execute(args : any) {
+    const profile = JSON.parse(await fs.promises.readFile(args.input, { encoding: 'utf8' }));
+    const passphrase = args.passphrase_file ? (await fs.promises.readFile(args.passphrase_file, { encoding: 'utf8' })).trim() : undefined;
+
+    const platform = new Platform(args.workdir, 'en-US', DEFAULT_THINGPEDIA_URL);
+    const db = createDB(platform);
+    await db.ensureSchema();
+
+    const prefs = platform.getSharedPreferences();
+    await importProfile(db, prefs, profile, { passphrase }, CredentialCipher.fromPlatform(platform));
+    await prefs.flush();
+}
@@ -231,8 +231,7 @@ export function initArgparse(subparsers : argparse.SubParser) {
     });
     parser.add_argument('-l', '--locale', {
         required: false,
-        default: 'en-US',
-        help: `BGP 47 locale tag of the language to use for the assistant (defaults to 'en-US', English)`
+        help: `BGP 47 locale tag of the language to use for the assistant (defaults to the language last chosen in the assistant, or 'en-US', English)`
     });
     parser.add_argument('--thingpedia-url', {
         required: false,
@@ -0,0 +1,408 @@
+// -*- mode: typescript; indent-tabs-mode: nil; js-basic-offset: 4 -*-
+//
+// This file is part of Genie
+//
+// Copyright 2022 The Board of Trustees of the Leland Stanford Junior University
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//    http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+import * as argparse from 'argparse';
+import * as crypto from 'crypto';
+import * as http from 'http';
+import * as path from 'path';
+import * as url from 'url';
+import { ParsedUrlQuery } from 'querystring';
+import { promises as pfs } from 'fs';
+import express from 'express';
+import bodyParser from 'body-parser';
+import WebSocket from 'ws';
+import * as qv from 'query-validation';
+
+import Engine from '../lib/engine';
+import Platform from './lib/cmdline-platform';
+import { WebSocketConnection, ClientProtocolMessage, MessageType } from '../lib/dialogue-agent/protocol';
+import { DEFAULT_THINGPEDIA_URL, DEFAULT_NLP_URL, getConfig } from './lib/argutils';
+import getOpenAPISpec from './lib/engine-server-openapi';
+
+function checkToken(expected : string, provided : string|undefined) {
+    if (!provided)
+        return false;
+    const a = Buffer.from(expected, 'utf8');
+    const b = Buffer.from(provided, 'utf8');
+    return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+function getRequestToken(req : http.IncomingMessage) : string|undefined {
+    const authorization = req.headers.authorization;
+    if (authorization && authorization.startsWith('Bearer '))
+        return authorization.substring('Bearer '.length);
+
+    // websockets opened from a browser cannot set headers, so we also
+    // accept the token in the query string
+    const query = url.parse(req.url!, true).query;
+    if (typeof query.access_token === 'string')
+        return query.access_token;
+    return undefined;
+}
+
+function requireToken(token : string) : express.RequestHandler {
+    return (req, res, next) => {
+        if (!checkToken(token, getRequestToken(req))) {
+            res.status(401).json({ error: 'Missing or invalid access token', code: 'EPERM' });
+            return;
+        }
+        next();
+    };
+}
+
+const CREATE_APP_PARAMS = {
+    code: 'string',
+    uniqueId: '?string',
+    name: '?string',
+    description: '?string',
+    icon: '?string',
+    notifications: '?object',
+    activeWindow: '?object',
+    expiration: '?number',
+};
+
+const DRY_RUN_PARAMS = {
+    code: 'string',
+    name: '?string',
+    description: '?string',
+    mode: '?string',
+};
+
+function makeAPI(engine : Engine, token : string, version : string) {
+    const router = express.Router();
+
+    router.get('/openapi.json', (req, res) => {
+        res.json(getOpenAPISpec(version));
+    });
+
+    router.use(requireToken(token));
+
+    router.get('/apps', (req, res) => {
+        res.json(engine.getAppInfos());
+    });
+
+    router.post('/apps', qv.validatePOST(CREATE_APP_PARAMS, { accept: 'application/json' }), (req, res, next) => {
+        const { code, ...options } = req.body;
+        engine.createApp(code, options).then((app) => {
+            // if the app failed to compile, it was already removed
+            const info = engine.getAppInfo(app.uniqueId!, false);
+            if (info === undefined)
+                res.status(400).json({ error: app.error, code: 'EINVAL' });
+            else
+                res.json(info);
+        }, (e) => {
+            res.status(400).json({ error: e.message, code: e.code });
+        }).catch(next);
+    });
+
+    router.post('/apps/dry-run', qv.validatePOST(DRY_RUN_PARAMS, { accept: 'application/json' }), (req, res, next) => {
+        const { code, mode = 'record', ...options } = req.body;
+        if (mode !== 'record' && mode !== 'simulate') {
+            res.status(400).json({ error: 'Invalid dry run mode', code: 'EINVAL' });
+            return;
+        }
+        engine.createAppAndReturnResults(code, { ...options, dryRun: mode }).then((result) => {
+            res.json({
+                ...result,
+                errors: result.errors.map((e) => e.message)
+            });
+        }, (e) => {
+            res.status(400).json({ error: e.message, code: e.code });
+        }).catch(next);
+    });
+
+    router.get('/apps/:uniqueId', (req, res) => {
+        const info = engine.getAppInfo(req.params.uniqueId, false);
+        if (!info) {
+            res.status(404).json({ error: 'No such app', code: 'ENOENT' });
+            return;
+        }
+        res.json(info);
+    });
+
+    router.post('/apps/:uniqueId/pause', (req, res, next) => {
+        engine.pauseApp(req.params.uniqueId).then((paused) => {
+            if (paused)
+                res.json(engine.getAppInfo(req.params.uniqueId));
+            else
+                res.status(404).json({ error: 'No such app', code: 'ENOENT' });
+        }).catch(next);
+    });
+
+    router.post('/apps/:uniqueId/resume', (req, res, next) => {
+        engine.resumeApp(req.params.uniqueId).then((resumed) => {
+            if (resumed)
+                res.json(engine.getAppInfo(req.params.uniqueId));
+            else
+                res.status(404).json({ error: 'No such app', code: 'ENOENT' });
+        }).catch(next);
+    });
+
+    router.delete('/apps/:uniqueId', (req, res, next) => {
+        engine.deleteApp(req.params.uniqueId).then((deleted) => {
+            if (deleted)
+                res.json({ result: 'ok' });
+            else
+                res.status(404).json({ error: 'No such app', code: 'ENOENT' });
+        }).catch(next);
+    });
+
+    router.get('/devices', qv.validateGET({ kind: '?string' }), (req, res) => {
+        res.json(engine.getDeviceInfos(req.query.kind as string|undefined));
+    });
+
+    router.post('/devices', qv.validatePOST({ kind: 'string' }, { accept: 'application/json' }), (req, res, next) => {
+        engine.createDevice(req.body).then((device) => {
+            res.json(engine.getDeviceInfo(device.uniqueId!));
+        }, (e) => {
+            res.status(400).json({ error: e.message, code: e.code });
+        }).catch(next);
+    });
+
+    router.get('/devices/:uniqueId', (req, res) => {
+        if (!engine.hasDevice(req.params.uniqueId)) {
+            res.status(404).json({ error: 'No such device', code: 'ENOENT' });
+            return;
+        }
+        res.json(engine.getDeviceInfo(req.params.uniqueId));
+    });
+
+    router.delete('/devices/:uniqueId', (req, res, next) => {
+        engine.deleteDevice(req.params.uniqueId).then((deleted) => {
+            if (deleted)
+                res.json({ result: 'ok' });
+            else
+                res.status(404).json({ error: 'No such device', code: 'ENOENT' });
+        }).catch(next);
+    });
+
+    return router;
+}
+
+async function openConnection(engine : Engine, ws : WebSocket, query : ParsedUrlQuery, args : any) {
+    const conversationId = typeof query.id === 'string' && query.id ? query.id : 'main';
+    const conversation = await engine.assistant.getOrOpenConversation(conversationId, {
+        nluServerUrl: args.nlu_server_url,
+        nlgServerUrl: args.nlg_server_url,
+        debug: args.debug,
+        showWelcome: true
+    });
+    const connection = new WebSocketConnection(conversation, async (msg) => {
+        await new Promise<void>((resolve, reject) => {
+            ws.send(JSON.stringify(msg), (err) => {
+                if (err)
+                    reject(err);
+                else
+                    resolve();
+            });
+        });
+    }, {
+        syncDevices: query.sync_devices === '1' || query.sync_devices === 'true',
+        replayHistory: !(query.skip_history === '1' || query.skip_history === 'true'),
+    });
+    await connection.start();
+    return connection;
+}
+
+function handleConversation(engine : Engine, ws : WebSocket, req : http.IncomingMessage, args : any) {
+    const query = url.parse(req.url!, true).query;
+
+    // listeners are installed immediately, so messages that arrive while
+    // the conversation is loading are queued rather than lost
+    const ready = openConnection(engine, ws, query, args);
+    ready.catch((e) => {
+        console.error(`Failed to open conversation: ${e.message}`);
+        ws.close(1011, e.message);
+    });
+
+    ws.on('message', (data) => {
+        ready.then(async (connection) => {
+            let parsed : ClientProtocolMessage;
+            try {
+                parsed = JSON.parse(data.toString());
+            } catch(e) {
+                await connection.send({ type: MessageType.ERROR, message: 'Invalid JSON message', code: 'EINVAL' });
+                return;
+            }
+            await connection.handle(parsed);
+        }).catch((e) => {
+            console.error(`Failed to handle message on conversation websocket: ${e.message}`);
+        });
+    });
+    ws.on('close', () => {
+        ready.then((connection) => connection.destroy(), () => {});
+    });
+    ws.on('error', (e) => {
+        console.error(`Error on conversation websocket: ${e.message}`);
+        ws.close();
+    });
+}
+
+/**
+ * Create the HTTP server that exposes the REST API and the conversation websocket
+ * of the engine.
+ *
+ * The server is not listening yet when this function returns.
+ */
+export function createServer(engine : Engine, token : string, version : string, args : any) : [http.Server, WebSocket.Server] {
+    const app = express();
+    app.set('port', args.port);
+    app.use(bodyParser.json());
+
+    app.use('/api', makeAPI(engine, token, version));
+
+    // if we get here, we have a 404 error
+    app.use('/', (req, res) => {
+        res.status(404).json({ error: 'Invalid endpoint' });
+    });
+    app.use((err : Error & { status ?: number, code ?: string }, req : express.Request, res : express.Response, next : express.NextFunction) => {
+        if (typeof err.status === 'number' && err.status >= 400 && err.status < 500) {
+            res.status(err.status).json({ error: err.message, code: err.code });
+        } else {
+            console.error(err);
+            res.status(500).json({ error: 'Internal Server Error', code: err.code });
+        }
+    });
+
+    const server = http.createServer(app);
+    const wss = new WebSocket.Server({ noServer: true });
+    server.on('upgrade', (req : http.IncomingMessage, socket, head) => {
+        const pathname = url.parse(req.url!).pathname;
+        if (pathname !== '/api/conversation') {
+            socket.write('HTTP/1.1 404 Not Found\r\n\r\n');
+            socket.destroy();
+            return;
+        }
+        if (!checkToken(token, getRequestToken(req))) {
+            socket.write('HTTP/1.1 401 Unauthorized\r\n\r\n');
+            socket.destroy();
+            return;
+        }
+
+        wss.handleUpgrade(req, socket, head, (ws) => {
+            handleConversation(engine, ws, req, args);
+        });
+    });
+
+    return [server, wss];
+}
+
+export function initArgparse(subparsers : argparse.SubParser) {
+    const parser = subparsers.add_parser('engine-server', {
+        add_help: true,
+        description: "Run a headless assistant engine, and expose a REST and WebSocket control API over HTTP."
+    });
+    parser.add_argument('-p', '--port', {
+        required: false,
+        type: Number,
+        help: "HTTP port to listen on",
+        default: 3000,
+    });
+    parser.add_argument('--host', {
+        required: false,
+        help: "Address to listen on (defaults to localhost only)",
+        default: '127.0.0.1',
+    });
+    parser.add_argument('--access-token', {
+        required: false,
+        help: "Access token that clients must present; defaults to the GENIE_ACCESS_TOKEN environment variable, " +
+            "or a randomly generated token that is printed at startup."
+    });
+    parser.add_argument('--workdir', {
+        required: false,
+        help: 'Directory where to store the assistant database and other files (defaults to the ~/.config/genie-toolkit).'
+    });
+    parser.add_argument('-l', '--locale', {
+        required: false,
+        help: `BGP 47 locale tag of the language to use for the assistant (defaults to the language last chosen in the assistant, or 'en-US', English)`
+    });
+    parser.add_argument('--thingpedia-url', {
+        required: false,
+        help: 'URL of Thingpedia to use.'
+    });
+    parser.add_argument('--thingpedia-dir', {
+        required: false,
+        nargs: '+',
+        help: 'Path to a directory containing Thingpedia device definitions (overrides --thingpedia-url).'
+    });
+    parser.add_argument('--nlu-server-url', {
+        required: false,
+        help: 'NLP server URL to use for NLU (can be a file:/// URL).'
+    });
+    parser.add_argument('--nlg-server-url', {
+        required: false,
+        help: 'NLP server URL to use for NLG; must be specified to use neural NLG.'
+    });
+    parser.add_argument('--debug', {
+        required: false,
+        default: false,
+        action: 'store_true',
+        help: 'Enable additional debugging.'
+    });
+}
+
+export async function execute(args : any) {
+    if (!args.thingpedia_url)
+        args.thingpedia_url = await getConfig('thingpedia.url', process.env.THINGPEDIA_URL || DEFAULT_THINGPEDIA_URL);
+    if (!args.nlu_server_url)
+        args.nlu_server_url = await getConfig('thingpedia.nlp-url', DEFAULT_NLP_URL);
+
+    let token = args.access_token || process.env.GENIE_ACCESS_TOKEN;
+    if (!token) {
+        token = crypto.randomBytes(32).toString('hex');
+        console.log(`Access token: ${token}`);
+    }
+
+    const packageJSON = JSON.parse(await pfs.readFile(path.resolve(path.dirname(module.filename), '../../package.json'), { encoding: 'utf8' }));
+
+    const platform = new Platform(args.workdir, args.locale, args.thingpedia_url);
+    const prefs = platform.getSharedPreferences();
+    if (args.thingpedia_dir && args.thingpedia_dir.length)
+        prefs.set('developer-dir', args.thingpedia_dir);
+    prefs.set('experimental-use-neural-nlg', !!args.nlg_server_url);
+    const engine = new Engine(platform, {
+        nluModelUrl: args.nlu_server_url
+    });
+    await engine.open();
+
+    const [server, wss] = createServer(engine, token, packageJSON.version, args);
+
+    await new Promise<void>((resolve, reject) => {
+        server.listen(args.port, args.host, resolve);
+        server.on('error', reject);
+    });
+    console.log(`Engine server listening on http://${args.host}:${args.port}`);
+
+    const stop = () => {
+        engine.stop();
+    };
+    process.on('SIGINT', stop);
+    process.on('SIGTERM', stop);
+
+    await engine.run();
+
+    for (const client of wss.clients)
+        client.close(1001);
+    wss.close();
+    server.close();
+    await engine.close();
+
+    // closed conversations are kept in memory for a while in case the
+    // client reconnects, and their timers would keep the process alive
+    process.exit();
+}
@@ -0,0 +1,188 @@
+// -*- mode: typescript; indent-tabs-mode: nil; js-basic-offset: 4 -*-
+//
+// This file is part of Genie
+//
+// Copyright 2022 The Board of Trustees of the Leland Stanford Junior University
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//    http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+import * as argparse from 'argparse';
+import * as crypto from 'crypto';
+import * as fs from 'fs';
+import * as Stream from 'stream';
+import csvstringify from 'csv-stringify';
+
+import { createDB } from '../lib/engine/db';
+import { readConversationLogs, anonymizeDialogue, ConversationLogFilter } from '../lib/dialogue-agent/logging';
+import { DialogueExample, DialogueSerializer } from '../lib/dataset-tools/parsers';
+import * as StreamUtils from '../lib/utils/stream-utils';
+
+import Platform from './lib/cmdline-platform';
+import { DEFAULT_THINGPEDIA_URL } from './lib/argutils';
+
+const CSV_COLUMNS = [
+    'dialogue_id',
+    'turn',
+    'context',
+    'agent',
+    'agent_timestamp',
+    'agent_target',
+    'intermediate_context',
+    'user',
+    'user_timestamp',
+    'user_target',
+    'vote',
+    'comment'
+];
+
+class CSVTurnStream extends Stream.Transform {
+    constructor() {
+        super({ objectMode: true });
+    }
+
+    _transform(dlg : DialogueExample, encoding : BufferEncoding, callback : (err ?: Error|null) => void) {
+        for (let i = 0; i < dlg.turns.length; i++) {
+            const turn = dlg.turns[i];
+            this.push({
+                dialogue_id: dlg.id,
+                turn: i,
+                context: turn.context,
+                agent: turn.agent,
+                agent_timestamp: turn.agent_timestamp ? turn.agent_timestamp.toISOString() : null,
+                agent_target: turn.agent_target,
+                intermediate_context: turn.intermediate_context,
+                user: turn.user,
+                user_timestamp: turn.user_timestamp ? turn.user_timestamp.toISOString() : null,
+                user_target: turn.user_target,
+                vote: turn.vote ?? null,
+                comment: turn.comment ?? null
+            });
+        }
+        callback();
+    }
+
+    _flush(callback : (err ?: Error|null) => void) {
+        callback();
+    }
+}
+
+class JSONLinesStream extends Stream.Transform {
+    constructor() {
+        super({ writableObjectMode: true });
+    }
+
+    _transform(dlg : DialogueExample, encoding : BufferEncoding, callback : (err ?: Error|null) => void) {
+        this.push(JSON.stringify(dlg) + '\n');
+        callback();
+    }
+
+    _flush(callback : (err ?: Error|null) => void) {
+        callback();
+    }
+}
+
+async function* anonymize(dialogues : AsyncIterable<DialogueExample>, key : crypto.BinaryLike) {
+    for await (const dlg of dialogues)
+        yield anonymizeDialogue(dlg, key);
+}
+
+function parseDate(value : string) {
+    const date = new Date(value);
+    if (isNaN(date.getTime()))
+        throw new TypeError(`Invalid date ${value}`);
+    return date;
+}
+
+export function initArgparse(subparsers : argparse.SubParser) {
+    const parser = subparsers.add_parser('export-conversations', {
+        add_help: true,
+        description: "Export the conversations recorded by an assistant."
+    });
+    parser.add_argument('-o', '--output', {
+        required: true,
+        type: fs.createWriteStream
+    });
+    parser.add_argument('--format', {
+        required: false,
+        choices: ['dialogue', 'jsonl', 'csv'],
+        default: 'dialogue',
+        help: "Output format: the dialogue format used by the annotation tools (the default), " +
+            "JSON with one dialogue per line, or CSV with one turn per line."
+    });
+    parser.add_argument('--workdir', {
+        required: false,
+        help: 'Directory where the assistant database is stored (defaults to the ~/.config/genie-toolkit).'
+    });
+    parser.add_argument('--since', {
+        required: false,
+        type: parseDate,
+        help: 'Only export dialogues that started at or after this date and time (in ISO format).'
+    });
+    parser.add_argument('--until', {
+        required: false,
+        type: parseDate,
+        help: 'Only export dialogues that started before this date and time (in ISO format).'
+    });
+    parser.add_argument('--vote', {
+        required: false,
+        choices: ['up', 'down', 'any'],
+        help: 'Only export dialogues where at least one turn received this vote (or any vote).'
+    });
+    parser.add_argument('--conversation-id', {
+        required: false,
+        action: 'append',
+        help: 'Only export dialogues from this conversation; can be passed multiple times.'
+    });
+    parser.add_argument('--anonymize', {
+        action: 'store_true',
+        default: false,
+        help: 'Replace the string and entity values in the dialogues with placeholders, and hash the conversation IDs. ' +
+            'Unless --salt is given, the hashes are computed with a random key, so the conversation IDs of ' +
+            'different exports cannot be linked to each other.'
+    });
+    parser.add_argument('--salt', {
+        required: false,
+        help: 'A secret key to hash the conversation IDs with --anonymize. Exports with the same salt use ' +
+            'the same anonymized IDs, so they can be linked to each other.'
+    });
+}
+
+export async function execute(args : any) {
+    const platform = new Platform(args.workdir, 'en-US', DEFAULT_THINGPEDIA_URL);
+    const db = createDB(platform);
+    await db.ensureSchema();
+
+    const filter : ConversationLogFilter = {
+        conversationIds: args.conversation_id,
+        since: args.since,
+        until: args.until,
+        vote: args.vote
+    };
+    const logs = readConversationLogs(db.getLocalTable('conversation'), filter);
+    const dialogues = Stream.Readable.from(args.anonymize ? anonymize(logs, args.salt ?? crypto.randomBytes(32)) : logs);
+
+    let serialized : Stream.Readable;
+    switch (args.format) {
+    case 'jsonl':
+        serialized = dialogues.pipe(new JSONLinesStream());
+        break;
+    case 'csv':
+        serialized = dialogues.pipe(new CSVTurnStream()).pipe(csvstringify({ header: true, columns: CSV_COLUMNS }));
+        break;
+    default:
+        serialized = dialogues.pipe(new DialogueSerializer({ annotations: true }));
+    }
+
+    serialized.pipe(args.output);
+    await StreamUtils.waitFinish(args.output);
+}
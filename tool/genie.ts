@@ -69,6 +69,10 @@ const subcommands : { [key : string] : SubCommand } = {
     'evaluate-dialog': require('./evaluate-dialog'),
     'server': require('./server'),
     'assistant': require('./assistant'),
+    'engine-server': require('./engine-server'),
+    'assistant-export': require('./assistant-export'),
+    'assistant-import': require('./assistant-import'),
+    'export-conversations': require('./export-conversations'),
 
     'subsample-thingpedia': require('./subsample-thingpedia'),
     'preprocess-string-dataset': require('./preprocess-string-dataset'),
@@ -69,6 +69,10 @@ const _contentApi = {
     }
 };
 
+// the preferences that store the language and timezone chosen at runtime
+const LOCALE_PREF = 'locale';
+const TIMEZONE_PREF = 'timezone';
+
 function safeMkdirSync(dir : string) {
     try {
         fs.mkdirSync(dir);
@@ -91,15 +95,12 @@ export default class Platform extends Tp.BasePlatform {
 
     // Initialize the platform code
     // Will be called before instantiating the engine
-    constructor(homedir : string|undefined, locale : string, thingpediaUrl : string) {
+    //
+    // If the locale is not specified, the platform uses the language chosen at runtime
+    // with set_language, if any, or English
+    constructor(homedir : string|undefined, locale : string|undefined, thingpediaUrl : string) {
         super();
 
-        this._locale = locale;
-        this._gettext = new Gettext();
-        this._gettext.setLocale(this._locale);
-
-        this._timezone = process.env.GENIE_TZ || Temporal.Now.timeZone().id;
-
         if (homedir) {
             this._filesDir = path.resolve(homedir);
             safeMkdirSync(this._filesDir);
@@ -115,6 +116,12 @@ export default class Platform extends Tp.BasePlatform {
         }
         this._prefs = new Tp.Helpers.FilePreferences(this._filesDir + '/prefs.db');
 
+        this._locale = locale || this._prefs.get(LOCALE_PREF) as string|undefined || 'en-US';
+        this._gettext = new Gettext();
+        this._gettext.setLocale(this._locale);
+
+        this._timezone = process.env.GENIE_TZ || this._prefs.get(TIMEZONE_PREF) as string|undefined || Temporal.Now.timeZone().id;
+
         this._tpClient = new Tp.HttpClient(this, thingpediaUrl);
     }
 
@@ -130,6 +137,17 @@ export default class Platform extends Tp.BasePlatform {
         return this._timezone;
     }
 
+    setLocale(locale : string) {
+        this._locale = locale;
+        this._gettext.setLocale(locale);
+        this._prefs.set(LOCALE_PREF, locale);
+    }
+
+    setTimezone(timezone : string) {
+        this._timezone = timezone;
+        this._prefs.set(TIMEZONE_PREF, timezone);
+    }
+
     getPlatformDevice() {
         return null;
     }
@@ -0,0 +1,406 @@
+// -*- mode: typescript; indent-tabs-mode: nil; js-basic-offset: 4 -*-
+//
+// This file is part of Genie
+//
+// Copyright 2022 The Board of Trustees of the Leland Stanford Junior University
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//    http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+// OpenAPI 3 description of the API exposed by `genie engine-server`
+// This is served at /api/openapi.json, and must be kept in sync
+// with the routes in tool/engine-server.ts
+
+const ERROR_RESPONSE = {
+    description: 'Error',
+    content: {
+        'application/json': {
+            schema: { $ref: '#/components/schemas/Error' }
+        }
+    }
+};
+
+const NOT_FOUND_RESPONSE = {
+    description: 'Not Found',
+    content: {
+        'application/json': {
+            schema: { $ref: '#/components/schemas/Error' }
+        }
+    }
+};
+
+const OK_RESPONSE = {
+    description: 'OK',
+    content: {
+        'application/json': {
+            schema: {
+                type: 'object',
+                properties: {
+                    result: { type: 'string', enum: ['ok'] }
+                }
+            }
+        }
+    }
+};
+
+function jsonResponse(schema : Record<string, unknown>) {
+    return {
+        description: 'OK',
+        content: {
+            'application/json': { schema }
+        }
+    };
+}
+
+const UNIQUE_ID_PARAM = {
+    name: 'uniqueId',
+    in: 'path',
+    required: true,
+    schema: { type: 'string' }
+};
+
+export default function getOpenAPISpec(version : string) {
+    return {
+        openapi: '3.0.3',
+        info: {
+            title: 'Genie Engine API',
+            description: 'Control a headless Genie assistant engine: manage running ThingTalk programs ' +
+                '(apps) and configured devices, and converse with the assistant over a WebSocket.',
+            version
+        },
+        security: [{ bearerAuth: [] }],
+        paths: {
+            '/api/apps': {
+                get: {
+                    summary: 'List all running apps',
+                    operationId: 'getAppInfos',
+                    responses: {
+                        200: jsonResponse({ type: 'array', items: { $ref: '#/components/schemas/AppInfo' } }),
+                        401: ERROR_RESPONSE
+                    }
+                },
+                post: {
+                    summary: 'Create a new app from ThingTalk code',
+                    operationId: 'createApp',
+                    requestBody: {
+                        required: true,
+                        content: {
+                            'application/json': {
+                                schema: { $ref: '#/components/schemas/CreateAppRequest' }
+                            }
+                        }
+                    },
+                    responses: {
+                        200: jsonResponse({ $ref: '#/components/schemas/AppInfo' }),
+                        400: ERROR_RESPONSE,
+                        401: ERROR_RESPONSE
+                    }
+                }
+            },
+            '/api/apps/dry-run': {
+                post: {
+                    summary: 'Execute ThingTalk code once without side effects',
+                    description: 'Rules are executed once, immediately. Actions are not invoked, and are returned ' +
+                        'in `actions` instead. The app is not created.',
+                    operationId: 'dryRunApp',
+                    requestBody: {
+                        required: true,
+                        content: {
+                            'application/json': {
+                                schema: { $ref: '#/components/schemas/DryRunRequest' }
+                            }
+                        }
+                    },
+                    responses: {
+                        200: jsonResponse({ $ref: '#/components/schemas/DryRunResult' }),
+                        400: ERROR_RESPONSE,
+                        401: ERROR_RESPONSE
+                    }
+                }
+            },
+            '/api/apps/{uniqueId}': {
+                parameters: [UNIQUE_ID_PARAM],
+                get: {
+                    summary: 'Get information about one app',
+                    operationId: 'getAppInfo',
+                    responses: {
+                        200: jsonResponse({ $ref: '#/components/schemas/AppInfo' }),
+                        401: ERROR_RESPONSE,
+                        404: NOT_FOUND_RESPONSE
+                    }
+                },
+                delete: {
+                    summary: 'Stop and delete an app',
+                    operationId: 'deleteApp',
+                    responses: {
+                        200: OK_RESPONSE,
+                        401: ERROR_RESPONSE,
+                        404: NOT_FOUND_RESPONSE
+                    }
+                }
+            },
+            '/api/apps/{uniqueId}/pause': {
+                parameters: [UNIQUE_ID_PARAM],
+                post: {
+                    summary: 'Pause an app until it is resumed',
+                    operationId: 'pauseApp',
+                    responses: {
+                        200: jsonResponse({ $ref: '#/components/schemas/AppInfo' }),
+                        401: ERROR_RESPONSE,
+                        404: NOT_FOUND_RESPONSE
+                    }
+                }
+            },
+            '/api/apps/{uniqueId}/resume': {
+                parameters: [UNIQUE_ID_PARAM],
+                post: {
+                    summary: 'Resume a paused app',
+                    operationId: 'resumeApp',
+                    responses: {
+                        200: jsonResponse({ $ref: '#/components/schemas/AppInfo' }),
+                        401: ERROR_RESPONSE,
+                        404: NOT_FOUND_RESPONSE
+                    }
+                }
+            },
+            '/api/devices': {
+                get: {
+                    summary: 'List all configured devices',
+                    operationId: 'getDeviceInfos',
+                    parameters: [{
+                        name: 'kind',
+                        in: 'query',
+                        required: false,
+                        description: 'Only return devices with this kind',
+                        schema: { type: 'string' }
+                    }],
+                    responses: {
+                        200: jsonResponse({ type: 'array', items: { $ref: '#/components/schemas/DeviceInfo' } }),
+                        401: ERROR_RESPONSE
+                    }
+                },
+                post: {
+                    summary: 'Configure a new device',
+                    description: 'The request body is the serialized state of the device. It must include ' +
+                        'the Thingpedia class ID in `kind`; the other properties depend on the device class.',
+                    operationId: 'createDevice',
+                    requestBody: {
+                        required: true,
+                        content: {
+                            'application/json': {
+                                schema: {
+                                    type: 'object',
+                                    required: ['kind'],
+                                    properties: {
+                                        kind: { type: 'string' }
+                                    },
+                                    additionalProperties: true
+                                }
+                            }
+                        }
+                    },
+                    responses: {
+                        200: jsonResponse({ $ref: '#/components/schemas/DeviceInfo' }),
+                        400: ERROR_RESPONSE,
+                        401: ERROR_RESPONSE
+                    }
+                }
+            },
+            '/api/devices/{uniqueId}': {
+                parameters: [UNIQUE_ID_PARAM],
+                get: {
+                    summary: 'Get information about one device',
+                    operationId: 'getDeviceInfo',
+                    responses: {
+                        200: jsonResponse({ $ref: '#/components/schemas/DeviceInfo' }),
+                        401: ERROR_RESPONSE,
+                        404: NOT_FOUND_RESPONSE
+                    }
+                },
+                delete: {
+                    summary: 'Delete a device and its stored credentials',
+                    operationId: 'deleteDevice',
+                    responses: {
+                        200: OK_RESPONSE,
+                        401: ERROR_RESPONSE,
+                        404: NOT_FOUND_RESPONSE
+                    }
+                }
+            },
+            '/api/conversation': {
+                get: {
+                    summary: 'Open a conversation with the assistant',
+                    description: 'Upgrade to a WebSocket speaking the Genie conversation protocol: ' +
+                        'each WebSocket message is one JSON-encoded client or server protocol message. ' +
+                        'Because browsers cannot set headers on WebSockets, the access token can also be ' +
+                        'passed in the `access_token` query parameter.',
+                    operationId: 'conversation',
+                    parameters: [{
+                        name: 'id',
+                        in: 'query',
+                        required: false,
+                        description: 'The ID of the conversation to open or resume (defaults to `main`)',
+                        schema: { type: 'string' }
+                    }, {
+                        name: 'sync_devices',
+                        in: 'query',
+                        required: false,
+                        description: 'Send a `new-device` message for every configured device',
+                        schema: { type: 'boolean' }
+                    }, {
+                        name: 'skip_history',
+                        in: 'query',
+                        required: false,
+                        description: 'Do not replay the previous messages of the conversation',
+                        schema: { type: 'boolean' }
+                    }, {
+                        name: 'access_token',
+                        in: 'query',
+                        required: false,
+                        schema: { type: 'string' }
+                    }],
+                    responses: {
+                        101: { description: 'Switching Protocols' },
+                        401: ERROR_RESPONSE
+                    }
+                }
+            }
+        },
+        components: {
+            securitySchemes: {
+                bearerAuth: {
+                    type: 'http',
+                    scheme: 'bearer'
+                }
+            },
+            schemas: {
+                Error: {
+                    type: 'object',
+                    properties: {
+                        error: { type: 'string' },
+                        code: { type: 'string' }
+                    }
+                },
+                CreateAppRequest: {
+                    type: 'object',
+                    required: ['code'],
+                    properties: {
+                        code: { type: 'string', description: 'The ThingTalk code of the app' },
+                        uniqueId: { type: 'string' },
+                        name: { type: 'string' },
+                        description: { type: 'string' },
+                        icon: { type: 'string' },
+                        notifications: {
+                            type: 'object',
+                            required: ['backend', 'config'],
+                            properties: {
+                                backend: { type: 'string' },
+                                config: { type: 'object', additionalProperties: { type: 'string' } },
+                                policy: { type: 'object' }
+                            }
+                        },
+                        activeWindow: { $ref: '#/components/schemas/ActiveWindow' },
+                        expiration: { type: 'integer', description: 'When to delete the app, in milliseconds since the epoch' }
+                    }
+                },
+                ActiveWindow: {
+                    type: 'object',
+                    description: 'The period of the week when the app is allowed to run',
+                    required: ['start', 'end'],
+                    properties: {
+                        start: { type: 'string', pattern: '^([01][0-9]|2[0-3]):[0-5][0-9]$', description: 'Start time, as HH:MM in the user\'s timezone' },
+                        end: { type: 'string', pattern: '^([01][0-9]|2[0-3]):[0-5][0-9]$', description: 'End time, as HH:MM in the user\'s timezone' },
+                        days: { type: 'array', items: { type: 'integer', minimum: 1, maximum: 7 }, description: 'Days of the week, 1 is Monday' }
+                    }
+                },
+                DryRunRequest: {
+                    type: 'object',
+                    required: ['code'],
+                    properties: {
+                        code: { type: 'string', description: 'The ThingTalk code to execute' },
+                        name: { type: 'string' },
+                        description: { type: 'string' },
+                        mode: {
+                            type: 'string',
+                            enum: ['record', 'simulate'],
+                            description: 'Whether to execute queries for real (`record`) or with simulated data (`simulate`)'
+                        }
+                    }
+                },
+                DryRunResult: {
+                    type: 'object',
+                    properties: {
+                        uniqueId: { type: 'string' },
+                        description: { type: 'string' },
+                        code: { type: 'string' },
+                        icon: { type: 'string', nullable: true },
+                        results: {
+                            type: 'array',
+                            items: {
+                                type: 'object',
+                                properties: {
+                                    raw: { type: 'object' },
+                                    type: { type: 'string' },
+                                    formatted: { type: 'array', items: {} }
+                                }
+                            }
+                        },
+                        errors: { type: 'array', items: { type: 'string' } },
+                        actions: {
+                            type: 'array',
+                            items: {
+                                type: 'object',
+                                properties: {
+                                    kind: { type: 'string' },
+                                    function: { type: 'string' },
+                                    device: { type: 'string', nullable: true },
+                                    params: { type: 'object' }
+                                }
+                            }
+                        }
+                    }
+                },
+                AppInfo: {
+                    type: 'object',
+                    properties: {
+                        uniqueId: { type: 'string' },
+                        name: { type: 'string' },
+                        description: { type: 'string' },
+                        code: { type: 'string' },
+                        icon: { type: 'string', nullable: true },
+                        isRunning: { type: 'boolean' },
+                        isEnabled: { type: 'boolean' },
+                        isPaused: { type: 'boolean' },
+                        activeWindow: { $ref: '#/components/schemas/ActiveWindow' },
+                        expiration: { type: 'integer' },
+                        error: { type: 'string', nullable: true },
+                        notifications: { type: 'object' }
+                    }
+                },
+                DeviceInfo: {
+                    type: 'object',
+                    properties: {
+                        uniqueId: { type: 'string' },
+                        name: { type: 'string' },
+                        description: { type: 'string' },
+                        kind: { type: 'string' },
+                        version: { type: 'integer' },
+                        class: { type: 'string', enum: ['physical', 'online', 'data', 'system'] },
+                        ownerTier: { type: 'string' },
+                        isTransient: { type: 'boolean' },
+                        authType: { type: 'string' }
+                    }
+                }
+            }
+        }
+    };
+}
@@ -0,0 +1,219 @@
+// -*- mode: typescript; indent-tabs-mode: nil; js-basic-offset: 4 -*-
+//
+// This file is part of Genie
+//
+// Copyright 2022 The Board of Trustees of the Leland Stanford Junior University
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//    http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+// A minimal registry of metrics, exported in the Prometheus text format
+// See https://prometheus.io/docs/instrumenting/exposition_formats/
+
+export const CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+type Labels = Record<string, string>;
+
+const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+function escapeLabelValue(value : string) {
+    return value.replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+function formatLabels(labels : Labels) {
+    const keys = Object.keys(labels);
+    if (keys.length === 0)
+        return '';
+    return '{' + keys.map((key) => `${key}="${escapeLabelValue(labels[key])}"`).join(',') + '}';
+}
+
+function formatValue(value : number) {
+    if (value === Infinity)
+        return '+Inf';
+    if (value === -Infinity)
+        return '-Inf';
+    return String(value);
+}
+
+abstract class Metric<T> {
+    readonly name : string;
+    readonly help : string;
+    protected _labelNames : string[];
+    protected _values : Map<string, { labels : Labels, value : T }>;
+
+    constructor(name : string, help : string, labelNames : string[]) {
+        this.name = name;
+        this.help = help;
+        this._labelNames = labelNames;
+        this._values = new Map;
+    }
+
+    protected abstract _makeValue() : T;
+    protected abstract _renderValue(labels : Labels, value : T) : string[];
+    abstract get type() : string;
+
+    protected _get(labels : Labels) : T {
+        // normalize the labels, so the order in which they are passed does not matter
+        const normalized : Labels = {};
+        for (const name of this._labelNames) {
+            if (labels[name] === undefined)
+                throw new Error(`Missing label ${name} for metric ${this.name}`);
+            normalized[name] = labels[name];
+        }
+        const key = JSON.stringify(normalized);
+        let entry = this._values.get(key);
+        if (!entry) {
+            entry = { labels: normalized, value: this._makeValue() };
+            this._values.set(key, entry);
+        }
+        return entry.value;
+    }
+
+    render() : string {
+        const lines = [
+            `# HELP ${this.name} ${this.help}`,
+            `# TYPE ${this.name} ${this.type}`
+        ];
+        for (const { labels, value } of this._values.values())
+            lines.push(...this._renderValue(labels, value));
+        return lines.join('\n') + '\n';
+    }
+}
+
+/**
+ * A value that only increases, such as a count of requests.
+ */
+export class Counter extends Metric<{ count : number }> {
+    get type() {
+        return 'counter';
+    }
+
+    protected _makeValue() {
+        return { count: 0 };
+    }
+
+    protected _renderValue(labels : Labels, value : { count : number }) {
+        return [`${this.name}${formatLabels(labels)} ${formatValue(value.count)}`];
+    }
+
+    inc(labels : Labels = {}, amount = 1) {
+        this._get(labels).count += amount;
+    }
+}
+
+/**
+ * A value that can go up and down, such as the number of loaded models.
+ */
+export class Gauge extends Metric<{ value : number }> {
+    get type() {
+        return 'gauge';
+    }
+
+    protected _makeValue() {
+        return { value: 0 };
+    }
+
+    protected _renderValue(labels : Labels, value : { value : number }) {
+        return [`${this.name}${formatLabels(labels)} ${formatValue(value.value)}`];
+    }
+
+    set(labels : Labels, value : number) {
+        this._get(labels).value = value;
+    }
+
+    /**
+     * Remove all values, so label combinations that are no longer set are not exported.
+     */
+    reset() {
+        this._values.clear();
+    }
+}
+
+interface HistogramValue {
+    buckets : number[];
+    sum : number;
+    count : number;
+}
+
+/**
+ * A distribution of observed values, such as request latencies,
+ * counted in cumulative buckets.
+ */
+export class Histogram extends Metric<HistogramValue> {
+    private _buckets : number[];
+
+    constructor(name : string, help : string, labelNames : string[], buckets = DEFAULT_BUCKETS) {
+        super(name, help, labelNames);
+        this._buckets = buckets.slice().sort((a, b) => a - b);
+    }
+
+    get type() {
+        return 'histogram';
+    }
+
+    protected _makeValue() {
+        return { buckets: this._buckets.map(() => 0), sum: 0, count: 0 };
+    }
+
+    protected _renderValue(labels : Labels, value : HistogramValue) {
+        const lines = [];
+        for (let i = 0; i < this._buckets.length; i++) {
+            const bucketLabels = { ...labels, le: formatValue(this._buckets[i]) };
+            lines.push(`${this.name}_bucket${formatLabels(bucketLabels)} ${value.buckets[i]}`);
+        }
+        lines.push(`${this.name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${value.count}`);
+        lines.push(`${this.name}_sum${formatLabels(labels)} ${formatValue(value.sum)}`);
+        lines.push(`${this.name}_count${formatLabels(labels)} ${value.count}`);
+        return lines;
+    }
+
+    observe(labels : Labels, observation : number) {
+        const value = this._get(labels);
+        for (let i = 0; i < this._buckets.length; i++) {
+            if (observation <= this._buckets[i])
+                value.buckets[i] += 1;
+        }
+        value.sum += observation;
+        value.count += 1;
+    }
+}
+
+export class Registry {
+    private _metrics : Array<Metric<unknown>>;
+
+    constructor() {
+        this._metrics = [];
+    }
+
+    private _register<T extends Metric<any>>(metric : T) : T {
+        if (this._metrics.some((m) => m.name === metric.name))
+            throw new Error(`Duplicate metric ${metric.name}`);
+        this._metrics.push(metric);
+        return metric;
+    }
+
+    counter(name : string, help : string, labelNames : string[] = []) {
+        return this._register(new Counter(name, help, labelNames));
+    }
+
+    gauge(name : string, help : string, labelNames : string[] = []) {
+        return this._register(new Gauge(name, help, labelNames));
+    }
+
+    histogram(name : string, help : string, labelNames : string[] = [], buckets ?: number[]) {
+        return this._register(new Histogram(name, help, labelNames, buckets));
+    }
+
+    render() : string {
+        return this._metrics.map((m) => m.render()).join('');
+    }
+}
@@ -19,6 +19,9 @@
 // Author: Giovanni Campagna <gcampagn@cs.stanford.edu>
 
 import * as argparse from 'argparse';
+import * as crypto from 'crypto';
+import * as fs from 'fs';
+import * as path from 'path';
 import express from 'express';
 import bodyParser from 'body-parser';
 // FIXME
@@ -26,32 +29,319 @@ import bodyParser from 'body-parser';
 import errorhandler from 'errorhandler';
 import * as qv from 'query-validation';
 import * as Tp from 'thingpedia';
-import * as ThingTalk from 'thingtalk';
 
 import * as Utils from '../lib/utils/misc-utils';
 import { EntityMap } from '../lib/utils/entity-utils';
 import LocalParserClient from '../lib/prediction/localparserclient';
+import ExactMatcher from '../lib/prediction/exact';
+import LRUCache from '../lib/prediction/lrucache';
+import { WorkerStatus } from '../lib/prediction/predictor';
 import * as I18n from '../lib/i18n';
+import TimedReference from '../lib/utils/timed_ref';
+
+import * as Metrics from './lib/metrics';
+
+interface ModelConfig {
+    nluModel : string;
+    nlgModel : string|undefined;
+    experimentModel : string|undefined;
+    learnedFile : string|false;
+}
+
+interface ParserConfig {
+    minibatchSize : number;
+    maxLatency : number;
+    cacheSize : number;
+    watch : boolean;
+    experimentFraction : number;
+    workers : number;
+}
+
+interface BackendStatus {
+    loaded : boolean;
+    alive : boolean;
+    // the workers of each model, keyed by model ID
+    workers ?: Record<string, WorkerStatus[]>;
+}
+
+export class ServerMetrics {
+    registry : Metrics.Registry;
+    parses : Metrics.Counter;
+    requestDuration : Metrics.Histogram;
+    errors : Metrics.Counter;
+    modelsLoaded : Metrics.Gauge;
+    workersAlive : Metrics.Gauge;
+
+    constructor() {
+        this.registry = new Metrics.Registry();
+        this.parses = this.registry.counter('genie_nlu_parses_total',
+            'Sentences parsed, by how the result was computed (cache, exact, model or rule).', ['locale', 'source']);
+        this.requestDuration = this.registry.histogram('genie_nlu_request_duration_seconds',
+            'Time to respond to an API request.', ['locale', 'endpoint']);
+        this.errors = this.registry.counter('genie_nlu_errors_total',
+            'API requests that failed.', ['locale', 'endpoint', 'status']);
+        this.modelsLoaded = this.registry.gauge('genie_nlu_models_loaded',
+            'Whether the models for a language are loaded.', ['locale']);
+        this.workersAlive = this.registry.gauge('genie_nlu_workers_alive',
+            'Number of running prediction workers.', ['locale', 'model']);
+    }
+}
 
 interface Backend {
-    schemas : ThingTalk.SchemaRetriever;
-    i18n : I18n.LanguagePack;
-    tokenizer : I18n.BaseTokenizer;
     nlu : LocalParserClient;
-    nlg ?: LocalParserClient;
+    nlg : LocalParserClient;
+    exactmatcher : ExactMatcher;
+    learnedFile : string|false;
+    // saves of the learned sentences are chained, so they are written in order
+    saveQueue : Promise<void>;
+}
+
+/**
+ * The set of models served by this server, one per locale.
+ *
+ * Models are loaded on first use, and stopped after they have not been
+ * used for a while.
+ */
+export class BackendManager {
+    private _configs : Map<string, ModelConfig>;
+    private _parserConfig : ParserConfig;
+    private _tpClient : Tp.BaseClient;
+    private _metrics : ServerMetrics;
+    private _backends : Map<string, TimedReference<Backend>>;
+    // the backends that are fully loaded, which can be inspected without
+    // acquiring them (and thus without resetting their idle timeout)
+    private _loaded : Map<string, Backend>;
+    private _stopping : Set<Promise<void>>;
+    // the requests using the models, which stop() waits for
+    private _inflight : Set<Promise<unknown>>;
+
+    constructor(configs : Map<string, ModelConfig>,
+                parserConfig : ParserConfig,
+                tpClient : Tp.BaseClient,
+                metrics : ServerMetrics,
+                idleTimeout : number) {
+        this._configs = configs;
+        this._parserConfig = parserConfig;
+        this._tpClient = tpClient;
+        this._metrics = metrics;
+        this._backends = new Map;
+        this._loaded = new Map;
+        this._stopping = new Set;
+        this._inflight = new Set;
+
+        for (const locale of configs.keys()) {
+            this._backends.set(locale, new TimedReference(idleTimeout, async (backend) => {
+                const promise = this._unload(locale, backend);
+                this._stopping.add(promise);
+                try {
+                    await promise;
+                } finally {
+                    this._stopping.delete(promise);
+                }
+            }));
+        }
+    }
+
+    has(locale : string) {
+        return this._configs.has(locale);
+    }
+
+    get locales() {
+        return this._configs.keys();
+    }
+
+    /**
+     * Check the state of the models for the given locale, without loading them.
+     */
+    getStatus(locale : string) : BackendStatus {
+        const backend = this._loaded.get(locale);
+        if (!backend)
+            return { loaded: false, alive: false };
+
+        const workers = backend.nlu.getWorkerStatus();
+        if (backend.nlg !== backend.nlu)
+            workers.nlg = backend.nlg.getWorkerStatus().main;
+        return { loaded: true, alive: backend.nlu.isAlive && backend.nlg.isAlive, workers };
+    }
+
+    protected async _load(locale : string) : Promise<Backend> {
+        const config = this._configs.get(locale)!;
+        console.log(`Loading models for ${locale}`);
+
+        const exactmatcher = new ExactMatcher();
+        if (config.learnedFile && fs.existsSync(config.learnedFile))
+            await exactmatcher.load(config.learnedFile);
+
+        const { minibatchSize, maxLatency, cacheSize, watch, experimentFraction, workers } = this._parserConfig;
+        const parses = this._metrics.parses;
+        const nlu = new LocalParserClient(config.nluModel, locale, undefined, exactmatcher, this._tpClient, {
+            minibatchSize,
+            maxLatency,
+            workers,
+            watch,
+            experiment: config.experimentModel ? { url: config.experimentModel, fraction: experimentFraction } : undefined,
+            cacheInterface: cacheSize > 0 ? new LRUCache(cacheSize) : undefined,
+            statistics: {
+                hit(source : string) {
+                    parses.inc({ locale, source });
+                }
+            }
+        });
+        let nlg = nlu;
+        if (config.nlgModel && config.nlgModel !== config.nluModel)
+            nlg = new LocalParserClient(config.nlgModel, locale, undefined, undefined, this._tpClient, { minibatchSize, maxLatency, workers, watch });
+        await nlu.start();
+        if (nlg !== nlu)
+            await nlg.start();
+
+        const backend = {
+            nlu,
+            nlg,
+            exactmatcher,
+            learnedFile: config.learnedFile,
+            saveQueue: Promise.resolve()
+        };
+        this._loaded.set(locale, backend);
+        return backend;
+    }
+
+    private async _unload(locale : string, backend : Backend) {
+        // the backend might have been unloaded already, by stop()
+        if (this._loaded.get(locale) !== backend)
+            return;
+        console.log(`Unloading models for ${locale}`);
+        this._loaded.delete(locale);
+        await backend.saveQueue;
+        await backend.nlu.stop();
+        if (backend.nlg !== backend.nlu)
+            await backend.nlg.stop();
+    }
+
+    /**
+     * Run a function with the models for the given locale, loading them if needed.
+     *
+     * The models are guaranteed not to be unloaded while the function runs.
+     */
+    async use<T>(locale : string, fn : (backend : Backend) => Promise<T>) : Promise<T> {
+        const promise = this._use(locale, fn);
+        this._inflight.add(promise);
+        try {
+            return await promise;
+        } finally {
+            this._inflight.delete(promise);
+        }
+    }
+
+    private async _use<T>(locale : string, fn : (backend : Backend) => Promise<T>) : Promise<T> {
+        const ref = this._backends.get(locale)!;
+        // if loading fails, the reference is dropped (and not held), so the
+        // next request will retry
+        const backend = await ref.acquire(true, () => this._load(locale));
+        try {
+            return await fn(backend);
+        } finally {
+            ref.release();
+        }
+    }
+
+    /**
+     * Unload all models, once the requests in progress complete, waiting
+     * until they are stopped and the learned sentences are saved.
+     */
+    async stop() {
+        // wait for the requests in progress, so the models are not unloaded
+        // under them
+        while (this._inflight.size > 0)
+            await Promise.allSettled(this._inflight);
+
+        const unloads = [];
+        for (const [locale, ref] of this._backends) {
+            const backend = this._loaded.get(locale);
+            // nothing holds the reference anymore, so this releases it
+            // immediately, but asynchronously, so we unload it directly
+            // to wait for it
+            ref.releaseNow();
+            if (backend)
+                unloads.push(this._unload(locale, backend));
+        }
+        await Promise.all([...unloads, ...this._stopping]);
+    }
 }
 
 declare global {
     namespace Express {
         interface Application {
-            backend : Backend;
+            backends : BackendManager;
+            metrics : ServerMetrics;
             args : any;
         }
     }
 }
 
-function learn(req : express.Request, res : express.Response) {
-    res.status(501).json({ error: 'Learning is not available with this Genie server' });
+interface LearnData {
+    q : string;
+    target : string;
+    store ?: string;
+    thingtalk_version ?: string;
+    developer_key ?: string;
+}
+const LEARN_PARAMS = {
+    q: 'string',
+    target: 'string',
+    store: '?string',
+    thingtalk_version: '?string',
+    developer_key: '?string',
+};
+
+function checkDeveloperKey(allowed : string[], provided : string|undefined) {
+    if (!provided)
+        return false;
+    const b = Buffer.from(provided, 'utf8');
+    return allowed.some((key) => {
+        const a = Buffer.from(key, 'utf8');
+        return a.length === b.length && crypto.timingSafeEqual(a, b);
+    });
+}
+
+async function learn(params : Record<string, string>, data : LearnData, res : express.Response) {
+    const app = res.app;
+
+    // learned sentences affect the parser for every user, so only
+    // trusted clients are allowed to teach
+    const developerKeys : string[] = app.args.developer_key;
+    if (developerKeys.length === 0) {
+        res.status(403).json({ error: 'Online learning is disabled on this server' });
+        return;
+    }
+    if (!checkDeveloperKey(developerKeys, data.developer_key)) {
+        res.status(401).json({ error: 'Missing or invalid developer key' });
+        return;
+    }
+
+    if (!app.backends.has(params.locale)) {
+        res.status(404).json({ error: 'Unsupported language' });
+        return;
+    }
+
+    await app.backends.use(params.locale, async (backend) => {
+        let code;
+        try {
+            code = await backend.nlu.onlineLearn(data.q, data.target.split(' '));
+        } catch(e) {
+            res.status(400).json({ error: e.message });
+            return;
+        }
+
+        // with store=no, the sentence is only learned until the models are unloaded
+        const learnedFile = backend.learnedFile;
+        if (data.store !== 'no' && learnedFile) {
+            const save = backend.saveQueue.then(() => backend.exactmatcher.save(learnedFile));
+            backend.saveQueue = save.catch(() => {});
+            await save;
+        }
+
+        res.json({ result: 'ok', message: 'Learnt successfully', code: code.join(' ') });
+    });
 }
 
 interface TokenizeData {
@@ -62,12 +352,13 @@ interface TokenizeData {
 
 async function tokenize(params : Record<string, string>, data : TokenizeData, res : express.Response) {
     const app = res.app;
-    if (params.locale !== app.args.locale) {
+    if (!app.backends.has(params.locale)) {
         res.status(404).json({ error: 'Unsupported language' });
         return;
     }
 
-    const tokenized = await app.backend.tokenizer.tokenize(data.q);
+    // tokenizing only needs the language pack, not the models
+    const tokenized = await I18n.get(params.locale).getTokenizer().tokenize(data.q);
     if (data.entities)
         Utils.renumberEntities(tokenized, data.entities);
 
@@ -87,6 +378,7 @@ interface QueryNLUData {
     tokenized ?: boolean;
     skip_typechecking ?: boolean;
     developer_key ?: string;
+    model ?: string;
 }
 const QUERY_PARAMS = {
     q: 'string',
@@ -101,6 +393,7 @@ const QUERY_PARAMS = {
     tokenized: 'boolean',
     skip_typechecking: 'boolean',
     developer_key: '?string',
+    model: '?string',
 };
 
 async function queryNLU(params : Record<string, string>,
@@ -108,13 +401,13 @@ async function queryNLU(params : Record<string, string>,
                         res : express.Response) {
     const app = res.app;
 
-    if (params.locale !== app.args.locale) {
-        res.status(400).json({ error: 'Unsupported language' });
+    if (!app.backends.has(params.locale)) {
+        res.status(404).json({ error: 'Unsupported language' });
         return;
     }
 
-    const result = await res.app.backend.nlu.sendUtterance(data.q,
-        data.context ? data.context.split(' ') : undefined, data.entities, data);
+    const result = await app.backends.use(params.locale, (backend) => backend.nlu.sendUtterance(data.q,
+        data.context ? data.context.split(' ') : undefined, data.entities, data));
     res.json(result);
 }
 
@@ -136,18 +429,174 @@ async function queryNLG(params : Record<string, string>,
                         res : express.Response) {
     const app = res.app;
 
-    if (params.locale !== app.args.locale) {
-        res.status(400).json({ error: 'Unsupported language' });
+    if (!app.backends.has(params.locale)) {
+        res.status(404).json({ error: 'Unsupported language' });
         return;
     }
 
-    const result = await res.app.backend.nlg!.generateUtterance(
-        data.context.split(' '), data.entities, data.target.split(' '));
+    const result = await app.backends.use(params.locale, (backend) => backend.nlg.generateUtterance(
+        data.context.split(' '), data.entities, data.target.split(' ')));
     res.json({
          candidates: result.slice(0, data.limit ? parseInt(data.limit) : undefined),
     });
 }
 
+const ENDPOINTS = new Set(['query', 'answer', 'tokenize', 'learn']);
+
+// record the latency and the errors of the API requests
+function trackRequest(req : express.Request, res : express.Response, next : express.NextFunction) {
+    const app = req.app;
+    const endpoint = req.params.endpoint;
+    if (!ENDPOINTS.has(endpoint)) {
+        next();
+        return;
+    }
+    // do not create metrics for arbitrary locales in the URL
+    const locale = app.backends.has(req.params.locale) ? req.params.locale : 'unsupported';
+
+    const start = process.hrtime.bigint();
+    res.on('finish', () => {
+        const duration = Number(process.hrtime.bigint() - start) / 1e9;
+        app.metrics.requestDuration.observe({ locale, endpoint }, duration);
+        if (res.statusCode >= 400)
+            app.metrics.errors.inc({ locale, endpoint, status: String(res.statusCode) });
+    });
+    next();
+}
+
+function getHealth(req : express.Request, res : express.Response) {
+    const app = req.app;
+
+    const locales : Record<string, BackendStatus> = {};
+    let healthy = true;
+    for (const locale of app.backends.locales) {
+        const status = app.backends.getStatus(locale);
+        locales[locale] = status;
+        // models that are not loaded will be started on the next request
+        if (status.loaded && !status.alive)
+            healthy = false;
+    }
+
+    res.status(healthy ? 200 : 503).json({ status: healthy ? 'ok' : 'error', locales });
+}
+
+function getMetrics(req : express.Request, res : express.Response) {
+    const app = req.app;
+
+    // models might have been unloaded since the last time
+    app.metrics.workersAlive.reset();
+    for (const locale of app.backends.locales) {
+        const status = app.backends.getStatus(locale);
+        app.metrics.modelsLoaded.set({ locale }, status.loaded ? 1 : 0);
+        for (const model in status.workers)
+            app.metrics.workersAlive.set({ locale, model }, status.workers[model].filter((w) => w.alive).length);
+    }
+
+    res.set('Content-Type', Metrics.CONTENT_TYPE);
+    res.send(app.metrics.registry.render());
+}
+
+// parse a list of command-line values of the form [<locale>=]<value>
+// values without a locale apply to the default locale
+function parseLocaleMap(values : string[]|undefined, defaultLocale : string) : Map<string, string> {
+    const map = new Map<string, string>();
+    for (const value of values || []) {
+        const match = /^([a-z]{2,3}(?:-[A-Za-z0-9]+)*)=(.+)$/.exec(value);
+        if (match)
+            map.set(match[1], match[2]);
+        else
+            map.set(defaultLocale, value);
+    }
+    return map;
+}
+
+// the file in the model directory where learned sentences are stored
+// when --learned-file is not given
+const DEFAULT_LEARNED_FILE = 'learned-sentences.btrie';
+
+function getDefaultLearnedFile(nluModel : string) : string|false {
+    // remote models have no directory to store the sentences in
+    if (!nluModel.startsWith('file://'))
+        return false;
+    return path.resolve(nluModel.substring('file://'.length), DEFAULT_LEARNED_FILE);
+}
+
+/**
+ * Compute the configuration of the models of each locale from the command-line arguments.
+ */
+export function getModelConfigs(args : any) : Map<string, ModelConfig> {
+    const nluModels = parseLocaleMap(args.nlu_model, args.locale);
+    const nlgModels = parseLocaleMap(args.nlg_model, args.locale);
+    const experimentModels = parseLocaleMap(args.experiment_model, args.locale);
+    const learnedFiles = parseLocaleMap(args.learned_file, args.locale);
+    for (const locale of nlgModels.keys()) {
+        if (!nluModels.has(locale))
+            throw new Error(`An NLG model was specified for ${locale}, but there is no NLU model for that language`);
+    }
+    for (const locale of experimentModels.keys()) {
+        if (!nluModels.has(locale))
+            throw new Error(`An experiment model was specified for ${locale}, but there is no NLU model for that language`);
+    }
+
+    const configs = new Map<string, ModelConfig>();
+    for (const [locale, nluModel] of nluModels) {
+        configs.set(locale, {
+            nluModel,
+            nlgModel: nlgModels.get(locale),
+            experimentModel: experimentModels.get(locale),
+            learnedFile: learnedFiles.get(locale) || getDefaultLearnedFile(nluModel)
+        });
+    }
+    return configs;
+}
+
+/**
+ * Create the Express application that serves the NLP API.
+ */
+export function createApp(backends : BackendManager, metrics : ServerMetrics, args : any) : express.Application {
+    const app = express();
+    app.metrics = metrics;
+    app.backends = backends;
+    app.args = args;
+
+    app.use(bodyParser.json());
+    app.use(bodyParser.urlencoded({ extended: true }));
+    //app.use(logger('dev'));
+
+    app.use((req, res, next) => {
+        res.set('Access-Control-Allow-Origin', '*');
+        next();
+    });
+
+    app.get('/health', getHealth);
+    app.get('/metrics', getMetrics);
+    app.use('/:locale/:endpoint', trackRequest);
+
+    app.post('/:locale/query', qv.validatePOST(QUERY_PARAMS, { accept: 'application/json' }), (req, res, next) => {
+        queryNLU(req.params, req.body, res).catch(next);
+    });
+
+    app.post('/:locale/answer', qv.validatePOST(NLG_PARAMS, { accept: 'application/json' }), (req, res, next) => {
+        queryNLG(req.params, req.body, res).catch(next);
+    });
+
+    app.post('/:locale/tokenize', qv.validatePOST({ q: 'string', entities: '?object' }, { accept: 'application/json' }), (req, res, next) => {
+        tokenize(req.params, req.body, res).catch(next);
+    });
+
+    app.post('/:locale/learn', qv.validatePOST(LEARN_PARAMS), (req, res, next) => {
+        learn(req.params, req.body, res).catch(next);
+    });
+
+    // if we get here, we have a 404 error
+    app.use('/', (req, res) => {
+        res.status(404).json({ error: 'Invalid endpoint' });
+    });
+    app.use(errorhandler());
+
+    return app;
+}
+
 export function initArgparse(subparsers : argparse.SubParser) {
     const parser = subparsers.add_parser('server', {
         add_help: true,
@@ -160,11 +609,14 @@ export function initArgparse(subparsers : argparse.SubParser) {
     });
     parser.add_argument('--nlu-model', {
         required: true,
-        help: "Path to the NLU model, pointing to a model directory.",
+        action: 'append',
+        help: "Path to the NLU model, pointing to a model directory. Prefix with <locale>= and pass multiple times " +
+            "to serve multiple languages, e.g. --nlu-model en-US=./en --nlu-model it-IT=./it.",
     });
     parser.add_argument('--nlg-model', {
         required: false,
-        help: "Path to the NLG model, pointing to a model directory.",
+        action: 'append',
+        help: "Path to the NLG model, pointing to a model directory. Can be prefixed with <locale>= like --nlu-model.",
     });
     parser.add_argument('--thingpedia', {
         required: true,
@@ -173,7 +625,66 @@ export function initArgparse(subparsers : argparse.SubParser) {
     parser.add_argument('-l', '--locale', {
         required: false,
         default: 'en-US',
-        help: `BGP 47 locale tag of the language to evaluate (defaults to 'en-US', English)`
+        help: `BGP 47 locale tag of the models that are not prefixed with a locale (defaults to 'en-US', English)`
+    });
+    parser.add_argument('--developer-key', {
+        required: false,
+        action: 'append',
+        help: "Developer key that clients must pass to use the /learn endpoint; can be passed multiple times. " +
+            "Defaults to the GENIE_DEVELOPER_KEY environment variable. If no key is set, the /learn endpoint is disabled.",
+    });
+    parser.add_argument('--learned-file', {
+        required: false,
+        action: 'append',
+        help: "Path to the file where sentences taught with the /learn endpoint are stored. " +
+            `Can be prefixed with <locale>= like --nlu-model. Defaults to ${DEFAULT_LEARNED_FILE} in the directory of the NLU model.`,
+    });
+    parser.add_argument('--idle-timeout', {
+        required: false,
+        type: Number,
+        default: 1800,
+        help: "Unload the models of a language after they have not been used for this many seconds (defaults to 30 minutes).",
+    });
+    parser.add_argument('--experiment-model', {
+        required: false,
+        action: 'append',
+        help: "Path to a second NLU model, to compare against the main model on live traffic. " +
+            "Can be prefixed with <locale>= like --nlu-model.",
+    });
+    parser.add_argument('--experiment-fraction', {
+        required: false,
+        type: Number,
+        default: 0.1,
+        help: "Fraction of the queries to send to the experiment model (between 0 and 1, defaults to 0.1).",
+    });
+    parser.add_argument('--watch', {
+        action: 'store_true',
+        default: false,
+        help: "Reload the models when they change on disk, without interrupting service.",
+    });
+    parser.add_argument('--workers', {
+        required: false,
+        type: Number,
+        default: 1,
+        help: "Number of worker processes to run for each model. Workers that crash are restarted automatically.",
+    });
+    parser.add_argument('--cache-size', {
+        required: false,
+        type: Number,
+        default: 1000,
+        help: "Number of parse results to cache for each language; use 0 to disable caching.",
+    });
+    parser.add_argument('--minibatch-size', {
+        required: false,
+        type: Number,
+        default: 30,
+        help: "Maximum number of sentences to send to the model at once.",
+    });
+    parser.add_argument('--max-latency', {
+        required: false,
+        type: Number,
+        default: 50,
+        help: "Maximum time to wait for more sentences before sending a batch to the model, in milliseconds.",
     });
     parser.add_argument('--debug', {
         action: 'store_true',
@@ -189,65 +700,36 @@ export function initArgparse(subparsers : argparse.SubParser) {
 
 export async function execute(args : any) {
     const tpClient = new Tp.FileClient(args);
-    const schemas = new ThingTalk.SchemaRetriever(tpClient, null, true);
-    const app = express();
 
-    const i18n = I18n.get(args.locale);
-    app.backend = {
-        schemas,
-        i18n,
-        tokenizer: i18n.getTokenizer(),
-        nlu: new LocalParserClient(args.nlu_model, args.locale, undefined, undefined, tpClient)
-    };
-    app.backend.nlu.start();
-    if (args.nlg_model && args.nlg_model !== args.nlu_model) {
-        app.backend.nlg = new LocalParserClient(args.nlg_model, args.locale, undefined, undefined, tpClient);
-        app.backend.nlg.start();
-    } else {
-        app.backend.nlg = app.backend.nlu;
+    const configs = getModelConfigs(args);
+    if (!(args.experiment_fraction >= 0 && args.experiment_fraction <= 1))
+        throw new Error(`Invalid --experiment-fraction, must be between 0 and 1`);
+    for (const [locale, config] of configs) {
+        if (!config.learnedFile)
+            console.log(`Sentences learned for ${locale} will not be stored, because the model is remote and --learned-file was not given`);
     }
 
-    app.args = args;
-
-    app.set('port', args.port);
-    app.use(bodyParser.json());
-    app.use(bodyParser.urlencoded({ extended: true }));
-    //app.use(logger('dev'));
-
-    app.use((req, res, next) => {
-        res.set('Access-Control-Allow-Origin', '*');
-        next();
-    });
-
-    app.post('/:locale/query', qv.validatePOST(QUERY_PARAMS, { accept: 'application/json' }), (req, res, next) => {
-        queryNLU(req.params, req.body, res).catch(next);
-    });
-
-    app.post('/:locale/answer', qv.validatePOST(NLG_PARAMS, { accept: 'application/json' }), (req, res, next) => {
-        queryNLG(req.params, req.body, res).catch(next);
-    });
-
-    app.post('/:locale/tokenize', qv.validatePOST({ q: 'string', entities: '?object' }, { accept: 'application/json' }), (req, res, next) => {
-        tokenize(req.params, req.body, res).catch(next);
-    });
-
-    app.post('/:locale/learn', learn);
-
-    // if we get here, we have a 404 error
-    app.use('/', (req, res) => {
-        res.status(404).json({ error: 'Invalid endpoint' });
-    });
-    app.use(errorhandler());
+    const metrics = new ServerMetrics();
+    const backends = new BackendManager(configs, {
+        minibatchSize: args.minibatch_size,
+        maxLatency: args.max_latency,
+        cacheSize: args.cache_size,
+        watch: args.watch,
+        experimentFraction: args.experiment_fraction,
+        workers: args.workers
+    }, tpClient, metrics, args.idle_timeout * 1000);
+    console.log(`Serving models for ${Array.from(configs.keys()).join(', ')}`);
 
-    const server = app.listen(app.get('port'));
+    if (!args.developer_key)
+        args.developer_key = process.env.GENIE_DEVELOPER_KEY ? [process.env.GENIE_DEVELOPER_KEY] : [];
+    const app = createApp(backends, metrics, args);
+    const server = app.listen(args.port);
 
     await new Promise((resolve, reject) => {
         process.on('SIGINT', resolve);
         process.on('SIGTERM', resolve);
     });
 
-    await app.backend.nlu.stop();
-    if (app.backend.nlg !== app.backend.nlu)
-        await app.backend.nlg.stop();
+    await backends.stop();
     server.close();
 }